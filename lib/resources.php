@@ -216,12 +216,24 @@ return call_user_func( function() {
 			),
 		),
 
+		'util.highlightDifferences' => $moduleTemplate + array(
+			'scripts' => array(
+				'util/util.highlightDifferences.js',
+			),
+		),
+
 		'util.highlightSubstring' => $moduleTemplate + array(
 			'scripts' => array(
 				'util/util.highlightSubstring.js',
 			),
 		),
 
+		'util.julianDay' => $moduleTemplate + array(
+			'scripts' => array(
+				'util/util.julianDay.js',
+			),
+		),
+
 		'util.MessageProvider' => $moduleTemplate + array(
 			'scripts' => array(
 				'util/util.MessageProvider.js',
@@ -249,6 +261,15 @@ return call_user_func( function() {
 			),
 		),
 
+		'util.UnitSource' => $moduleTemplate + array(
+			'scripts' => array(
+				'util/util.UnitSource.js',
+			),
+			'dependencies' => array(
+				'util.inherit',
+			)
+		),
+
 	);
 
 } );
@@ -0,0 +1,39 @@
+this.util = this.util || {};
+
+( function( util ) {
+	'use strict';
+
+	/**
+	 * A service providing information about the units a quantity may be specified in.
+	 * Uses `util.inherit`.
+	 * @class util.UnitSource
+	 * @abstract
+	 * @uses util
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 */
+	util.UnitSource = function() {
+	};
+
+	util.UnitSource.prototype = {
+		/**
+		 * Returns all registered unit identifiers or `null` if no information about available
+		 * units is registered.
+		 *
+		 * @return {string[]|null}
+		 */
+		getAll: util.abstractMember,
+
+		/**
+		 * Returns a human readable label for a specific unit identifier. Returns `null` if the
+		 * unit identifier is not registered.
+		 *
+		 * @param {string} unit
+		 * @return {string|null}
+		 */
+		getLabel: util.abstractMember
+	};
+}( util ) );
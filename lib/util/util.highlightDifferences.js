@@ -0,0 +1,71 @@
+this.util = this.util || {};
+
+( function( util ) {
+	'use strict';
+
+/**
+ * "Highlights" the characters of a string differing from another string using HTML. The strings
+ * are compared by stripping their common beginning and ending; the remainder is highlighted.
+ * Special HTML characters are escaped.
+ *
+ *     @example
+ *     var highlighted = util.highlightDifferences( 'abcdef', 'abXYef' );
+ *     // highlighted === 'ab<span class="highlight">cd</span>ef';
+ *
+ * @member util
+ * @method highlightDifferences
+ * @since 0.15.0
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ *
+ * @param {string} string The string to highlight the differences in.
+ * @param {string} otherString The string to compare against.
+ * @param {Object} [options]
+ * @param {string} [options.wrapperNodeName='span']
+ * @param {string} [options.wrapperNodeClass='highlight']
+ * @return {string}
+ */
+util.highlightDifferences = function( string, otherString, options ) {
+	options = options || {};
+	options.wrapperNodeName = options.wrapperNodeName || 'span';
+	options.wrapperNodeClass = options.wrapperNodeClass || 'highlight';
+
+	var maxLength = Math.min( string.length, otherString.length ),
+		prefixLength = 0,
+		suffixLength = 0;
+
+	while(
+		prefixLength < maxLength
+		&& string.charAt( prefixLength ) === otherString.charAt( prefixLength )
+	) {
+		prefixLength++;
+	}
+
+	while(
+		suffixLength < maxLength - prefixLength
+		&& string.charAt( string.length - 1 - suffixLength )
+			=== otherString.charAt( otherString.length - 1 - suffixLength )
+	) {
+		suffixLength++;
+	}
+
+	var container = document.createElement( 'div' ),
+		difference = string.substring( prefixLength, string.length - suffixLength );
+
+	container.appendChild( document.createTextNode( string.substring( 0, prefixLength ) ) );
+
+	if( difference !== '' ) {
+		var wrapped = document.createElement( options.wrapperNodeName );
+		wrapped.appendChild( document.createTextNode( difference ) );
+		wrapped.setAttribute( 'class', options.wrapperNodeClass );
+		container.appendChild( wrapped );
+	}
+
+	container.appendChild(
+		document.createTextNode( string.substring( string.length - suffixLength ) )
+	);
+
+	return container.innerHTML;
+};
+
+} )( util );
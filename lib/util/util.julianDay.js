@@ -0,0 +1,37 @@
+this.util = this.util || {};
+
+( function( util ) {
+	'use strict';
+
+/**
+ * Returns the Julian day number of a date in the proleptic Gregorian or in the Julian calendar.
+ *
+ *     @example
+ *     util.julianDay( 2000, 1, 1 ); // 2451545
+ *     util.julianDay( 1999, 12, 19, true ); // 2451545
+ *
+ * @member util
+ * @method julianDay
+ * @since 0.15.0
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ *
+ * @param {number} year Astronomical year, i.e. `0` for 1 BCE.
+ * @param {number} month `1` for January to `12` for December.
+ * @param {number} day
+ * @param {boolean} [julianCalendar=false] Whether the date is in the Julian calendar.
+ * @return {number}
+ */
+util.julianDay = function( year, month, day, julianCalendar ) {
+	var a = Math.floor( ( 14 - month ) / 12 ),
+		y = year + 4800 - a,
+		m = month + 12 * a - 3,
+		julianDay = day + Math.floor( ( 153 * m + 2 ) / 5 ) + 365 * y + Math.floor( y / 4 );
+
+	if( julianCalendar ) {
+		return julianDay - 32083;
+	}
+	return julianDay + Math.floor( y / 400 ) - Math.floor( y / 100 ) - 32045;
+};
+
+} )( util );
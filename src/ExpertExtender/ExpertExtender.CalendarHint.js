@@ -1,4 +1,4 @@
-( function( $, ExpertExtender, Time ) {
+( function( $, ExpertExtender, util, Time, timeSettings ) {
 	'use strict';
 
 	/**
@@ -13,15 +13,48 @@
 	 * @param {util.MessageProvider} messageProvider
 	 * @param {Function} getUpstreamValue A getter for the current `DataValue` instance in use.
 	 * @param {Function} setUpstreamCalendar A setter for the current calendar name used.
+	 * @param {Object[]|null} [rules=jQuery.valueview.ExpertExtender.CalendarHint.RULES]
+	 *        Rules determining whether to show the hint. The first rule matching the value
+	 *        applies. Each rule features:
+	 *        - {number} from: The first year to show the hint for.
+	 *        - {number} to: The last year to show the hint for.
+	 *        - {number} precision: The minimum precision to show the hint for.
+	 *        - {Object} [switchYears]: Years the Gregorian calendar has been adopted in, indexed
+	 *          by language or region code (e.g. "ru" or "en-gb"). If the current language features
+	 *          a switch year, it replaces `to`. (since 0.15.0)
+	 * @param {Function} [getLanguage] A getter for the code of the language to look up switch
+	 *        years for. (since 0.15.0)
 	 */
-	ExpertExtender.CalendarHint = function( messageProvider, getUpstreamValue, setUpstreamCalendar ) {
+	ExpertExtender.CalendarHint = function(
+		messageProvider,
+		getUpstreamValue,
+		setUpstreamCalendar,
+		rules,
+		getLanguage
+	) {
 		this._messageProvider = messageProvider;
 		this._getUpstreamValue = getUpstreamValue;
 		this._setUpstreamCalendar = setUpstreamCalendar;
+		this._rules = rules || ExpertExtender.CalendarHint.RULES;
+		this._getLanguage = getLanguage || null;
 
 		this.$calendarhint = $( '<div/>' );
 	};
 
+	/**
+	 * The default rules: The hint is shown for dates precise to the day from the introduction of
+	 * the Gregorian calendar in 1582 until the last countries adopted it.
+	 * @property {Object[]}
+	 * @static
+	 * @since 0.15.0
+	 */
+	ExpertExtender.CalendarHint.RULES = [ {
+		from: 1582,
+		to: 1929,
+		precision: Time.PRECISION.DAY,
+		switchYears: {}
+	} ];
+
 	$.extend( ExpertExtender.CalendarHint.prototype, {
 		/**
 		 * @property {util.MessageProvider}
@@ -41,6 +74,18 @@
 		 */
 		_setUpstreamCalendar: null,
 
+		/**
+		 * @property {Object[]}
+		 * @private
+		 */
+		_rules: null,
+
+		/**
+		 * @property {Function|null}
+		 * @private
+		 */
+		_getLanguage: null,
+
 		/**
 		 * @property {jQuery}
 		 * @private
@@ -72,6 +117,7 @@
 			this.$calendarhint
 				.addClass( this._prefix )
 				.append( $( '<span/>' ).addClass( this._prefix + '-message' ) )
+				.append( $( '<span/>' ).addClass( this._prefix + '-converted' ) )
 				.append(
 					$( '<a/>' )
 					.addClass( this._prefix + '-switch ui-state-default' )
@@ -94,8 +140,7 @@
 				return;
 			}
 
-			// Are we in the interesting range
-			if( !( value.year() > 1581 && value.year() < 1930 && value.precision() > 10 ) ) {
+			if( !this._getRule( value ) ) {
 				this.$calendarhint.hide();
 				return;
 			}
@@ -121,9 +166,44 @@
 				this.$calendarhint.children( '.' + this._prefix + '-switch' ).html( msg );
 			}
 
+			msg = value.precision() >= Time.PRECISION.DAY && this._messageProvider.getMessage(
+				this._prefix + '-converted-' + this._otherCalendar.toLowerCase(),
+				[ formatDate( convertDate( value, this._otherCalendar ) ) ]
+			);
+			this.$calendarhint.children( '.' + this._prefix + '-converted' ).text( msg || '' );
+
 			this.$calendarhint.show();
 		},
 
+		/**
+		 * Returns the first rule matching the specified value.
+		 * @private
+		 *
+		 * @param {time.Time} value
+		 * @return {Object|null}
+		 */
+		_getRule: function( value ) {
+			var language = this._getLanguage && this._getLanguage(),
+				year = value.year(),
+				precision = value.precision(),
+				matchingRule = null;
+
+			$.each( this._rules, function( i, rule ) {
+				var to = getSwitchYear( rule.switchYears || {}, language );
+
+				if( to === null ) {
+					to = rule.to;
+				}
+
+				if( year >= rule.from && year <= to && precision >= rule.precision ) {
+					matchingRule = rule;
+					return false;
+				}
+			} );
+
+			return matchingRule;
+		},
+
 		/**
 		 * Callback for the `ExpertExtender` destroy event.
 		 */
@@ -131,6 +211,8 @@
 			this._messageProvider = null;
 			this._getUpstreamValue = null;
 			this._setUpstreamCalendar = null;
+			this._rules = null;
+			this._getLanguage = null;
 
 			this.$calendarhint.remove();
 			this.$calendarhint = null;
@@ -138,4 +220,83 @@
 			this._otherCalendar = null;
 		}
 	} );
-}( jQuery, jQuery.valueview.ExpertExtender, time.Time ) );
+
+	/**
+	 * @ignore
+	 *
+	 * @param {Object} switchYears
+	 * @param {string|null} [language]
+	 * @return {number|null} The switch year of the language, falling back to the switch year of
+	 *         the language without region (e.g. "en" for "en-gb").
+	 */
+	function getSwitchYear( switchYears, language ) {
+		while( language ) {
+			if( switchYears.hasOwnProperty( language ) ) {
+				return switchYears[language];
+			}
+			language = language.indexOf( '-' ) !== -1
+				? language.substr( 0, language.lastIndexOf( '-' ) )
+				: null;
+		}
+		return null;
+	}
+
+	/**
+	 * Converts a date between the Gregorian and the Julian calendar.
+	 * @ignore
+	 *
+	 * @param {time.Time} value
+	 * @param {string} calendar The calendar to convert to.
+	 * @return {Object} Object featuring `year`, `month` and `day`.
+	 */
+	function convertDate( value, calendar ) {
+		return fromJulianDay(
+			util.julianDay(
+				value.year(),
+				value.month(),
+				value.day(),
+				value.calendar() === Time.CALENDAR.JULIAN
+			),
+			calendar
+		);
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} julianDay
+	 * @param {string} calendar
+	 * @return {Object} Object featuring `year`, `month` and `day`.
+	 */
+	function fromJulianDay( julianDay, calendar ) {
+		var centuries = 0,
+			c = julianDay + 32082;
+
+		if( calendar !== Time.CALENDAR.JULIAN ) {
+			var a = julianDay + 32044;
+			centuries = Math.floor( ( 4 * a + 3 ) / 146097 );
+			c = a - Math.floor( 146097 * centuries / 4 );
+		}
+
+		var d = Math.floor( ( 4 * c + 3 ) / 1461 ),
+			e = c - Math.floor( 1461 * d / 4 ),
+			m = Math.floor( ( 5 * e + 2 ) / 153 );
+
+		return {
+			year: 100 * centuries + d - 4800 + Math.floor( m / 10 ),
+			month: m + 3 - 12 * Math.floor( m / 10 ),
+			day: e - Math.floor( ( 153 * m + 2 ) / 5 ) + 1
+		};
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {Object} date Object featuring `year`, `month` and `day`.
+	 * @return {string} E.g. "15 October 1582".
+	 */
+	function formatDate( date ) {
+		return date.day + ' ' + timeSettings.monthnames[date.month - 1][0] + ' ' + date.year;
+	}
+
+}( jQuery, jQuery.valueview.ExpertExtender, util, time.Time, time.settings ) );
@@ -0,0 +1,518 @@
+( function( $, ExpertExtender, util, Time, timeSettings ) {
+	'use strict';
+
+	var WEEKDAYS = [ 'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun' ];
+
+	/**
+	 * An `ExpertExtender` module offering a grid to pick a date from. Depending on the precision,
+	 * the grid features the days of a month, the months of a year or the years of a decade. The
+	 * days of a month are laid out according to the calendar model. Precisions coarser than a
+	 * year are not supported; in that case, no grid is shown.
+	 * @class jQuery.valueview.ExpertExtender.DatePicker
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {util.MessageProvider} messageProvider
+	 * @param {Function} getUpstreamValue A getter for the current `time.Time` instance in use,
+	 *        returning `null` if there is none.
+	 * @param {Function} getPrecision A getter for the precision to pick a date in.
+	 * @param {Function} getCalendar A getter for the name of the calendar model to lay out the
+	 *        days of a month in (`time.Time.CALENDAR.GREGORIAN` or `time.Time.CALENDAR.JULIAN`).
+	 * @param {Function} onPick Callback receiving the picked date as a string that may be parsed
+	 *        (e.g. "2015-04-02", "2015-04" or "2015").
+	 */
+	ExpertExtender.DatePicker = function(
+		messageProvider,
+		getUpstreamValue,
+		getPrecision,
+		getCalendar,
+		onPick
+	) {
+		this._messageProvider = messageProvider;
+		this._getUpstreamValue = getUpstreamValue;
+		this._getPrecision = getPrecision;
+		this._getCalendar = getCalendar;
+		this._onPick = onPick;
+
+		this.$datePicker = $( '<div/>' ).addClass( this._prefix );
+	};
+
+	$.extend( ExpertExtender.DatePicker.prototype, {
+		/**
+		 * @property {util.MessageProvider}
+		 * @private
+		 */
+		_messageProvider: null,
+
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_getUpstreamValue: null,
+
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_getPrecision: null,
+
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_getCalendar: null,
+
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_onPick: null,
+
+		/**
+		 * @property {jQuery}
+		 * @readonly
+		 */
+		$datePicker: null,
+
+		/**
+		 * The page of the grid currently displayed, featuring `year` and `month`. `null` if the
+		 * page shall be derived from the upstream value.
+		 * @property {Object|null}
+		 * @private
+		 */
+		_page: null,
+
+		/**
+		 * The upstream value the current page has been derived from.
+		 * @property {time.Time|null}
+		 * @private
+		 */
+		_pageValue: null,
+
+		/**
+		 * The common prefix for CSS classes and message keys
+		 * @property {string} [_prefix='valueview-expertextender-datepicker']
+		 * @private
+		 */
+		_prefix: 'valueview-expertextender-datepicker',
+
+		/**
+		 * Callback for the `init` `ExpertExtender` event.
+		 *
+		 * @param {jQuery} $extender
+		 */
+		init: function( $extender ) {
+			var self = this,
+				prefix = this._prefix;
+
+			this.$datePicker
+			.on( 'click', '.' + prefix + '-previous, .' + prefix + '-next', function( event ) {
+				event.preventDefault();
+				self._turnPage( $( this ).hasClass( prefix + '-next' ) ? 1 : -1 );
+			} )
+			.on( 'click', '.' + prefix + '-cell', function( event ) {
+				event.preventDefault();
+				self._onPick( $( this ).data( 'date' ) );
+			} )
+			.appendTo( $extender );
+		},
+
+		/**
+		 * Callback for the `draw` `ExpertExtender` event.
+		 */
+		draw: function() {
+			var value = this._getUpstreamValue();
+
+			if( value !== this._pageValue ) {
+				// Show the page of the new value:
+				this._page = null;
+				this._pageValue = value;
+			}
+
+			this._render();
+		},
+
+		/**
+		 * Callback for the `destroy` `ExpertExtender` event.
+		 */
+		destroy: function() {
+			this.$datePicker.off( 'click' ).remove();
+			this.$datePicker = null;
+
+			this._messageProvider = null;
+			this._getUpstreamValue = null;
+			this._getPrecision = null;
+			this._getCalendar = null;
+			this._onPick = null;
+			this._page = null;
+			this._pageValue = null;
+		},
+
+		/**
+		 * Returns the kind of grid to display for the current precision.
+		 * @private
+		 *
+		 * @return {string|null} "month", "year", "decade" or `null` if the precision is not
+		 *         supported.
+		 */
+		_getMode: function() {
+			var precision = this._getPrecision();
+
+			if( precision === null || precision === undefined || precision >= Time.PRECISION.DAY ) {
+				return 'month';
+			} else if( precision === Time.PRECISION.MONTH ) {
+				return 'year';
+			} else if( precision === Time.PRECISION.YEAR ) {
+				return 'decade';
+			}
+			return null;
+		},
+
+		/**
+		 * @private
+		 *
+		 * @return {Object} Object featuring `year`, `month` and `day` of the upstream value. Empty
+		 *         if there is no upstream value.
+		 */
+		_getSelectedDate: function() {
+			var value = this._getUpstreamValue();
+			return value ? { year: value.year(), month: value.month(), day: value.day() } : {};
+		},
+
+		/**
+		 * @private
+		 *
+		 * @return {Object} The page to display, featuring `year` and `month`. Unless turned, the
+		 *         page features the upstream value or, if there is none, the current date.
+		 */
+		_getPage: function() {
+			if( this._page ) {
+				return this._page;
+			}
+
+			var selected = this._getSelectedDate();
+
+			if( selected.year !== undefined ) {
+				return { year: selected.year, month: selected.month || 1 };
+			}
+
+			var now = new Date();
+			return { year: now.getFullYear(), month: now.getMonth() + 1 };
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {number} direction `1` for the next page, `-1` for the previous page.
+		 */
+		_turnPage: function( direction ) {
+			var page = this._getPage(),
+				mode = this._getMode(),
+				month = page.month - 1 + direction;
+
+			if( mode === 'month' ) {
+				this._page = {
+					year: page.year + Math.floor( month / 12 ),
+					month: ( month % 12 + 12 ) % 12 + 1
+				};
+			} else {
+				this._page = {
+					year: page.year + direction * ( mode === 'decade' ? 10 : 1 ),
+					month: page.month
+				};
+			}
+
+			this._render();
+		},
+
+		/**
+		 * @private
+		 */
+		_render: function() {
+			var mode = this._getMode();
+
+			this.$datePicker.empty().toggle( mode !== null );
+
+			if( mode === null ) {
+				return;
+			}
+
+			var selected = this._getSelectedDate(),
+				page = this._getPage(),
+				grid;
+
+			if( mode === 'month' ) {
+				grid = this._getMonthGrid( page.year, page.month, selected );
+			} else if( mode === 'year' ) {
+				grid = this._getYearGrid( page.year, selected );
+			} else {
+				grid = this._getDecadeGrid( page.year, selected );
+			}
+
+			this.$datePicker
+			.append(
+				$( '<div/>' )
+				.addClass( this._prefix + '-header' )
+				.append( this._createNavigation( 'previous', '‹' ) )
+				.append( $( '<span/>' ).addClass( this._prefix + '-title' ).text( grid.title ) )
+				.append( this._createNavigation( 'next', '›' ) )
+			)
+			.append( this._createTable( grid ) );
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {string} name "previous" or "next".
+		 * @param {string} symbol
+		 * @return {jQuery}
+		 */
+		_createNavigation: function( name, symbol ) {
+			return $( '<a/>' )
+				.attr( 'href', '#' )
+				.attr( 'title', this._messageProvider.getMessage( this._prefix + '-' + name ) || '' )
+				.addClass( this._prefix + '-' + name )
+				.text( symbol );
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {Object} grid Object featuring `header` (labels of the columns or `null`),
+		 *        `rows` (arrays of cells, each cell featuring `label`, `date` and `selected`, or
+		 *        `null` for an empty cell).
+		 * @return {jQuery}
+		 */
+		_createTable: function( grid ) {
+			var prefix = this._prefix,
+				$table = $( '<table/>' ).addClass( prefix + '-grid' );
+
+			if( grid.header ) {
+				$table.append( $( '<tr/>' ).append( $.map( grid.header, function( label ) {
+					return $( '<th/>' ).text( label )[0];
+				} ) ) );
+			}
+
+			$.each( grid.rows, function( i, row ) {
+				$table.append( $( '<tr/>' ).append( $.map( row, function( cell ) {
+					var $cell = $( '<td/>' );
+
+					if( cell ) {
+						$cell.append(
+							$( '<a/>' )
+							.attr( 'href', '#' )
+							.addClass( prefix + '-cell' )
+							.toggleClass( prefix + '-selected', cell.selected )
+							.data( 'date', cell.date )
+							.text( cell.label )
+						);
+					}
+
+					return $cell[0];
+				} ) ) );
+			} );
+
+			return $table;
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {number} year
+		 * @param {number} month
+		 * @param {Object} selected
+		 * @return {Object}
+		 */
+		_getMonthGrid: function( year, month, selected ) {
+			var calendar = this._getCalendar(),
+				offset = getWeekday( year, month, 1, calendar ),
+				days = getDaysInMonth( year, month, calendar ),
+				messageProvider = this._messageProvider,
+				rows = [],
+				row = [];
+
+			for( var i = 0; i < offset; i++ ) {
+				row.push( null );
+			}
+
+			for( var day = 1; day <= days; day++ ) {
+				row.push( {
+					label: String( day ),
+					date: formatDate( year, month, day ),
+					selected: selected.year === year && selected.month === month
+						&& selected.day === day
+				} );
+
+				if( row.length === 7 ) {
+					rows.push( row );
+					row = [];
+				}
+			}
+
+			if( row.length ) {
+				rows.push( row );
+			}
+
+			return {
+				title: getMonthName( month ) + ' ' + year,
+				header: $.map( WEEKDAYS, function( weekday ) {
+					return messageProvider.getMessage( 'valueview-expertextender-datepicker-'
+						+ weekday ) || weekday;
+				} ),
+				rows: rows
+			};
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {number} year
+		 * @param {Object} selected
+		 * @return {Object}
+		 */
+		_getYearGrid: function( year, selected ) {
+			var rows = [];
+
+			for( var month = 1; month <= 12; month++ ) {
+				if( month % 3 === 1 ) {
+					rows.push( [] );
+				}
+				rows[rows.length - 1].push( {
+					label: getMonthName( month ),
+					date: formatDate( year, month ),
+					selected: selected.year === year && selected.month === month
+				} );
+			}
+
+			return {
+				title: String( year ),
+				header: null,
+				rows: rows
+			};
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {number} year
+		 * @param {Object} selected
+		 * @return {Object}
+		 */
+		_getDecadeGrid: function( year, selected ) {
+			var decade = year - ( year % 10 + 10 ) % 10,
+				rows = [];
+
+			for( var i = 0; i < 10; i++ ) {
+				if( i % 5 === 0 ) {
+					rows.push( [] );
+				}
+				rows[rows.length - 1].push( {
+					label: String( decade + i ),
+					date: formatDate( decade + i ),
+					selected: selected.year === decade + i
+				} );
+			}
+
+			return {
+				title: decade + '–' + ( decade + 9 ),
+				header: null,
+				rows: rows
+			};
+		}
+	} );
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} month
+	 * @return {string}
+	 */
+	function getMonthName( month ) {
+		return timeSettings.monthnames[month - 1][0];
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} year
+	 * @param {number} [month]
+	 * @param {number} [day]
+	 * @return {string} ISO 8601 date, e.g. "2015-04-02", "2015-04" or "-0044".
+	 */
+	function formatDate( year, month, day ) {
+		var date = ( year < 0 ? '-' : '' ) + pad( Math.abs( year ), 4 );
+
+		if( month ) {
+			date += '-' + pad( month, 2 );
+		}
+		if( day ) {
+			date += '-' + pad( day, 2 );
+		}
+
+		return date;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} number
+	 * @param {number} length
+	 * @return {string}
+	 */
+	function pad( number, length ) {
+		number = String( number );
+		while( number.length < length ) {
+			number = '0' + number;
+		}
+		return number;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} year
+	 * @param {number} month
+	 * @param {string} calendar
+	 * @return {number}
+	 */
+	function getDaysInMonth( year, month, calendar ) {
+		if( month !== 2 ) {
+			return [ 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31 ][month - 1];
+		}
+
+		var isLeapYear = calendar === Time.CALENDAR.JULIAN
+			? mod( year, 4 ) === 0
+			: mod( year, 4 ) === 0 && ( mod( year, 100 ) !== 0 || mod( year, 400 ) === 0 );
+
+		return isLeapYear ? 29 : 28;
+	}
+
+	/**
+	 * Returns the day of the week using the Julian day number of the date.
+	 * @ignore
+	 *
+	 * @param {number} year
+	 * @param {number} month
+	 * @param {number} day
+	 * @param {string} calendar
+	 * @return {number} `0` for Monday to `6` for Sunday.
+	 */
+	function getWeekday( year, month, day, calendar ) {
+		return mod( util.julianDay( year, month, day, calendar === Time.CALENDAR.JULIAN ), 7 );
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} dividend
+	 * @param {number} divisor
+	 * @return {number} Non-negative remainder.
+	 */
+	function mod( dividend, divisor ) {
+		return ( dividend % divisor + divisor ) % divisor;
+	}
+
+}( jQuery, jQuery.valueview.ExpertExtender, util, time.Time, time.settings ) );
@@ -0,0 +1,120 @@
+( function( $, ExpertExtender ) {
+	'use strict';
+
+	/**
+	 * An `ExpertExtender` module for a plain text input box. As long as the user has not changed
+	 * the input box's content, the input box reflects the value received from the parent
+	 * component.
+	 * @class jQuery.valueview.ExpertExtender.Input
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {string} className
+	 * @param {Function} onValueChange Callback to be triggered when the input box's value is
+	 *        changed by the user.
+	 * @param {Function} getUpstreamValue Callback to retrieve the value from a parent component.
+	 */
+	ExpertExtender.Input = function( className, onValueChange, getUpstreamValue ) {
+		this._onValueChange = onValueChange;
+		this._getUpstreamValue = getUpstreamValue;
+
+		this.$input = $( '<input/>' ).addClass( className );
+	};
+
+	$.extend( ExpertExtender.Input.prototype, {
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_onValueChange: null,
+
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_getUpstreamValue: null,
+
+		/**
+		 * Whether the user changed the input box's content.
+		 * @property {boolean}
+		 * @private
+		 */
+		_isCustom: false,
+
+		/**
+		 * @property {jQuery}
+		 * @readonly
+		 */
+		$input: null,
+
+		/**
+		 * Callback for the `init` `ExpertExtender` event.
+		 *
+		 * @param {jQuery} $extender
+		 */
+		init: function( $extender ) {
+			var self = this;
+
+			this.$input
+			.on( 'eachchange', function() {
+				self._isCustom = true;
+				self._onValueChange( self.getValue() );
+			} )
+			.appendTo( $extender );
+		},
+
+		/**
+		 * Callback for the `draw` `ExpertExtender` event.
+		 */
+		draw: function() {
+			if( this._isCustom ) {
+				return;
+			}
+
+			var value = this._getUpstreamValue();
+			this.$input.val( value === undefined || value === null ? '' : value );
+		},
+
+		/**
+		 * Callback for the `destroy` `ExpertExtender` event.
+		 */
+		destroy: function() {
+			this.$input.off( 'eachchange' ).remove();
+			this.$input = null;
+			this._isCustom = false;
+			this._getUpstreamValue = null;
+			this._onValueChange = null;
+		},
+
+		/**
+		 * Gets the value entered by the user.
+		 *
+		 * @return {string|null} The current value or `null` if the user did not specify a value.
+		 */
+		getValue: function() {
+			var value = $.trim( this.$input.val() );
+			return this._isCustom && value !== '' ? value : null;
+		},
+
+		/**
+		 * Sets the input box's value as if it had been entered by the user without triggering the
+		 * `onValueChange` callback.
+		 *
+		 * @param {string|null} value `null` to have the input box reflect the upstream value
+		 *        again.
+		 */
+		setValue: function( value ) {
+			this._isCustom = value !== null;
+
+			if( this._isCustom ) {
+				this.$input.val( value );
+			} else {
+				this.draw();
+			}
+		}
+	} );
+
+}( jQuery, jQuery.valueview.ExpertExtender ) );
@@ -76,6 +76,13 @@
 		 */
 		_prefix: 'valueview-expertextender-languageselector',
 
+		/**
+		 * Language code set via `setValue()`.
+		 * @property {string|null}
+		 * @private
+		 */
+		_value: null,
+
 		/**
 		 * @private
 		 */
@@ -122,7 +129,29 @@
 		 * Callback for the `onInitialShow` `ExpertExtender` event.
 		 */
 		onInitialShow: function() {
-			var value = this._getUpstreamValue();
+			this._setSelectorValue(
+				this._value !== null ? this._value : this._getUpstreamValue()
+			);
+		},
+
+		/**
+		 * Sets the language without triggering the `onValueChange` callback. The language
+		 * overrules the upstream value.
+		 * @since 0.15.0
+		 *
+		 * @param {string} value Language code.
+		 */
+		setValue: function( value ) {
+			this._value = value;
+			this._setSelectorValue( value );
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {string} value Language code.
+		 */
+		_setSelectorValue: function( value ) {
 			if( this._labels ) {
 				// Necessary for mapping to the language code if the language is not changed.
 				// FIXME: This is obviously an access violation, and it's probably not a good idea
@@ -141,6 +170,7 @@
 			this.$selector = null;
 			this._contentLanguages = null;
 			this._labels = null;
+			this._value = null;
 			this._messageProvider = null;
 			this._onValueChange = null;
 		},
@@ -122,6 +122,22 @@
 			this._onValueChange = null;
 		},
 
+		/**
+		 * Sets the rotator's value without triggering the `onValueChange` callback.
+		 * @since 0.15.0
+		 *
+		 * @param {*|null} value `null` to activate the rotator's "auto" state.
+		 */
+		setValue: function( value ) {
+			if( value === null ) {
+				this.rotator.activate( this.rotator.$auto );
+				return;
+			}
+
+			this.rotator.value( value );
+			this.rotator.activate();
+		},
+
 		/**
 		 * Gets the current value set in the rotator.
 		 *
@@ -0,0 +1,214 @@
+( function( $, ExpertExtender, PrefixingMessageProvider ) {
+	'use strict';
+
+	/**
+	 * An `ExpertExtender` module for selecting the unit of a quantity.
+	 * @class jQuery.valueview.ExpertExtender.UnitSelector
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {util.UnitSource|null} unitSource Provides the units offered for selection. If `null`
+	 *        or if the source does not provide any units, a plain input box is rendered.
+	 * @param {util.MessageProvider} messageProvider
+	 * @param {Function} getUpstreamValue A getter for the unit of the current value.
+	 * @param {Function} onValueChange
+	 */
+	ExpertExtender.UnitSelector = function(
+		unitSource,
+		messageProvider,
+		getUpstreamValue,
+		onValueChange
+	) {
+		this._unitSource = unitSource;
+		this._messageProvider = new PrefixingMessageProvider(
+			this._prefix + '-',
+			messageProvider
+		);
+		this._getUpstreamValue = getUpstreamValue;
+		this._onValueChange = onValueChange;
+
+		this.$selector = $( '<input />' );
+	};
+
+	$.extend( ExpertExtender.UnitSelector.prototype, {
+		/**
+		 * @property {util.MessageProvider}
+		 * @private
+		 */
+		_messageProvider: null,
+
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_getUpstreamValue: null,
+
+		/**
+		 * @property {Function}
+		 * @private
+		 */
+		_onValueChange: null,
+
+		/**
+		 * @property {util.UnitSource|null}
+		 * @private
+		 */
+		_unitSource: null,
+
+		/**
+		 * Map of unit identifiers to unit labels.
+		 * @property {Object|null}
+		 * @private
+		 */
+		_labels: null,
+
+		/**
+		 * @property {string|null}
+		 * @private
+		 */
+		_lastValue: null,
+
+		/**
+		 * Whether the unit has been set using `setValue()`.
+		 * @property {boolean}
+		 * @private
+		 */
+		_isCustom: false,
+
+		/**
+		 * @property {jQuery}
+		 * @private
+		 * @readonly
+		 */
+		$selector: null,
+
+		/**
+		 * @property {string} [_prefix='valueview-expertextender-unitselector']
+		 * @private
+		 */
+		_prefix: 'valueview-expertextender-unitselector',
+
+		/**
+		 * @private
+		 */
+		_initLabels: function() {
+			var units = this._unitSource && this._unitSource.getAll(),
+				self = this;
+
+			if( units ) {
+				this._labels = {};
+				$.each( units, function( i, unit ) {
+					self._labels[unit] = self._unitSource.getLabel( unit ) || unit;
+				} );
+			}
+		},
+
+		/**
+		 * Callback for the `init` `ExpertExtender` event.
+		 *
+		 * @param {jQuery} $extender
+		 */
+		init: function( $extender ) {
+			var self = this;
+
+			this._initLabels();
+
+			if( this._labels ) {
+				this.$selector.suggester( {
+					source: $.map( this._labels, function( label ) {
+						return label;
+					} )
+				} );
+			}
+
+			this.$selector
+			.addClass( this._prefix + '-input' )
+			.on( 'eachchange suggesterchange', function() {
+				var value = self.getValue();
+				if( value !== self._lastValue ) {
+					self._lastValue = value;
+					self._onValueChange( value );
+				}
+			} );
+
+			$extender
+				.append( $( '<span />' ).text( this._messageProvider.getMessage( 'label' ) ) )
+				.append( this.$selector );
+		},
+
+		/**
+		 * Callback for the `onInitialShow` `ExpertExtender` event.
+		 */
+		onInitialShow: function() {
+			var value = this._isCustom ? this._lastValue : this._getUpstreamValue();
+
+			this._lastValue = value || null;
+
+			if( value && this._labels && this._labels[value] ) {
+				value = this._labels[value];
+			}
+			this.$selector.val( value || '' );
+		},
+
+		/**
+		 * Callback for the `destroy` `ExpertExtender` event.
+		 */
+		destroy: function() {
+			var suggester = this.$selector.data( 'suggester' );
+			if( suggester ) {
+				suggester.destroy();
+			}
+			this.$selector.remove();
+
+			this.$selector = null;
+			this._getUpstreamValue = null;
+			this._unitSource = null;
+			this._labels = null;
+			this._lastValue = null;
+			this._isCustom = false;
+			this._messageProvider = null;
+			this._onValueChange = null;
+		},
+
+		/**
+		 * Gets the unit currently specified. Labels of units known to the unit source are mapped
+		 * to their unit identifier.
+		 *
+		 * @return {string|null} The current unit or `null` if no unit is specified.
+		 */
+		getValue: function() {
+			var value = $.trim( this.$selector.val() ),
+				unit = null;
+
+			if( value === '' ) {
+				return null;
+			}
+
+			$.each( this._labels || {}, function( unitId, label ) {
+				if( label === value ) {
+					unit = unitId;
+					return false;
+				}
+			} );
+
+			return unit || value;
+		},
+
+		/**
+		 * Sets the unit as if it had been specified by the user without triggering the
+		 * `onValueChange` callback. Units known to the unit source are displayed by their label.
+		 *
+		 * @param {string|null} value Unit identifier or `null` to have the selector reflect the
+		 *        unit of the upstream value again.
+		 */
+		setValue: function( value ) {
+			this._isCustom = value !== null;
+			this._lastValue = value;
+			this.onInitialShow();
+		}
+	} );
+
+}( jQuery, jQuery.valueview.ExpertExtender, util.PrefixingMessageProvider ) );
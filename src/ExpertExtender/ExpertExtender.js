@@ -47,6 +47,17 @@
 		 */
 		_extendable: null,
 
+		/**
+		 * Adds an extension. Extensions need to be added before the extender is shown for the
+		 * first time.
+		 * @since 0.15.0
+		 *
+		 * @param {Object} extension
+		 */
+		addExtension: function( extension ) {
+			this._extendable.addExtension( extension );
+		},
+
 		/**
 		 * Callback for expert `init`.
 		 */
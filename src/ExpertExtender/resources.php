@@ -34,9 +34,12 @@ return call_user_func( function() {
 			),
 			'dependencies' => array(
 				'jquery.valueview.ExpertExtender',
-				'time.js'
+				'time.js',
+				'util.julianDay',
 			),
 			'messages' => array(
+				'valueview-expertextender-calendarhint-converted-gregorian',
+				'valueview-expertextender-calendarhint-converted-julian',
 				'valueview-expertextender-calendarhint-gregorian',
 				'valueview-expertextender-calendarhint-julian',
 				'valueview-expertextender-calendarhint-switch-gregorian',
@@ -53,6 +56,41 @@ return call_user_func( function() {
 			),
 		),
 
+		'jquery.valueview.ExpertExtender.DatePicker' => $moduleTemplate + array(
+			'scripts' => array(
+				'ExpertExtender.DatePicker.js',
+			),
+			'styles' => array(
+				'ExpertExtender.DatePicker.css',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ExpertExtender',
+				'time.js',
+				'util.julianDay',
+			),
+			'messages' => array(
+				'valueview-expertextender-datepicker-fri',
+				'valueview-expertextender-datepicker-mon',
+				'valueview-expertextender-datepicker-next',
+				'valueview-expertextender-datepicker-previous',
+				'valueview-expertextender-datepicker-sat',
+				'valueview-expertextender-datepicker-sun',
+				'valueview-expertextender-datepicker-thu',
+				'valueview-expertextender-datepicker-tue',
+				'valueview-expertextender-datepicker-wed',
+			),
+		),
+
+		'jquery.valueview.ExpertExtender.Input' => $moduleTemplate + array(
+			'scripts' => array(
+				'ExpertExtender.Input.js',
+			),
+			'dependencies' => array(
+				'jquery.event.special.eachchange',
+				'jquery.valueview.ExpertExtender',
+			),
+		),
+
 		'jquery.valueview.ExpertExtender.LanguageSelector' => $moduleTemplate + array(
 			'scripts' => array(
 				'ExpertExtender.LanguageSelector.js',
@@ -112,6 +150,21 @@ return call_user_func( function() {
 				'valueview-expert-advancedadjustments',
 			),
 		),
+
+		'jquery.valueview.ExpertExtender.UnitSelector' => $moduleTemplate + array(
+			'scripts' => array(
+				'ExpertExtender.UnitSelector.js',
+			),
+			'dependencies' => array(
+				'jquery.event.special.eachchange',
+				'jquery.ui.suggester',
+				'jquery.valueview.ExpertExtender',
+				'util.PrefixingMessageProvider',
+			),
+			'messages' => array(
+				'valueview-expertextender-unitselector-label',
+			)
+		),
 	);
 
 	return $modules;
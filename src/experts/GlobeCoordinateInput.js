@@ -68,6 +68,7 @@
 		);
 
 		this.addExtension( inputExtender );
+		this._expertExtender = inputExtender;
 	}, {
 
 		/**
@@ -108,6 +109,21 @@
 			return options;
 		},
 
+		/**
+		 * @inheritdoc
+		 */
+		restoreRawValue: function( rawValue, valueCharacteristics ) {
+			if( !PARENT.prototype.restoreRawValue.call( this, rawValue, valueCharacteristics ) ) {
+				return false;
+			}
+
+			this.precisionRotator.setValue(
+				valueCharacteristics.precision === undefined ? null : valueCharacteristics.precision
+			);
+
+			return true;
+		},
+
 		/**
 		 * @inheritdoc
 		 */
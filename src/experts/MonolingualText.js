@@ -35,6 +35,7 @@
 		);
 
 		this.addExtension( inputExtender );
+		this._expertExtender = inputExtender;
 	}, {
 		/**
 		 * @property {jQuery.valueview.ExpertExtender.LanguageSelector}
@@ -53,6 +54,21 @@
 			return options;
 		},
 
+		/**
+		 * @inheritdoc
+		 */
+		restoreRawValue: function( rawValue, valueCharacteristics ) {
+			if( !PARENT.prototype.restoreRawValue.call( this, rawValue, valueCharacteristics ) ) {
+				return false;
+			}
+
+			if( valueCharacteristics.valuelang ) {
+				this._languageSelector.setValue( valueCharacteristics.valuelang );
+			}
+
+			return true;
+		},
+
 		/**
 		 * @inheritdoc
 		 */
@@ -0,0 +1,183 @@
+( function( $, vv ) {
+	'use strict';
+
+	var PARENT = vv.experts.StringValue;
+
+	/**
+	 * `Valueview` expert handling input of `Quantity` values.
+	 * @class jQuery.valueview.experts.QuantityInput
+	 * @extends jQuery.valueview.experts.StringValue
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 */
+	vv.experts.QuantityInput = vv.expert( 'QuantityInput', PARENT, function() {
+		PARENT.apply( this, arguments );
+
+		var self = this;
+
+		this.preview = new vv.ExpertExtender.Preview(
+			function() {
+				return self.viewState().getFormattedValue();
+			},
+			this._messageProvider
+		);
+
+		this.unitSelector = new vv.ExpertExtender.UnitSelector(
+			this._options.unitSource || null,
+			this._messageProvider,
+			function() {
+				var value = self.viewState().value();
+				return value && value.getValue().getUnit();
+			},
+			$.proxy( this._onExtensionChange, this )
+		);
+
+		var upperBoundMsgKey = 'valueview-expert-quantityinput-upperbound';
+		var $upperBoundContainer = $( '<div/>' )
+			.addClass( this.uiBaseClass + '-upperboundcontainer' )
+			.append( $( '<div/>' ).text( this._messageProvider.getMessage( upperBoundMsgKey ) ) );
+
+		this.upperBoundInput = new vv.ExpertExtender.Input(
+			this.uiBaseClass + '-upperbound',
+			$.proxy( this._onExtensionChange, this ),
+			function() {
+				var value = self.viewState().value();
+				return value && value.getValue().getUpperBound().toJSON();
+			}
+		);
+
+		var lowerBoundMsgKey = 'valueview-expert-quantityinput-lowerbound';
+		var $lowerBoundContainer = $( '<div/>' )
+			.addClass( this.uiBaseClass + '-lowerboundcontainer' )
+			.append( $( '<div/>' ).text( this._messageProvider.getMessage( lowerBoundMsgKey ) ) );
+
+		this.lowerBoundInput = new vv.ExpertExtender.Input(
+			this.uiBaseClass + '-lowerbound',
+			$.proxy( this._onExtensionChange, this ),
+			function() {
+				var value = self.viewState().value();
+				return value && value.getValue().getLowerBound().toJSON();
+			}
+		);
+
+		var inputExtender = new vv.ExpertExtender(
+			this.$input,
+			[
+				this.preview,
+				this.unitSelector,
+				new vv.ExpertExtender.Toggler(
+					this._messageProvider,
+					$upperBoundContainer.add( $lowerBoundContainer )
+				),
+				new vv.ExpertExtender.Container(
+					$upperBoundContainer,
+					this.upperBoundInput
+				),
+				new vv.ExpertExtender.Container(
+					$lowerBoundContainer,
+					this.lowerBoundInput
+				)
+			]
+		);
+
+		this.addExtension( inputExtender );
+		this._expertExtender = inputExtender;
+	}, {
+
+		/**
+		 * @inheritdoc
+		 * @protected
+		 */
+		_options: {
+			messages: {
+				'valueview-expert-quantityinput-upperbound': 'Upper bound',
+				'valueview-expert-quantityinput-lowerbound': 'Lower bound'
+			}
+		},
+
+		/**
+		 * The preview widget.
+		 * @property {jQuery.valueview.ExpertExtender.Preview}
+		 */
+		preview: null,
+
+		/**
+		 * @property {jQuery.valueview.ExpertExtender.UnitSelector}
+		 */
+		unitSelector: null,
+
+		/**
+		 * @property {jQuery.valueview.ExpertExtender.Input}
+		 */
+		upperBoundInput: null,
+
+		/**
+		 * @property {jQuery.valueview.ExpertExtender.Input}
+		 */
+		lowerBoundInput: null,
+
+		/**
+		 * @protected
+		 */
+		_onExtensionChange: function() {
+			this._viewNotifier.notify( 'change' );
+		},
+
+		/**
+		 * @inheritdoc
+		 */
+		destroy: function() {
+			this.preview = null;
+			this.unitSelector = null;
+			this.upperBoundInput = null;
+			this.lowerBoundInput = null;
+
+			PARENT.prototype.destroy.call( this ); // empties viewport
+		},
+
+		/**
+		 * @inheritdoc
+		 */
+		valueCharacteristics: function() {
+			var options = {},
+				unit = this.unitSelector && this.unitSelector.getValue() || null,
+				upperBound = this.upperBoundInput && this.upperBoundInput.getValue() || null,
+				lowerBound = this.lowerBoundInput && this.lowerBoundInput.getValue() || null;
+
+			if( unit !== null ) {
+				options.unit = unit;
+			}
+			if( upperBound !== null ) {
+				options.upperBound = upperBound;
+			}
+			if( lowerBound !== null ) {
+				options.lowerBound = lowerBound;
+			}
+
+			return options;
+		},
+
+		/**
+		 * @inheritdoc
+		 */
+		restoreRawValue: function( rawValue, valueCharacteristics ) {
+			if( !PARENT.prototype.restoreRawValue.call( this, rawValue, valueCharacteristics ) ) {
+				return false;
+			}
+
+			this.unitSelector.setValue(
+				valueCharacteristics.unit === undefined ? null : valueCharacteristics.unit
+			);
+			this.upperBoundInput.setValue(
+				valueCharacteristics.upperBound === undefined ? null : valueCharacteristics.upperBound
+			);
+			this.lowerBoundInput.setValue(
+				valueCharacteristics.lowerBound === undefined ? null : valueCharacteristics.lowerBound
+			);
+
+			return true;
+		}
+	} );
+
+}( jQuery, jQuery.valueview ) );
@@ -0,0 +1,174 @@
+( function( $, vv, dv ) {
+	'use strict';
+
+	var PARENT = vv.experts.StringValue;
+
+	/**
+	 * `Valueview` expert for editing the JSON serialization (as returned by `toJSON()`) of a data
+	 * value of any type. The input is turned into a `DataValue` using the `dataValues`
+	 * deserialization instead of a parser. Since the `Expert` is able to handle values of any type,
+	 * it may be used as the default `Expert` of a `jQuery.valueview.ExpertStore`:
+	 *
+	 *     @example
+	 *     var experts = new jQuery.valueview.ExpertStore( jQuery.valueview.experts.RawJsonValue );
+	 *
+	 * @class jQuery.valueview.experts.RawJsonValue
+	 * @extends jQuery.valueview.experts.StringValue
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 */
+	vv.experts.RawJsonValue = vv.expert( 'RawJsonValue', PARENT, {
+		/**
+		 * @inheritdoc
+		 * @protected
+		 */
+		_options: {
+			messages: {
+				'valueview-expert-rawjsonvalue-invalidjson': 'The input is not valid JSON.',
+				'valueview-expert-rawjsonvalue-invalidserialization':
+					'The input is not a valid serialization of a "$1" value.'
+			}
+		},
+
+		/**
+		 * Type of the data values to deserialize the input to.
+		 * @property {string|null}
+		 * @private
+		 */
+		_dataValueType: null,
+
+		/**
+		 * The DOM node displaying the error that occurred last.
+		 * @property {jQuery|null}
+		 * @private
+		 */
+		_$error: null,
+
+		/**
+		 * @inheritdoc
+		 */
+		init: function() {
+			var self = this,
+				value = this.viewState().value();
+
+			// Remember the type since the view's value is reset while the input is invalid:
+			this._dataValueType = value ? value.getType() : this.viewState().option( 'dataValueType' );
+
+			PARENT.prototype.init.call( this );
+
+			this.$input
+			.val( value ? JSON.stringify( value.toJSON() ) : '' )
+			.on( 'eachchange', function() {
+				// Display the error after the view has processed the change which resets errors:
+				self.showError( self._deserialize().error );
+			} );
+		},
+
+		/**
+		 * @inheritdoc
+		 */
+		destroy: function() {
+			this._$error = null;
+			PARENT.prototype.destroy.call( this );
+		},
+
+		/**
+		 * Returns the `DataValue` deserialized from the input or `null` if the input is empty or
+		 * invalid.
+		 *
+		 * @inheritdoc
+		 *
+		 * @return {dataValues.DataValue|null}
+		 */
+		rawValue: function() {
+			return this._deserialize().value;
+		},
+
+		/**
+		 * @inheritdoc
+		 *
+		 * @param {dataValues.DataValue|null} rawValue
+		 * @param {Object} valueCharacteristics
+		 */
+		restoreRawValue: function( rawValue, valueCharacteristics ) {
+			if( !this.$input || rawValue !== null && !( rawValue instanceof dv.DataValue ) ) {
+				return false;
+			}
+
+			this.$input.val( rawValue ? JSON.stringify( rawValue.toJSON() ) : '' );
+			this._resizeInput();
+
+			return true;
+		},
+
+		/**
+		 * Displays the error message below the input in addition to underlining the part of the
+		 * input the error refers to.
+		 *
+		 * @inheritdoc
+		 */
+		showError: function( error ) {
+			PARENT.prototype.showError.call( this, error );
+
+			if( this._$error ) {
+				this._$error.remove();
+				this._$error = null;
+			}
+
+			if( error && this.$viewPort ) {
+				this._$error = $( '<div/>' )
+					.addClass( this.uiBaseClass + '-error' )
+					.html( error.getHtml( this._messageProvider ) )
+					.appendTo( this.$viewPort );
+			}
+		},
+
+		/**
+		 * Deserializes the input.
+		 * @private
+		 *
+		 * @return {Object}
+		 * @return {dataValues.DataValue|null} return.value `null` if the input is empty or
+		 *         invalid.
+		 * @return {jQuery.valueview.ValueError|null} return.error
+		 */
+		_deserialize: function() {
+			var json = $.trim( this.$input.val() ),
+				data;
+
+			if( json === '' ) {
+				return { value: null, error: null };
+			}
+
+			try {
+				data = JSON.parse( json );
+			} catch( e ) {
+				return {
+					value: null,
+					error: new vv.ValueError(
+						'invalid-json',
+						'valueview-expert-rawjsonvalue-invalidjson'
+					)
+				};
+			}
+
+			try {
+				return {
+					value: dv.newDataValue( this._dataValueType, data ),
+					error: null
+				};
+			} catch( e ) {
+				return {
+					value: null,
+					error: new vv.ValueError(
+						'invalid-serialization',
+						'valueview-expert-rawjsonvalue-invalidserialization',
+						[this._dataValueType || '']
+					)
+				};
+			}
+		}
+	} );
+
+}( jQuery, jQuery.valueview, dataValues ) );
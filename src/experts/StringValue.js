@@ -24,11 +24,19 @@
 		 */
 		$input: null,
 
+		/**
+		 * Overlay underlining the part of the input an error refers to.
+		 * @property {jQuery|null}
+		 * @private
+		 */
+		_$errorHighlight: null,
+
 		/**
 		 * @inheritdoc
 		 */
 		init: function() {
-			var notifier = this._viewNotifier;
+			var self = this,
+				notifier = this._viewNotifier;
 
 			this.$input
 			.addClass( this.uiBaseClass + '-input valueview-input' )
@@ -38,8 +46,18 @@
 				if( event.keyCode === $.ui.keyCode.ENTER ) {
 					event.preventDefault();
 				}
+				// Ctrl+Z/Ctrl+Shift+Z undo/redo the value instead of the input box's content:
+				if(
+					( event.ctrlKey || event.metaKey ) && event.keyCode === 90
+					&& notifier.hasListenerFor( 'undo' )
+				) {
+					event.preventDefault();
+					notifier.notify( event.shiftKey ? 'redo' : 'undo' );
+				}
 			} )
 			.on( 'eachchange', function() {
+				// The highlighted range is outdated as soon as the input changes:
+				self.showError( null );
 				notifier.notify( 'change' );
 			} )
 			.appendTo( this.$viewPort );
@@ -51,6 +69,8 @@
 		 * @inheritdoc
 		 */
 		destroy: function() {
+			this._$errorHighlight = null;
+
 			if( this.$input ) {
 				this.$input.off( 'eachchange' );
 				this.$input = null;
@@ -93,6 +113,70 @@
 			} );
 		},
 
+		/**
+		 * @inheritdoc
+		 */
+		restoreRawValue: function( rawValue, valueCharacteristics ) {
+			if( typeof rawValue !== 'string' || !this.$input ) {
+				return false;
+			}
+
+			this.$input.val( rawValue );
+			this._resizeInput();
+
+			return true;
+		},
+
+		/**
+		 * Underlines the part of the input the error refers to by overlaying the input box with
+		 * a transparent copy of the input's text.
+		 *
+		 * @inheritdoc
+		 */
+		showError: function( error ) {
+			var span = error && error.getSpan(),
+				$input = this.$input;
+
+			if( this._$errorHighlight ) {
+				this._$errorHighlight.remove();
+				this._$errorHighlight = null;
+			}
+
+			if( !span || !$input ) {
+				return;
+			}
+
+			var value = $input.val(),
+				position = $input.position(),
+				css = {
+					top: position.top,
+					left: position.left,
+					width: $input.outerWidth(),
+					height: $input.outerHeight()
+				};
+
+			$.each( [
+				'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing',
+				'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+				'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+			], function( i, property ) {
+				css[property] = $input.css( property );
+			} );
+
+			this._$errorHighlight = $( '<div/>' )
+				.addClass( this.uiBaseClass + '-errorhighlight valueview-errorhighlight' )
+				.css( css )
+				.append(
+					document.createTextNode( value.substring( 0, span.start ) ),
+					$( '<span/>' )
+						.addClass( 'valueview-errorrange' )
+						// Make errors referring to missing input at the end visible:
+						.text( value.substring( span.start, span.end ) || '\u00a0' ),
+					document.createTextNode( value.substring( span.end ) )
+				)
+				.insertAfter( $input );
+		},
+
 		/**
 		 * @inheritdoc
 		 */
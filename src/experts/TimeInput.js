@@ -4,6 +4,16 @@
 	var Time = time.Time,
 		timeSettings = time.settings;
 
+	/**
+	 * Timezone offsets in minutes offered for selection.
+	 * @ignore
+	 */
+	var TIMEZONES = [
+		-720, -660, -600, -570, -540, -480, -420, -360, -300, -240, -210, -180, -120, -60, 0, 60,
+		120, 180, 210, 240, 270, 300, 330, 345, 360, 390, 420, 480, 525, 540, 570, 600, 630, 660,
+		720, 765, 780, 840
+	];
+
 	var PARENT = vv.experts.StringValue;
 
 	/**
@@ -22,15 +32,17 @@
 
 		this.preview = new vv.ExpertExtender.Preview(
 			function() {
-				return self.viewState().getFormattedValue();
+				var value = self.viewState().value();
+				return getPreviewHtml(
+					self.viewState().getFormattedValue(),
+					value,
+					self._messageProvider
+				);
 			},
 			this._messageProvider
 		);
 
-		var precisionMsgKey = 'valueview-expert-timeinput-precision';
-		var $precisionContainer = $( '<div/>' )
-			.addClass( this.uiBaseClass + '-precisioncontainer' )
-			.append( $( '<div/>' ).text( this._messageProvider.getMessage( precisionMsgKey ) ) );
+		var $precisionContainer = createContainer( this, 'precision' );
 
 		this.precisionRotator = new vv.ExpertExtender.Listrotator(
 			this.uiBaseClass + '-precision',
@@ -42,10 +54,52 @@
 			}
 		);
 
-		var calendarMsgKey = 'valueview-expert-timeinput-calendar';
-		var $calendarContainer = $( '<div/>' )
-			.addClass( this.uiBaseClass + '-calendarcontainer' )
-			.append( $( '<div/>' ).text( this._messageProvider.getMessage( calendarMsgKey ) ) );
+		var $timeOfDayContainer = createContainer( this, 'timeofday' );
+
+		this.timeOfDayInput = new vv.ExpertExtender.Input(
+			this.uiBaseClass + '-timeofday',
+			$.proxy( this._onRotatorChange, this ),
+			function() {
+				var value = self.viewState().value();
+				return value && getTimeOfDay( value );
+			}
+		);
+
+		var $timezoneContainer = createContainer( this, 'timezone' );
+
+		this.timezoneRotator = new vv.ExpertExtender.Listrotator(
+			this.uiBaseClass + '-timezone',
+			getTimezoneValues(),
+			$.proxy( this._onRotatorChange, this ),
+			function() {
+				var value = self.viewState().value();
+				return value && value.toJSON().timezone;
+			}
+		);
+
+		var $beforeContainer = createContainer( this, 'before' );
+
+		this.beforeInput = new vv.ExpertExtender.Input(
+			this.uiBaseClass + '-before',
+			$.proxy( this._onRotatorChange, this ),
+			function() {
+				var value = self.viewState().value();
+				return value && value.toJSON().before;
+			}
+		);
+
+		var $afterContainer = createContainer( this, 'after' );
+
+		this.afterInput = new vv.ExpertExtender.Input(
+			this.uiBaseClass + '-after',
+			$.proxy( this._onRotatorChange, this ),
+			function() {
+				var value = self.viewState().value();
+				return value && value.toJSON().after;
+			}
+		);
+
+		var $calendarContainer = createContainer( this, 'calendar' );
 
 		this.calendarRotator = new vv.ExpertExtender.Listrotator(
 			this.uiBaseClass + '-calendar',
@@ -57,6 +111,29 @@
 			}
 		);
 
+		this.datePicker = new vv.ExpertExtender.DatePicker(
+			this._messageProvider,
+			function() {
+				var value = self.viewState().value();
+				return value && value.getValue();
+			},
+			function() {
+				var value = self.viewState().value();
+				return self.precisionRotator.getValue() || value && value.getValue().precision();
+			},
+			function() {
+				var value = self.viewState().value();
+				return self.calendarRotator.getValue()
+					|| value && value.getValue().calendar()
+					|| Time.CALENDAR.GREGORIAN;
+			},
+			function( date ) {
+				self.$input.val( date );
+				self._resizeInput();
+				self._viewNotifier.notify( 'change' );
+			}
+		);
+
 		var inputExtender = new vv.ExpertExtender(
 			this.$input,
 			[
@@ -72,16 +149,42 @@
 						self.calendarRotator.rotator._setValue( value );
 						self.calendarRotator.rotator.value( value );
 						self.calendarRotator.rotator.activate();
+					},
+					this._options.calendarHintRules || null,
+					function() {
+						return self.viewState().option( 'language' );
 					}
 				),
+				this.datePicker,
 				new vv.ExpertExtender.Toggler(
 					this._messageProvider,
-					$precisionContainer.add( $calendarContainer )
+					$precisionContainer
+						.add( $timeOfDayContainer )
+						.add( $timezoneContainer )
+						.add( $beforeContainer )
+						.add( $afterContainer )
+						.add( $calendarContainer )
 				),
 				new vv.ExpertExtender.Container(
 					$precisionContainer,
 					this.precisionRotator
 				),
+				new vv.ExpertExtender.Container(
+					$timeOfDayContainer,
+					this.timeOfDayInput
+				),
+				new vv.ExpertExtender.Container(
+					$timezoneContainer,
+					this.timezoneRotator
+				),
+				new vv.ExpertExtender.Container(
+					$beforeContainer,
+					this.beforeInput
+				),
+				new vv.ExpertExtender.Container(
+					$afterContainer,
+					this.afterInput
+				),
 				new vv.ExpertExtender.Container(
 					$calendarContainer,
 					this.calendarRotator
@@ -90,6 +193,7 @@
 		);
 
 		this.addExtension( inputExtender );
+		this._expertExtender = inputExtender;
 	}, {
 
 		/**
@@ -99,6 +203,11 @@
 		_options: {
 			messages: {
 				'valueview-expert-timeinput-precision': 'Precision',
+				'valueview-expert-timeinput-timeofday': 'Time of day',
+				'valueview-expert-timeinput-timezone': 'Timezone',
+				'valueview-expert-timeinput-before': 'Before',
+				'valueview-expert-timeinput-after': 'After',
+				'valueview-expert-timeinput-tolerance': '(−$1/+$2)',
 				'valueview-expert-timeinput-calendar': 'Calendar'
 			}
 		},
@@ -114,11 +223,41 @@
 		 */
 		precisionRotator: null,
 
+		/**
+		 * Input box for the time of day ("hh:mm" or "hh:mm:ss").
+		 * @property {jQuery.valueview.ExpertExtender.Input}
+		 */
+		timeOfDayInput: null,
+
+		/**
+		 * Selector for the timezone offset in minutes.
+		 * @property {jQuery.valueview.ExpertExtender.Listrotator}
+		 */
+		timezoneRotator: null,
+
+		/**
+		 * Input box for the tolerance towards the past in units of the precision.
+		 * @property {jQuery.valueview.ExpertExtender.Input}
+		 */
+		beforeInput: null,
+
+		/**
+		 * Input box for the tolerance towards the future in units of the precision.
+		 * @property {jQuery.valueview.ExpertExtender.Input}
+		 */
+		afterInput: null,
+
 		/**
 		 * @property {jQuery.valueview.ExpertExtender.Listrotator}
 		 */
 		calendarRotator: null,
 
+		/**
+		 * Grid to pick a date from.
+		 * @property {jQuery.valueview.ExpertExtender.DatePicker}
+		 */
+		datePicker: null,
+
 		/**
 		 * @protected
 		 */
@@ -132,30 +271,139 @@
 		destroy: function() {
 			this.preview = null;
 			this.precisionRotator = null;
+			this.timeOfDayInput = null;
+			this.timezoneRotator = null;
+			this.beforeInput = null;
+			this.afterInput = null;
 			this.calendarRotator = null;
+			this.datePicker = null;
 
 			PARENT.prototype.destroy.call( this ); // empties viewport
 		},
 
 		/**
 		 * @inheritdoc
+		 *
+		 * The time of day entered is passed as `hour`, `minute` and `second`, the timezone offset
+		 * in minutes as `timezone` and the tolerances as entered as `before` and `after`.
 		 */
 		valueCharacteristics: function() {
 			var options = {},
 				precision = this.precisionRotator && this.precisionRotator.getValue() || null,
+				timeOfDay = this.timeOfDayInput && parseTimeOfDay( this.timeOfDayInput.getValue() ),
+				timezone = this.timezoneRotator ? this.timezoneRotator.getValue() : null,
+				before = this.beforeInput && this.beforeInput.getValue() || null,
+				after = this.afterInput && this.afterInput.getValue() || null,
 				calendarname = this.calendarRotator && this.calendarRotator.getValue() || null;
 
 			if( precision !== null ) {
 				options.precision = precision;
 			}
+			if( timeOfDay ) {
+				$.extend( options, timeOfDay );
+			}
+			if( timezone !== null ) {
+				options.timezone = timezone;
+			}
+			if( before !== null ) {
+				options.before = before;
+			}
+			if( after !== null ) {
+				options.after = after;
+			}
 			if( calendarname !== null ) {
 				options.calendar = calendarNameToUri( calendarname );
 			}
 
 			return options;
+		},
+
+		/**
+		 * @inheritdoc
+		 */
+		restoreRawValue: function( rawValue, valueCharacteristics ) {
+			if( !PARENT.prototype.restoreRawValue.call( this, rawValue, valueCharacteristics ) ) {
+				return false;
+			}
+
+			this.precisionRotator.setValue(
+				valueCharacteristics.precision === undefined ? null : valueCharacteristics.precision
+			);
+			this.timeOfDayInput.setValue( formatTimeOfDay( valueCharacteristics ) );
+			this.timezoneRotator.setValue(
+				valueCharacteristics.timezone === undefined ? null : valueCharacteristics.timezone
+			);
+			this.beforeInput.setValue(
+				valueCharacteristics.before === undefined ? null : valueCharacteristics.before
+			);
+			this.afterInput.setValue(
+				valueCharacteristics.after === undefined ? null : valueCharacteristics.after
+			);
+			this.calendarRotator.setValue(
+				valueCharacteristics.calendar
+					? calendarUriToName( valueCharacteristics.calendar )
+					: null
+			);
+
+			return true;
 		}
 	} );
 
+	/**
+	 * @ignore
+	 *
+	 * @param {jQuery.valueview.experts.TimeInput} expert
+	 * @param {string} name
+	 * @return {jQuery} Container labelled with the "valueview-expert-timeinput-<name>" message.
+	 */
+	function createContainer( expert, name ) {
+		return $( '<div/>' )
+			.addClass( expert.uiBaseClass + '-' + name + 'container' )
+			.append( $( '<div/>' ).text(
+				expert._messageProvider.getMessage( 'valueview-expert-timeinput-' + name )
+			) );
+	}
+
+	/**
+	 * Appends information the formatted value may lack to it: The time of day, the timezone
+	 * offset and the tolerances.
+	 * @ignore
+	 *
+	 * @param {string|null} formattedValue HTML.
+	 * @param {dataValues.TimeValue|null} timeValue
+	 * @param {util.MessageProvider} messageProvider
+	 * @return {string|null} HTML.
+	 */
+	function getPreviewHtml( formattedValue, timeValue, messageProvider ) {
+		if( !formattedValue || !timeValue ) {
+			return formattedValue;
+		}
+
+		var json = timeValue.toJSON(),
+			timeOfDay = getTimeOfDay( timeValue ),
+			tolerance = ( json.before || json.after ) && messageProvider.getMessage(
+				'valueview-expert-timeinput-tolerance',
+				[ String( json.before ), String( json.after ) ]
+			),
+			additions = [];
+
+		if( timeOfDay && formattedValue.indexOf( timeOfDay ) === -1 ) {
+			additions.push( timeOfDay );
+		}
+		if( json.timezone ) {
+			additions.push( formatTimezone( json.timezone ) );
+		}
+		if( tolerance ) {
+			additions.push( tolerance );
+		}
+
+		if( !additions.length ) {
+			return formattedValue;
+		}
+
+		return formattedValue + ' ' + $( '<span/>' ).text( additions.join( ' ' ) ).html();
+	}
+
 	/**
 	 * @ignore
 	 *
@@ -164,14 +412,104 @@
 	function getPrecisionValues() {
 		var precisionValues = [];
 		$.each( timeSettings.precisiontexts, function( i, text ) {
-			if( i <= Time.PRECISION.DAY ) {
-				// TODO: Remove this check as soon as time values are supported.
-				precisionValues.unshift( { value: i, label: text } );
-			}
+			precisionValues.unshift( { value: i, label: text } );
 		} );
 		return precisionValues;
 	}
 
+	/**
+	 * @ignore
+	 *
+	 * @param {dataValues.TimeValue} timeValue
+	 * @return {string|null} "hh:mm" or "hh:mm:ss" according to the value's precision, `null` if
+	 *         the precision is not finer than a day.
+	 */
+	function getTimeOfDay( timeValue ) {
+		var precision = timeValue.getValue().precision(),
+			matches = /T(\d\d):(\d\d):(\d\d)/.exec( timeValue.toJSON().time );
+
+		if( precision <= Time.PRECISION.DAY || !matches ) {
+			return null;
+		}
+
+		return matches[1] + ':' + matches[2]
+			+ ( precision >= Time.PRECISION.SECOND ? ':' + matches[3] : '' );
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @return {Object[]} [{ value: <{number}>, label: <{string}>}, ...] Offsets in minutes.
+	 */
+	function getTimezoneValues() {
+		var timezoneValues = [];
+		$.each( TIMEZONES, function( i, timezone ) {
+			timezoneValues.push( { value: timezone, label: formatTimezone( timezone ) } );
+		} );
+		return timezoneValues;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} timezone Offset in minutes.
+	 * @return {string} "UTC", "UTC+hh:mm" or "UTC−hh:mm".
+	 */
+	function formatTimezone( timezone ) {
+		if( !timezone ) {
+			return 'UTC';
+		}
+
+		var minutes = Math.abs( timezone ) % 60,
+			hours = ( Math.abs( timezone ) - minutes ) / 60;
+
+		return 'UTC' + ( timezone < 0 ? '−' : '+' )
+			+ ( hours < 10 ? '0' : '' ) + hours + ':' + ( minutes < 10 ? '0' : '' ) + minutes;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string|null} timeOfDay "hh", "hh:mm" or "hh:mm:ss".
+	 * @return {Object|null} Object featuring `hour` and, if specified, `minute` and `second` or
+	 *         `null` if no time of day is specified or the input is not recognized.
+	 */
+	function parseTimeOfDay( timeOfDay ) {
+		var matches = timeOfDay && /^(\d{1,2})(?::(\d{1,2})(?::(\d{1,2}))?)?$/.exec( timeOfDay );
+
+		if( !matches ) {
+			return null;
+		}
+
+		var components = { hour: parseInt( matches[1], 10 ) };
+
+		if( matches[2] !== undefined ) {
+			components.minute = parseInt( matches[2], 10 );
+		}
+		if( matches[3] !== undefined ) {
+			components.second = parseInt( matches[3], 10 );
+		}
+
+		return components;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {Object} valueCharacteristics
+	 * @return {string|null}
+	 */
+	function formatTimeOfDay( valueCharacteristics ) {
+		if( valueCharacteristics.hour === undefined ) {
+			return null;
+		}
+
+		return $.map( [ 'hour', 'minute', 'second' ], function( name ) {
+			var value = valueCharacteristics[name];
+			return value === undefined ? null : ( value < 10 ? '0' : '' ) + value;
+		} ).join( ':' );
+	}
+
 	/**
 	 * @ignore
 	 *
@@ -199,4 +537,21 @@
 		return new Time( { calendarname: calendarname, precision: 0, year: 0 } ).calendarURI();
 	}
 
+	/**
+	 * @ignore
+	 *
+	 * @param {string} calendarUri
+	 * @return {string|null}
+	 */
+	function calendarUriToName( calendarUri ) {
+		var calendarname = null;
+		$.each( timeSettings.calendarnames, function( calendarKey, calendarTerms ) {
+			if( calendarNameToUri( calendarTerms[0] ) === calendarUri ) {
+				calendarname = calendarTerms[0];
+				return false;
+			}
+		} );
+		return calendarname;
+	}
+
 }( jQuery, jQuery.valueview, time ) );
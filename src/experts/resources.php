@@ -85,6 +85,51 @@ return call_user_func( function() {
 			),
 		),
 
+		'jquery.valueview.experts.QuantityInput' => $moduleTemplate + array(
+			'scripts' => array(
+				'QuantityInput.js',
+			),
+			'styles' => array(
+				'QuantityInput.css',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ExpertExtender',
+				'jquery.valueview.ExpertExtender.Container',
+				'jquery.valueview.ExpertExtender.Input',
+				'jquery.valueview.ExpertExtender.Preview',
+				'jquery.valueview.ExpertExtender.Toggler',
+				'jquery.valueview.ExpertExtender.UnitSelector',
+				'jquery.valueview.experts',
+				'jquery.valueview.experts.StringValue',
+				'jquery.valueview.Expert',
+			),
+			'messages' => array(
+				'valueview-expert-quantityinput-lowerbound',
+				'valueview-expert-quantityinput-upperbound',
+			),
+		),
+
+		'jquery.valueview.experts.RawJsonValue' => $moduleTemplate + array(
+			'scripts' => array(
+				'RawJsonValue.js',
+			),
+			'styles' => array(
+				'RawJsonValue.css',
+			),
+			'dependencies' => array(
+				'dataValues',
+				'dataValues.DataValue',
+				'jquery.valueview.experts',
+				'jquery.valueview.experts.StringValue',
+				'jquery.valueview.Expert',
+				'jquery.valueview.ValueError',
+			),
+			'messages' => array(
+				'valueview-expert-rawjsonvalue-invalidjson',
+				'valueview-expert-rawjsonvalue-invalidserialization',
+			),
+		),
+
 		'jquery.valueview.experts.StringValue' => $moduleTemplate + array(
 			'scripts' => array(
 				'StringValue.js',
@@ -122,6 +167,7 @@ return call_user_func( function() {
 				'jquery.valueview.ExpertExtender',
 				'jquery.valueview.ExpertExtender.CalendarHint',
 				'jquery.valueview.ExpertExtender.Container',
+				'jquery.valueview.ExpertExtender.DatePicker',
 				'jquery.valueview.ExpertExtender.Listrotator',
 				'jquery.valueview.ExpertExtender.Preview',
 				'jquery.valueview.ExpertExtender.Toggler',
@@ -131,8 +177,13 @@ return call_user_func( function() {
 				'util.MessageProvider',
 			),
 			'messages' => array(
+				'valueview-expert-timeinput-after',
+				'valueview-expert-timeinput-before',
 				'valueview-expert-timeinput-calendar',
 				'valueview-expert-timeinput-precision',
+				'valueview-expert-timeinput-timeofday',
+				'valueview-expert-timeinput-timezone',
+				'valueview-expert-timeinput-tolerance',
 				'valueview-expert-timevalue-calendar-gregorian',
 				'valueview-expert-timevalue-calendar-julian',
 			),
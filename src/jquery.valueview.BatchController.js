@@ -0,0 +1,470 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $, vv ) {
+	'use strict';
+
+	/**
+	 * Controller grouping multiple `jQuery.valueview` widgets, e.g. the values of a table of
+	 * statements, in order to toggle edit mode on all of them at once. The controller acts as the
+	 * `transport` of the grouped widgets: Parse and format requests issued by the widgets are
+	 * collected and passed to a `jQuery.valueview.BatchTransport` in batches. In addition, the
+	 * controller reports the aggregate state of the widgets.
+	 *
+	 *     @example
+	 *     var controller = new jQuery.valueview.BatchController( {
+	 *         onStateChange: function( state ) {
+	 *             $saveButton.prop( 'disabled', !state.dirty || !state.valid || state.pending );
+	 *         }
+	 *     } );
+	 *     $( '.valueview' ).each( function() {
+	 *         controller.add( $( this ).data( 'valueview' ) );
+	 *     } );
+	 *     controller.startEditing();
+	 *
+	 * @class jQuery.valueview.BatchController
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {Object} [options]
+	 * @param {jQuery.valueview.BatchTransport} [options.batchTransport=new jQuery.valueview.BatchTransport()]
+	 * @param {number} [options.delay=0]
+	 *        Time in milliseconds requests are collected before being passed to the transport.
+	 * @param {Function|null} [options.onStateChange=null]
+	 *        Callback triggered when the aggregate state (see `getState()`) changes. Receives the
+	 *        new state as parameter.
+	 *
+	 * @throws {Error} if the `batchTransport` option is not a `jQuery.valueview.BatchTransport`
+	 *         instance.
+	 */
+	var SELF = vv.BatchController = function ValueviewBatchController( options ) {
+		options = options || {};
+
+		if(
+			options.batchTransport
+			&& !( options.batchTransport instanceof vv.BatchTransport )
+		) {
+			throw new Error( 'batchTransport needs to be an instance of '
+				+ 'jQuery.valueview.BatchTransport' );
+		}
+
+		this._batchTransport = options.batchTransport || new vv.BatchTransport();
+		this._delay = options.delay || 0;
+		this._onStateChange = options.onStateChange || null;
+		this._valueviews = [];
+		this._queues = {
+			parse: [],
+			format: []
+		};
+	};
+
+	$.extend( SELF.prototype, {
+		/**
+		 * @property {jQuery.valueview.BatchTransport}
+		 * @private
+		 */
+		_batchTransport: null,
+
+		/**
+		 * @property {number}
+		 * @private
+		 */
+		_delay: 0,
+
+		/**
+		 * @property {Function|null}
+		 * @private
+		 */
+		_onStateChange: null,
+
+		/**
+		 * @property {jQuery.valueview.valueview[]}
+		 * @private
+		 */
+		_valueviews: null,
+
+		/**
+		 * Requests not yet passed to the transport, indexed by request type.
+		 * @property {Object}
+		 * @private
+		 */
+		_queues: null,
+
+		/**
+		 * @property {number|null}
+		 * @private
+		 */
+		_flushTimer: null,
+
+		/**
+		 * Number of batches passed to the transport that have not been answered yet.
+		 * @property {number}
+		 * @private
+		 */
+		_pendingBatches: 0,
+
+		/**
+		 * The state most recently reported via the `onStateChange` callback.
+		 * @property {Object|null}
+		 * @private
+		 */
+		_lastState: null,
+
+		/**
+		 * Adds a widget to the group, making the controller the widget's transport.
+		 *
+		 * @param {jQuery.valueview.valueview} valueview
+		 *
+		 * @throws {Error} if `valueview` is not a `jQuery.valueview.valueview` instance.
+		 */
+		add: function( valueview ) {
+			var self = this;
+
+			if( !( valueview instanceof $.valueview.valueview ) ) {
+				throw new Error( 'Unable to add an object that is not a jQuery.valueview instance' );
+			}
+
+			if( $.inArray( valueview, this._valueviews ) !== -1 ) {
+				return;
+			}
+
+			this._valueviews.push( valueview );
+			valueview.option( 'transport', this );
+
+			valueview.element.on( [
+				'valueviewpendingchange.valueviewbatchcontroller',
+				'valueviewchange.valueviewbatchcontroller',
+				'valueviewaftervalidate.valueviewbatchcontroller',
+				'valueviewafterstartediting.valueviewbatchcontroller',
+				'valueviewafterstopediting.valueviewbatchcontroller'
+			].join( ' ' ), function() {
+				self._updateState();
+			} );
+
+			this._updateState();
+		},
+
+		/**
+		 * Removes a widget from the group.
+		 *
+		 * @param {jQuery.valueview.valueview} valueview
+		 */
+		remove: function( valueview ) {
+			var index = $.inArray( valueview, this._valueviews );
+
+			if( index === -1 ) {
+				return;
+			}
+
+			this._valueviews.splice( index, 1 );
+
+			valueview.element.off( '.valueviewbatchcontroller' );
+			if( valueview.option( 'transport' ) === this ) {
+				valueview.option( 'transport', null );
+			}
+
+			this._updateState();
+		},
+
+		/**
+		 * Returns the grouped widgets.
+		 *
+		 * @return {jQuery.valueview.valueview[]}
+		 */
+		getValueviews: function() {
+			return this._valueviews.slice();
+		},
+
+		/**
+		 * Removes all widgets from the group and drops requests not yet passed to the transport.
+		 */
+		destroy: function() {
+			var self = this;
+
+			$.each( this.getValueviews(), function( i, valueview ) {
+				self.remove( valueview );
+			} );
+
+			if( this._flushTimer ) {
+				clearTimeout( this._flushTimer );
+				this._flushTimer = null;
+			}
+
+			$.each( this._queues, function( type, queue ) {
+				$.each( queue, function( i, item ) {
+					item.deferred.reject();
+				} );
+			} );
+
+			this._queues = { parse: [], format: [] };
+			this._onStateChange = null;
+		},
+
+		/**
+		 * Starts edit mode on all grouped widgets.
+		 */
+		startEditing: function() {
+			$.each( this.getValueviews(), function( i, valueview ) {
+				valueview.startEditing();
+			} );
+		},
+
+		/**
+		 * Stops edit mode on all grouped widgets.
+		 *
+		 * @param {boolean} [dropValue=false] If `true`, the values from before edit mode has been
+		 *        started will be reinstated.
+		 */
+		stopEditing: function( dropValue ) {
+			$.each( this.getValueviews(), function( i, valueview ) {
+				valueview.stopEditing( dropValue );
+			} );
+		},
+
+		/**
+		 * Short-cut for `stopEditing( true )`.
+		 */
+		cancelEditing: function() {
+			this.stopEditing( true );
+		},
+
+		/**
+		 * Returns whether any of the grouped widgets features a value differing from the value it
+		 * featured when edit mode was started.
+		 *
+		 * @return {boolean}
+		 */
+		isDirty: function() {
+			var isDirty = false;
+
+			$.each( this._valueviews, function( i, valueview ) {
+				if( valueview.isInEditMode() ) {
+					isDirty = !areEqual( valueview.value(), valueview.initialValue() );
+				}
+				return !isDirty;
+			} );
+
+			return isDirty;
+		},
+
+		/**
+		 * Returns whether the values of all grouped widgets are valid.
+		 *
+		 * @return {boolean}
+		 */
+		isValid: function() {
+			var isValid = true;
+
+			$.each( this._valueviews, function( i, valueview ) {
+				var validatedValue = valueview.validatedValue();
+				isValid = !validatedValue || validatedValue.isValid();
+				return isValid;
+			} );
+
+			return isValid;
+		},
+
+		/**
+		 * Returns whether any of the grouped widgets is pending (see
+		 * `jQuery.valueview.isPending()`) or whether requests have not been answered yet.
+		 *
+		 * @return {boolean}
+		 */
+		isPending: function() {
+			var isPending = this._pendingBatches > 0
+				|| this._queues.parse.length > 0
+				|| this._queues.format.length > 0;
+
+			$.each( this._valueviews, function( i, valueview ) {
+				isPending = isPending || valueview.isPending();
+				return !isPending;
+			} );
+
+			return isPending;
+		},
+
+		/**
+		 * Returns the aggregate state of the grouped widgets.
+		 *
+		 * @return {Object}
+		 * @return {boolean} return.dirty
+		 * @return {boolean} return.valid
+		 * @return {boolean} return.pending
+		 */
+		getState: function() {
+			return {
+				dirty: this.isDirty(),
+				valid: this.isValid(),
+				pending: this.isPending()
+			};
+		},
+
+		/**
+		 * Queues a parse request. Part of the interface of the `jQuery.valueview`'s `transport`
+		 * option.
+		 *
+		 * @param {valueParsers.ValueParser} valueParser
+		 * @param {*} rawValue
+		 * @param {string|null} [dataValueType=null]
+		 * @param {string|null} [dataTypeId=null]
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {dataValues.DataValue|null} return.done.dataValue
+		 * @return {Function} return.fail
+		 * @return {string|jQuery.valueview.ValueError} return.fail.error
+		 */
+		parse: function( valueParser, rawValue, dataValueType, dataTypeId ) {
+			return this._enqueue( 'parse', {
+				parser: valueParser,
+				rawValue: rawValue,
+				dataValueType: dataValueType || null,
+				dataTypeId: dataTypeId || null
+			} );
+		},
+
+		/**
+		 * Queues a format request. Part of the interface of the `jQuery.valueview`'s `transport`
+		 * option.
+		 *
+		 * @param {valueFormatters.ValueFormatter} valueFormatter
+		 * @param {dataValues.DataValue} dataValue
+		 * @param {string|null} dataTypeId
+		 * @param {string} outputType
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {string} return.done.formatted
+		 * @return {dataValues.DataValue} return.done.dataValue `DataValue` that has been formatted.
+		 * @return {Function} return.fail
+		 * @return {string|jQuery.valueview.ValueError} return.fail.error
+		 */
+		format: function( valueFormatter, dataValue, dataTypeId, outputType ) {
+			return this._enqueue( 'format', {
+				formatter: valueFormatter,
+				dataValue: dataValue,
+				dataTypeId: dataTypeId,
+				outputType: outputType
+			} )
+			.then( function( formatted ) {
+				return $.Deferred().resolve( formatted, dataValue ).promise();
+			} );
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {string} type
+		 * @param {Object} request
+		 * @return {Object} jQuery.Promise
+		 */
+		_enqueue: function( type, request ) {
+			var deferred = $.Deferred();
+
+			this._queues[type].push( {
+				request: request,
+				deferred: deferred
+			} );
+
+			if( !this._flushTimer ) {
+				this._flushTimer = setTimeout( $.proxy( this._flush, this ), this._delay );
+			}
+
+			this._updateState();
+
+			return deferred.promise();
+		},
+
+		/**
+		 * Passes all queued requests to the transport.
+		 * @private
+		 */
+		_flush: function() {
+			var self = this;
+
+			this._flushTimer = null;
+
+			$.each( this._queues, function( type, queue ) {
+				if( !queue.length ) {
+					return;
+				}
+
+				self._queues[type] = [];
+				self._pendingBatches++;
+
+				self._batchTransport[type]( $.map( queue, function( item ) {
+					return item.request;
+				} ) )
+				.done( function( results ) {
+					$.each( queue, function( i, item ) {
+						var result = results && results[i] || {};
+						if( result.hasOwnProperty( 'value' ) ) {
+							item.deferred.resolve( result.value );
+						} else {
+							item.deferred.reject( result.error || newMissingResultError() );
+						}
+					} );
+				} )
+				.fail( function( message ) {
+					$.each( queue, function( i, item ) {
+						item.deferred.reject( message || newMissingResultError() );
+					} );
+				} )
+				.always( function() {
+					self._pendingBatches--;
+					self._updateState();
+				} );
+			} );
+		},
+
+		/**
+		 * Triggers the `onStateChange` callback if the aggregate state has changed.
+		 * @private
+		 */
+		_updateState: function() {
+			if( !this._onStateChange ) {
+				return;
+			}
+
+			var state = this.getState(),
+				lastState = this._lastState;
+
+			if(
+				!lastState
+				|| lastState.dirty !== state.dirty
+				|| lastState.valid !== state.valid
+				|| lastState.pending !== state.pending
+			) {
+				this._lastState = state;
+				this._onStateChange( state );
+			}
+		}
+	} );
+
+	/**
+	 * Creates the error requests are rejected with if the transport does not provide an error
+	 * message. `jQuery.valueview` ignores rejections without an error.
+	 * @ignore
+	 *
+	 * @return {jQuery.valueview.ValueError}
+	 */
+	function newMissingResultError() {
+		return new vv.ValueError( 'missing-result', 'valueview-batchcontroller-missingresult' );
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {dataValues.DataValue|null} value1
+	 * @param {dataValues.DataValue|null} value2
+	 * @return {boolean}
+	 */
+	function areEqual( value1, value2 ) {
+		if( !value1 || !value2 ) {
+			return value1 === value2;
+		}
+		return value1.getType() === value2.getType()
+			&& JSON.stringify( value1.toJSON() ) === JSON.stringify( value2.toJSON() );
+	}
+
+}( jQuery, jQuery.valueview ) );
@@ -0,0 +1,201 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $, vv, dv ) {
+	'use strict';
+
+	/**
+	 * Transport performing batches of parse and format requests collected by a
+	 * `jQuery.valueview.BatchController`. If an endpoint is specified, each batch is serialized and
+	 * sent to the endpoint at once, so a batch of requests to a remote API takes a single round
+	 * trip. Without an endpoint, each request is passed to its parser or formatter individually,
+	 * which is suitable for parsers and formatters not performing remote requests.
+	 *
+	 *     @example
+	 *     var transport = new jQuery.valueview.BatchTransport( function( type, requests ) {
+	 *         return $.post( '/batch/' + type, { requests: JSON.stringify( requests ) } )
+	 *             .then( function( response ) {
+	 *                 return response.results;
+	 *             } );
+	 *     } );
+	 *
+	 * @class jQuery.valueview.BatchTransport
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {Function|null} [endpoint=null] Function sending a batch of serialized requests in a
+	 *        single request. Receives the type of the batch ("parse" or "format") and the
+	 *        serialized requests (see `parse()` and `format()`). Returns a jQuery.Promise resolved
+	 *        with the results in the order of the requests, each result either featuring the
+	 *        serialized result (`value`) or an HTML error message (`error`). The promise may be
+	 *        rejected with an HTML error message if the whole batch failed.
+	 *
+	 * @throws {Error} if the endpoint is neither a function nor `null`.
+	 */
+	vv.BatchTransport = function( endpoint ) {
+		if( endpoint && !$.isFunction( endpoint ) ) {
+			throw new Error( 'Batch endpoint needs to be a function' );
+		}
+
+		this._endpoint = endpoint || null;
+	};
+
+	vv.BatchTransport.prototype = {
+		/**
+		 * @property {Function|null}
+		 * @private
+		 */
+		_endpoint: null,
+
+		/**
+		 * Parses a batch of raw values. Each request is sent to the endpoint serialized as an
+		 * object featuring `rawValue`, the parser's `options`, `dataValueType` and `dataTypeId`.
+		 * Results of the endpoint feature the data value type (`type`) and the serialization of
+		 * the parsed value (`value`), or `value` being `null`.
+		 *
+		 * @param {Object[]} requests
+		 * @param {valueParsers.ValueParser} requests.parser
+		 * @param {*} requests.rawValue
+		 * @param {string|null} [requests.dataValueType]
+		 * @param {string|null} [requests.dataTypeId]
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {Object[]} return.done.results Results in the order of the requests. A result
+		 *         either features the parsed `dataValues.DataValue` (`value`) or an HTML error
+		 *         message (`error`).
+		 * @return {Function} return.fail
+		 * @return {string} return.fail.message HTML error message if the whole batch failed.
+		 */
+		parse: function( requests ) {
+			if( !this._endpoint ) {
+				return processEach( requests, function( request ) {
+					return request.parser.parse( request.rawValue );
+				} );
+			}
+
+			return this._send( 'parse', $.map( requests, function( request ) {
+				return {
+					rawValue: request.rawValue,
+					options: request.parser.getOptions(),
+					dataValueType: request.dataValueType || null,
+					dataTypeId: request.dataTypeId || null
+				};
+			} ), function( result ) {
+				return result.value === null ? null : dv.newDataValue( result.type, result.value );
+			} );
+		},
+
+		/**
+		 * Formats a batch of data values. Each request is sent to the endpoint serialized as an
+		 * object featuring the `dataValue` (featuring `type` and the serialization `value`),
+		 * `dataTypeId`, `outputType` and the formatter's `options`. Results of the endpoint feature
+		 * the formatted value (`value`).
+		 *
+		 * @param {Object[]} requests
+		 * @param {valueFormatters.ValueFormatter} requests.formatter
+		 * @param {dataValues.DataValue} requests.dataValue
+		 * @param {string|null} requests.dataTypeId
+		 * @param {string} requests.outputType
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {Object[]} return.done.results Results in the order of the requests. A result
+		 *         either features the formatted value (`value`) or an HTML error message (`error`).
+		 * @return {Function} return.fail
+		 * @return {string} return.fail.message HTML error message if the whole batch failed.
+		 */
+		format: function( requests ) {
+			if( !this._endpoint ) {
+				return processEach( requests, function( request ) {
+					return request.formatter.format(
+						request.dataValue,
+						request.dataTypeId,
+						request.outputType
+					);
+				} );
+			}
+
+			return this._send( 'format', $.map( requests, function( request ) {
+				return {
+					dataValue: {
+						type: request.dataValue.getType(),
+						value: request.dataValue.toJSON()
+					},
+					dataTypeId: request.dataTypeId,
+					outputType: request.outputType,
+					options: request.formatter.getOptions()
+				};
+			} ), function( result ) {
+				return result.value;
+			} );
+		},
+
+		/**
+		 * Sends a batch of serialized requests to the endpoint.
+		 * @private
+		 *
+		 * @param {string} type
+		 * @param {Object[]} serializedRequests
+		 * @param {Function} deserialize Returns the value of a successful result.
+		 * @return {Object} jQuery.Promise
+		 */
+		_send: function( type, serializedRequests, deserialize ) {
+			if( !serializedRequests.length ) {
+				return $.Deferred().resolve( [] ).promise();
+			}
+
+			return this._endpoint( type, serializedRequests ).then( function( results ) {
+				return $.map( serializedRequests, function( request, i ) {
+					var result = results && results[i];
+
+					if( !result || result.error || !result.hasOwnProperty( 'value' ) ) {
+						// Results lacking an error message are rejected by the controller:
+						return { error: result && result.error };
+					}
+
+					try {
+						return { value: deserialize( result ) };
+					} catch( e ) {
+						return { error: $( '<div/>' ).text( e.message ).html() };
+					}
+				} );
+			} );
+		}
+	};
+
+	/**
+	 * @ignore
+	 *
+	 * @param {Object[]} requests
+	 * @param {Function} process Returns a jQuery.Promise for a single request.
+	 * @return {Object} jQuery.Promise
+	 */
+	function processEach( requests, process ) {
+		var deferred = $.Deferred(),
+			results = [],
+			remaining = requests.length;
+
+		if( !remaining ) {
+			return deferred.resolve( results ).promise();
+		}
+
+		$.each( requests, function( i, request ) {
+			process( request )
+				.done( function( value ) {
+					results[i] = { value: value };
+				} )
+				.fail( function( message ) {
+					results[i] = { error: message };
+				} )
+				.always( function() {
+					if( --remaining === 0 ) {
+						deferred.resolve( results );
+					}
+				} );
+		} );
+
+		return deferred.promise();
+	}
+
+}( jQuery, jQuery.valueview, dataValues ) );
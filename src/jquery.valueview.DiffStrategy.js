@@ -0,0 +1,93 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( vv ) {
+	'use strict';
+
+	/**
+	 * Strategy for comparing two `DataValue`s in the `jQuery.valueview`'s diff mode. A strategy
+	 * splits a `DataValue` into named components (e.g. `text`, `precision`, `calendar`) whose string
+	 * representations are compared individually. This basic strategy compares the serialization of
+	 * the `DataValue` as a whole. Strategies for specific purposes are managed by a
+	 * `jQuery.valueview.DiffStrategyStore`.
+	 * @class jQuery.valueview.DiffStrategy
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 */
+	vv.DiffStrategy = function() {
+	};
+
+	vv.DiffStrategy.prototype = {
+		/**
+		 * Returns the components of a `DataValue` to compare.
+		 *
+		 * @param {dataValues.DataValue} dataValue
+		 * @return {Object} Map of component names to the components' string representations.
+		 */
+		getComponents: function( dataValue ) {
+			return {
+				text: JSON.stringify( dataValue.toJSON() )
+			};
+		},
+
+		/**
+		 * Returns the components differing between two `DataValue`s.
+		 *
+		 * @param {dataValues.DataValue|null} oldValue
+		 * @param {dataValues.DataValue|null} newValue
+		 * @return {Object} Map of component names to objects featuring the component's old
+		 *         (`oldValue`) and new (`newValue`) string representation. A component missing in
+		 *         one of the values is represented by an empty string.
+		 */
+		getDifferences: function( oldValue, newValue ) {
+			var oldComponents = oldValue ? this.getComponents( oldValue ) : {},
+				newComponents = newValue ? this.getComponents( newValue ) : {},
+				differences = {},
+				name;
+
+			for( name in oldComponents ) {
+				addDifference( differences, name, oldComponents[name], newComponents[name] );
+			}
+			for( name in newComponents ) {
+				if( !oldComponents.hasOwnProperty( name ) ) {
+					addDifference( differences, name, undefined, newComponents[name] );
+				}
+			}
+
+			return differences;
+		}
+	};
+
+	/**
+	 * @ignore
+	 *
+	 * @param {Object} differences
+	 * @param {string} name
+	 * @param {string|number|null|undefined} oldComponent
+	 * @param {string|number|null|undefined} newComponent
+	 */
+	function addDifference( differences, name, oldComponent, newComponent ) {
+		oldComponent = toString( oldComponent );
+		newComponent = toString( newComponent );
+
+		if( oldComponent !== newComponent ) {
+			differences[name] = {
+				oldValue: oldComponent,
+				newValue: newComponent
+			};
+		}
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string|number|null|undefined} component
+	 * @return {string}
+	 */
+	function toString( component ) {
+		return component === undefined || component === null ? '' : String( component );
+	}
+
+}( jQuery.valueview ) );
@@ -0,0 +1,125 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $ ) {
+	'use strict';
+
+	/**
+	 * Store managing `jQuery.valueview.DiffStrategy` instances.
+	 * @class jQuery.valueview.DiffStrategyStore
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {jQuery.valueview.DiffStrategy} [defaultStrategy=new jQuery.valueview.DiffStrategy()]
+	 *        Strategy to be returned when no strategy is registered for a specific purpose.
+	 */
+	var SELF = $.valueview.DiffStrategyStore = function ValueviewDiffStrategyStore(
+		defaultStrategy
+	) {
+		if( defaultStrategy !== undefined ) {
+			assertIsDiffStrategy( defaultStrategy );
+		}
+
+		this._defaultStrategy = defaultStrategy || new $.valueview.DiffStrategy();
+		this._strategiesForDataValueTypes = {};
+		this._strategiesForDataTypes = {};
+	};
+
+	$.extend( SELF.prototype, {
+		/**
+		 * @property {jQuery.valueview.DiffStrategy}
+		 * @private
+		 */
+		_defaultStrategy: null,
+
+		/**
+		 * @property {Object}
+		 * @private
+		 */
+		_strategiesForDataValueTypes: null,
+
+		/**
+		 * @property {Object}
+		 * @private
+		 */
+		_strategiesForDataTypes: null,
+
+		/**
+		 * Registers a `DiffStrategy` for comparing values suitable for a certain data type.
+		 *
+		 * @param {jQuery.valueview.DiffStrategy} strategy
+		 * @param {string} dataTypeId
+		 *
+		 * @throws {Error} if no data type id is specified.
+		 * @throws {Error} if a strategy for the specified data type id is registered already.
+		 */
+		registerDataTypeStrategy: function( strategy, dataTypeId ) {
+			assertIsDiffStrategy( strategy );
+
+			if( typeof dataTypeId !== 'string' ) {
+				throw new Error( 'No proper data type id provided to register the strategy for' );
+			}
+
+			if( this._strategiesForDataTypes[dataTypeId] ) {
+				throw new Error( 'Strategy for data type "' + dataTypeId + '" is registered already' );
+			}
+
+			this._strategiesForDataTypes[dataTypeId] = strategy;
+		},
+
+		/**
+		 * Registers a `DiffStrategy` for comparing values of a certain data value type.
+		 *
+		 * @param {jQuery.valueview.DiffStrategy} strategy
+		 * @param {string} dataValueType
+		 *
+		 * @throws {Error} if no data value type is specified.
+		 * @throws {Error} if a strategy for the specified data value type is registered already.
+		 */
+		registerDataValueStrategy: function( strategy, dataValueType ) {
+			assertIsDiffStrategy( strategy );
+
+			if( typeof dataValueType !== 'string' ) {
+				throw new Error( 'No proper data value type provided to register the strategy for' );
+			}
+
+			if( this._strategiesForDataValueTypes[dataValueType] ) {
+				throw new Error( 'Strategy for data value type "' + dataValueType + '" is '
+					+ 'registered already' );
+			}
+
+			this._strategiesForDataValueTypes[dataValueType] = strategy;
+		},
+
+		/**
+		 * Returns the `DiffStrategy` registered for a certain data type or data value type. A
+		 * strategy registered for the data type takes precedence. If no strategy is registered for
+		 * either, the default strategy is returned.
+		 *
+		 * @param {string|null} dataValueType
+		 * @param {string|null} [dataTypeId]
+		 * @return {jQuery.valueview.DiffStrategy}
+		 */
+		getStrategy: function( dataValueType, dataTypeId ) {
+			return typeof dataTypeId === 'string' && this._strategiesForDataTypes[dataTypeId]
+				|| typeof dataValueType === 'string'
+					&& this._strategiesForDataValueTypes[dataValueType]
+				|| this._defaultStrategy;
+		}
+	} );
+
+	/**
+	 * @ignore
+	 *
+	 * @param {jQuery.valueview.DiffStrategy} strategy
+	 * @throws {Error} if the provided argument is not a `jQuery.valueview.DiffStrategy` instance.
+	 */
+	function assertIsDiffStrategy( strategy ) {
+		if( !( strategy instanceof $.valueview.DiffStrategy ) ) {
+			throw new Error( 'Invalid jQuery.valueview.DiffStrategy instance' );
+		}
+	}
+
+}( jQuery ) );
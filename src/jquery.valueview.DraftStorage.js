@@ -0,0 +1,48 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( vv, util ) {
+	'use strict';
+
+	/**
+	 * Base for storages persisting drafts of `jQuery.valueview` edit sessions. A draft is an
+	 * object featuring the raw value (`rawValue`) and the value characteristics
+	 * (`valueCharacteristics`) of the `Expert` as well as the data type id (`dataTypeId`) and data
+	 * value type (`dataValueType`) the draft has been created for. Implementations are provided
+	 * in `jQuery.valueview.draftStorages`.
+	 * @class jQuery.valueview.DraftStorage
+	 * @abstract
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 */
+	vv.DraftStorage = function() {
+	};
+
+	vv.DraftStorage.prototype = {
+		/**
+		 * Returns the draft stored for an id.
+		 *
+		 * @param {string} id
+		 * @return {Object|null}
+		 */
+		get: util.abstractMember,
+
+		/**
+		 * Stores a draft overwriting any draft stored for the id.
+		 *
+		 * @param {string} id
+		 * @param {Object} draft
+		 */
+		set: util.abstractMember,
+
+		/**
+		 * Removes the draft stored for an id.
+		 *
+		 * @param {string} id
+		 */
+		remove: util.abstractMember
+	};
+
+}( jQuery.valueview, util ) );
@@ -84,6 +84,10 @@ jQuery.valueview = jQuery.valueview || {};
 	 * - change: will be sent when raw value displayed by the `Expert` changes. Either by a user
 	 *   action or by calling the `rawValue()` method. First parameter is a reference to the
 	 *   `Expert` itself.
+	 * - undo: will be sent when the user requests to reinstate the previous value of the
+	 *   `valueview`'s edit history. (since 0.15.0)
+	 * - redo: will be sent when the user requests to reinstate a value that has been undone.
+	 *   (since 0.15.0)
 	 *
 	 * @param {Object} [options={}]
 	 *
@@ -189,6 +193,16 @@ jQuery.valueview = jQuery.valueview || {};
 		 */
 		_extendable: null,
 
+		/**
+		 * The `ExpertExtender` attached to the `Expert`'s input element, if any. `ExpertExtender`
+		 * extensions registered in the `ExpertStore` are added to it instead of attaching another
+		 * `ExpertExtender` to the input element.
+		 * @property {jQuery.valueview.ExpertExtender|null}
+		 * @protected
+		 * @since 0.15.0
+		 */
+		_expertExtender: null,
+
 		/**
 		 * @param {Object} extension
 		 */
@@ -233,6 +247,7 @@ jQuery.valueview = jQuery.valueview || {};
 			this._viewNotifier = null;
 			this._messageProvider = null;
 			this._options = null;
+			this._expertExtender = null;
 		},
 
 		// TODO: This should actually move out of here together with all the advanced input features
@@ -279,6 +294,30 @@ jQuery.valueview = jQuery.valueview || {};
 			this._extendable.callExtensions( 'draw' );
 		},
 
+		/**
+		 * Hook for displaying an error that occurred while parsing or formatting the value, e.g.
+		 * by highlighting the part of the input the error refers to. Called with `null` when
+		 * a value has been parsed successfully.
+		 * @since 0.15.0
+		 *
+		 * @param {jQuery.valueview.ValueError|null} error
+		 */
+		showError: function( error ) {},
+
+		/**
+		 * Puts a raw value and value characteristics, as returned by `rawValue()` and
+		 * `valueCharacteristics()`, back into the `Expert`'s input, e.g. when restoring a draft.
+		 * The `Expert` is not supposed to notify about the change.
+		 * @since 0.15.0
+		 *
+		 * @param {*} rawValue
+		 * @param {Object} valueCharacteristics
+		 * @return {boolean} Whether the `Expert` supports restoring the raw value.
+		 */
+		restoreRawValue: function( rawValue, valueCharacteristics ) {
+			return false;
+		},
+
 		/**
 		 * Will set the focus if there is some focusable input elements.
 		 */
@@ -1,10 +1,69 @@
 jQuery.valueview = jQuery.valueview || {};
 
-( function( $ ) {
+( function( $, util ) {
 	'use strict';
 
 	/**
 	 * Store managing `jQuery.valueview.Expert` instances.
+	 *
+	 * In addition to `Expert`s, `jQuery.valueview.ExpertExtender` extensions (e.g.
+	 * `jQuery.valueview.ExpertExtender.Preview`) may be registered for a data type or a data value
+	 * type. `getExpert()` then returns an `Expert` constructor which wires in the extensions
+	 * registered for the specified purpose. If the `Expert` attaches an `ExpertExtender` to its
+	 * input element itself, the extensions are added to that `ExpertExtender`. Registering
+	 * extensions requires the `jQuery.valueview.ExpertExtender` module to be loaded.
+	 *
+	 * Multiple `Expert`s may be registered for the same purpose by specifying an id, a label and a
+	 * priority when registering. `getExpert()` returns the `Expert` with the highest priority
+	 * unless the id of another `Expert` is specified. `getExperts()` returns all `Expert`s that
+	 * may be used for a purpose, e.g. for offering the user to choose an alternative `Expert`.
+	 *
+	 *     @example
+	 *     expertStore.registerDataValueExpert( experts.TimeInput, 'time' );
+	 *     expertStore.registerDataValueExpert( experts.StringValue, 'time', {
+	 *         id: 'plain',
+	 *         label: 'Plain text',
+	 *         priority: -1
+	 *     } );
+	 *
+	 * In addition, `Expert`s may be registered with a matcher function deciding whether the
+	 * `Expert` is suitable for a specific purpose, e.g. depending on the value to edit. `Expert`s
+	 * whose matchers match are considered along with the `Expert`s registered for the data type and
+	 * the data value type.
+	 *
+	 *     @example
+	 *     expertStore.registerMatchingExpert( experts.EarlyTimeInput, function( purpose ) {
+	 *         return purpose.dataValueType === 'time'
+	 *             && purpose.value !== null
+	 *             && purpose.value.getYear() < 1000;
+	 *     }, {
+	 *         id: 'early',
+	 *         priority: 10
+	 *     } );
+	 *
+	 * `selectExpert()` returns the reason why an `Expert` has been picked for debugging purposes.
+	 *
+	 * `Expert`s may be registered lazily by providing a loader function instead of the `Expert`
+	 * constructor, so the `Expert`'s code does not need to be loaded until the `Expert` is actually
+	 * needed. `getExpert()` returns `null` for a lazily registered `Expert` until the `Expert` has
+	 * been loaded using `loadExpert()`.
+	 *
+	 *     @example
+	 *     expertStore.registerLazyDataValueExpert( function() {
+	 *         return mw.loader.using( 'jquery.valueview.experts.TimeInput' ).then( function() {
+	 *             return jQuery.valueview.experts.TimeInput;
+	 *         } );
+	 *     }, 'time' );
+	 *
+	 * Data types may be declared to derive from other data types. Looking up an `Expert` for a
+	 * data type then walks the chain of parent data types before falling back to the data value
+	 * type. The chain may be used for resolving other data type specific resources as well, e.g.
+	 * `jQuery.valueview` uses it for choosing parsers and formatters.
+	 *
+	 *     @example
+	 *     expertStore.registerDataTypeParent( 'external-id', 'string' );
+	 *     expertStore.getDataTypeChain( 'external-id' ); // [ 'external-id', 'string' ]
+	 *
 	 * @class jQuery.valueview.ExpertStore
 	 * @since 0.1
 	 * @licence GNU GPL v2+
@@ -20,6 +79,11 @@ jQuery.valueview = jQuery.valueview || {};
 		this._DefaultExpert = DefaultExpert || null;
 		this._expertsForDataValueTypes = {};
 		this._expertsForDataTypes = {};
+		this._matchingExperts = [];
+		this._dataTypeParents = {};
+		this._extensionsForDataValueTypes = {};
+		this._extensionsForDataTypes = {};
+		this._extendedExperts = {};
 	};
 
 	$.extend( SELF.prototype, {
@@ -32,39 +96,87 @@ jQuery.valueview = jQuery.valueview || {};
 		_DefaultExpert: null,
 
 		/**
+		 * Lists of registered `Expert`s indexed by data value type. Each list item is an object
+		 * featuring `id`, `label`, `priority` and the `Expert` constructor (`Expert`).
 		 * @property {Object}
 		 * @private
 		 */
 		_expertsForDataValueTypes: null,
 
 		/**
+		 * Lists of registered `Expert`s indexed by data type id. See `_expertsForDataValueTypes`.
 		 * @property {Object}
 		 * @private
 		 */
 		_expertsForDataTypes: null,
 
+		/**
+		 * List of `Expert`s registered with a matcher function. See `_expertsForDataValueTypes`.
+		 * The list items additionally feature the matcher function (`matcher`).
+		 * @property {Object[]}
+		 * @private
+		 */
+		_matchingExperts: null,
+
+		/**
+		 * Ids of the data types' parent data types indexed by data type id.
+		 * @property {Object}
+		 * @private
+		 */
+		_dataTypeParents: null,
+
+		/**
+		 * @property {Object}
+		 * @private
+		 */
+		_extensionsForDataValueTypes: null,
+
+		/**
+		 * @property {Object}
+		 * @private
+		 */
+		_extensionsForDataTypes: null,
+
+		/**
+		 * Cache of `Expert` constructors featuring extensions. Lists of objects featuring the
+		 * registered `Expert` constructor (`Expert`) and the extended constructor (`Extended`)
+		 * indexed by purpose.
+		 * @property {Object}
+		 * @private
+		 */
+		_extendedExperts: null,
+
 		/**
 		 * Registers a `valueview` `Expert` for displaying data values suitable for a certain data
 		 * type.
 		 *
 		 * @param {Function} Expert
 		 * @param {string} dataTypeId
+		 * @param {Object} [options] (since 0.15.0)
+		 * @param {string} [options.id='default'] Id of the `Expert` which needs to be unique per
+		 *        data type. Specifying an id allows registering multiple `Expert`s for a data type.
+		 * @param {string|null} [options.label=null] Label of the `Expert` to be displayed when
+		 *        offering to choose an `Expert`.
+		 * @param {number} [options.priority=0] `Expert`s with higher priorities are preferred.
 		 *
 		 * @throws {Error} if no data type id is specified.
-		 * @throws {Error} if an expert for the specified data type id is registered already.
+		 * @throws {Error} if an expert with the same id is registered for the data type already.
 		 */
-		registerDataTypeExpert: function( Expert, dataTypeId ) {
+		registerDataTypeExpert: function( Expert, dataTypeId, options ) {
 			assertIsExpertConstructor( Expert );
 
 			if( dataTypeId === undefined ) {
 				throw new Error( 'No proper data type id provided to register the expert for' );
 			}
 
-			if( this._expertsForDataTypes[dataTypeId] ) {
-				throw new Error( 'Expert for data type "' + dataTypeId + '" is registered already' );
-			}
+			this._expertsForDataTypes[dataTypeId] = this._expertsForDataTypes[dataTypeId] || [];
 
-			this._expertsForDataTypes[dataTypeId] = Expert;
+			addExpert(
+				this._expertsForDataTypes[dataTypeId],
+				Expert,
+				options,
+				'data type "' + dataTypeId + '"'
+			);
 		},
 
 		/**
@@ -72,53 +184,709 @@ jQuery.valueview = jQuery.valueview || {};
 		 *
 		 * @param {Function} Expert
 		 * @param {string} dataValueType
+		 * @param {Object} [options] See `registerDataTypeExpert()`. (since 0.15.0)
 		 *
 		 * @throws {Error} if no data value type is specified.
-		 * @throws {Error} if an expert for the specified DataValue type is registered already.
+		 * @throws {Error} if an expert with the same id is registered for the DataValue type
+		 *         already.
 		 */
-		registerDataValueExpert: function( Expert, dataValueType ) {
+		registerDataValueExpert: function( Expert, dataValueType, options ) {
 			assertIsExpertConstructor( Expert );
 
 			if( dataValueType === undefined ) {
 				throw new Error( 'No proper data value type provided to register the expert for' );
 			}
 
-			if( this._expertsForDataValueTypes[dataValueType] ) {
-				throw new Error( 'Expert for data value type "' + dataValueType + '" is registered '
-					+ 'already' );
+			this._expertsForDataValueTypes[dataValueType]
+				= this._expertsForDataValueTypes[dataValueType] || [];
+
+			addExpert(
+				this._expertsForDataValueTypes[dataValueType],
+				Expert,
+				options,
+				'data value type "' + dataValueType + '"'
+			);
+		},
+
+		/**
+		 * Registers a `valueview` `Expert` for displaying data values suitable for a certain data
+		 * type without having to load the `Expert` in advance.
+		 * @since 0.15.0
+		 *
+		 * @param {Function} loader Returns a jQuery.Promise resolving to the `Expert` constructor.
+		 *        Called once the `Expert` is needed. If the promise is rejected, the loader is
+		 *        called again when the `Expert` is needed the next time.
+		 * @param {string} dataTypeId
+		 * @param {Object} [options] See `registerDataTypeExpert()`.
+		 *
+		 * @throws {Error} if the loader is not a function.
+		 * @throws {Error} if no data type id is specified.
+		 * @throws {Error} if an expert with the same id is registered for the data type already.
+		 */
+		registerLazyDataTypeExpert: function( loader, dataTypeId, options ) {
+			assertIsFunction( loader, 'Loader' );
+
+			if( dataTypeId === undefined ) {
+				throw new Error( 'No proper data type id provided to register the expert for' );
+			}
+
+			this._expertsForDataTypes[dataTypeId] = this._expertsForDataTypes[dataTypeId] || [];
+
+			addExpert(
+				this._expertsForDataTypes[dataTypeId],
+				null,
+				options,
+				'data type "' + dataTypeId + '"'
+			).loader = loader;
+		},
+
+		/**
+		 * Registers a `valueview` `Expert` for displaying values of a certain data value type
+		 * without having to load the `Expert` in advance.
+		 * @since 0.15.0
+		 *
+		 * @param {Function} loader See `registerLazyDataTypeExpert()`.
+		 * @param {string} dataValueType
+		 * @param {Object} [options] See `registerDataTypeExpert()`.
+		 *
+		 * @throws {Error} if the loader is not a function.
+		 * @throws {Error} if no data value type is specified.
+		 * @throws {Error} if an expert with the same id is registered for the DataValue type
+		 *         already.
+		 */
+		registerLazyDataValueExpert: function( loader, dataValueType, options ) {
+			assertIsFunction( loader, 'Loader' );
+
+			if( dataValueType === undefined ) {
+				throw new Error( 'No proper data value type provided to register the expert for' );
+			}
+
+			this._expertsForDataValueTypes[dataValueType]
+				= this._expertsForDataValueTypes[dataValueType] || [];
+
+			addExpert(
+				this._expertsForDataValueTypes[dataValueType],
+				null,
+				options,
+				'data value type "' + dataValueType + '"'
+			).loader = loader;
+		},
+
+		/**
+		 * Registers a `valueview` `Expert` to be used for any purpose a matcher function approves
+		 * of. If matching, the `Expert` precedes `Expert`s registered for the data type and the data
+		 * value type having the same priority.
+		 * @since 0.15.0
+		 *
+		 * @param {Function} Expert
+		 * @param {Function} matcher Returns whether the `Expert` is suitable for a purpose.
+		 *        Parameters:
+		 *
+		 * - {Object} The purpose featuring `dataValueType`, `dataTypeId`, `value` (the value to
+		 *   edit or `null`) and `options` (the options of the `valueview` widget or an empty
+		 *   object).
+		 *
+		 * @param {Object} options See `registerDataTypeExpert()`.
+		 * @param {string} options.id Id of the `Expert` which needs to be unique among the
+		 *        `Expert`s registered with a matcher. An `Expert` registered for the data type or
+		 *        the data value type is hidden by a matching `Expert` with the same id.
+		 *
+		 * @throws {Error} if the matcher is not a function.
+		 * @throws {Error} if no id is specified.
+		 * @throws {Error} if an expert with the same id is registered with a matcher already.
+		 */
+		registerMatchingExpert: function( Expert, matcher, options ) {
+			assertIsExpertConstructor( Expert );
+
+			assertIsFunction( matcher, 'Matcher' );
+
+			if( !options || typeof options.id !== 'string' ) {
+				throw new Error( 'No proper id provided to register the matching expert with' );
+			}
+
+			addExpert(
+				this._matchingExperts,
+				Expert,
+				options,
+				'purposes approved by its matcher'
+			).matcher = matcher;
+		},
+
+		/**
+		 * Declares a data type to derive from another data type. `Expert`s and extensions
+		 * registered for the parent data type are used for the data type as well unless
+		 * overwritten by registrations for the data type itself.
+		 * @since 0.15.0
+		 *
+		 * @param {string} dataTypeId
+		 * @param {string} parentDataTypeId
+		 *
+		 * @throws {Error} if a data type id is not specified properly.
+		 * @throws {Error} if a parent is declared for the data type already.
+		 * @throws {Error} if the data type would derive from itself.
+		 */
+		registerDataTypeParent: function( dataTypeId, parentDataTypeId ) {
+			if( typeof dataTypeId !== 'string' || typeof parentDataTypeId !== 'string' ) {
+				throw new Error( 'No proper data type ids provided to register the parent for' );
+			}
+
+			if( this._dataTypeParents.hasOwnProperty( dataTypeId ) ) {
+				throw new Error( 'Parent of data type "' + dataTypeId + '" is registered already' );
 			}
 
-			this._expertsForDataValueTypes[dataValueType] = Expert;
+			if( $.inArray( dataTypeId, this.getDataTypeChain( parentDataTypeId ) ) !== -1 ) {
+				throw new Error( 'Data type "' + dataTypeId + '" cannot derive from itself' );
+			}
+
+			this._dataTypeParents[dataTypeId] = parentDataTypeId;
+			this._extendedExperts = {};
+		},
+
+		/**
+		 * Returns the data type id followed by the ids of the data type's ancestors, starting with
+		 * the parent.
+		 * @since 0.15.0
+		 *
+		 * @param {string|null} [dataTypeId]
+		 * @return {string[]} Empty if no data type id is specified.
+		 */
+		getDataTypeChain: function( dataTypeId ) {
+			var chain = [];
+
+			while( typeof dataTypeId === 'string' ) {
+				chain.push( dataTypeId );
+				dataTypeId = this._dataTypeParents.hasOwnProperty( dataTypeId )
+					? this._dataTypeParents[dataTypeId]
+					: null;
+			}
+
+			return chain;
+		},
+
+		/**
+		 * Registers an `ExpertExtender` extension to be wired into the `Expert` used for values
+		 * suitable for a certain data type.
+		 * @since 0.15.0
+		 *
+		 * @param {Function} extensionFactory Function returning a new `ExpertExtender` extension
+		 *        (e.g. an `jQuery.valueview.ExpertExtender.Preview` instance).
+		 *        Parameters:
+		 *
+		 * - {jQuery.valueview.Expert} The `Expert` the extension is created for.
+		 * - {util.MessageProvider} The `Expert`'s message provider.
+		 *
+		 * @param {string} dataTypeId
+		 *
+		 * @throws {Error} if the extension factory is not a function.
+		 * @throws {Error} if no data type id is specified.
+		 */
+		registerDataTypeExtension: function( extensionFactory, dataTypeId ) {
+			assertIsFunction( extensionFactory, 'Extension factory' );
+
+			if( typeof dataTypeId !== 'string' ) {
+				throw new Error( 'No proper data type id provided to register the extension for' );
+			}
+
+			this._extensionsForDataTypes[dataTypeId] = this._extensionsForDataTypes[dataTypeId] || [];
+			this._extensionsForDataTypes[dataTypeId].push( extensionFactory );
+			this._extendedExperts = {};
+		},
+
+		/**
+		 * Registers an `ExpertExtender` extension to be wired into the `Expert` used for values of
+		 * a certain data value type.
+		 * @since 0.15.0
+		 *
+		 * @param {Function} extensionFactory See `registerDataTypeExtension()`.
+		 * @param {string} dataValueType
+		 *
+		 * @throws {Error} if the extension factory is not a function.
+		 * @throws {Error} if no data value type is specified.
+		 */
+		registerDataValueExtension: function( extensionFactory, dataValueType ) {
+			assertIsFunction( extensionFactory, 'Extension factory' );
+
+			if( typeof dataValueType !== 'string' ) {
+				throw new Error( 'No proper data value type provided to register the extension for' );
+			}
+
+			this._extensionsForDataValueTypes[dataValueType]
+				= this._extensionsForDataValueTypes[dataValueType] || [];
+			this._extensionsForDataValueTypes[dataValueType].push( extensionFactory );
+			this._extendedExperts = {};
 		},
 
 		/**
 		 * Returns the `Expert` registered for a data type (if a data type `Expert` is registered
 		 * and a data type id is specified) or the `Expert` registered for a data value type. If no
 		 * `Expert` is registered regarding the specified parameters, `null` is returned.
+		 * If multiple `Expert`s are registered, the `Expert` with the specified id or, if there is
+		 * no such `Expert`, the `Expert` with the highest priority is returned (see
+		 * `getExperts()`).
+		 * If extensions are registered for the data value type and/or the data type, a constructor
+		 * inheriting from the `Expert` and featuring the extensions is returned. Subsequent calls
+		 * with the same parameters return the same constructor.
+		 * If the selected `Expert` is registered lazily and has not been loaded yet, `null` is
+		 * returned as well (see `loadExpert()`).
 		 *
 		 * @param {string} dataValueType
 		 * @param {string} [dataTypeId]
+		 * @param {string|null} [expertId] (since 0.15.0)
+		 * @param {Object} [context] The value (`value`) and the `valueview` options (`options`)
+		 *        passed to the matchers of `Expert`s registered with `registerMatchingExpert()`.
+		 *        (since 0.15.0)
 		 * @return {Function|null}
 		 *
 		 * @throws {Error} if no proper parameters have been specified.
 		 */
-		getExpert: function( dataValueType, dataTypeId ) {
-			var expert;
+		getExpert: function( dataValueType, dataTypeId, expertId, context ) {
+			var selection = this.selectExpert( dataValueType, dataTypeId, expertId, context );
+			return selection && selection.Expert;
+		},
+
+		/**
+		 * Selects the `Expert` `getExpert()` returns and describes why the `Expert` has been
+		 * selected, e.g. for debugging.
+		 * @since 0.15.0
+		 *
+		 * @param {string} dataValueType
+		 * @param {string} [dataTypeId]
+		 * @param {string|null} [expertId]
+		 * @param {Object} [context] See `getExpert()`.
+		 * @return {Object|null} `null` if no `Expert` is registered regarding the specified
+		 *         parameters.
+		 * @return {string} return.id
+		 * @return {Function|null} return.Expert `null` if the `Expert` is registered lazily and
+		 *         has not been loaded yet.
+		 * @return {string} return.reason Human-readable description why the `Expert` has been
+		 *         selected.
+		 *
+		 * @throws {Error} if no proper parameters have been specified.
+		 */
+		selectExpert: function( dataValueType, dataTypeId, expertId, context ) {
+			var selection = this._selectRegisteredExpert(
+				dataValueType,
+				dataTypeId,
+				expertId,
+				context
+			);
 
-			if( typeof dataTypeId === 'string' ) {
-				expert = this._expertsForDataTypes[dataTypeId];
+			if( !selection ) {
+				return null;
 			}
 
-			if( !expert && typeof dataValueType === 'string' ) {
-				expert = this._expertsForDataValueTypes[dataValueType];
-			} else if( !expert ) {
+			var registeredExpert = selection.registeredExpert;
+
+			return {
+				id: registeredExpert.id,
+				Expert: registeredExpert.Expert
+					&& this._extendExpert( registeredExpert.Expert, dataValueType, dataTypeId ),
+				reason: selection.reason
+			};
+		},
+
+		/**
+		 * Returns the `Expert` `getExpert()` returns, loading the `Expert` first if it is
+		 * registered lazily.
+		 * @since 0.15.0
+		 *
+		 * @param {string} dataValueType
+		 * @param {string} [dataTypeId]
+		 * @param {string|null} [expertId]
+		 * @param {Object} [context] See `getExpert()`.
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {Function|null} return.done.Expert
+		 * @return {Function} return.fail
+		 * @return {string} return.fail.message
+		 *
+		 * @throws {Error} if no proper parameters have been specified.
+		 */
+		loadExpert: function( dataValueType, dataTypeId, expertId, context ) {
+			var self = this,
+				selection = this._selectRegisteredExpert(
+					dataValueType,
+					dataTypeId,
+					expertId,
+					context
+				);
+
+			if( !selection ) {
+				return $.Deferred().resolve( null ).promise();
+			}
+
+			return loadRegisteredExpert( selection.registeredExpert )
+				.then( function( Expert ) {
+					return self._extendExpert( Expert, dataValueType, dataTypeId );
+				} );
+		},
+
+		/**
+		 * Returns the default `Expert` featuring the extensions registered for a data value type
+		 * and a data type.
+		 * @since 0.15.0
+		 *
+		 * @param {string} [dataValueType]
+		 * @param {string} [dataTypeId]
+		 * @return {Function|null}
+		 */
+		getDefaultExpert: function( dataValueType, dataTypeId ) {
+			return this._DefaultExpert
+				&& this._extendExpert( this._DefaultExpert, dataValueType, dataTypeId );
+		},
+
+		/**
+		 * Returns all `Expert`s that may be used for a data value type and a data type ordered by
+		 * priority. `Expert`s registered for the data type precede `Expert`s registered for the
+		 * data value type when having the same priority. `Expert`s registered for the data value
+		 * type are omitted if an `Expert` with the same id is registered for the data type. If no
+		 * `Expert` is registered, the default `Expert` is returned (if set).
+		 * `Expert`s registered with a matcher are included if their matcher matches. They precede
+		 * the other `Expert`s with the same priority and hide `Expert`s with the same id.
+		 * @since 0.15.0
+		 *
+		 * @param {string} [dataValueType]
+		 * @param {string} [dataTypeId]
+		 * @param {Object} [context] See `getExpert()`.
+		 * @return {Object[]} List of objects featuring `id`, `label`, `priority`, a description
+		 *         of what the `Expert` has been registered for (`registeredFor`) and the `Expert`
+		 *         constructor (`Expert`) which features the registered extensions. `Expert` is
+		 *         `null` if the `Expert` is registered lazily and has not been loaded yet.
+		 */
+		getExperts: function( dataValueType, dataTypeId, context ) {
+			var self = this;
+
+			return $.map(
+				this._getRegisteredExperts( dataValueType, dataTypeId, context ),
+				function( registeredExpert ) {
+					return {
+						id: registeredExpert.id,
+						label: registeredExpert.label,
+						priority: registeredExpert.priority,
+						registeredFor: registeredExpert.registeredFor,
+						Expert: registeredExpert.Expert && self._extendExpert(
+							registeredExpert.Expert,
+							dataValueType,
+							dataTypeId
+						)
+					};
+				}
+			);
+		},
+
+		/**
+		 * Returns the registered items of the `Expert`s that may be used for a purpose ordered by
+		 * priority (see `getExperts()`).
+		 * @private
+		 *
+		 * @param {string} [dataValueType]
+		 * @param {string} [dataTypeId]
+		 * @param {Object} [context]
+		 * @return {Object[]}
+		 */
+		_getRegisteredExperts: function( dataValueType, dataTypeId, context ) {
+			var self = this,
+				purpose = {
+					dataValueType: typeof dataValueType === 'string' ? dataValueType : null,
+					dataTypeId: typeof dataTypeId === 'string' ? dataTypeId : null,
+					value: context && context.value || null,
+					options: context && context.options || {}
+				},
+				registeredExperts = $.grep( this._matchingExperts, function( registeredExpert ) {
+					return !!registeredExpert.matcher( purpose );
+				} ),
+				ids = {};
+
+			$.each( this.getDataTypeChain( dataTypeId ), function( i, chainedDataTypeId ) {
+				registeredExperts = registeredExperts.concat(
+					self._expertsForDataTypes[chainedDataTypeId] || []
+				);
+			} );
+			if( typeof dataValueType === 'string' ) {
+				registeredExperts = registeredExperts.concat(
+					this._expertsForDataValueTypes[dataValueType] || []
+				);
+			}
+
+			if( !registeredExperts.length && this._DefaultExpert ) {
+				registeredExperts.push( {
+					id: DEFAULT_ID,
+					label: null,
+					priority: 0,
+					registeredFor: 'any purpose as default',
+					Expert: this._DefaultExpert
+				} );
+			}
+
+			registeredExperts = $.grep( registeredExperts, function( registeredExpert ) {
+				if( ids[registeredExpert.id] ) {
+					return false;
+				}
+				ids[registeredExpert.id] = true;
+				return true;
+			} );
+
+			return sortByPriority( registeredExperts );
+		},
+
+		/**
+		 * Selects the registered item of the `Expert` to use for a purpose (see `selectExpert()`).
+		 * @private
+		 *
+		 * @param {string} dataValueType
+		 * @param {string} [dataTypeId]
+		 * @param {string|null} [expertId]
+		 * @param {Object} [context]
+		 * @return {Object|null}
+		 * @return {Object} return.registeredExpert
+		 * @return {string} return.reason
+		 *
+		 * @throws {Error} if no proper parameters have been specified.
+		 */
+		_selectRegisteredExpert: function( dataValueType, dataTypeId, expertId, context ) {
+			var self = this,
+				dataTypeIdsWithExperts = $.grep(
+					this.getDataTypeChain( dataTypeId ),
+					function( chainedDataTypeId ) {
+						return !!self._expertsForDataTypes[chainedDataTypeId];
+					}
+				);
+
+			if( typeof dataValueType !== 'string' && !dataTypeIdsWithExperts.length ) {
 				throw new Error( 'No sufficient purpose provided for choosing an expert' );
 			}
 
-			return expert || this._DefaultExpert;
+			var registeredExperts = this._getRegisteredExperts( dataValueType, dataTypeId, context ),
+				registeredExpert = registeredExperts[0] || null,
+				reason;
+
+			if( !registeredExpert ) {
+				return null;
+			}
+
+			reason = 'has the highest priority (' + registeredExpert.priority + ') of '
+				+ registeredExperts.length + ' available expert(s)';
+
+			$.each( registeredExperts, function( i, candidate ) {
+				if( candidate.id === expertId ) {
+					registeredExpert = candidate;
+					reason = 'has been requested by its id';
+					return false;
+				}
+			} );
+
+			return {
+				registeredExpert: registeredExpert,
+				reason: 'Expert "' + registeredExpert.id + '" registered for '
+					+ registeredExpert.registeredFor + ' ' + reason
+			};
+		},
+
+		/**
+		 * Returns the extension factories registered for a data value type and a data type.
+		 * @since 0.15.0
+		 *
+		 * @param {string} [dataValueType]
+		 * @param {string} [dataTypeId]
+		 * @return {Function[]}
+		 */
+		getExtensions: function( dataValueType, dataTypeId ) {
+			var extensions = [],
+				// Extensions of ancestors are wired in before the data type's extensions:
+				chain = this.getDataTypeChain( dataTypeId ).reverse();
+
+			if( typeof dataValueType === 'string' ) {
+				extensions = extensions.concat(
+					this._extensionsForDataValueTypes[dataValueType] || []
+				);
+			}
+			for( var i = 0; i < chain.length; i++ ) {
+				extensions = extensions.concat( this._extensionsForDataTypes[chain[i]] || [] );
+			}
+
+			return extensions;
+		},
+
+		/**
+		 * Returns an `Expert` constructor featuring the extensions registered for the specified
+		 * purpose or the plain `Expert` constructor if there are no extensions.
+		 * @private
+		 *
+		 * @param {Function} Expert
+		 * @param {string} [dataValueType]
+		 * @param {string} [dataTypeId]
+		 * @return {Function}
+		 */
+		_extendExpert: function( Expert, dataValueType, dataTypeId ) {
+			var extensions = this.getExtensions( dataValueType, dataTypeId );
+
+			if( !extensions.length ) {
+				return Expert;
+			}
+
+			var cacheKey = dataValueType + '|' + dataTypeId,
+				cached = this._extendedExperts[cacheKey] || [];
+
+			for( var i = 0; i < cached.length; i++ ) {
+				if( cached[i].Expert === Expert ) {
+					return cached[i].Extended;
+				}
+			}
+
+			var Extended = util.inherit(
+				'ValueviewExtendedExpert',
+				Expert,
+				function() {
+					Expert.apply( this, arguments );
+
+					var self = this;
+
+					if( !this.$input ) {
+						// Extensions are wired to the expert's input element.
+						return;
+					}
+
+					var instances = $.map( extensions, function( extensionFactory ) {
+						return extensionFactory( self, self._messageProvider );
+					} );
+
+					if( this._expertExtender ) {
+						// Attaching a second extender to the input element would break the first:
+						$.each( instances, function( i, extension ) {
+							self._expertExtender.addExtension( extension );
+						} );
+						return;
+					}
+
+					this._expertExtender = new $.valueview.ExpertExtender( this.$input, instances );
+					this.addExtension( this._expertExtender );
+				}
+			);
+
+			this._extendedExperts[cacheKey] = cached.concat( [ {
+				Expert: Expert,
+				Extended: Extended
+			} ] );
+
+			return Extended;
 		}
 	} );
 
+	/**
+	 * Id of `Expert`s registered without specifying an id.
+	 * @ignore
+	 */
+	var DEFAULT_ID = 'default';
+
+	/**
+	 * @ignore
+	 *
+	 * @param {Object[]} registeredExperts
+	 * @param {Function} Expert
+	 * @param {Object} [options]
+	 * @param {string} purpose Description of the purpose used in error messages.
+	 * @return {Object} The registered item.
+	 *
+	 * @throws {Error} if the priority is not a number.
+	 * @throws {Error} if an expert with the same id is registered already.
+	 */
+	function addExpert( registeredExperts, Expert, options, purpose ) {
+		options = options || {};
+
+		var id = options.id || DEFAULT_ID,
+			priority = options.priority === undefined ? 0 : options.priority;
+
+		if( typeof priority !== 'number' ) {
+			throw new Error( 'Priority of the expert needs to be a number' );
+		}
+
+		$.each( registeredExperts, function( i, registeredExpert ) {
+			if( registeredExpert.id === id ) {
+				throw new Error( 'Expert ' + ( options.id ? '"' + id + '" ' : '' ) + 'for '
+					+ purpose + ' is registered already' );
+			}
+		} );
+
+		var registeredExpert = {
+			id: id,
+			label: options.label || null,
+			priority: priority,
+			registeredFor: purpose,
+			Expert: Expert
+		};
+
+		registeredExperts.push( registeredExpert );
+
+		return registeredExpert;
+	}
+
+	/**
+	 * Loads the `Expert` of a registered item using the item's loader if the `Expert` has not been
+	 * loaded yet.
+	 * @ignore
+	 *
+	 * @param {Object} registeredExpert
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 * @return {Function} return.done.Expert
+	 * @return {Function} return.fail
+	 * @return {string} return.fail.message
+	 */
+	function loadRegisteredExpert( registeredExpert ) {
+		if( registeredExpert.Expert ) {
+			return $.Deferred().resolve( registeredExpert.Expert ).promise();
+		}
+
+		if( !registeredExpert.loading ) {
+			var loading = $.when( registeredExpert.loader() )
+				.then( function( Expert ) {
+					if( !( $.isFunction( Expert ) && Expert.prototype instanceof $.valueview.Expert ) ) {
+						return $.Deferred().reject(
+							'Loader of expert "' + registeredExpert.id + '" did not provide a '
+								+ 'jQuery.valueview.Expert constructor'
+						).promise();
+					}
+					registeredExpert.Expert = Expert;
+					return Expert;
+				} );
+
+			registeredExpert.loading = loading;
+
+			// Allow retrying after failure:
+			loading.always( function() {
+				if( registeredExpert.loading === loading ) {
+					registeredExpert.loading = null;
+				}
+			} );
+
+			return loading;
+		}
+
+		return registeredExpert.loading;
+	}
+
+	/**
+	 * Sorts registered `Expert`s by priority in descending order keeping the order of `Expert`s
+	 * with the same priority.
+	 * @ignore
+	 *
+	 * @param {Object[]} registeredExperts
+	 * @return {Object[]}
+	 */
+	function sortByPriority( registeredExperts ) {
+		var indexed = $.map( registeredExperts, function( registeredExpert, i ) {
+			return { index: i, registeredExpert: registeredExpert };
+		} );
+
+		indexed.sort( function( a, b ) {
+			return b.registeredExpert.priority - a.registeredExpert.priority || a.index - b.index;
+		} );
+
+		return $.map( indexed, function( item ) {
+			return item.registeredExpert;
+		} );
+	}
+
 	/**
 	 * @ignore
 	 *
@@ -131,4 +899,17 @@ jQuery.valueview = jQuery.valueview || {};
 		}
 	}
 
-}( jQuery ) );
+	/**
+	 * @ignore
+	 *
+	 * @param {Function} fn
+	 * @param {string} name Name of the function used in the error message.
+	 * @throws {Error} if the provided argument is not a function.
+	 */
+	function assertIsFunction( fn, name ) {
+		if( !$.isFunction( fn ) ) {
+			throw new Error( name + ' needs to be a function' );
+		}
+	}
+
+}( jQuery, util ) );
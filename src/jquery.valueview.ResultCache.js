@@ -0,0 +1,183 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $ ) {
+	'use strict';
+
+	/**
+	 * Least recently used cache for parse and format results. A single instance may be shared
+	 * across all `jQuery.valueview` widgets on a page by passing it as `resultCache` option.
+	 * Results are stored per namespace (i.e. `parse` and `format`) so the namespaces may be
+	 * invalidated separately.
+	 * @class jQuery.valueview.ResultCache
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {number} [maxSize=500] Maximum number of results kept in the cache. When exceeding
+	 *        the limit, the least recently used result is dropped.
+	 *
+	 * @throws {Error} if `maxSize` is not a positive number.
+	 */
+	var SELF = $.valueview.ResultCache = function ValueviewResultCache( maxSize ) {
+		if( maxSize !== undefined && ( typeof maxSize !== 'number' || maxSize < 1 ) ) {
+			throw new Error( 'Maximum size of the cache needs to be a positive number' );
+		}
+
+		this._maxSize = maxSize || 500;
+		this._entries = {};
+		this._keys = [];
+	};
+
+	$.extend( SELF.prototype, {
+		/**
+		 * @property {number}
+		 * @private
+		 */
+		_maxSize: null,
+
+		/**
+		 * Map of internal keys to cached results.
+		 * @property {Object}
+		 * @private
+		 */
+		_entries: null,
+
+		/**
+		 * Internal keys ordered from least to most recently used.
+		 * @property {string[]}
+		 * @private
+		 */
+		_keys: null,
+
+		/**
+		 * @property {number}
+		 * @private
+		 */
+		_hits: 0,
+
+		/**
+		 * @property {number}
+		 * @private
+		 */
+		_misses: 0,
+
+		/**
+		 * Returns a cached result and marks it as most recently used.
+		 *
+		 * @param {string} namespace
+		 * @param {string} key
+		 * @return {*} The cached result or `undefined` if there is no result cached for the key.
+		 */
+		get: function( namespace, key ) {
+			var internalKey = buildKey( namespace, key );
+
+			if( !this._entries.hasOwnProperty( internalKey ) ) {
+				this._misses++;
+				return undefined;
+			}
+
+			this._hits++;
+			this._touch( internalKey );
+			return this._entries[internalKey];
+		},
+
+		/**
+		 * Caches a result, dropping the least recently used result if the cache is full.
+		 *
+		 * @param {string} namespace
+		 * @param {string} key
+		 * @param {*} result Must not be `undefined`.
+		 *
+		 * @throws {Error} if `result` is `undefined`.
+		 */
+		set: function( namespace, key, result ) {
+			if( result === undefined ) {
+				throw new Error( 'Unable to cache undefined' );
+			}
+
+			var internalKey = buildKey( namespace, key );
+
+			this._entries[internalKey] = result;
+			this._touch( internalKey );
+
+			while( this._keys.length > this._maxSize ) {
+				delete this._entries[this._keys.shift()];
+			}
+		},
+
+		/**
+		 * Drops cached results.
+		 *
+		 * @param {string} [namespace] If omitted, all results are dropped.
+		 */
+		invalidate: function( namespace ) {
+			if( namespace === undefined ) {
+				this._entries = {};
+				this._keys = [];
+				return;
+			}
+
+			var prefix = buildKey( namespace, '' ),
+				self = this;
+
+			this._keys = $.grep( this._keys, function( internalKey ) {
+				if( internalKey.indexOf( prefix ) === 0 ) {
+					delete self._entries[internalKey];
+					return false;
+				}
+				return true;
+			} );
+		},
+
+		/**
+		 * Returns usage statistics of the cache.
+		 *
+		 * @return {Object}
+		 * @return {number} return.hits
+		 * @return {number} return.misses
+		 * @return {number} return.size Number of results currently cached.
+		 */
+		getStatistics: function() {
+			return {
+				hits: this._hits,
+				misses: this._misses,
+				size: this._keys.length
+			};
+		},
+
+		/**
+		 * Resets the hit and miss counters.
+		 */
+		resetStatistics: function() {
+			this._hits = 0;
+			this._misses = 0;
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {string} internalKey
+		 */
+		_touch: function( internalKey ) {
+			var index = $.inArray( internalKey, this._keys );
+			if( index !== -1 ) {
+				this._keys.splice( index, 1 );
+			}
+			this._keys.push( internalKey );
+		}
+	} );
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string} namespace
+	 * @param {string} key
+	 * @return {string}
+	 */
+	function buildKey( namespace, key ) {
+		return namespace + '|' + key;
+	}
+
+}( jQuery ) );
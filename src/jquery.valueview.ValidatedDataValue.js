@@ -0,0 +1,85 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $, vv, dv ) {
+	'use strict';
+
+	/**
+	 * Immutable wrapper around a `DataValue` holding a reference to the data type the value has
+	 * been validated against as well as the result of that validation.
+	 * @class jQuery.valueview.ValidatedDataValue
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {dataValues.DataValue} dataValue
+	 * @param {string|null} dataTypeId
+	 * @param {string[]} [errors=[]] HTML error messages; an empty array if the value is valid.
+	 *
+	 * @throws {Error} if `dataValue` is not a `dataValues.DataValue` instance.
+	 */
+	var SELF = vv.ValidatedDataValue = function ValueviewValidatedDataValue(
+		dataValue,
+		dataTypeId,
+		errors
+	) {
+		if( !( dataValue instanceof dv.DataValue ) ) {
+			throw new Error( 'Instance of dataValues.DataValue required' );
+		}
+		this._dataValue = dataValue;
+		this._dataTypeId = dataTypeId || null;
+		this._errors = errors ? errors.slice() : [];
+	};
+
+	$.extend( SELF.prototype, {
+		/**
+		 * @property {dataValues.DataValue}
+		 * @private
+		 */
+		_dataValue: null,
+
+		/**
+		 * @property {string|null}
+		 * @private
+		 */
+		_dataTypeId: null,
+
+		/**
+		 * @property {string[]}
+		 * @private
+		 */
+		_errors: null,
+
+		/**
+		 * @return {dataValues.DataValue}
+		 */
+		getDataValue: function() {
+			return this._dataValue;
+		},
+
+		/**
+		 * Returns the id of the data type the value has been validated against.
+		 *
+		 * @return {string|null}
+		 */
+		getDataTypeId: function() {
+			return this._dataTypeId;
+		},
+
+		/**
+		 * @return {boolean}
+		 */
+		isValid: function() {
+			return this._errors.length === 0;
+		},
+
+		/**
+		 * @return {string[]} HTML error messages.
+		 */
+		getErrors: function() {
+			return this._errors.slice();
+		}
+	} );
+
+}( jQuery, jQuery.valueview, dataValues ) );
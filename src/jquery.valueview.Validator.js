@@ -0,0 +1,37 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( vv, util ) {
+	'use strict';
+
+	/**
+	 * Base for validators checking whether a `DataValue` is valid against the constraints of a
+	 * certain data type. Validators are managed by a `jQuery.valueview.ValidatorStore`.
+	 * @class jQuery.valueview.Validator
+	 * @abstract
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 */
+	vv.Validator = function() {
+	};
+
+	vv.Validator.prototype = {
+		/**
+		 * Validates a `DataValue`.
+		 *
+		 * @param {dataValues.DataValue} dataValue
+		 * @param {string|null} dataTypeId
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {string[]} return.done.errors HTML error messages. An empty array if the value
+		 *         is valid.
+		 * @return {Function} return.fail
+		 * @return {string} return.fail.message HTML error message if validation could not be
+		 *         performed.
+		 */
+		validate: util.abstractMember
+	};
+
+}( jQuery.valueview, util ) );
@@ -0,0 +1,72 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $ ) {
+	'use strict';
+
+	/**
+	 * Store managing `jQuery.valueview.Validator` instances.
+	 * @class jQuery.valueview.ValidatorStore
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 */
+	var SELF = $.valueview.ValidatorStore = function ValueviewValidatorStore() {
+		this._validatorsForDataTypes = {};
+	};
+
+	$.extend( SELF.prototype, {
+		/**
+		 * @property {Object}
+		 * @private
+		 */
+		_validatorsForDataTypes: null,
+
+		/**
+		 * Registers a `Validator` for validating data values against a certain data type. Multiple
+		 * validators may be registered for the same data type.
+		 *
+		 * @param {jQuery.valueview.Validator} validator
+		 * @param {string} dataTypeId
+		 *
+		 * @throws {Error} if no data type id is specified.
+		 */
+		registerDataTypeValidator: function( validator, dataTypeId ) {
+			assertIsValidator( validator );
+
+			if( typeof dataTypeId !== 'string' ) {
+				throw new Error( 'No proper data type id provided to register the validator for' );
+			}
+
+			this._validatorsForDataTypes[dataTypeId] = this._validatorsForDataTypes[dataTypeId] || [];
+			this._validatorsForDataTypes[dataTypeId].push( validator );
+		},
+
+		/**
+		 * Returns the `Validator`s registered for a data type.
+		 *
+		 * @param {string|null} dataTypeId
+		 * @return {jQuery.valueview.Validator[]}
+		 */
+		getValidators: function( dataTypeId ) {
+			if( typeof dataTypeId !== 'string' || !this._validatorsForDataTypes[dataTypeId] ) {
+				return [];
+			}
+			return this._validatorsForDataTypes[dataTypeId].slice();
+		}
+	} );
+
+	/**
+	 * @ignore
+	 *
+	 * @param {jQuery.valueview.Validator} validator
+	 * @throws {Error} if the provided argument is not a `jQuery.valueview.Validator` instance.
+	 */
+	function assertIsValidator( validator ) {
+		if( !( validator instanceof $.valueview.Validator ) ) {
+			throw new Error( 'Invalid jQuery.valueview.Validator instance' );
+		}
+	}
+
+}( jQuery ) );
@@ -0,0 +1,148 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $, vv ) {
+	'use strict';
+
+	/**
+	 * Error that occurred while parsing or formatting a value. Parsers and formatters may reject
+	 * with a `ValueError` instead of a plain HTML message to offer more detailed information, e.g.
+	 * the part of the raw input the error refers to.
+	 * @class jQuery.valueview.ValueError
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 *
+	 * @constructor
+	 *
+	 * @param {string} code Machine-readable error code, e.g. `malformed-value`.
+	 * @param {string|null} [messageKey=null] Key of the message describing the error.
+	 * @param {string[]} [params=[]] Message parameters.
+	 * @param {Object|null} [span=null] Range of characters of the raw input the error refers to.
+	 * @param {number} span.start Index of the first character.
+	 * @param {number} span.end Index after the last character.
+	 *
+	 * @throws {Error} if no error code is specified.
+	 * @throws {Error} if the span is invalid.
+	 */
+	var SELF = vv.ValueError = function ValueviewValueError( code, messageKey, params, span ) {
+		if( typeof code !== 'string' || code === '' ) {
+			throw new Error( 'Error code needs to be specified' );
+		}
+
+		if(
+			span
+			&& (
+				typeof span.start !== 'number'
+				|| typeof span.end !== 'number'
+				|| span.start < 0
+				|| span.end < span.start
+			)
+		) {
+			throw new Error( 'Span needs to feature a valid start and end index' );
+		}
+
+		this._code = code;
+		this._messageKey = messageKey || null;
+		this._params = params || [];
+		this._span = span ? { start: span.start, end: span.end } : null;
+	};
+
+	/**
+	 * Creates a `ValueError` from a plain HTML error message as issued by parsers and formatters
+	 * not supporting `ValueError`s.
+	 * @static
+	 *
+	 * @param {string} html
+	 * @param {string} code
+	 * @return {jQuery.valueview.ValueError}
+	 */
+	SELF.newFromHtml = function( html, code ) {
+		var error = new SELF( code );
+		error._html = html;
+		return error;
+	};
+
+	$.extend( SELF.prototype, {
+		/**
+		 * @property {string}
+		 * @private
+		 */
+		_code: null,
+
+		/**
+		 * @property {string|null}
+		 * @private
+		 */
+		_messageKey: null,
+
+		/**
+		 * @property {string[]}
+		 * @private
+		 */
+		_params: null,
+
+		/**
+		 * @property {Object|null}
+		 * @private
+		 */
+		_span: null,
+
+		/**
+		 * HTML message the error has been created from.
+		 * @property {string|null}
+		 * @private
+		 */
+		_html: null,
+
+		/**
+		 * @return {string}
+		 */
+		getCode: function() {
+			return this._code;
+		},
+
+		/**
+		 * @return {string|null}
+		 */
+		getMessageKey: function() {
+			return this._messageKey;
+		},
+
+		/**
+		 * @return {string[]}
+		 */
+		getParams: function() {
+			return this._params.slice();
+		},
+
+		/**
+		 * Returns the range of characters of the raw input the error refers to.
+		 *
+		 * @return {Object|null} Object featuring `start` and `end` index or `null` if the error
+		 *         does not refer to a specific part of the input.
+		 */
+		getSpan: function() {
+			return this._span && { start: this._span.start, end: this._span.end };
+		},
+
+		/**
+		 * Returns an HTML message describing the error. If the message cannot be retrieved from
+		 * the message provider, the message key or, if no message key is set, the error code is
+		 * returned.
+		 *
+		 * @param {util.MessageProvider|null} [messageProvider]
+		 * @return {string}
+		 */
+		getHtml: function( messageProvider ) {
+			if( this._html !== null ) {
+				return this._html;
+			}
+
+			var message = this._messageKey && messageProvider
+				&& messageProvider.getMessage( this._messageKey, this._params );
+
+			return $( '<div/>' ).text( message || this._messageKey || this._code ).html();
+		}
+	} );
+
+}( jQuery, jQuery.valueview ) );
@@ -50,6 +50,24 @@ jQuery.valueview = jQuery.valueview || {};
 			return this._view.isDisabled();
 		},
 
+		/**
+		 * @see jQuery.valueview.isPending
+		 * @inheritdoc jQuery.valueview#isPending
+		 * @since 0.15.0
+		 */
+		isPending: function() {
+			return this._view.isPending();
+		},
+
+		/**
+		 * @see jQuery.valueview.whenSettled
+		 * @inheritdoc jQuery.valueview#whenSettled
+		 * @since 0.15.0
+		 */
+		whenSettled: function() {
+			return this._view.whenSettled();
+		},
+
 		/**
 		 * Returns the related `valueview`'s current value. Does not allow to change the value.
 		 * @see jQuery.valueview.value
@@ -0,0 +1,125 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( vv, util ) {
+	'use strict';
+
+	var PARENT = vv.DiffStrategy;
+
+	/**
+	 * Container for basic `jQuery.valueview.DiffStrategy` implementations. The strategies split
+	 * values by their serialization, so they do not depend on the `DataValue` implementations
+	 * being loaded.
+	 * @class jQuery.valueview.diffStrategies
+	 * @singleton
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 */
+	vv.diffStrategies = ( new function jQueryValueViewDiffStrategies() {}() );
+
+	/**
+	 * Compares the text of `StringValue`s.
+	 * @class jQuery.valueview.diffStrategies.StringValue
+	 * @extends jQuery.valueview.DiffStrategy
+	 * @since 0.15.0
+	 */
+	vv.diffStrategies.StringValue = util.inherit( 'ValueviewStringValueDiffStrategy', PARENT, {
+		/**
+		 * @inheritdoc
+		 */
+		getComponents: function( dataValue ) {
+			return {
+				text: dataValue.toJSON()
+			};
+		}
+	} );
+
+	/**
+	 * Compares text and language code of `MonolingualTextValue`s.
+	 * @class jQuery.valueview.diffStrategies.MonolingualTextValue
+	 * @extends jQuery.valueview.DiffStrategy
+	 * @since 0.15.0
+	 */
+	vv.diffStrategies.MonolingualTextValue = util.inherit(
+		'ValueviewMonolingualTextValueDiffStrategy',
+		PARENT,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			getComponents: function( dataValue ) {
+				var json = dataValue.toJSON();
+				return {
+					text: json.text,
+					language: json.language
+				};
+			}
+		}
+	);
+
+	/**
+	 * Compares time, precision and calendar model of `TimeValue`s.
+	 * @class jQuery.valueview.diffStrategies.TimeValue
+	 * @extends jQuery.valueview.DiffStrategy
+	 * @since 0.15.0
+	 */
+	vv.diffStrategies.TimeValue = util.inherit( 'ValueviewTimeValueDiffStrategy', PARENT, {
+		/**
+		 * @inheritdoc
+		 */
+		getComponents: function( dataValue ) {
+			var json = dataValue.toJSON();
+			return {
+				text: json.time,
+				precision: json.precision,
+				calendar: json.calendarmodel
+			};
+		}
+	} );
+
+	/**
+	 * Compares coordinates, precision and globe of `GlobeCoordinateValue`s.
+	 * @class jQuery.valueview.diffStrategies.GlobeCoordinateValue
+	 * @extends jQuery.valueview.DiffStrategy
+	 * @since 0.15.0
+	 */
+	vv.diffStrategies.GlobeCoordinateValue = util.inherit(
+		'ValueviewGlobeCoordinateValueDiffStrategy',
+		PARENT,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			getComponents: function( dataValue ) {
+				var json = dataValue.toJSON();
+				return {
+					text: json.latitude + ', ' + json.longitude,
+					precision: json.precision,
+					globe: json.globe
+				};
+			}
+		}
+	);
+
+	/**
+	 * Compares amount, unit and bounds of `QuantityValue`s.
+	 * @class jQuery.valueview.diffStrategies.QuantityValue
+	 * @extends jQuery.valueview.DiffStrategy
+	 * @since 0.15.0
+	 */
+	vv.diffStrategies.QuantityValue = util.inherit( 'ValueviewQuantityValueDiffStrategy', PARENT, {
+		/**
+		 * @inheritdoc
+		 */
+		getComponents: function( dataValue ) {
+			var json = dataValue.toJSON();
+			return {
+				text: json.amount,
+				unit: json.unit,
+				upperbound: json.upperBound,
+				lowerbound: json.lowerBound
+			};
+		}
+	} );
+
+}( jQuery.valueview, util ) );
@@ -0,0 +1,137 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $, vv, util ) {
+	'use strict';
+
+	var PARENT = vv.DraftStorage;
+
+	/**
+	 * Container for `jQuery.valueview.DraftStorage` implementations.
+	 * @class jQuery.valueview.draftStorages
+	 * @singleton
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 */
+	vv.draftStorages = ( new function jQueryValueViewDraftStorages() {}() );
+
+	/**
+	 * Stores drafts in a Web Storage object, i.e. `window.localStorage` or
+	 * `window.sessionStorage`. Drafts are serialized to JSON. Errors thrown by the storage, e.g.
+	 * when its quota is exceeded or when it is disabled, are suppressed.
+	 * @class jQuery.valueview.draftStorages.WebStorage
+	 * @extends jQuery.valueview.DraftStorage
+	 * @since 0.15.0
+	 *
+	 * @constructor
+	 *
+	 * @param {Storage} storage
+	 * @param {string} [prefix='valueview-draft-'] Prefix of the keys drafts are stored with.
+	 *
+	 * @throws {Error} if no storage is specified.
+	 */
+	vv.draftStorages.WebStorage = util.inherit(
+		'ValueviewWebStorageDraftStorage',
+		PARENT,
+		function( storage, prefix ) {
+			if( !storage ) {
+				throw new Error( 'Storage needs to be specified' );
+			}
+			this._storage = storage;
+			this._prefix = prefix || 'valueview-draft-';
+		},
+		{
+			/**
+			 * @property {Storage}
+			 * @private
+			 */
+			_storage: null,
+
+			/**
+			 * @property {string}
+			 * @private
+			 */
+			_prefix: null,
+
+			/**
+			 * @inheritdoc
+			 */
+			get: function( id ) {
+				try {
+					return JSON.parse( this._storage.getItem( this._prefix + id ) );
+				} catch( e ) {
+					return null;
+				}
+			},
+
+			/**
+			 * @inheritdoc
+			 */
+			set: function( id, draft ) {
+				try {
+					this._storage.setItem( this._prefix + id, JSON.stringify( draft ) );
+				} catch( e ) {
+					// Drafts are a convenience only.
+				}
+			},
+
+			/**
+			 * @inheritdoc
+			 */
+			remove: function( id ) {
+				try {
+					this._storage.removeItem( this._prefix + id );
+				} catch( e ) {
+					// Drafts are a convenience only.
+				}
+			}
+		}
+	);
+
+	/**
+	 * Keeps drafts in memory, e.g. for testing.
+	 * @class jQuery.valueview.draftStorages.Memory
+	 * @extends jQuery.valueview.DraftStorage
+	 * @since 0.15.0
+	 *
+	 * @constructor
+	 */
+	vv.draftStorages.Memory = util.inherit(
+		'ValueviewMemoryDraftStorage',
+		PARENT,
+		function() {
+			this._drafts = {};
+		},
+		{
+			/**
+			 * @property {Object}
+			 * @private
+			 */
+			_drafts: null,
+
+			/**
+			 * @inheritdoc
+			 */
+			get: function( id ) {
+				return this._drafts.hasOwnProperty( id )
+					? $.extend( true, {}, this._drafts[id] )
+					: null;
+			},
+
+			/**
+			 * @inheritdoc
+			 */
+			set: function( id, draft ) {
+				this._drafts[id] = $.extend( true, {}, draft );
+			},
+
+			/**
+			 * @inheritdoc
+			 */
+			remove: function( id ) {
+				delete this._drafts[id];
+			}
+		}
+	);
+
+}( jQuery, jQuery.valueview, util ) );
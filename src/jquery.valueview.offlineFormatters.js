@@ -0,0 +1,397 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $, vv, dv, vf, util ) {
+	'use strict';
+
+	var PARENT = vf.ValueFormatter;
+
+	var CALENDAR_JULIAN = 'http://www.wikidata.org/entity/Q1985786',
+		PRECISION_MILLENNIUM = 6,
+		PRECISION_CENTURY = 7,
+		PRECISION_DECADE = 8,
+		PRECISION_YEAR = 9,
+		PRECISION_MONTH = 10,
+		PRECISION_HOUR = 12,
+		PRECISION_SECOND = 14,
+		MONTHS = [
+			'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+			'October', 'November', 'December'
+		];
+
+	/**
+	 * Container for `valueFormatters.ValueFormatter` implementations that format in pure
+	 * JavaScript instead of querying a backend. The formatters read the `DataValue`s'
+	 * serialization and output English text. See `jQuery.valueview.offlineParsers` for using them
+	 * with `jQuery.valueview`.
+	 * @class jQuery.valueview.offlineFormatters
+	 * @singleton
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 */
+	var SELF = vv.offlineFormatters = ( new function jQueryValueViewOfflineFormatters() {}() );
+
+	/**
+	 * English messages describing the errors the formatters reject with.
+	 * @property {Object}
+	 * @static
+	 */
+	SELF.messages = {
+		'valueview-offlineformatters-unsupported': 'The value could not be displayed.'
+	};
+
+	/**
+	 * Returns a `valueFormatters.ValueFormatterStore` featuring the offline formatters registered
+	 * for the data value types they are able to format. Values of other types are formatted by
+	 * `valueFormatters.NullFormatter`.
+	 *
+	 * @return {valueFormatters.ValueFormatterStore}
+	 */
+	SELF.newStore = function() {
+		var store = new vf.ValueFormatterStore( vf.NullFormatter );
+
+		store.registerDataValueFormatter( SELF.StringFormatter, dv.StringValue.TYPE );
+		store.registerDataValueFormatter(
+			SELF.MonolingualTextFormatter,
+			dv.MonolingualTextValue.TYPE
+		);
+		store.registerDataValueFormatter( SELF.TimeFormatter, dv.TimeValue.TYPE );
+		store.registerDataValueFormatter(
+			SELF.GlobeCoordinateFormatter,
+			dv.GlobeCoordinateValue.TYPE
+		);
+		store.registerDataValueFormatter( SELF.QuantityFormatter, dv.QuantityValue.TYPE );
+
+		return store;
+	};
+
+	/**
+	 * Base of the offline formatters, turning the plain text returned by `_formatJson()` into
+	 * HTML if the "text/html" output type is requested.
+	 * @class jQuery.valueview.offlineFormatters.OfflineFormatter
+	 * @extends valueFormatters.ValueFormatter
+	 * @abstract
+	 * @since 0.15.0
+	 *
+	 * @constructor
+	 *
+	 * @param {Object} [options]
+	 */
+	SELF.OfflineFormatter = util.inherit( 'ValueviewOfflineFormatter', PARENT, {
+		/**
+		 * @inheritdoc
+		 *
+		 * @param {dataValues.DataValue} dataValue
+		 * @param {string} [dataTypeId]
+		 * @param {string} [outputType='text/plain']
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {string} return.done.formatted
+		 * @return {dataValues.DataValue} return.done.dataValue
+		 * @return {Function} return.fail
+		 * @return {jQuery.valueview.ValueError} return.fail.error
+		 */
+		format: function( dataValue, dataTypeId, outputType ) {
+			var deferred = $.Deferred(),
+				text;
+
+			try {
+				text = this._formatJson( dataValue.toJSON() );
+			} catch( e ) {
+				return deferred.reject(
+					new vv.ValueError( 'unsupported-value', 'valueview-offlineformatters-unsupported' )
+				).promise();
+			}
+
+			return deferred.resolve(
+				outputType === 'text/html' ? this._toHtml( text, dataValue.toJSON() ) : text,
+				dataValue
+			).promise();
+		},
+
+		/**
+		 * Formats a value serialization to plain text.
+		 * @protected
+		 * @abstract
+		 *
+		 * @param {*} json
+		 * @return {string}
+		 *
+		 * @throws {Error} if the serialization is not supported.
+		 */
+		_formatJson: util.abstractMember,
+
+		/**
+		 * Turns the formatted plain text into HTML.
+		 * @protected
+		 *
+		 * @param {string} text
+		 * @param {*} json
+		 * @return {string}
+		 */
+		_toHtml: function( text, json ) {
+			return $( '<div/>' ).text( text ).html();
+		}
+	} );
+
+	/**
+	 * Formats `StringValue`s.
+	 * @class jQuery.valueview.offlineFormatters.StringFormatter
+	 * @extends jQuery.valueview.offlineFormatters.OfflineFormatter
+	 * @since 0.15.0
+	 */
+	SELF.StringFormatter = util.inherit(
+		'ValueviewOfflineStringFormatter',
+		SELF.OfflineFormatter,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			_formatJson: function( json ) {
+				if( typeof json !== 'string' ) {
+					throw new Error( 'Unsupported serialization' );
+				}
+				return json;
+			}
+		}
+	);
+
+	/**
+	 * Formats `MonolingualTextValue`s. The HTML output is tagged with the text's language.
+	 * @class jQuery.valueview.offlineFormatters.MonolingualTextFormatter
+	 * @extends jQuery.valueview.offlineFormatters.OfflineFormatter
+	 * @since 0.15.0
+	 */
+	SELF.MonolingualTextFormatter = util.inherit(
+		'ValueviewOfflineMonolingualTextFormatter',
+		SELF.OfflineFormatter,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			_formatJson: function( json ) {
+				if( typeof json.text !== 'string' ) {
+					throw new Error( 'Unsupported serialization' );
+				}
+				return json.text;
+			},
+
+			/**
+			 * @inheritdoc
+			 */
+			_toHtml: function( text, json ) {
+				return $( '<div/>' )
+					.append( $( '<span/>' ).attr( 'lang', json.language ).text( text ) )
+					.html();
+			}
+		}
+	);
+
+	/**
+	 * Formats `TimeValue`s according to their precision, e.g. "2 April 2015 14:30", "2 April 2015",
+	 * "April 2015", "2015", "2010s", "21st century". Dates in the Julian calendar are marked as
+	 * such.
+	 * @class jQuery.valueview.offlineFormatters.TimeFormatter
+	 * @extends jQuery.valueview.offlineFormatters.OfflineFormatter
+	 * @since 0.15.0
+	 */
+	SELF.TimeFormatter = util.inherit( 'ValueviewOfflineTimeFormatter', SELF.OfflineFormatter, {
+		/**
+		 * @inheritdoc
+		 */
+		_formatJson: function( json ) {
+			var matches = /^([+-])(\d+)-(\d\d)-(\d\d)T(\d\d):(\d\d):(\d\d)/.exec( json.time );
+
+			if( !matches ) {
+				throw new Error( 'Unsupported serialization' );
+			}
+
+			var year = parseInt( matches[2], 10 ),
+				month = parseInt( matches[3], 10 ),
+				day = parseInt( matches[4], 10 ),
+				precision = json.precision,
+				text;
+
+			if( precision <= PRECISION_MILLENNIUM ) {
+				text = precision === PRECISION_MILLENNIUM
+					? ordinal( Math.ceil( year / 1000 ) ) + ' millennium'
+					: String( year );
+			} else if( precision === PRECISION_CENTURY ) {
+				text = ordinal( Math.ceil( year / 100 ) ) + ' century';
+			} else if( precision === PRECISION_DECADE ) {
+				text = ( year - year % 10 ) + 's';
+			} else if( precision === PRECISION_YEAR || !month ) {
+				text = String( year );
+			} else if( precision === PRECISION_MONTH || !day ) {
+				text = MONTHS[month - 1] + ' ' + year;
+			} else {
+				text = day + ' ' + MONTHS[month - 1] + ' ' + year;
+			}
+
+			if( matches[1] === '-' ) {
+				text += ' BCE';
+			}
+
+			if( precision >= PRECISION_HOUR && day ) {
+				text += ' ' + matches[5] + ':' + matches[6]
+					+ ( precision >= PRECISION_SECOND ? ':' + matches[7] : '' );
+			}
+
+			return json.calendarmodel === CALENDAR_JULIAN ? text + ' (Julian)' : text;
+		}
+	} );
+
+	/**
+	 * Formats `GlobeCoordinateValue`s. Coordinates with a precision of a power of ten are
+	 * formatted in decimal degrees (e.g. "52.52°N, 13.41°E"), others in degrees, minutes and
+	 * seconds (e.g. "52°31'12"N, 13°24'36"E").
+	 * @class jQuery.valueview.offlineFormatters.GlobeCoordinateFormatter
+	 * @extends jQuery.valueview.offlineFormatters.OfflineFormatter
+	 * @since 0.15.0
+	 */
+	SELF.GlobeCoordinateFormatter = util.inherit(
+		'ValueviewOfflineGlobeCoordinateFormatter',
+		SELF.OfflineFormatter,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			_formatJson: function( json ) {
+				if( typeof json.latitude !== 'number' || typeof json.longitude !== 'number' ) {
+					throw new Error( 'Unsupported serialization' );
+				}
+
+				var precision = json.precision || 1 / 3600;
+
+				return formatAngle( json.latitude, precision, 'N', 'S' ) + ', '
+					+ formatAngle( json.longitude, precision, 'E', 'W' );
+			}
+		}
+	);
+
+	/**
+	 * Formats `QuantityValue`s, e.g. "1234.5", "1234.5±0.5", "5 [4..7]". Units other than "1"
+	 * are appended.
+	 * @class jQuery.valueview.offlineFormatters.QuantityFormatter
+	 * @extends jQuery.valueview.offlineFormatters.OfflineFormatter
+	 * @since 0.15.0
+	 */
+	SELF.QuantityFormatter = util.inherit(
+		'ValueviewOfflineQuantityFormatter',
+		SELF.OfflineFormatter,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			_formatJson: function( json ) {
+				if( typeof json.amount !== 'string' ) {
+					throw new Error( 'Unsupported serialization' );
+				}
+
+				var amount = stripPlus( json.amount ),
+					upperBound = stripPlus( json.upperBound || json.amount ),
+					lowerBound = stripPlus( json.lowerBound || json.amount ),
+					upperDelta = subtractDecimals( upperBound, amount ),
+					lowerDelta = subtractDecimals( amount, lowerBound ),
+					text = amount;
+
+				if( upperDelta === lowerDelta && parseFloat( upperDelta ) !== 0 ) {
+					text += '±' + upperDelta;
+				} else if( upperDelta !== lowerDelta ) {
+					text += ' [' + lowerBound + '..' + upperBound + ']';
+				}
+
+				return json.unit && json.unit !== '1' ? text + ' ' + json.unit : text;
+			}
+		}
+	);
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} number
+	 * @return {string} English ordinal number, e.g. "21st".
+	 */
+	function ordinal( number ) {
+		var suffix = 'th';
+		if( Math.floor( number / 10 ) % 10 !== 1 ) {
+			suffix = [ 'th', 'st', 'nd', 'rd' ][number % 10] || 'th';
+		}
+		return number + suffix;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number} angle
+	 * @param {number} precision
+	 * @param {string} positiveLetter
+	 * @param {string} negativeLetter
+	 * @return {string}
+	 */
+	function formatAngle( angle, precision, positiveLetter, negativeLetter ) {
+		var letter = angle < 0 ? negativeLetter : positiveLetter,
+			exponent = Math.log( precision ) / Math.LN10,
+			decimals,
+			seconds;
+
+		angle = Math.abs( angle );
+
+		if( Math.abs( exponent - Math.round( exponent ) ) < 1e-9 ) {
+			decimals = Math.max( 0, -Math.round( exponent ) );
+			return angle.toFixed( decimals ) + '°' + letter;
+		}
+
+		if( precision >= 1 / 60 - 1e-9 ) {
+			var minutes = Math.round( angle * 60 );
+			return Math.floor( minutes / 60 ) + '°' + ( minutes % 60 ) + '\'' + letter;
+		}
+
+		decimals = Math.max( 0, Math.round( -Math.log( precision * 3600 ) / Math.LN10 ) );
+		seconds = parseFloat( ( angle * 3600 ).toFixed( decimals ) );
+
+		return Math.floor( seconds / 3600 ) + '°'
+			+ Math.floor( seconds % 3600 / 60 ) + '\''
+			+ parseFloat( ( seconds % 60 ).toFixed( decimals ) ) + '"' + letter;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string} number
+	 * @return {string}
+	 */
+	function stripPlus( number ) {
+		return number.replace( /^\+/, '' );
+	}
+
+	/**
+	 * Subtracts two decimal numbers keeping the number of decimal places.
+	 * @ignore
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @return {string}
+	 */
+	function subtractDecimals( a, b ) {
+		var decimals = Math.max( countDecimals( a ), countDecimals( b ) ),
+			factor = Math.pow( 10, decimals );
+
+		return (
+			( Math.round( parseFloat( a ) * factor ) - Math.round( parseFloat( b ) * factor ) )
+				/ factor
+		).toFixed( decimals );
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string} number
+	 * @return {number}
+	 */
+	function countDecimals( number ) {
+		var matches = /\.(\d+)$/.exec( number );
+		return matches ? matches[1].length : 0;
+	}
+
+}( jQuery, jQuery.valueview, dataValues, valueFormatters, util ) );
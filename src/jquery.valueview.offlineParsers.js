@@ -0,0 +1,726 @@
+jQuery.valueview = jQuery.valueview || {};
+
+( function( $, vv, dv, vp, util ) {
+	'use strict';
+
+	var PARENT = vp.ValueParser;
+
+	var CALENDAR_GREGORIAN = 'http://www.wikidata.org/entity/Q1985727',
+		GLOBE_EARTH = 'http://www.wikidata.org/entity/Q2',
+		PRECISION_HOUR = 12,
+		PRECISION_DAY = 11,
+		PRECISION_MONTH = 10,
+		PRECISION_YEAR = 9,
+		MONTHS = [
+			'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+			'october', 'november', 'december'
+		],
+		DAYS_IN_MONTH = [ 31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31 ],
+		ISO_8601 = /^([+-]?)(\d+)(?:-(\d{1,2})(?:-(\d{1,2})(?:t(\d\d):(\d\d):(\d\d)z)?)?)?$/;
+
+	/**
+	 * Container for `valueParsers.ValueParser` implementations that parse in pure JavaScript
+	 * instead of querying a backend. The parsers create the `DataValue`s from their
+	 * serialization and recognize English input only. Along with
+	 * `jQuery.valueview.offlineFormatters`, they allow running `jQuery.valueview` in demos, tests
+	 * and applications lacking a backend:
+	 *
+	 *     @example
+	 *     $( '<div/>' ).valueview( {
+	 *         expertStore: experts,
+	 *         parserStore: jQuery.valueview.offlineParsers.newStore(),
+	 *         formatterStore: jQuery.valueview.offlineFormatters.newStore(),
+	 *         language: 'en'
+	 *     } );
+	 *
+	 * @class jQuery.valueview.offlineParsers
+	 * @singleton
+	 * @since 0.15.0
+	 * @licence GNU GPL v2+
+	 * @author agent < agent@local >
+	 */
+	var SELF = vv.offlineParsers = ( new function jQueryValueViewOfflineParsers() {}() );
+
+	/**
+	 * English messages describing the errors the parsers reject with. May be used to set up a
+	 * `util.HashMessageProvider` where no other message source is available.
+	 * @property {Object}
+	 * @static
+	 */
+	SELF.messages = {
+		'valueview-offlineparsers-malformedtime': 'The input could not be recognized as a date.',
+		'valueview-offlineparsers-malformedtolerance':
+			'The tolerance has to be a non-negative whole number.',
+		'valueview-offlineparsers-unsupportedtimeofday':
+			'Specifying the time of day is not supported.',
+		'valueview-offlineparsers-malformedcoordinate':
+			'The input could not be recognized as a coordinate.',
+		'valueview-offlineparsers-malformedquantity': 'The input could not be recognized as a number.',
+		'valueview-offlineparsers-quantityoutofbounds':
+			'The amount needs to lie within the upper and lower bound.',
+		'valueview-offlineparsers-missinglanguage': 'A language needs to be selected.'
+	};
+
+	/**
+	 * Returns a `valueParsers.ValueParserStore` featuring the offline parsers registered for the
+	 * data value types they are able to parse. Values of other types are parsed by
+	 * `valueParsers.NullParser`.
+	 *
+	 * @return {valueParsers.ValueParserStore}
+	 */
+	SELF.newStore = function() {
+		var store = new vp.ValueParserStore( vp.NullParser );
+
+		store.registerDataValueParser( SELF.StringParser, dv.StringValue.TYPE );
+		store.registerDataValueParser( SELF.MonolingualTextParser, dv.MonolingualTextValue.TYPE );
+		store.registerDataValueParser( SELF.TimeParser, dv.TimeValue.TYPE );
+		store.registerDataValueParser( SELF.GlobeCoordinateParser, dv.GlobeCoordinateValue.TYPE );
+		store.registerDataValueParser( SELF.QuantityParser, dv.QuantityValue.TYPE );
+
+		return store;
+	};
+
+	/**
+	 * Base of the offline parsers, resolving empty input to `null` and rejecting with the
+	 * `jQuery.valueview.ValueError` thrown when parsing the trimmed input.
+	 * @class jQuery.valueview.offlineParsers.OfflineParser
+	 * @extends valueParsers.ValueParser
+	 * @abstract
+	 * @since 0.15.0
+	 *
+	 * @constructor
+	 *
+	 * @param {Object} [options]
+	 */
+	SELF.OfflineParser = util.inherit( 'ValueviewOfflineParser', PARENT, {
+		/**
+		 * @inheritdoc
+		 *
+		 * @param {string|null} rawValue
+		 * @return {Object} jQuery.Promise
+		 * @return {Function} return.done
+		 * @return {dataValues.DataValue|null} return.done.dataValue
+		 * @return {Function} return.fail
+		 * @return {jQuery.valueview.ValueError} return.fail.error
+		 */
+		parse: function( rawValue ) {
+			var deferred = $.Deferred(),
+				input = $.trim( rawValue || '' );
+
+			if( input === '' ) {
+				return deferred.resolve( null ).promise();
+			}
+
+			try {
+				deferred.resolve( this._parseInput( input ) );
+			} catch( error ) {
+				if( !( error instanceof vv.ValueError ) ) {
+					throw error;
+				}
+				deferred.reject( error );
+			}
+
+			return deferred.promise();
+		},
+
+		/**
+		 * Parses the trimmed, non-empty input.
+		 * @protected
+		 * @abstract
+		 *
+		 * @param {string} input
+		 * @return {dataValues.DataValue}
+		 *
+		 * @throws {jQuery.valueview.ValueError} if the input cannot be parsed.
+		 */
+		_parseInput: util.abstractMember,
+
+		/**
+		 * Returns an option the parser has been instantiated with.
+		 * @protected
+		 *
+		 * @param {string} name
+		 * @return {*}
+		 */
+		_getOption: function( name ) {
+			return this.getOptions()[name];
+		}
+	} );
+
+	/**
+	 * Parses text to `StringValue`s.
+	 * @class jQuery.valueview.offlineParsers.StringParser
+	 * @extends jQuery.valueview.offlineParsers.OfflineParser
+	 * @since 0.15.0
+	 */
+	SELF.StringParser = util.inherit( 'ValueviewOfflineStringParser', SELF.OfflineParser, {
+		/**
+		 * @inheritdoc
+		 */
+		_parseInput: function( input ) {
+			return dv.newDataValue( dv.StringValue.TYPE, input );
+		}
+	} );
+
+	/**
+	 * Parses text to `MonolingualTextValue`s. The language code is taken from the `valuelang`
+	 * option as set by `jQuery.valueview.experts.MonolingualText`.
+	 * @class jQuery.valueview.offlineParsers.MonolingualTextParser
+	 * @extends jQuery.valueview.offlineParsers.OfflineParser
+	 * @since 0.15.0
+	 */
+	SELF.MonolingualTextParser = util.inherit(
+		'ValueviewOfflineMonolingualTextParser',
+		SELF.OfflineParser,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			_parseInput: function( input ) {
+				var languageCode = this._getOption( 'valuelang' );
+
+				if( !languageCode ) {
+					throw new vv.ValueError(
+						'missing-language',
+						'valueview-offlineparsers-missinglanguage'
+					);
+				}
+
+				return dv.newDataValue( dv.MonolingualTextValue.TYPE, {
+					text: input,
+					language: languageCode
+				} );
+			}
+		}
+	);
+
+	/**
+	 * Parses dates to `TimeValue`s. Recognized are ISO 8601 dates and timestamps (e.g.
+	 * "2015-04-02", "+2015-04-02T14:30:00Z"), English dates (e.g. "2 April 2015",
+	 * "April 2, 2015", "Apr 2015"), dotted dates (e.g. "2.4.2015") and years (e.g. "2015",
+	 * "44 BC"). The time of day of a date may be set in the `hour`, `minute` and `second` options
+	 * as provided by `jQuery.valueview.experts.TimeInput`. The precision is derived from the input
+	 * unless set in the `precision` option. The calendar model may be set in the `calendar` option
+	 * and defaults to the Gregorian calendar. The `timezone` option specifies the offset in
+	 * minutes, the `before` and `after` options the tolerance in units of the precision. Input
+	 * featuring a time of day is rejected if the `TimeValue` implementation cannot keep it.
+	 * @class jQuery.valueview.offlineParsers.TimeParser
+	 * @extends jQuery.valueview.offlineParsers.OfflineParser
+	 * @since 0.15.0
+	 */
+	SELF.TimeParser = util.inherit( 'ValueviewOfflineTimeParser', SELF.OfflineParser, {
+		/**
+		 * @inheritdoc
+		 */
+		_parseInput: function( input ) {
+			var date = parseDate( input ),
+				precision = this._getOption( 'precision' ),
+				timeOfDay,
+				value;
+
+			if( date ) {
+				date = applyTimeOfDay( date, [
+					this._getOption( 'hour' ),
+					this._getOption( 'minute' ),
+					this._getOption( 'second' )
+				] );
+			}
+
+			if( !date ) {
+				throw new vv.ValueError( 'malformed-value', 'valueview-offlineparsers-malformedtime' );
+			}
+
+			precision = typeof precision === 'number' ? precision : date.precision;
+			timeOfDay = padNumber( date.hour, 2 ) + ':' + padNumber( date.minute, 2 ) + ':'
+				+ padNumber( date.second, 2 );
+
+			value = dv.newDataValue( dv.TimeValue.TYPE, {
+				time: date.sign + padNumber( date.year, 4 ) + '-' + padNumber( date.month, 2 ) + '-'
+					+ padNumber( date.day, 2 ) + 'T' + timeOfDay + 'Z',
+				timezone: this._getIntegerOption(
+					'timezone', -720, 840, 'valueview-offlineparsers-malformedtime'
+				),
+				before: this._getIntegerOption(
+					'before', 0, Infinity, 'valueview-offlineparsers-malformedtolerance'
+				),
+				after: this._getIntegerOption(
+					'after', 0, Infinity, 'valueview-offlineparsers-malformedtolerance'
+				),
+				precision: precision,
+				calendarmodel: this._getOption( 'calendar' ) || CALENDAR_GREGORIAN
+			} );
+
+			// Time models lacking the time of day would silently reset it to midnight:
+			if( precision > PRECISION_DAY && value.toJSON().time.indexOf( 'T' + timeOfDay ) === -1 ) {
+				throw new vv.ValueError(
+					'unsupported-value',
+					'valueview-offlineparsers-unsupportedtimeofday'
+				);
+			}
+
+			return value;
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {string} name
+		 * @param {number} min
+		 * @param {number} max
+		 * @param {string} messageKey Key of the message used if the option value is invalid.
+		 * @return {number} `0` if the option is not set.
+		 *
+		 * @throws {jQuery.valueview.ValueError} if the option value is not an integer between
+		 *         `min` and `max`.
+		 */
+		_getIntegerOption: function( name, min, max, messageKey ) {
+			var value = this._getOption( name );
+
+			if( value === undefined || value === null || $.trim( String( value ) ) === '' ) {
+				return 0;
+			}
+
+			value = Number( $.trim( String( value ) ) );
+
+			if( isNaN( value ) || value % 1 !== 0 || value < min || value > max ) {
+				throw new vv.ValueError( 'malformed-value', messageKey );
+			}
+
+			return value;
+		}
+	} );
+
+	/**
+	 * Parses coordinates on Earth to `GlobeCoordinateValue`s. Latitude and longitude may be
+	 * specified in decimal degrees (e.g. "52.52, 13.41", "52.52°N 13.41°E") or in degrees, minutes
+	 * and seconds (e.g. "52°31'12"N, 13°24'36"E"). The precision is derived from the input unless
+	 * set in the `precision` option.
+	 * @class jQuery.valueview.offlineParsers.GlobeCoordinateParser
+	 * @extends jQuery.valueview.offlineParsers.OfflineParser
+	 * @since 0.15.0
+	 */
+	SELF.GlobeCoordinateParser = util.inherit(
+		'ValueviewOfflineGlobeCoordinateParser',
+		SELF.OfflineParser,
+		{
+			/**
+			 * @inheritdoc
+			 */
+			_parseInput: function( input ) {
+				var parts = splitCoordinate( normalizeCoordinate( input ) ),
+					latitude = parts && parseAngle( parts[0], 'N', 'S', 90 ),
+					longitude = parts && parseAngle( parts[1], 'E', 'W', 360 ),
+					precision = this._getOption( 'precision' );
+
+				if( !latitude || !longitude ) {
+					throw new vv.ValueError(
+						'malformed-value',
+						'valueview-offlineparsers-malformedcoordinate'
+					);
+				}
+
+				return dv.newDataValue( dv.GlobeCoordinateValue.TYPE, {
+					latitude: latitude.value,
+					longitude: longitude.value,
+					altitude: null,
+					precision: typeof precision === 'number'
+						? precision
+						: Math.min( latitude.precision, longitude.precision ),
+					globe: GLOBE_EARTH
+				} );
+			}
+		}
+	);
+
+	/**
+	 * Parses numbers to `QuantityValue`s. The input may feature thousands separators and an
+	 * uncertainty (e.g. "1,234.5±0.5"). If no uncertainty is specified, the bounds are taken from
+	 * the `upperBound` and `lowerBound` options as set by `jQuery.valueview.experts.QuantityInput`
+	 * and default to the amount. The unit is taken from the `unit` option.
+	 * @class jQuery.valueview.offlineParsers.QuantityParser
+	 * @extends jQuery.valueview.offlineParsers.OfflineParser
+	 * @since 0.15.0
+	 */
+	SELF.QuantityParser = util.inherit( 'ValueviewOfflineQuantityParser', SELF.OfflineParser, {
+		/**
+		 * @inheritdoc
+		 */
+		_parseInput: function( input ) {
+			var matches = /^(.+?)\s*(?:(?:±|\+-|\+\/-)\s*(.+))?$/.exec( input ),
+				amount = parseDecimal( matches[1] ),
+				uncertainty = matches[2] === undefined ? null : parseDecimal( matches[2] ),
+				upperBound = amount,
+				lowerBound = amount;
+
+			if( amount === null || uncertainty === null && matches[2] !== undefined ) {
+				throw new vv.ValueError(
+					'malformed-value',
+					'valueview-offlineparsers-malformedquantity'
+				);
+			}
+
+			if( uncertainty !== null ) {
+				upperBound = addDecimals( amount, uncertainty.replace( /^[+-]/, '+' ) );
+				lowerBound = addDecimals( amount, uncertainty.replace( /^[+-]/, '-' ) );
+			} else {
+				upperBound = this._parseBound( 'upperBound' ) || amount;
+				lowerBound = this._parseBound( 'lowerBound' ) || amount;
+			}
+
+			if( parseFloat( lowerBound ) > parseFloat( amount )
+				|| parseFloat( upperBound ) < parseFloat( amount )
+			) {
+				throw new vv.ValueError(
+					'out-of-bounds',
+					'valueview-offlineparsers-quantityoutofbounds'
+				);
+			}
+
+			return dv.newDataValue( dv.QuantityValue.TYPE, {
+				amount: amount,
+				unit: this._getOption( 'unit' ) || '1',
+				upperBound: upperBound,
+				lowerBound: lowerBound
+			} );
+		},
+
+		/**
+		 * @private
+		 *
+		 * @param {string} name Name of the option specifying the bound.
+		 * @return {string|null}
+		 *
+		 * @throws {jQuery.valueview.ValueError} if the bound is malformed.
+		 */
+		_parseBound: function( name ) {
+			var bound = this._getOption( name );
+
+			if( bound === undefined || bound === null || $.trim( String( bound ) ) === '' ) {
+				return null;
+			}
+
+			bound = parseDecimal( String( bound ) );
+
+			if( bound === null ) {
+				throw new vv.ValueError(
+					'malformed-value',
+					'valueview-offlineparsers-malformedquantity'
+				);
+			}
+
+			return bound;
+		}
+	} );
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string} input
+	 * @return {Object|null} Object featuring `sign`, `year` (string of digits), `month`, `day`,
+	 *         `hour`, `minute`, `second` and `precision` or `null` if the input is not recognized
+	 *         as a date.
+	 */
+	function parseDate( input ) {
+		var sign = '+',
+			era = /^(.+?)\s*\b(BCE|BC|CE|AD)\.?$/i.exec( input ),
+			year,
+			month = 0,
+			day = 0,
+			timeOfDay = [ 0, 0, 0 ],
+			matches;
+
+		if( era ) {
+			input = era[1];
+			sign = /^B/i.test( era[2] ) ? '-' : '+';
+		}
+
+		input = input.toLowerCase();
+
+		if( ( matches = ISO_8601.exec( input ) ) ) {
+			if( era && matches[1] ) {
+				return null;
+			}
+			sign = matches[1] || sign;
+			year = matches[2];
+			month = parseInt( matches[3] || '0', 10 );
+			day = parseInt( matches[4] || '0', 10 );
+			if( matches[5] !== undefined ) {
+				timeOfDay = $.map( matches.slice( 5, 8 ), function( digits ) {
+					return parseInt( digits, 10 );
+				} );
+			}
+		} else if( ( matches = /^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d+)$/.exec( input ) ) ) {
+			day = parseInt( matches[1], 10 );
+			month = parseInt( matches[2], 10 );
+			year = matches[3];
+		} else if( ( matches = /^(\d{1,2})\.?\s+([a-z]+)\.?,?\s+(\d+)$/.exec( input ) ) ) {
+			day = parseInt( matches[1], 10 );
+			month = parseMonth( matches[2] );
+			year = matches[3];
+		} else if( ( matches = /^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d+)$/.exec( input ) ) ) {
+			month = parseMonth( matches[1] );
+			day = parseInt( matches[2], 10 );
+			year = matches[3];
+		} else if( ( matches = /^([a-z]+)\.?,?\s+(\d+)$/.exec( input ) ) ) {
+			month = parseMonth( matches[1] );
+			year = matches[2];
+		} else {
+			return null;
+		}
+
+		year = year.replace( /^0+(?=\d)/, '' );
+
+		if(
+			month === null || month > 12
+			|| day > 0 && ( month === 0 || day > DAYS_IN_MONTH[month - 1] )
+		) {
+			return null;
+		}
+
+		var date = {
+			sign: sign,
+			year: year,
+			month: month,
+			day: day,
+			hour: 0,
+			minute: 0,
+			second: 0,
+			precision: day ? PRECISION_DAY : ( month ? PRECISION_MONTH : PRECISION_YEAR )
+		};
+
+		if( timeOfDay[0] || timeOfDay[1] || timeOfDay[2] ) {
+			// Zero seconds, minutes and hours of timestamps are taken as not specified:
+			date = applyTimeOfDay( date, [
+				timeOfDay[0],
+				timeOfDay[1] || timeOfDay[2] ? timeOfDay[1] : null,
+				timeOfDay[2] || null
+			] );
+		}
+
+		return date;
+	}
+
+	/**
+	 * Sets the time of day of a date. The precision is adjusted to the finest time of day
+	 * component specified.
+	 * @ignore
+	 *
+	 * @param {Object} date As returned by `parseDate()`.
+	 * @param {Array} timeOfDay Hour, minute and second. Components that are `null` or `undefined`
+	 *        are not specified. Leaving the hour unspecified leaves the date untouched.
+	 * @return {Object|null} `null` if the time of day is invalid or if the date does not specify a
+	 *         day.
+	 */
+	function applyTimeOfDay( date, timeOfDay ) {
+		if( timeOfDay[0] === null || timeOfDay[0] === undefined ) {
+			return date;
+		}
+
+		if( !date.day ) {
+			return null;
+		}
+
+		var precision = PRECISION_HOUR,
+			values = [];
+
+		for( var i = 0; i < timeOfDay.length; i++ ) {
+			var value = timeOfDay[i];
+
+			if( value === null || value === undefined ) {
+				values.push( 0 );
+				continue;
+			}
+
+			value = Number( value );
+
+			if( value % 1 !== 0 || value < 0 || value > ( i === 0 ? 23 : 59 ) ) {
+				return null;
+			}
+
+			values.push( value );
+			precision = PRECISION_HOUR + i;
+		}
+
+		return $.extend( {}, date, {
+			hour: values[0],
+			minute: values[1],
+			second: values[2],
+			precision: precision
+		} );
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string} name Lower-case English month name or abbreviation.
+	 * @return {number|null} Number of the month (1-12) or `null` if the name is not recognized.
+	 */
+	function parseMonth( name ) {
+		if( name.length < 3 ) {
+			return null;
+		}
+		for( var i = 0; i < MONTHS.length; i++ ) {
+			if( MONTHS[i].indexOf( name ) === 0 || name === 'sept' && i === 8 ) {
+				return i + 1;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {number|string} number
+	 * @param {number} length
+	 * @return {string}
+	 */
+	function padNumber( number, length ) {
+		number = String( number );
+		while( number.length < length ) {
+			number = '0' + number;
+		}
+		return number;
+	}
+
+	/**
+	 * Unifies the symbols used for degrees, minutes and seconds.
+	 * @ignore
+	 *
+	 * @param {string} input
+	 * @return {string}
+	 */
+	function normalizeCoordinate( input ) {
+		return input
+			.toUpperCase()
+			.replace( /º/g, '°' )
+			.replace( /[′’]/g, '\'' )
+			.replace( /(″|”|'')/g, '"' );
+	}
+
+	/**
+	 * Splits a coordinate into its latitude and longitude part.
+	 * @ignore
+	 *
+	 * @param {string} input
+	 * @return {string[]|null}
+	 */
+	function splitCoordinate( input ) {
+		var parts = input.split( ',' ),
+			matches;
+
+		if( parts.length === 2 ) {
+			return [ $.trim( parts[0] ), $.trim( parts[1] ) ];
+		} else if( parts.length !== 1 ) {
+			return null;
+		}
+
+		matches = /^([NS].*?)\s*([EW].*)$/.exec( input )
+			|| /^(.*?[NS])\s*([^NS]+)$/.exec( input )
+			|| /^(\S+)\s+(\S+)$/.exec( input );
+
+		return matches ? [ matches[1], matches[2] ] : null;
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string} input
+	 * @param {string} positiveLetter
+	 * @param {string} negativeLetter
+	 * @param {number} maximum Maximum absolute value.
+	 * @return {Object|null} Object featuring the angle's `value` and `precision` in degrees or
+	 *         `null` if the input is not recognized.
+	 */
+	function parseAngle( input, positiveLetter, negativeLetter, maximum ) {
+		var matches = new RegExp(
+				'^([' + positiveLetter + negativeLetter + '])?\\s*([+-])?\\s*(\\d+(?:\\.\\d+)?)\\s*'
+				+ '(?:°\\s*(?:(\\d+(?:\\.\\d+)?)\\s*\'\\s*(?:(\\d+(?:\\.\\d+)?)\\s*"\\s*)?)?)?'
+				+ '([' + positiveLetter + negativeLetter + '])?$'
+			).exec( input ),
+			value,
+			precision;
+
+		// Reject multiple hemisphere letters as well as a hemisphere letter combined with a sign:
+		if( !matches || ( matches[1] || matches[6] ) && matches[2] || matches[1] && matches[6] ) {
+			return null;
+		}
+
+		var degrees = matches[3],
+			minutes = matches[4],
+			seconds = matches[5],
+			letter = matches[1] || matches[6];
+
+		if( minutes && parseFloat( minutes ) >= 60 || seconds && parseFloat( seconds ) >= 60 ) {
+			return null;
+		}
+
+		value = parseFloat( degrees )
+			+ ( minutes ? parseFloat( minutes ) / 60 : 0 )
+			+ ( seconds ? parseFloat( seconds ) / 3600 : 0 );
+
+		if( value > maximum ) {
+			return null;
+		}
+
+		if( seconds ) {
+			precision = Math.pow( 10, -countDecimals( seconds ) ) / 3600;
+		} else if( minutes ) {
+			precision = Math.pow( 10, -countDecimals( minutes ) ) / 60;
+		} else {
+			precision = Math.pow( 10, -countDecimals( degrees ) );
+		}
+
+		return {
+			value: matches[2] === '-' || letter === negativeLetter ? -value : value,
+			precision: precision
+		};
+	}
+
+	/**
+	 * @ignore
+	 *
+	 * @param {string} number
+	 * @return {number}
+	 */
+	function countDecimals( number ) {
+		var matches = /\.(\d+)$/.exec( number );
+		return matches ? matches[1].length : 0;
+	}
+
+	/**
+	 * Parses a decimal number to its serialization, e.g. "1,234.50" to "+1234.50".
+	 * @ignore
+	 *
+	 * @param {string} input
+	 * @return {string|null}
+	 */
+	function parseDecimal( input ) {
+		var matches = /^([+-]?)\s*(\d{1,3}(?:,\d{3})+|\d*)(\.\d+)?$/.exec( $.trim( input ) );
+
+		if( !matches || matches[2] === '' && !matches[3] ) {
+			return null;
+		}
+
+		return ( matches[1] || '+' )
+			+ ( matches[2].replace( /,/g, '' ).replace( /^0+(?=\d)/, '' ) || '0' )
+			+ ( matches[3] || '' );
+	}
+
+	/**
+	 * Adds two serialized decimal numbers keeping the number of decimal places.
+	 * @ignore
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @return {string}
+	 */
+	function addDecimals( a, b ) {
+		var decimals = Math.max( countDecimals( a ), countDecimals( b ) ),
+			factor = Math.pow( 10, decimals ),
+			sum = ( Math.round( parseFloat( a ) * factor ) + Math.round( parseFloat( b ) * factor ) )
+				/ factor;
+
+		return ( sum < 0 ? '-' : '+' ) + Math.abs( sum ).toFixed( decimals );
+	}
+
+}( jQuery, jQuery.valueview, dataValues, valueParsers, util ) );
@@ -3,6 +3,35 @@
 
 var PARENT = $.Widget;
 
+/**
+ * Messages used if the `messageProvider` option does not provide a message.
+ * @ignore
+ */
+var defaultMessages = {
+	'valueview-diff-component-text': 'Value',
+	'valueview-diff-component-precision': 'Precision',
+	'valueview-diff-component-calendar': 'Calendar',
+	'valueview-diff-component-language': 'Language',
+	'valueview-diff-component-globe': 'Globe',
+	'valueview-diff-component-unit': 'Unit',
+	'valueview-diff-component-upperbound': 'Upper bound',
+	'valueview-diff-component-lowerbound': 'Lower bound',
+	'valueview-draft-notice': 'There are unsaved changes from a previous edit.',
+	'valueview-draft-restore': 'restore',
+	'valueview-draft-discard': 'discard',
+	'valueview-expertswitcher-title': 'Input method',
+	'valueview-loadingexpert': 'Loading…'
+};
+
+/**
+ * Key map used if the `keyMap` option is not set.
+ * @ignore
+ */
+var defaultKeyMap = {
+	stopEditing: [13], // Enter
+	cancelEditing: [27] // Escape
+};
+
 /**
  * Helper for defining a valueview member function which will just call a valueview's Expert's
  * member function and return the value received from that function. If the valueview does not have
@@ -42,11 +71,34 @@ function expertProxy( fnName ) {
  *        data types the given store has `Experts` registered for.
  * @param {valueParsers.ValueParserStore} options.parserStore
  *        Store providing the parsers values may be parsed with.
+ *        `jQuery.valueview.offlineParsers.newStore()` provides a store not requiring a backend.
  * @param {valueFormatters.ValueFormatterStore} options.formatterStore
  *        Store providing the formatters values may be formatted with.
+ *        `jQuery.valueview.offlineFormatters.newStore()` provides a store not requiring a backend.
+ * @param {jQuery.valueview.ValidatorStore|null} [options.validatorStore=null]
+ *        Store providing the validators values are validated with according to the `dataTypeId`
+ *        option. If `null`, no validators are applied: Values are still passed through the
+ *        validation, including the `validate` and `aftervalidate` events, and reported as valid
+ *        by `validatedValue()`.
+ * @param {jQuery.valueview.ResultCache|null} [options.resultCache=null]
+ *        Cache for parse and format results. Parse results are cached per raw value, value
+ *        characteristics, language, data value type and data type id. Format results are cached
+ *        per data value, output type, value characteristics, language and data type id. The same
+ *        instance may be shared among all `valueview`s on a page. If `null`, results are not
+ *        cached.
+ * @param {Object|null} [options.transport=null]
+ *        Object routing the `valueview`'s parse and format requests, e.g. a
+ *        `jQuery.valueview.BatchController` coalescing the requests of multiple `valueview`s. Needs
+ *        to implement `parse( valueParser, rawValue, dataValueType, dataTypeId )` and
+ *        `format( valueFormatter, dataValue, dataTypeId, outputType )` with the same signature of
+ *        the returned promises as `valueParsers.ValueParser.parse()` and
+ *        `valueFormatters.ValueFormatter.format()`. If `null`, the parsers and formatters are
+ *        called directly.
  * @param {string} options.language
  *        Language code of the language the `valueview` shall interact with parsers and
- *        formatters.
+ *        formatters. May be changed after initialization. Since `Expert`s are rebuilt using the
+ *        `messageProvider` option, the message provider should be updated first when switching
+ *        the language, e.g. `option( { messageProvider: provider, language: 'de' } )`.
  * @param {string|null} [options.dataTypeId=null]
  *        If set, an expert (`jQuery.valueview.Expert`), a parser (`valueParsers.ValueParser`) and a
  *        formatter (`valueFormatters.ValueFormatter`) will be determined from the provided
@@ -56,6 +108,8 @@ function expertProxy( fnName ) {
  *        widget's current definition will be displayed.
  *        If the `dataTypeId` option is `null`, expert, parser and formatter will be determined
  *        using the `dataValueType` option.
+ *        When changed after initialization, expert, parser and formatter are determined anew and
+ *        the current value is re-validated and re-formatted. Edit mode is kept.
  * @param {string|null} [options.dataValueType=null]
  *        If set while the `dataTypeId` option is `null`, a parser (`valueParsers.ValueParser`) and
  *        a formatter (`valueFormatters.ValueFormatter`) will be determined from the provided
@@ -65,15 +119,54 @@ function expertProxy( fnName ) {
  *        widget's current definition will be displayed.
  *        If the `dataValueType` option as well as the `dataTypeId` option is `null`, expert, parser
  *        and formatter will be determined using the widget's current value.
+ *        Like `dataTypeId`, the option may be changed after initialization.
  *        Consequently, if the value itself is `null`, the widget will not be able to offer any
  *        input for new values.
  * @param {dataValues.DataValue|null} [options.value=null]
  *        The data value this view should represent initially.
  *        If omitted, an empty view will be served, ready to take some input by the user. The value
- *        can also be overwritten later, by using the `value()` function.
+ *        can also be overwritten later, by using the `value()` function or by setting this option
+ *        which is equivalent.
+ * @param {dataValues.DataValue|null} [options.diffValue=null]
+ *        If set, the `valueview` is in diff mode, comparing its value against the value
+ *        specified in this option: Both values are rendered via the formatters of the
+ *        `formatterStore` and the components differing between the values are highlighted. Edit
+ *        mode cannot be started while in diff mode.
+ * @param {string} [options.diffLayout='sidebyside']
+ *        Layout of the diff mode, either `sidebyside` or `inline`.
+ * @param {jQuery.valueview.DiffStrategyStore|null} [options.diffStrategyStore=null]
+ *        Store providing the strategies used to determine the differing components of the values
+ *        compared in diff mode. If `null`, a `jQuery.valueview.DiffStrategy` comparing the
+ *        values as a whole is used.
  * @param {boolean} [options.autoStartEditing=true]
  *        Whether or not view should go into edit mode by its own upon initialization if its initial
  *        value is empty.
+ * @param {boolean} [options.handleKeys=false]
+ *        Whether the `valueview` shall handle the keys of the `keyMap` option while in edit mode:
+ *        Pressing a `stopEditing` key stops edit mode as soon as pending parsing has finished,
+ *        pressing a `cancelEditing` key cancels edit mode. Keys handled by an `Expert` (e.g. for
+ *        selecting a suggestion) should not be propagated by the `Expert`.
+ * @param {Object|null} [options.keyMap=null]
+ *        Map of actions to the keys triggering the action. A key may either be specified by its
+ *        key code or by an object featuring `keyCode` and, optionally, the modifiers `ctrlKey`,
+ *        `shiftKey`, `altKey` and `metaKey` (e.g. `{ keyCode: 13, ctrlKey: true }`). A map
+ *        replaces the default map as a whole, so actions not featured by the map are not bound to
+ *        any key. If `null`, Enter stops and Escape cancels edit mode.
+ * @param {jQuery.valueview.DraftStorage|null} [options.draftStorage=null]
+ *        Storage drafts of edit sessions are saved to whenever the `Expert`'s raw value or value
+ *        characteristics change, allowing to restore the input after the page has been reloaded.
+ *        When starting edit mode, a draft found for the `draftId` option is offered to be
+ *        restored. Drafts are removed when edit mode is stopped. Drafting requires the `draftId`
+ *        option to be set.
+ * @param {string|null} [options.draftId=null]
+ *        Id drafts of the `valueview` are stored with, e.g. an id referring to the value's
+ *        context on the page.
+ * @param {string|null} [options.expertId=null]
+ *        Id of the `Expert` to use if multiple `Expert`s are registered for the value's purpose
+ *        (see `jQuery.valueview.ExpertStore`). If `null` or if no `Expert` with the id is
+ *        registered, the `Expert` with the highest priority is used. When in edit mode and
+ *        multiple `Expert`s are available, a selector allowing to switch the `Expert` is
+ *        displayed. Switching the `Expert` keeps the parsed value. (since 0.15.0)
  * @param {number} [options.parseDelay=300]
  *        Time milliseconds that the parser should wait before parsing. A delay is useful to limit
  *        the number of API request that are outdated when returning because the input has changed
@@ -82,6 +175,13 @@ function expertProxy( fnName ) {
  *        Allows to customize the messages used by `ValueView`, `Expert`s and used widgets.
  * @param {util.ContentLanguages|null} [options.contentLanguages=null]
  *        Enables `Expert`s to provide language selection (i. e. the `MonolingualText` `Expert`).
+ * @param {util.UnitSource|null} [options.unitSource=null]
+ *        Enables `Expert`s to offer a list of units to select from (i. e. the `QuantityInput`
+ *        `Expert`).
+ * @param {Object[]|null} [options.calendarHintRules=null]
+ *        Rules determining when `Expert`s hint at the calendar model of a date (i. e. the
+ *        `TimeInput` `Expert`). See `jQuery.valueview.ExpertExtender.CalendarHint`. If `null`,
+ *        `jQuery.valueview.ExpertExtender.CalendarHint.RULES` apply. (since 0.15.0)
  */
 /**
  * @event change
@@ -92,17 +192,72 @@ function expertProxy( fnName ) {
  * @event parse
  * Triggered before the value gets parsed.
  * @param {jQuery.Event} event
+ * @param {*} rawValue The raw value to be parsed. (since 0.15.0)
  */
 /**
  * @event afterparse
  * Triggered after the value has been parsed.
  * @param {jQuery.Event} event
+ * @param {jQuery.valueview.ValueError|null} error The error that occurred while parsing or
+ *        `null` if parsing succeeded or the result is ignored. (since 0.15.0)
+ */
+/**
+ * @event pendingchange
+ * Triggered when the widget starts or stops waiting for parse or format results.
+ * @param {jQuery.Event} event
+ * @param {boolean} isPending
+ */
+/**
+ * @event validate
+ * Triggered before the value gets validated.
+ * @param {jQuery.Event} event
+ */
+/**
+ * @event aftervalidate
+ * Triggered after the value has been validated.
+ * @param {jQuery.Event} event
+ * @param {jQuery.valueview.ValidatedDataValue|null} validatedValue
+ */
+/**
+ * @event historychange
+ * Triggered when the edit history has changed, i.e. when a new value has been recorded, when
+ * undoing/redoing or when the history has been reset.
+ * @param {jQuery.Event} event
+ * @param {boolean} canUndo
+ * @param {boolean} canRedo
+ */
+/**
+ * @event draftavailable
+ * Triggered after edit mode has been started if a draft is stored for the `draftId` option.
+ * Unless the event's default action is prevented, a notice offering to restore or discard the
+ * draft is displayed.
+ * @param {jQuery.Event} event
+ * @param {Object} draft
+ */
+/**
+ * @event expertchange
+ * Triggered when the `expertId` option has been changed, e.g. by selecting another `Expert`.
+ * @param {jQuery.Event} event
+ * @param {string|null} expertId
+ */
+/**
+ * @event languagechange
+ * Triggered when the `language` option has been changed after initialization.
+ * @param {jQuery.Event} event
+ * @param {string} language
  */
 /**
  * @event afterstartediting
  * Triggered after edit mode has been started and rendered.
  * @param {jQuery.Event} event
  */
+/**
+ * @event beforestopediting
+ * Triggered before edit mode is stopped. Preventing the event's default action keeps the widget in
+ * edit mode.
+ * @param {jQuery.Event} event
+ * @param {boolean} dropValue
+ */
 /**
  * @event afterstopediting
  * Triggered after edit mode has been stopped and the widget has been redrawn.
@@ -132,6 +287,14 @@ $.widget( 'valueview.valueview', PARENT, {
 	 */
 	_formattedValue: null,
 
+	/**
+	 * Most current validated value. Might be "behind" the `valueview`'s value since validation
+	 * might involve an asynchronous request.
+	 * @property {jQuery.valueview.ValidatedDataValue|null}
+	 * @private
+	 */
+	_validatedValue: null,
+
 	/**
 	 * The DOM node containing the actual value representation. This is the `Expert`'s viewport.
 	 * @property {jQuery}
@@ -139,6 +302,13 @@ $.widget( 'valueview.valueview', PARENT, {
 	 */
 	$value: null,
 
+	/**
+	 * The DOM node displaying validation warnings inside the `Expert`'s viewport.
+	 * @property {jQuery|null}
+	 * @private
+	 */
+	_$validationWarnings: null,
+
 	/**
 	 * Value from before edit mode.
 	 * @property {dataValues.DataValue|null}
@@ -169,6 +339,66 @@ $.widget( 'valueview.valueview', PARENT, {
 	 */
 	_parseTimer: null,
 
+	/**
+	 * Number of format requests that have not been answered yet.
+	 * @property {number}
+	 * @private
+	 */
+	_pendingFormatRequests: 0,
+
+	/**
+	 * Whether `pendingchange` has been triggered with `true` most recently.
+	 * @property {boolean}
+	 * @private
+	 */
+	_wasPending: false,
+
+	/**
+	 * Deferreds to be resolved as soon as the widget is not pending anymore.
+	 * @property {jQuery.Deferred[]}
+	 * @private
+	 */
+	_settledDeferreds: null,
+
+	/**
+	 * Edit history of the current edit mode session. Each entry is an object featuring the
+	 * parsed value (`value`) as well as the `Expert`'s raw value (`rawValue`, `null` if the value
+	 * has not been entered) and the value characteristics (`valueCharacteristics`) the value has
+	 * been parsed from.
+	 * @property {Object[]}
+	 * @private
+	 */
+	_history: null,
+
+	/**
+	 * Index of the history entry currently reflected by the `valueview`.
+	 * @property {number}
+	 * @private
+	 */
+	_historyIndex: -1,
+
+	/**
+	 * The DOM node offering to restore a draft inside the `Expert`'s viewport.
+	 * @property {jQuery|null}
+	 * @private
+	 */
+	_$draftNotice: null,
+
+	/**
+	 * Selector for switching between the `Expert`s available for the value.
+	 * @property {jQuery|null}
+	 * @private
+	 */
+	_$expertSwitcher: null,
+
+	/**
+	 * Arguments for `jQuery.valueview.ExpertStore.loadExpert()` if the `Expert` to use is
+	 * registered lazily and has not been loaded yet.
+	 * @property {Array|null}
+	 * @private
+	 */
+	_expertLoadArgs: null,
+
 	/**
 	 * @see jQuery.Widget.options
 	 * @protected
@@ -178,13 +408,26 @@ $.widget( 'valueview.valueview', PARENT, {
 		expertStore: null,
 		parserStore: null,
 		formatterStore: null,
+		validatorStore: null,
+		resultCache: null,
+		transport: null,
 		dataTypeId: null,
 		dataValueType: null,
 		value: null,
+		diffValue: null,
+		diffLayout: 'sidebyside',
+		diffStrategyStore: null,
 		language: null,
 		autoStartEditing: false,
+		handleKeys: false,
+		keyMap: null,
+		draftStorage: null,
+		draftId: null,
+		expertId: null,
 		parseDelay: 300,
-		contentLanguages: null
+		contentLanguages: null,
+		unitSource: null,
+		calendarHintRules: null
 	},
 
 	/**
@@ -209,6 +452,10 @@ $.widget( 'valueview.valueview', PARENT, {
 			'class': this.widgetBaseClass + '-value'
 		} );
 
+		this._settledDeferreds = [];
+
+		this.element.on( 'keydown.' + this.widgetName, $.proxy( this._onKeydown, this ) );
+
 		// Set initial value if provided in options:
 		this._initValue( this.option( 'value' ) || null );
 
@@ -228,12 +475,30 @@ $.widget( 'valueview.valueview', PARENT, {
 				+ this.widgetName + ' '
 				+ this.widgetBaseClass + '-instaticmode '
 				+ this.widgetBaseClass + '-ineditmode '
+				+ this.widgetBaseClass + '-pending '
+				+ this.widgetBaseClass + '-loadingexpert'
 		);
 
+		// Results of pending expert loading are ignored:
+		this._expertLoadArgs = null;
+
+		$.each( this._settledDeferreds, function( i, deferred ) {
+			deferred.reject();
+		} );
+		this._settledDeferreds = [];
+
 		if( this._expert ) {
 			this._destroyExpert();
 		}
 
+		if( this._$validationWarnings ) {
+			this._$validationWarnings.remove();
+			this._$validationWarnings = null;
+		}
+
+		this._removeDraftNotice();
+		this._removeExpertSwitcher();
+
 		return PARENT.prototype.destroy.call( this );
 	},
 
@@ -249,18 +514,34 @@ $.widget( 'valueview.valueview', PARENT, {
 				// doesn't make sense to change this after initialization
 				throw new Error( 'Can not change jQuery.valueview option "' + key
 					+ '" after widget initialization' );
+			case 'value':
+				// Rejects invalid values before storing them in the options:
+				this.value( value );
+				break;
 		}
 
 		PARENT.prototype._setOption.call( this, key, value );
 
 		switch( key ) {
 			case 'expertStore':
-			case 'dataTypeId': // TODO: make this work properly and test
+			case 'dataTypeId':
 			case 'dataValueType':
-				this._updateExpertConstructor();
+				this._updateDataType();
 				break;
-			case 'value':
-				// TODO
+			case 'expertId':
+				this._switchExpert();
+				break;
+			case 'language':
+				this._updateLanguage();
+				break;
+			case 'diffValue':
+			case 'diffLayout':
+			case 'diffStrategyStore':
+				if( this.isInEditMode() ) {
+					this.stopEditing();
+				} else {
+					this.draw();
+				}
 				break;
 			default:
 				break;
@@ -274,17 +555,26 @@ $.widget( 'valueview.valueview', PARENT, {
 	startEditing: function() {
 		var self = this;
 
-		if( this.isInEditMode() ) {
+		if( this.isInEditMode() || this.isInDiffMode() ) {
 			return; // return nothing to allow chaining
 		}
 
 		this._initialValue = this.value();
 		this._isInEditMode = true;
+		// The value might have changed since the constructor has been chosen last which is
+		// relevant to `Expert`s registered with a matcher:
+		this._updateExpertConstructor();
+		this._resetHistory( [ {
+			value: this._initialValue,
+			rawValue: null,
+			valueCharacteristics: this.valueCharacteristics()
+		} ] );
 
 		this.element.html( this.$value );
 
 		this.draw()
 		.done( function() {
+			self._offerDraft();
 			self._trigger( 'afterstartediting' );
 		} );
 	},
@@ -308,6 +598,12 @@ $.widget( 'valueview.valueview', PARENT, {
 
 		var self = this;
 
+		if( !this._trigger( 'beforestopediting', null, [dropValue] ) ) {
+			return;
+		}
+
+		this.discardDraft();
+
 		if( dropValue ) {
 			// reinstate initial value from before edit mode
 			this.value( this.initialValue() );
@@ -315,11 +611,14 @@ $.widget( 'valueview.valueview', PARENT, {
 
 		this._initialValue = null;
 		this._isInEditMode = false;
+		this._resetHistory( [] );
 		delete this.__lastValueCharacteristics;
 		if( this._expert ) {
 			this._destroyExpert();
 		}
 
+		this._removeExpertSwitcher();
+		this.element.removeClass( this.widgetBaseClass + '-loadingexpert' );
 		this.$value.detach();
 
 		this.draw()
@@ -336,6 +635,435 @@ $.widget( 'valueview.valueview', PARENT, {
 		return this.stopEditing( true );
 	},
 
+	/**
+	 * Handles the keys of the `keyMap` option if the `handleKeys` option is set.
+	 * @private
+	 *
+	 * @param {jQuery.Event} event
+	 */
+	_onKeydown: function( event ) {
+		var action = null;
+
+		if( !this.options.handleKeys || !this.isInEditMode() || this.isDisabled() ) {
+			return;
+		}
+
+		$.each( this.options.keyMap || defaultKeyMap, function( mappedAction, keys ) {
+			$.each( keys, function( i, key ) {
+				if( matchesKey( event, key ) ) {
+					action = mappedAction;
+					return false;
+				}
+			} );
+			return action === null;
+		} );
+
+		if( action === 'stopEditing' ) {
+			event.preventDefault();
+			this._stopEditingWhenParsed();
+		} else if( action === 'cancelEditing' ) {
+			event.preventDefault();
+			this._cancelParsing();
+			this.cancelEditing();
+		}
+	},
+
+	/**
+	 * Stops edit mode as soon as pending parse and format requests have been answered.
+	 * @private
+	 */
+	_stopEditingWhenParsed: function() {
+		var self = this;
+
+		this.whenSettled().done( function() {
+			if( self.isInEditMode() ) {
+				self.stopEditing();
+			}
+		} );
+	},
+
+	/**
+	 * Returns whether the widget is waiting for the result of parsing the current input or for
+	 * the result of formatting the current value.
+	 * @since 0.15.0
+	 *
+	 * @return {boolean}
+	 */
+	isPending: function() {
+		return this.__lastUpdateValue !== undefined || this._pendingFormatRequests > 0;
+	},
+
+	/**
+	 * Returns a promise resolved as soon as the widget is not pending anymore (see `isPending()`).
+	 * @since 0.15.0
+	 *
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 * @return {Function} return.fail Called when the widget is destroyed while pending.
+	 */
+	whenSettled: function() {
+		var deferred = $.Deferred();
+
+		if( !this.isPending() ) {
+			return deferred.resolve().promise();
+		}
+
+		this._settledDeferreds.push( deferred );
+		return deferred.promise();
+	},
+
+	/**
+	 * Triggers the `pendingchange` event and updates the widget's state CSS class if the pending
+	 * state has changed. Resolves the promises returned by `whenSettled()` when the widget is not
+	 * pending anymore.
+	 * @private
+	 */
+	_updatePendingState: function() {
+		var isPending = this.isPending(),
+			deferreds;
+
+		if( isPending === this._wasPending ) {
+			return;
+		}
+
+		this._wasPending = isPending;
+		this.element.toggleClass( this.widgetBaseClass + '-pending', isPending );
+		this._trigger( 'pendingchange', null, [isPending] );
+
+		if( !isPending ) {
+			deferreds = this._settledDeferreds;
+			this._settledDeferreds = [];
+			$.each( deferreds, function( i, deferred ) {
+				deferred.resolve();
+			} );
+		}
+	},
+
+	/**
+	 * Returns whether there is a previous value in the edit history to return to.
+	 * @since 0.15.0
+	 *
+	 * @return {boolean}
+	 */
+	canUndo: function() {
+		return this.isInEditMode() && this._historyIndex > 0;
+	},
+
+	/**
+	 * Returns whether there is a value in the edit history that has been undone.
+	 * @since 0.15.0
+	 *
+	 * @return {boolean}
+	 */
+	canRedo: function() {
+		return this.isInEditMode() && this._historyIndex < this._history.length - 1;
+	},
+
+	/**
+	 * Reinstates the previous value of the edit history. The `Expert` is rebuilt to reflect the
+	 * reinstated value.
+	 * @since 0.15.0
+	 */
+	undo: function() {
+		if( this.canUndo() ) {
+			this._restoreHistoryEntry( this._historyIndex - 1 );
+		}
+	},
+
+	/**
+	 * Reinstates the value of the edit history that has been undone most recently.
+	 * @since 0.15.0
+	 */
+	redo: function() {
+		if( this.canRedo() ) {
+			this._restoreHistoryEntry( this._historyIndex + 1 );
+		}
+	},
+
+	/**
+	 * @private
+	 *
+	 * @param {Object[]} history
+	 */
+	_resetHistory: function( history ) {
+		this._history = history;
+		this._historyIndex = history.length - 1;
+		this._trigger( 'historychange', null, [this.canUndo(), this.canRedo()] );
+	},
+
+	/**
+	 * Adds an entry to the edit history dropping all entries that have been undone. Nothing is
+	 * recorded if the entry equals the current entry.
+	 * @private
+	 *
+	 * @param {dataValues.DataValue|null} value
+	 * @param {*} rawValue
+	 * @param {Object} valueCharacteristics
+	 */
+	_recordHistoryEntry: function( value, rawValue, valueCharacteristics ) {
+		var current = this._history[this._historyIndex],
+			serialize = function( entry ) {
+				return JSON.stringify( [
+					entry.value && entry.value.toJSON(),
+					entry.valueCharacteristics
+				] );
+			},
+			entry = {
+				value: value,
+				rawValue: rawValue,
+				valueCharacteristics: valueCharacteristics
+			};
+
+		if( current && serialize( current ) === serialize( entry ) ) {
+			return;
+		}
+
+		this._history = this._history.slice( 0, this._historyIndex + 1 );
+		this._history.push( entry );
+		this._historyIndex = this._history.length - 1;
+		this._trigger( 'historychange', null, [this.canUndo(), this.canRedo()] );
+	},
+
+	/**
+	 * Reinstates a value of the edit history.
+	 * @private
+	 *
+	 * @param {number} index
+	 */
+	_restoreHistoryEntry: function( index ) {
+		var self = this,
+			entry = this._history[index];
+
+		// Drop pending parse results which would overwrite the reinstated value:
+		if( this._parseTimer ) {
+			clearTimeout( this._parseTimer );
+			this._parseTimer = null;
+		}
+		this.__lastUpdateValue = undefined;
+		this._updatePendingState();
+
+		var expertId = entry.valueCharacteristics.expertId || null,
+			expertChanged = expertId !== this.options.expertId;
+
+		this._historyIndex = index;
+		this._value = entry.value;
+		this.__lastValueCharacteristics = entry.valueCharacteristics;
+		this.options.expertId = expertId;
+		this._updateExpertConstructor();
+		this._validateValue();
+
+		// Rebuild the expert since it initializes its input from the value:
+		if( this._expert ) {
+			this._destroyExpert();
+		}
+
+		var draw = function() {
+			self.drawContent()
+			.done( function() {
+				// Reinstate settings the rebuilt expert cannot derive from the value, e.g. an
+				// explicitly selected precision, so they apply when parsing further input:
+				if( self._expert && entry.rawValue !== null ) {
+					self._expert.restoreRawValue( entry.rawValue, entry.valueCharacteristics );
+				}
+				self.focus();
+			} );
+		};
+
+		if( this._value === null ) {
+			this._formattedValue = null;
+			draw();
+		} else {
+			this._formatValue( this._value )
+				.done( function( formattedValue ) {
+					self._formattedValue = formattedValue;
+					draw();
+				} )
+				.fail( function( message ) {
+					if( message ) {
+						self._formattedValue = null;
+						draw();
+						self._renderError( message );
+					}
+				} );
+		}
+
+		this._trigger( 'change' );
+		if( expertChanged ) {
+			this._trigger( 'expertchange', null, [expertId] );
+		}
+		this._trigger( 'historychange', null, [this.canUndo(), this.canRedo()] );
+	},
+
+	/**
+	 * Returns the draft stored for the `draftId` option if it has been created for the current
+	 * data type id and data value type.
+	 * @since 0.15.0
+	 *
+	 * @return {Object|null} Object featuring the `Expert`'s `rawValue` and
+	 *         `valueCharacteristics`.
+	 */
+	getDraft: function() {
+		var draftStorage = this._getDraftStorage(),
+			draft = draftStorage && draftStorage.get( this.options.draftId );
+
+		if(
+			!draft
+			|| draft.dataTypeId !== ( this.options.dataTypeId || null )
+			|| draft.dataValueType !== ( this._determineDataValueType() || null )
+		) {
+			return null;
+		}
+
+		return draft;
+	},
+
+	/**
+	 * Puts the raw value and value characteristics of the stored draft back into the `Expert`
+	 * and parses the restored raw value.
+	 * @since 0.15.0
+	 *
+	 * @return {boolean} Whether the draft could be restored.
+	 */
+	restoreDraft: function() {
+		var draft = this.getDraft();
+
+		if(
+			!draft
+			|| !this.isInEditMode()
+			|| !this._expert
+			|| !this._expert.restoreRawValue( draft.rawValue, draft.valueCharacteristics || {} )
+		) {
+			return false;
+		}
+
+		this._removeDraftNotice();
+		this.viewNotifier().notify( 'change' );
+
+		return true;
+	},
+
+	/**
+	 * Removes the draft stored for the `draftId` option.
+	 * @since 0.15.0
+	 */
+	discardDraft: function() {
+		var draftStorage = this._getDraftStorage();
+
+		this._removeDraftNotice();
+
+		if( draftStorage ) {
+			draftStorage.remove( this.options.draftId );
+		}
+	},
+
+	/**
+	 * Stores the `Expert`'s current raw value and value characteristics as draft.
+	 * @private
+	 */
+	_saveDraft: function() {
+		var draftStorage = this._getDraftStorage(),
+			rawValue = draftStorage && this._expert && this._expert.rawValue();
+
+		if( typeof rawValue !== 'string' ) {
+			return;
+		}
+
+		draftStorage.set( this.options.draftId, {
+			rawValue: rawValue,
+			valueCharacteristics: this._expert.valueCharacteristics(),
+			dataTypeId: this.options.dataTypeId || null,
+			dataValueType: this._determineDataValueType() || null
+		} );
+	},
+
+	/**
+	 * Returns the `draftStorage` option if drafting is enabled.
+	 * @private
+	 *
+	 * @return {jQuery.valueview.DraftStorage|null}
+	 *
+	 * @throws {Error} if the `draftStorage` option is not a `jQuery.valueview.DraftStorage`
+	 *         instance.
+	 */
+	_getDraftStorage: function() {
+		var draftStorage = this.options.draftStorage;
+
+		if( draftStorage && !( draftStorage instanceof $.valueview.DraftStorage ) ) {
+			throw new Error( 'draftStorage needs to be an instance of '
+				+ 'jQuery.valueview.DraftStorage' );
+		}
+
+		return draftStorage && this.options.draftId !== null ? draftStorage : null;
+	},
+
+	/**
+	 * Offers to restore a stored draft.
+	 * @private
+	 */
+	_offerDraft: function() {
+		var self = this,
+			draft = this.getDraft();
+
+		if( !draft || !this._trigger( 'draftavailable', null, [draft] ) ) {
+			return;
+		}
+
+		var createLink = function( name, callback ) {
+			return $( '<a/>' )
+				.attr( 'href', '#' )
+				.addClass( self.widgetBaseClass + '-draft' + name )
+				.text( self._getMessage( 'valueview-draft-' + name ) )
+				.on( 'click.' + self.widgetName, function( event ) {
+					event.preventDefault();
+					callback();
+				} );
+		};
+
+		this._removeDraftNotice();
+
+		this._$draftNotice = $( '<div/>' )
+			.addClass( this.widgetBaseClass + '-draftnotice' )
+			.append(
+				$( '<span/>' ).text( this._getMessage( 'valueview-draft-notice' ) ),
+				' ',
+				createLink( 'restore', function() {
+					self.restoreDraft();
+					self.focus();
+				} ),
+				' ',
+				createLink( 'discard', function() {
+					self.discardDraft();
+					self.focus();
+				} )
+			)
+			.prependTo( this.$value );
+	},
+
+	/**
+	 * @private
+	 */
+	_removeDraftNotice: function() {
+		if( this._$draftNotice ) {
+			this._$draftNotice.remove();
+			this._$draftNotice = null;
+		}
+	},
+
+	/**
+	 * Returns a message of the `messageProvider` option falling back to the default message.
+	 * @private
+	 *
+	 * @param {string} key
+	 * @return {string}
+	 */
+	_getMessage: function( key ) {
+		var messageProvider = this.options.messageProvider;
+
+		return messageProvider && messageProvider.getMessage( key )
+			|| defaultMessages[key]
+			|| key;
+	},
+
 	/**
 	 * Returns whether the view is in its editable state currently.
 	 *
@@ -345,6 +1073,16 @@ $.widget( 'valueview.valueview', PARENT, {
 		return this._isInEditMode;
 	},
 
+	/**
+	 * Returns whether the view is comparing its value against the `diffValue` option.
+	 * @since 0.15.0
+	 *
+	 * @return {boolean}
+	 */
+	isInDiffMode: function() {
+		return !!this.options.diffValue;
+	},
+
 	/**
 	 * Returns the value from before the edit mode has been started.
 	 * If its not in edit mode, the current value will be returned.
@@ -356,24 +1094,15 @@ $.widget( 'valueview.valueview', PARENT, {
 		return this._initialValue;
 	},
 
-	// TODO: think about another function which should rather use some kind of "ValidatedDataValue",
-	//       holding a reference to the used data type and the info that it is valid against it.
-	//       As soon as we have validations we have to consider that the given value is invalid,
-	//       this would require the following considerations:
-	//       1) allow setting invalid values (wouldn't be that bad, invalid values should probably
-	//          be displayed anyhow in some cases where we have old values for a property but the
-	//          property definition has changed (e.g. allowed range from 0-1,000 changed to 0-100).
-	//       2) Trigger a validation after the value is set. If invalid, warning in UI
-	//       Probably we want both, a ValidatedDataValue AND the ability to set an invalid value as
-	//       described.
-	//       A ValidatedDataValue could always be returned by another function and be an indicator
-	//       for whether the value is valid or not.
 	/**
 	 * Returns the value of the view. If the view is in edit mode, this will return the current
-	 * value the user is typing. There is no guarantee that the returned value is valid.
+	 * value the user is typing. There is no guarantee that the returned value is valid. Use
+	 * `validatedValue()` to find out whether the value is valid.
 	 *
 	 * If the first parameter is given, this will change the value represented to that value. This
-	 * will trigger validation of the value.
+	 * will trigger validation of the value. Invalid values are set nevertheless since values that
+	 * have become invalid (e.g. because the data type's constraints have changed) still need to
+	 * be displayed.
 	 *
 	 * If `null` is given or returned, this means that the view is or should be empty.
 	 *
@@ -407,6 +1136,7 @@ $.widget( 'valueview.valueview', PARENT, {
 			this._value = value;
 			this._formattedValue = formattedValue;
 			this._updateExpertConstructor();
+			this._validateValue();
 			this.draw();
 		}
 	},
@@ -435,9 +1165,8 @@ $.widget( 'valueview.valueview', PARENT, {
 		this._value = value;
 		this._updateExpertConstructor(); // new value, new expert might be needed
 
-		// TODO: trigger validation. Value will still be set independent from whether value is valid
-		//  to ultimately set a value without triggering validation, some kind of ValidatedDataValue,
-		//  as mentioned in the 'value' function's todo, would be required.
+		// Value is set independent from whether it is valid.
+		this._validateValue();
 
 		var self = this;
 
@@ -445,8 +1174,6 @@ $.widget( 'valueview.valueview', PARENT, {
 			this._formattedValue = null;
 			this.draw();
 		} else {
-			// TODO: Cache the initial formatted value in order to not have to trigger an API
-			// request when resetting.
 			this._formatValue( this._value )
 				.done( function( formattedValue ) {
 					self._formattedValue = formattedValue;
@@ -460,6 +1187,24 @@ $.widget( 'valueview.valueview', PARENT, {
 		}
 	},
 
+	/**
+	 * Returns the most current validated value featured by this `valueview`. Returns `null` if the
+	 * view is empty or if the validation of the current value has not finished yet.
+	 * @since 0.15.0
+	 *
+	 * @return {jQuery.valueview.ValidatedDataValue|null}
+	 */
+	validatedValue: function() {
+		if(
+			this._validatedValue
+			&& this._validatedValue.getDataValue() === this._value
+			&& this._validatedValue.getDataTypeId() === ( this.options.dataTypeId || null )
+		) {
+			return this._validatedValue;
+		}
+		return null;
+	},
+
 	/**
 	 * Returns the most current formatted value featured by this `valueview`.
 	 *
@@ -519,27 +1264,277 @@ $.widget( 'valueview.valueview', PARENT, {
 		var dataValueType = this._determineDataValueType();
 
 		this._expertConstructor = $.valueview.experts.EmptyValue;
+		this._expertLoadArgs = null;
 
 		if( dataValueType || this.options.dataTypeId ) {
-			this._expertConstructor = this.options.expertStore.getExpert(
-				dataValueType,
-				this.options.dataTypeId
-			) || $.valueview.experts.UnsupportedValue;
+			var loadArgs = [
+					dataValueType,
+					this.options.dataTypeId,
+					this.options.expertId,
+					this._getExpertContext()
+				],
+				expertStore = this.options.expertStore,
+				selection = expertStore.selectExpert.apply( expertStore, loadArgs );
+
+			if( selection && !selection.Expert ) {
+				// Lazily registered expert is loaded as soon as it is needed (see _updateExpert()):
+				this._expertConstructor = null;
+				this._expertLoadArgs = loadArgs;
+				return;
+			}
+
+			this._expertConstructor = selection
+				? selection.Expert
+				: $.valueview.experts.UnsupportedValue;
+		}
+	},
+
+	/**
+	 * Replaces the `Expert` according to the `expertId` option. The current value is kept while
+	 * pending parse results are dropped.
+	 * @private
+	 */
+	_switchExpert: function() {
+		var self = this;
+
+		this._cancelParsing();
+		this._updateExpertConstructor();
+
+		if( this.isInEditMode() ) {
+			if( this._expert ) {
+				this._destroyExpert();
+			}
+			this.drawContent()
+			.done( function() {
+				self.focus();
+			} );
+		}
+
+		this._trigger( 'expertchange', null, [this.options.expertId] );
+	},
+
+	/**
+	 * Applies a changed `language` option: The current value is re-formatted, the `Expert` is
+	 * rebuilt to pick up the messages of the new language and raw input that has not been parsed
+	 * successfully is parsed again using the new language.
+	 * @private
+	 */
+	_updateLanguage: function() {
+		var self = this,
+			rawValue = null,
+			valueCharacteristics = null;
+
+		if( this._expert ) {
+			rawValue = this._expert.rawValue();
+			valueCharacteristics = this._expert.valueCharacteristics();
+
+			if( this.__lastUpdateValue === undefined && rawValue === this._textValue ) {
+				// The input represents the current value which gets re-formatted anyway.
+				rawValue = null;
+			}
+		}
+
+		this._cancelParsing();
+
+		// The switcher's title is a message of the previous language:
+		this._removeExpertSwitcher();
+
+		this._reformatAndRedraw()
+		.done( function() {
+			if(
+				rawValue !== null
+				&& self._expert
+				&& self._expert.restoreRawValue( rawValue, valueCharacteristics )
+			) {
+				self._updateValue();
+			}
+		} );
+
+		this._trigger( 'languagechange', null, [this.options.language] );
+	},
+
+	/**
+	 * Applies a changed `dataTypeId`, `dataValueType` or `expertStore` option: The `Expert` is
+	 * chosen anew, the current value is validated and re-formatted using the validators and the
+	 * formatter of the new data type and edit mode, if active, is kept with the new `Expert`.
+	 * Pending parse results are dropped.
+	 * @private
+	 */
+	_updateDataType: function() {
+		this._cancelParsing();
+		this._updateExpertConstructor();
+		this._validateValue();
+		this._reformatAndRedraw();
+	},
+
+	/**
+	 * Drops the result of the parse request currently pending, if any.
+	 * @private
+	 */
+	_cancelParsing: function() {
+		if( this._parseTimer ) {
+			clearTimeout( this._parseTimer );
+			this._parseTimer = null;
+		}
+		this.__lastUpdateValue = undefined;
+		this._updatePendingState();
+	},
+
+	/**
+	 * Re-formats the current value and redraws the `valueview`. In edit mode, the `Expert` is
+	 * rebuilt.
+	 * @private
+	 *
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done Called after redrawing.
+	 * @return {Function} return.fail Called if the value has been changed while formatting.
+	 */
+	_reformatAndRedraw: function() {
+		var self = this,
+			value = this._value,
+			deferred = $.Deferred();
+
+		function redraw( formattedValue ) {
+			if( self._value !== value ) {
+				deferred.reject();
+				return;
+			}
+
+			self._formattedValue = formattedValue;
+
+			if( self.isInEditMode() && self._expert ) {
+				self._destroyExpert();
+			}
+
+			self.draw()
+			.done( function() {
+				deferred.resolve();
+			} );
+		}
+
+		if( !value ) {
+			redraw( null );
+		} else {
+			this._formatValue( value )
+			.done( redraw )
+			.fail( function( message ) {
+				if( message ) {
+					redraw( null );
+				} else {
+					deferred.reject();
+				}
+			} );
+		}
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Returns the `Expert`s available for the current purpose.
+	 * @private
+	 *
+	 * @return {Object[]} See `jQuery.valueview.ExpertStore.getExperts()`.
+	 */
+	_getAvailableExperts: function() {
+		var dataValueType = this._determineDataValueType();
+
+		if( !dataValueType && !this.options.dataTypeId ) {
+			return [];
+		}
+
+		return this.options.expertStore.getExperts(
+			dataValueType,
+			this.options.dataTypeId,
+			this._getExpertContext()
+		);
+	},
+
+	/**
+	 * Returns the context passed to the matchers of `Expert`s registered with
+	 * `jQuery.valueview.ExpertStore.registerMatchingExpert()`.
+	 * @private
+	 *
+	 * @return {Object}
+	 */
+	_getExpertContext: function() {
+		return {
+			value: this.value(),
+			options: this.options
+		};
+	},
+
+	/**
+	 * Displays a selector for switching the `Expert` if multiple `Expert`s are available.
+	 * @private
+	 */
+	_drawExpertSwitcher: function() {
+		var self = this,
+			experts = this._getAvailableExperts(),
+			currentId = null;
+
+		$.each( experts, function( i, expert ) {
+			if( expert.Expert === self._expertConstructor ) {
+				currentId = expert.id;
+				return false;
+			}
+		} );
+
+		if( experts.length < 2 || currentId === null ) {
+			this._removeExpertSwitcher();
+			return;
+		}
+
+		if( !this._$expertSwitcher ) {
+			this._$expertSwitcher = $( '<select/>' )
+				.addClass( this.widgetBaseClass + '-expertswitcher' )
+				.attr( 'title', this._getMessage( 'valueview-expertswitcher-title' ) )
+				.on( 'change.' + this.widgetName, function() {
+					self.option( 'expertId', $( this ).val() );
+				} );
+		}
+
+		this._$expertSwitcher
+			.empty()
+			.append( $.map( experts, function( expert ) {
+				return $( '<option/>' ).val( expert.id ).text( expert.label || expert.id )[0];
+			} ) )
+			.val( currentId );
+
+		if( this._$expertSwitcher.next()[0] !== this.$value[0] ) {
+			this._$expertSwitcher.insertBefore( this.$value );
+		}
+	},
+
+	/**
+	 * @private
+	 */
+	_removeExpertSwitcher: function() {
+		if( this._$expertSwitcher ) {
+			this._$expertSwitcher.remove();
+			this._$expertSwitcher = null;
 		}
 	},
 
 	/**
 	 * Will update the `Expert` responsible for handling the value type of the current value. If
 	 * there is no value set currently (empty value), the expert will be chosen based on the
-	 * `dataTypeId` or `dataValueType` option of the `valueview` widget.
+	 * `dataTypeId` or `dataValueType` option of the `valueview` widget. If the `Expert` is
+	 * registered lazily, a loading state is displayed until the `Expert` has been loaded. If
+	 * loading fails, the `ExpertStore`'s default `Expert` is used.
 	 * @private
+	 *
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 * @return {Function} return.fail
 	 */
 	_updateExpert: function() {
+		var self = this;
+
 		if(
 			this._expert && this._expertConstructor
 			&& this._expert.constructor === this._expertConstructor.prototype.constructor
 		) {
-			return; // fully compatible expert
+			return $.Deferred().resolve().promise(); // fully compatible expert
 		}
 
 		// Previous expert not suitable for the new task!
@@ -548,18 +1543,70 @@ $.widget( 'valueview.valueview', PARENT, {
 			this._destroyExpert();
 		}
 
+		if( this._expertLoadArgs ) {
+			return this._loadExpert().then( function() {
+				// The expert constructor might have been updated while loading:
+				return self._updateExpert();
+			} );
+		}
+
 		if( this._expertConstructor ) {
 			this._expert = new this._expertConstructor(
 				this.$value,
 				this.viewState(),
 				this.viewNotifier(),
 				{
+					calendarHintRules: this.options.calendarHintRules,
 					contentLanguages: this.options.contentLanguages,
-					messageProvider: this.options.messageProvider
+					messageProvider: this.options.messageProvider,
+					unitSource: this.options.unitSource
 				}
 			);
 			this._expert.init();
 		}
+
+		return $.Deferred().resolve().promise();
+	},
+
+	/**
+	 * Loads the lazily registered `Expert` and displays a loading state meanwhile.
+	 * @private
+	 *
+	 * @return {Object} jQuery.Promise Resolved when loading has finished, even if it failed.
+	 * @return {Function} return.done
+	 */
+	_loadExpert: function() {
+		var self = this,
+			deferred = $.Deferred(),
+			loadArgs = this._expertLoadArgs,
+			expertStore = this.options.expertStore,
+			loadingClass = this.widgetBaseClass + '-loadingexpert';
+
+		this.element.addClass( loadingClass );
+		this.$value.empty().append(
+			$( '<span/>' )
+				.addClass( loadingClass + '-message' )
+				.text( this._getMessage( 'valueview-loadingexpert' ) )
+		);
+
+		var useExpert = function( Expert ) {
+			// Ignore the result if the expert constructor has been updated meanwhile:
+			if( self._expertLoadArgs === loadArgs ) {
+				self._expertLoadArgs = null;
+				self._expertConstructor = Expert || $.valueview.experts.UnsupportedValue;
+				self.element.removeClass( loadingClass );
+				self.$value.empty();
+			}
+			deferred.resolve();
+		};
+
+		expertStore.loadExpert.apply( expertStore, loadArgs )
+		.done( useExpert )
+		.fail( function() {
+			useExpert( expertStore.getDefaultExpert( loadArgs[0], loadArgs[1] ) );
+		} );
+
+		return deferred.promise();
 	},
 
 	/**
@@ -616,20 +1663,33 @@ $.widget( 'valueview.valueview', PARENT, {
 					return;
 				}
 
-				self._updateExpert();
+				self._updateExpert()
+				.done( function() {
+					if( !self.isInEditMode() || !self._expert ) {
+						// edit mode was left or the widget has been destroyed while loading the
+						// expert
+						return;
+					}
 
-				// TODO: Display message that data value type is unsupported or no expert indicator
-				//  and no value at the same time:
-				// if( !self._expert ) { ... }
+					// TODO: Display message that data value type is unsupported or no expert
+					//  indicator and no value at the same time:
+					// if( !self._expert ) { ... }
 
-				self._expert.draw()
-				.done( function() {
-					deferred.resolve();
-				} )
-				.fail( function() {
-					deferred.reject();
+					self._expert.draw()
+					.done( function() {
+						self._drawValidationWarnings();
+						self._drawExpertSwitcher();
+						deferred.resolve();
+					} )
+					.fail( function() {
+						deferred.reject();
+					} );
 				} );
 			} );
+		} else if( this.isInDiffMode() ) {
+			this._drawDiff().done( function() {
+				deferred.resolve();
+			} );
 		} else {
 			this.drawStaticContent();
 			deferred.resolve();
@@ -702,49 +1762,310 @@ $.widget( 'valueview.valueview', PARENT, {
 	 * @private
 	 */
 	_updateValue: function() {
-		var self = this;
+		var self = this,
+			rawValue = this._expert.rawValue(),
+			valueCharacteristics = this.valueCharacteristics();
 
 		this._parseValue()
 			.done( function( parsedValue ) {
 				self._value = parsedValue;
+				self._validateValue();
+				self._recordHistoryEntry( parsedValue, rawValue, valueCharacteristics );
+
+				if( self._expert ) {
+					self._expert.showError( null );
+				}
 
 				if( self._value === null ) {
 					self._formattedValue = null;
 					self.drawContent();
-					return;
+				} else {
+					self._formatValue( parsedValue )
+						.done( function( formattedValue ) {
+							self._formattedValue = formattedValue;
+							self.drawContent();
+						} )
+						.fail( function( message ) {
+							if( message ) {
+								self._formattedValue = null;
+								self._renderError( message );
+							}
+						} );
 				}
 
-				self._formatValue( parsedValue )
-					.done( function( formattedValue ) {
-						self._formattedValue = formattedValue;
-						self.drawContent();
-					} )
-					.fail( function( message ) {
-						if( message ) {
-							self._formattedValue = null;
-							self._renderError( message );
-						}
-					} );
-
+				// Leave the pending state for `null` and cached values as well:
+				self._updatePendingState();
 			} )
-			.fail( function( message ) {
-				if( message ) {
+			.fail( function( error ) {
+				if( error ) {
 					self._value = null;
-					self._renderError( message );
+					self._renderError( error );
+				}
+
+				self._updatePendingState();
+			} );
+	},
+
+	/**
+	 * Validates the current value using the validators registered for the `dataTypeId` option in
+	 * the validator store.
+	 * @private
+	 *
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 * @return {jQuery.valueview.ValidatedDataValue|null} return.done.validatedValue
+	 * @return {Function} return.fail
+	 * @return {string|undefined} return.fail.message HTML error message or `undefined` if the
+	 *         result shall be ignored.
+	 *
+	 * @throws {Error} if the validator store is not an instance of
+	 *         `jQuery.valueview.ValidatorStore`.
+	 */
+	_validateValue: function() {
+		var self = this,
+			deferred = $.Deferred(),
+			dataValue = this._value,
+			dataTypeId = this.options.dataTypeId || null,
+			validatorStore = this.options.validatorStore,
+			validators = [];
+
+		if( validatorStore && !( validatorStore instanceof $.valueview.ValidatorStore ) ) {
+			throw new Error( 'No proper validator store in valueview\'s options specified' );
+		}
+
+		this._trigger( 'validate' );
+
+		if( dataValue === null ) {
+			this._validatedValue = null;
+			this._drawValidationWarnings();
+			this._trigger( 'aftervalidate', null, [null] );
+			return deferred.resolve( null ).promise();
+		}
+
+		if( validatorStore ) {
+			validators = validatorStore.getValidators( dataTypeId );
+		}
+
+		$.when.apply( $, $.map( validators, function( validator ) {
+			return validator.validate( dataValue, dataTypeId );
+		} ) )
+		.done( function() {
+			if( self._value !== dataValue ) {
+				// Late response that should be ignored.
+				deferred.reject();
+				return;
+			}
+
+			var errors = [];
+			$.each( arguments, function( i, validatorErrors ) {
+				errors = errors.concat( validatorErrors || [] );
+			} );
+
+			self._validatedValue = new $.valueview.ValidatedDataValue(
+				dataValue,
+				dataTypeId,
+				errors
+			);
+			self._drawValidationWarnings();
+			self._trigger( 'aftervalidate', null, [self._validatedValue] );
+			deferred.resolve( self._validatedValue );
+		} )
+		.fail( function( message ) {
+			deferred.reject( self._value === dataValue ? message : undefined );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Draws the comparison of the `diffValue` option's value and the current value.
+	 * @private
+	 *
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 */
+	_drawDiff: function() {
+		var self = this,
+			oldValue = this.options.diffValue,
+			newValue = this._value,
+			layout = this.options.diffLayout === 'inline' ? 'inline' : 'sidebyside',
+			diffClass = this.widgetBaseClass + '-diff';
+
+		return $.when( this._formatForDiff( oldValue ), this._formatForDiff( newValue ) )
+			.done( function( oldFormatted, newFormatted ) {
+				var nodeNames = layout === 'inline' ? ['del', 'ins'] : ['div', 'div'],
+					$diff = $( '<div/>' ).addClass( diffClass + ' ' + diffClass + '-' + layout ),
+					$components = $( '<dl/>' ).addClass( diffClass + '-components' );
+
+				$diff.append(
+					$( '<' + nodeNames[0] + '/>' ).addClass( diffClass + '-old' ).html( oldFormatted ),
+					$( '<' + nodeNames[1] + '/>' ).addClass( diffClass + '-new' ).html( newFormatted )
+				);
+
+				$.each( self._getDiffStrategy().getDifferences( oldValue, newValue ),
+					function( name, difference ) {
+						$components.append(
+							$( '<dt/>' )
+								.addClass( diffClass + '-component-' + name )
+								.text( self._getDiffComponentLabel( name ) ),
+							$( '<dd/>' )
+								.addClass( diffClass + '-component-' + name )
+								.append(
+									$( '<del/>' ).html( util.highlightDifferences(
+										difference.oldValue,
+										difference.newValue
+									) ),
+									' ',
+									$( '<ins/>' ).html( util.highlightDifferences(
+										difference.newValue,
+										difference.oldValue
+									) )
+								)
+						);
+					}
+				);
+
+				if( $components.children().length ) {
+					$diff.append( $components );
 				}
+
+				self.element.empty().append( $diff );
+			} );
+	},
+
+	/**
+	 * Formats a value compared in diff mode. If formatting fails, the value's serialization is
+	 * returned.
+	 * @private
+	 *
+	 * @param {dataValues.DataValue|null} dataValue
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 * @return {string} return.done.formatted HTML
+	 */
+	_formatForDiff: function( dataValue ) {
+		var deferred = $.Deferred();
+
+		if( !dataValue ) {
+			return deferred.resolve( '' ).promise();
+		}
+
+		this._format( dataValue, 'text/html' )
+			.done( function( formatted ) {
+				deferred.resolve( formatted );
+			} )
+			.fail( function() {
+				deferred.resolve(
+					$( '<div/>' ).text( JSON.stringify( dataValue.toJSON() ) ).html()
+				);
 			} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * @private
+	 *
+	 * @return {jQuery.valueview.DiffStrategy}
+	 *
+	 * @throws {Error} if the `diffStrategyStore` option is not a
+	 *         `jQuery.valueview.DiffStrategyStore` instance.
+	 */
+	_getDiffStrategy: function() {
+		var store = this.options.diffStrategyStore,
+			value = this._value || this.options.diffValue;
+
+		if( !store ) {
+			return new $.valueview.DiffStrategy();
+		}
+
+		if( !( store instanceof $.valueview.DiffStrategyStore ) ) {
+			throw new Error( 'diffStrategyStore needs to be an instance of '
+				+ 'jQuery.valueview.DiffStrategyStore' );
+		}
+
+		return store.getStrategy(
+			this.options.dataValueType || value.getType(),
+			this.options.dataTypeId
+		);
+	},
+
+	/**
+	 * @private
+	 *
+	 * @param {string} name
+	 * @return {string}
+	 */
+	_getDiffComponentLabel: function( name ) {
+		return this._getMessage( 'valueview-diff-component-' + name );
+	},
+
+	/**
+	 * Displays the errors of the current validated value inside the `Expert`'s viewport. Warnings
+	 * are displayed in edit mode only.
+	 * @private
+	 */
+	_drawValidationWarnings: function() {
+		var validatedValue = this.validatedValue(),
+			errors = validatedValue ? validatedValue.getErrors() : [];
+
+		if( !this.isInEditMode() || !errors.length ) {
+			if( this._$validationWarnings ) {
+				this._$validationWarnings.detach();
+			}
+			return;
+		}
+
+		if( !this._$validationWarnings ) {
+			this._$validationWarnings = $( '<div/>' )
+				.addClass( this.widgetBaseClass + '-validationwarnings' );
+		}
+
+		var $warnings = this._$validationWarnings.empty(),
+			warningClass = this.widgetBaseClass + '-validationwarning';
+
+		$.each( errors, function( i, error ) {
+			$warnings.append( $( '<div/>' ).addClass( warningClass ).html( error ) );
+		} );
+
+		$warnings.appendTo( this.$value );
 	},
 
 	/**
-	 * Renders an error message.
+	 * Renders an error in the `Expert`'s preview and passes it to the `Expert`'s `showError()`
+	 * hook.
 	 * @private
 	 *
-	 * @param {string} message HTML error message.
+	 * @param {jQuery.valueview.ValueError|string} error `ValueError` or HTML error message of a
+	 *        failed formatting.
 	 */
-	_renderError: function( message ) {
-		if( this._expert && this._expert.preview ) {
-			this._expert.preview.update( message );
+	_renderError: function( error ) {
+		error = this._toValueError( error, 'format-error' );
+
+		if( !this._expert ) {
+			return;
+		}
+
+		if( this._expert.preview ) {
+			this._expert.preview.update( error.getHtml( this.options.messageProvider ) );
+		}
+
+		this._expert.showError( error );
+	},
+
+	/**
+	 * Converts the reason of a rejected parser or formatter promise to a `ValueError`.
+	 * @private
+	 *
+	 * @param {jQuery.valueview.ValueError|string|undefined} reason
+	 * @param {string} code Error code used if `reason` is a plain HTML message.
+	 * @return {jQuery.valueview.ValueError|null} `null` if no reason is given.
+	 */
+	_toValueError: function( reason, code ) {
+		if( reason instanceof $.valueview.ValueError ) {
+			return reason;
 		}
+		return reason ? $.valueview.ValueError.newFromHtml( reason, code ) : null;
 	},
 
 	/**
@@ -755,8 +2076,8 @@ $.widget( 'valueview.valueview', PARENT, {
 	 * @return {Function} return.done
 	 * @return {dataValues.DataValue} return.done.value
 	 * @return {Function} return.fail
-	 * @return {string|undefined} return.fail.message HTML error message or `undefined` if the
-	 *         result shall be ignored.
+	 * @return {jQuery.valueview.ValueError|undefined} return.fail.error `undefined` if the result
+	 *         shall be ignored.
 	 *
 	 * @throws {Error} if the parser result is neither a `DataValue` instance nor null.
 	 */
@@ -766,23 +2087,45 @@ $.widget( 'valueview.valueview', PARENT, {
 			rawValue = expert.rawValue(),
 			deferred = $.Deferred();
 
-		this._trigger( 'parse' );
+		this._trigger( 'parse', null, [rawValue] );
 
 		if( rawValue === null || rawValue instanceof dv.DataValue ) {
 			this.__lastUpdateValue = undefined;
-			self._trigger( 'afterparse' );
+			self._trigger( 'afterparse', null, [null] );
 			deferred.resolve( rawValue );
 			return deferred.promise();
 		}
 
 		if( this._parseTimer ) {
 			clearTimeout( this._parseTimer );
+			this._parseTimer = null;
+		}
+
+		var valueCharacteristics = this.valueCharacteristics(),
+			cache = this._getResultCache(),
+			cacheKey = cache && JSON.stringify( [
+				rawValue,
+				valueCharacteristics,
+				this.options.language,
+				this._determineDataValueType(),
+				this.options.dataTypeId || null
+			] ),
+			cachedValue = cache ? cache.get( 'parse', cacheKey ) : undefined;
+
+		if( cachedValue !== undefined ) {
+			// Responses to previous parse requests are outdated now:
+			this.__lastUpdateValue = undefined;
+			self._trigger( 'afterparse', null, [null] );
+			deferred.resolve( cachedValue );
+			return deferred.promise();
 		}
 
-		var valueParser = this._instantiateParser( this.valueCharacteristics() );
+		var valueParser = this._instantiateParser( valueCharacteristics );
 
 		self.__lastUpdateValue = rawValue;
+		this._updatePendingState();
 		this._parseTimer = setTimeout( function() {
+			var error = null;
 
 			// TODO: Hacky preview spinner activation. Necessary until we move the responsibility
 			//  for previews out of the experts. The preview should be handled in the same place for
@@ -792,13 +2135,17 @@ $.widget( 'valueview.valueview', PARENT, {
 				expert.preview.showSpinner();
 			}
 
-			valueParser.parse( rawValue )
+			self._parse( valueParser, rawValue )
 				.done( function( parsedValue ) {
 					// Paranoia check against ValueParser interface:
 					if( parsedValue !== null && !( parsedValue instanceof dv.DataValue ) ) {
 						throw new Error( 'Unexpected value parser result' );
 					}
 
+					if( cache ) {
+						cache.set( 'parse', cacheKey, parsedValue );
+					}
+
 					if( self.__lastUpdateValue === undefined || self.__lastUpdateValue !== rawValue ) {
 						// latest update job is done, this one must be a late response for some weird
 						// reason, or the value has since been updated, so should be re-parsed
@@ -815,16 +2162,45 @@ $.widget( 'valueview.valueview', PARENT, {
 					deferred.resolve( parsedValue );
 				} )
 				.fail( function( message ) {
-					deferred.reject( message );
+					if( self.__lastUpdateValue === rawValue ) {
+						self.__lastUpdateValue = undefined;
+						error = self._toValueError( message, 'parse-error' );
+					}
+					deferred.reject( error || undefined );
 				} )
 				.always( function() {
-					self._trigger( 'afterparse' );
+					self._trigger( 'afterparse', null, [error] );
 				} );
 		}, this.options.parseDelay );
 
 		return deferred.promise();
 	},
 
+	/**
+	 * Parses a raw value using the transport, if set.
+	 * @private
+	 *
+	 * @param {valueParsers.ValueParser} valueParser
+	 * @param {*} rawValue
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 * @return {dataValues.DataValue|null} return.done.dataValue
+	 * @return {Function} return.fail
+	 * @return {string} return.fail.message HTML error message.
+	 */
+	_parse: function( valueParser, rawValue ) {
+		var transport = this.options.transport;
+
+		return transport
+			? transport.parse(
+				valueParser,
+				rawValue,
+				this._determineDataValueType() || null,
+				this.options.dataTypeId || null
+			)
+			: valueParser.parse( rawValue );
+	},
+
 	/**
 	 * @private
 	 *
@@ -839,10 +2215,7 @@ $.widget( 'valueview.valueview', PARENT, {
 			throw new Error( 'No value parser store in valueview\'s options specified' );
 		}
 
-		var Parser = this.options.parserStore.getParser(
-			this._determineDataValueType(),
-			this.options.dataTypeId
-		);
+		var Parser = this._getForDataTypeChain( this.options.parserStore, 'getParser' );
 
 		var parserOptions = $.extend(
 				{
@@ -852,6 +2225,9 @@ $.widget( 'valueview.valueview', PARENT, {
 				additionalParserOptions || {}
 			);
 
+		// The chosen `Expert` is not relevant to parsing:
+		delete parserOptions.expertId;
+
 		return new Parser( parserOptions );
 	},
 
@@ -869,11 +2245,9 @@ $.widget( 'valueview.valueview', PARENT, {
 	 */
 	_formatValue: function( dataValue ) {
 		var self = this,
-			deferred = $.Deferred(),
-			valueFormatter = this._instantiateFormatter( this.valueCharacteristics() ),
-			dataTypeId = this.options.dataTypeId || null;
+			deferred = $.Deferred();
 
-		valueFormatter.format( dataValue, dataTypeId, 'text/html' )
+		this._format( dataValue, 'text/html' )
 			.done( function( formattedValue, formattedDataValue ) {
 				if( dataValue === formattedDataValue ) {
 					deferred.resolve( formattedValue );
@@ -892,6 +2266,89 @@ $.widget( 'valueview.valueview', PARENT, {
 		return deferred.promise();
 	},
 
+	/**
+	 * Formats a data value using the result cache, if set.
+	 * @private
+	 *
+	 * @param {dataValues.DataValue} dataValue
+	 * @param {string} outputType
+	 * @return {Object} jQuery.Promise
+	 * @return {Function} return.done
+	 * @return {string} return.done.formatted
+	 * @return {dataValues.DataValue} return.done.dataValue `DataValue` object that has been
+	 *         formatted.
+	 * @return {Function} return.fail
+	 * @return {string} return.fail.message HTML error message.
+	 */
+	_format: function( dataValue, outputType ) {
+		var valueCharacteristics = this.valueCharacteristics(),
+			dataTypeId = this.options.dataTypeId || null,
+			cache = this._getResultCache(),
+			getCacheKey = $.proxy( function( value ) {
+				return JSON.stringify( [
+					value.getType(),
+					value.toJSON(),
+					outputType,
+					valueCharacteristics,
+					this.options.language,
+					dataTypeId
+				] );
+			}, this ),
+			cachedValue = cache ? cache.get( 'format', getCacheKey( dataValue ) ) : undefined;
+
+		if( cachedValue !== undefined ) {
+			return $.Deferred().resolve( cachedValue, dataValue ).promise();
+		}
+
+		var self = this,
+			deferred = $.Deferred(),
+			valueFormatter = this._instantiateFormatter( valueCharacteristics ),
+			transport = this.options.transport,
+			promise = transport
+				? transport.format( valueFormatter, dataValue, dataTypeId, outputType )
+				: valueFormatter.format( dataValue, dataTypeId, outputType );
+
+		this._pendingFormatRequests++;
+		this._updatePendingState();
+
+		// Resolve the returned promise before updating the pending state, so the pending state
+		// is not left before the result has been processed:
+		promise
+			.done( function( formatted, formattedDataValue ) {
+				if( cache && formattedDataValue ) {
+					cache.set( 'format', getCacheKey( formattedDataValue ), formatted );
+				}
+				deferred.resolve( formatted, formattedDataValue );
+			} )
+			.fail( function( message ) {
+				deferred.reject( message );
+			} )
+			.always( function() {
+				self._pendingFormatRequests--;
+				self._updatePendingState();
+			} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * @private
+	 *
+	 * @return {jQuery.valueview.ResultCache|null}
+	 *
+	 * @throws {Error} if the `resultCache` option is not a `jQuery.valueview.ResultCache`
+	 *         instance.
+	 */
+	_getResultCache: function() {
+		var cache = this.options.resultCache;
+
+		if( cache && !( cache instanceof $.valueview.ResultCache ) ) {
+			throw new Error( 'resultCache needs to be an instance of jQuery.valueview.ResultCache' );
+		}
+
+		return cache || null;
+	},
+
 	/**
 	 * @private
 	 *
@@ -906,8 +2363,6 @@ $.widget( 'valueview.valueview', PARENT, {
 	_updateTextValue: function() {
 		var self = this,
 			deferred = $.Deferred(),
-			valueFormatter,
-			dataTypeId = this.options.dataTypeId || null,
 			dataValue = this._value;
 
 		if( !dataValue ) {
@@ -916,9 +2371,7 @@ $.widget( 'valueview.valueview', PARENT, {
 			return deferred.promise();
 		}
 
-		valueFormatter = this._instantiateFormatter( this.valueCharacteristics() );
-
-		valueFormatter.format( dataValue, dataTypeId, 'text/plain' )
+		this._format( dataValue, 'text/plain' )
 			.done( function( formattedValue, formattedDataValue ) {
 				if( dataValue === formattedDataValue ) {
 					self._textValue = formattedValue;
@@ -949,10 +2402,7 @@ $.widget( 'valueview.valueview', PARENT, {
 			throw new Error( 'No value formatter store in valueview\'s options specified' );
 		}
 
-		var Formatter = this.options.formatterStore.getFormatter(
-			this._determineDataValueType(),
-			this.options.dataTypeId
-		);
+		var Formatter = this._getForDataTypeChain( this.options.formatterStore, 'getFormatter' );
 
 		var formatterOptions = $.extend(
 			{
@@ -962,9 +2412,48 @@ $.widget( 'valueview.valueview', PARENT, {
 			additionalFormatterOptions || {}
 		);
 
+		// The chosen `Expert` is not relevant to formatting:
+		delete formatterOptions.expertId;
+
 		return new Formatter( formatterOptions );
 	},
 
+	/**
+	 * Retrieves a parser or formatter from a store walking the chain of data types the view's data
+	 * type derives from (see `jQuery.valueview.ExpertStore.registerDataTypeParent`). The first
+	 * constructor registered specifically for a data type of the chain is returned. If there is
+	 * none, the store's constructor for the data value type is returned.
+	 * @private
+	 *
+	 * @param {valueParsers.ValueParserStore|valueFormatters.ValueFormatterStore} store
+	 * @param {string} getterName Either "getParser" or "getFormatter".
+	 * @return {Function}
+	 */
+	_getForDataTypeChain: function( store, getterName ) {
+		var dataValueType = this._determineDataValueType(),
+			dataTypeId = this.options.dataTypeId,
+			expertStore = this.options.expertStore,
+			chain = expertStore instanceof $.valueview.ExpertStore
+				? expertStore.getDataTypeChain( dataTypeId )
+				: [],
+			fallback;
+
+		if( typeof dataValueType !== 'string' || chain.length < 2 ) {
+			return store[getterName]( dataValueType, dataTypeId );
+		}
+
+		fallback = store[getterName]( dataValueType );
+
+		for( var i = 0; i < chain.length; i++ ) {
+			var Constructor = store[getterName]( dataValueType, chain[i] );
+			if( Constructor !== fallback ) {
+				return Constructor;
+			}
+		}
+
+		return fallback;
+	},
+
 	/**
 	 * @private
 	 *
@@ -1011,7 +2500,7 @@ $.widget( 'valueview.valueview', PARENT, {
 				// the expert will get that new value's raw value while we already have the parsed
 				// version of the value.
 				var differentValueCharacteristics = false,
-					newValueCharacteristics = self._expert.valueCharacteristics(),
+					newValueCharacteristics = self.valueCharacteristics(),
 					lastValueCharacteristics = self.__lastValueCharacteristics || {};
 
 				for( i in newValueCharacteristics ) {
@@ -1030,24 +2519,41 @@ $.widget( 'valueview.valueview', PARENT, {
 					self.__lastValueCharacteristics = newValueCharacteristics;
 					self._trigger( 'change' );
 					self._updateValue();
+					self._saveDraft();
 				}
+			},
+			undo: function() {
+				self.undo();
+			},
+			redo: function() {
+				self.redo();
 			}
 		} );
 	},
 
 	/**
+	 * Returns the value characteristics of the `Expert` which feature the `expertId` option
+	 * (`expertId`) if the option is set.
 	 * @see jQuery.valueview.Expert.valueCharacteristics
 	 *
 	 * @return {Object}
 	 */
 	valueCharacteristics: function() {
+		var valueCharacteristics = {};
+
 		if( this._expert ) {
-			return this._expert.valueCharacteristics();
+			valueCharacteristics = this._expert.valueCharacteristics();
+		} else if( this._expertConstructor ) {
+			valueCharacteristics = this._expertConstructor.prototype.valueCharacteristics();
 		}
-		if( this._expertConstructor ) {
-			return this._expertConstructor.prototype.valueCharacteristics();
+
+		if( this.options.expertId !== null ) {
+			valueCharacteristics = $.extend( {}, valueCharacteristics, {
+				expertId: this.options.expertId
+			} );
 		}
-		return {};
+
+		return valueCharacteristics;
 	}
 } );
 
@@ -1055,4 +2561,32 @@ $.widget( 'valueview.valueview', PARENT, {
 // the prototype
 $.valueview.valueview.prototype.widgetBaseClass = 'valueview';
 
+/**
+ * Checks whether a keyboard event matches a key definition of the `keyMap` option.
+ * @ignore
+ *
+ * @param {jQuery.Event} event
+ * @param {number|Object} key
+ * @return {boolean}
+ */
+function matchesKey( event, key ) {
+	if( typeof key === 'number' ) {
+		key = { keyCode: key };
+	}
+
+	if( event.keyCode !== key.keyCode ) {
+		return false;
+	}
+
+	var modifiers = ['ctrlKey', 'shiftKey', 'altKey', 'metaKey'];
+
+	for( var i = 0; i < modifiers.length; i++ ) {
+		if( Boolean( event[modifiers[i]] ) !== Boolean( key[modifiers[i]] ) ) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
 }( dataValues, util, jQuery, valueFormatters, valueParsers ) );
@@ -0,0 +1,528 @@
+( function( $, dv, util ) {
+'use strict';
+
+var PARENT = $.Widget;
+
+/**
+ * `valueviewlist` widget for displaying and editing an ordered list of data values
+ * (`dataValues.DataValue`) of the same type, e.g. several aliases or several dates. Each list item
+ * is represented by a `jQuery.valueview` instance which is responsible for parsing and formatting
+ * the item's value. In edit mode, items may be added, removed and reordered.
+ *
+ *     @example
+ *     $( '<div/>' ).valueviewlist( {
+ *         values: [ new dataValues.StringValue( 'a' ), new dataValues.StringValue( 'b' ) ],
+ *         valueviewOptions: {
+ *             expertStore: expertStore,
+ *             parserStore: parserStore,
+ *             formatterStore: formatterStore,
+ *             language: 'en',
+ *             dataValueType: 'string'
+ *         }
+ *     } );
+ *
+ * @class jQuery.valueview.valueviewlist
+ * @extends jQuery.Widget
+ * @since 0.15.0
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ *
+ * @constructor
+ *
+ * @param {Object} options
+ * @param {Object} options.valueviewOptions
+ *        Options passed to the `jQuery.valueview` instance of each list item. Requires the options
+ *        required by `jQuery.valueview` (`expertStore`, `parserStore`, `formatterStore` and
+ *        `language`). In order to allow adding items to an empty list, either `dataTypeId` or
+ *        `dataValueType` should be specified.
+ * @param {dataValues.DataValue[]} [options.values=[]]
+ *        The data values the list should represent initially.
+ * @param {util.MessageProvider|null} [options.messageProvider=null]
+ *        Allows to customize the labels of the list's controls. Also passed to the list items'
+ *        `jQuery.valueview` instances unless specified in the `valueviewOptions` option.
+ */
+/**
+ * @event change
+ * Triggered when the value of any list item is updated and when items are added, removed or
+ * moved.
+ * @param {jQuery.Event} event
+ */
+$.widget( 'valueview.valueviewlist', PARENT, {
+	/**
+	 * The `jQuery.valueview` instances of the list items in the order of the list.
+	 * @property {jQuery.valueview[]}
+	 * @private
+	 */
+	_items: null,
+
+	/**
+	 * Node containing the list items.
+	 * @property {jQuery}
+	 * @private
+	 */
+	_$list: null,
+
+	/**
+	 * Control for adding a list item.
+	 * @property {jQuery}
+	 * @private
+	 */
+	_$add: null,
+
+	/**
+	 * @property {util.MessageProvider}
+	 * @private
+	 */
+	_messageProvider: null,
+
+	/**
+	 * @property {boolean}
+	 * @private
+	 */
+	_isInEditMode: false,
+
+	/**
+	 * Values from before edit mode.
+	 * @property {dataValues.DataValue[]|null}
+	 * @private
+	 */
+	_initialValues: null,
+
+	/**
+	 * @see jQuery.Widget.options
+	 * @protected
+	 * @readonly
+	 */
+	options: {
+		valueviewOptions: null,
+		values: [],
+		messageProvider: null
+	},
+
+	/**
+	 * @see jQuery.Widget._create
+	 * @protected
+	 *
+	 * @throws {Error} if the `valueviewOptions` option is not specified properly.
+	 */
+	_create: function() {
+		var valueviewOptions = this.options.valueviewOptions;
+
+		if(
+			!valueviewOptions
+			|| !valueviewOptions.expertStore
+			|| !valueviewOptions.parserStore
+			|| !valueviewOptions.formatterStore
+			|| typeof valueviewOptions.language !== 'string'
+		) {
+			throw new Error( 'Required option(s) not defined properly' );
+		}
+
+		this._messageProvider = new util.HashMessageProvider( {
+			'valueview-valueviewlist-add': 'add',
+			'valueview-valueviewlist-remove': 'remove',
+			'valueview-valueviewlist-moveup': 'move up',
+			'valueview-valueviewlist-movedown': 'move down'
+		} );
+
+		if( this.options.messageProvider ) {
+			this._messageProvider = new util.CombiningMessageProvider(
+				this.options.messageProvider,
+				this._messageProvider
+			);
+		}
+
+		this._items = [];
+
+		this.element
+		.addClass( this.widgetBaseClass + ' ' + this.widgetBaseClass + '-instaticmode' )
+		.empty();
+
+		this._$list = $( '<ol/>' )
+			.addClass( this.widgetBaseClass + '-items' )
+			.appendTo( this.element );
+
+		this._$add = this._createControl( 'add', $.proxy( function() {
+			this.addItem().focus();
+		}, this ) )
+		.appendTo( this.element );
+
+		this._setValues( this.options.values || [] );
+	},
+
+	/**
+	 * @see jQuery.Widget.destroy
+	 */
+	destroy: function() {
+		this._removeItems();
+
+		this.element
+		.removeClass(
+			this.widgetBaseClass + ' '
+				+ this.widgetBaseClass + '-instaticmode '
+				+ this.widgetBaseClass + '-ineditmode'
+		)
+		.empty();
+
+		this._$list = null;
+		this._$add = null;
+		this._items = null;
+		this._initialValues = null;
+
+		return PARENT.prototype.destroy.call( this );
+	},
+
+	/**
+	 * @see jQuery.Widget._setOption
+	 * @protected
+	 *
+	 * @throws {Error} when trying to set an option that cannot be set after initialization.
+	 */
+	_setOption: function( key, value ) {
+		switch( key ) {
+			case 'valueviewOptions':
+			case 'messageProvider':
+				throw new Error( 'Can not change jQuery.valueview.valueviewlist option "' + key
+					+ '" after widget initialization' );
+		}
+
+		PARENT.prototype._setOption.call( this, key, value );
+
+		if( key === 'values' ) {
+			this.values( value );
+		}
+	},
+
+	/**
+	 * Returns the values of the list items. Items not featuring a value are omitted.
+	 *
+	 * If the first parameter is given, the list items will be replaced with items representing
+	 * the given values.
+	 *
+	 * @param {dataValues.DataValue[]} [values]
+	 * @return {dataValues.DataValue[]|undefined}
+	 *
+	 * @throws {Error} if `values` is not an array of `dataValues.DataValue` instances.
+	 */
+	values: function( values ) {
+		if( values === undefined ) {
+			// jQuery.map() drops null values:
+			return $.map( this._items, function( valueview ) {
+				return valueview.value();
+			} );
+		}
+
+		if( !$.isArray( values ) ) {
+			throw new Error( 'Values need to be specified as an array' );
+		}
+
+		$.each( values, function( i, value ) {
+			if( !( value instanceof dv.DataValue ) ) {
+				throw new Error( 'The given values have to be instances of dataValues.DataValue' );
+			}
+		} );
+
+		this._setValues( values );
+	},
+
+	/**
+	 * @private
+	 *
+	 * @param {dataValues.DataValue[]} values
+	 */
+	_setValues: function( values ) {
+		var self = this;
+
+		this._removeItems();
+
+		$.each( values, function( i, value ) {
+			self._createItem( value );
+		} );
+
+		this._updateControls();
+	},
+
+	/**
+	 * Returns the `jQuery.valueview` instances of the list items in the order of the list.
+	 *
+	 * @return {jQuery.valueview[]}
+	 */
+	items: function() {
+		return this._items.slice();
+	},
+
+	/**
+	 * Appends a list item. If the list is in edit mode, the new item is put in edit mode as well.
+	 *
+	 * @param {dataValues.DataValue|null} [value=null]
+	 * @return {jQuery.valueview} The new item's `jQuery.valueview` instance.
+	 */
+	addItem: function( value ) {
+		var valueview = this._createItem( value || null );
+
+		this._updateControls();
+		this._trigger( 'change' );
+
+		return valueview;
+	},
+
+	/**
+	 * Removes a list item.
+	 *
+	 * @param {jQuery.valueview} valueview
+	 *
+	 * @throws {Error} if `valueview` is not an item of the list.
+	 */
+	removeItem: function( valueview ) {
+		var index = this._getIndex( valueview ),
+			$item = valueview.element.parent();
+
+		this._items.splice( index, 1 );
+		valueview.element.off( '.' + this.widgetName );
+		valueview.destroy();
+		$item.remove();
+
+		this._updateControls();
+		this._trigger( 'change' );
+	},
+
+	/**
+	 * Moves a list item to another position.
+	 *
+	 * @param {jQuery.valueview} valueview
+	 * @param {number} index The item's new index.
+	 *
+	 * @throws {Error} if `valueview` is not an item of the list.
+	 * @throws {Error} if `index` is out of bounds.
+	 */
+	moveItem: function( valueview, index ) {
+		var currentIndex = this._getIndex( valueview );
+
+		if( index < 0 || index >= this._items.length ) {
+			throw new Error( 'Index ' + index + ' is out of bounds' );
+		}
+
+		if( index === currentIndex ) {
+			return;
+		}
+
+		var $item = valueview.element.parent().detach();
+
+		this._items.splice( currentIndex, 1 );
+		this._items.splice( index, 0, valueview );
+
+		if( index === 0 ) {
+			$item.prependTo( this._$list );
+		} else {
+			$item.insertAfter( this._items[index - 1].element.parent() );
+		}
+
+		this._updateControls();
+		this._trigger( 'change' );
+	},
+
+	/**
+	 * Puts the list and all of its items in edit mode.
+	 */
+	startEditing: function() {
+		if( this.isInEditMode() ) {
+			return;
+		}
+
+		this._initialValues = this.values();
+		this._isInEditMode = true;
+
+		$.each( this._items, function( i, valueview ) {
+			valueview.startEditing();
+		} );
+
+		this._updateControls();
+	},
+
+	/**
+	 * Stops edit mode on the list and all of its items. Items not featuring a value are removed.
+	 *
+	 * @param {boolean} [dropValue=false] If `true`, the values from before edit mode has been
+	 *        started will be reinstated.
+	 */
+	stopEditing: function( dropValue ) {
+		var self = this;
+
+		if( !this.isInEditMode() ) {
+			return;
+		}
+
+		this._isInEditMode = false;
+
+		if( dropValue ) {
+			this._setValues( this._initialValues );
+		} else {
+			$.each( this.items(), function( i, valueview ) {
+				valueview.stopEditing();
+				if( valueview.isEmpty() ) {
+					self.removeItem( valueview );
+				}
+			} );
+		}
+
+		this._initialValues = null;
+		this._updateControls();
+	},
+
+	/**
+	 * Short-cut for `stopEditing( true )`.
+	 */
+	cancelEditing: function() {
+		this.stopEditing( true );
+	},
+
+	/**
+	 * Returns whether the list is in edit mode.
+	 *
+	 * @return {boolean}
+	 */
+	isInEditMode: function() {
+		return this._isInEditMode;
+	},
+
+	/**
+	 * Returns the values from before edit mode has been started. If not in edit mode, the
+	 * current values are returned.
+	 *
+	 * @return {dataValues.DataValue[]}
+	 */
+	initialValues: function() {
+		return this.isInEditMode() ? this._initialValues.slice() : this.values();
+	},
+
+	/**
+	 * Creates a list item.
+	 * @private
+	 *
+	 * @param {dataValues.DataValue|null} value
+	 * @return {jQuery.valueview}
+	 */
+	_createItem: function( value ) {
+		var self = this,
+			$item = $( '<li/>' ).addClass( this.widgetBaseClass + '-item' ),
+			valueview = $( '<div/>' )
+				.addClass( this.widgetBaseClass + '-value' )
+				.appendTo( $item )
+				.valueview( $.extend(
+					{ messageProvider: this.options.messageProvider },
+					this.options.valueviewOptions,
+					{
+						value: value,
+						autoStartEditing: false
+					}
+				) )
+				.data( 'valueview' );
+
+		valueview.element.on( 'valueviewchange.' + this.widgetName, function() {
+			self._trigger( 'change' );
+		} );
+
+		$( '<span/>' )
+		.addClass( this.widgetBaseClass + '-controls' )
+		.append(
+			this._createControl( 'moveup', function() {
+				self.moveItem( valueview, self._getIndex( valueview ) - 1 );
+			} ),
+			this._createControl( 'movedown', function() {
+				self.moveItem( valueview, self._getIndex( valueview ) + 1 );
+			} ),
+			this._createControl( 'remove', function() {
+				self.removeItem( valueview );
+			} )
+		)
+		.appendTo( $item );
+
+		$item.appendTo( this._$list );
+		this._items.push( valueview );
+
+		if( this.isInEditMode() ) {
+			valueview.startEditing();
+		}
+
+		return valueview;
+	},
+
+	/**
+	 * Destroys all list items.
+	 * @private
+	 */
+	_removeItems: function() {
+		var self = this;
+
+		$.each( this._items, function( i, valueview ) {
+			valueview.element.off( '.' + self.widgetName );
+			valueview.destroy();
+		} );
+
+		this._items = [];
+		this._$list.empty();
+	},
+
+	/**
+	 * Creates a control node.
+	 * @private
+	 *
+	 * @param {string} name
+	 * @param {Function} callback Called when the control is clicked while not being disabled.
+	 * @return {jQuery}
+	 */
+	_createControl: function( name, callback ) {
+		return $( '<a/>' )
+		.attr( 'href', '#' )
+		.addClass( this.widgetBaseClass + '-' + name )
+		.text( this._messageProvider.getMessage( 'valueview-valueviewlist-' + name ) )
+		.on( 'click.' + this.widgetName, function( event ) {
+			event.preventDefault();
+			if( !$( this ).hasClass( 'ui-state-disabled' ) ) {
+				callback();
+			}
+		} );
+	},
+
+	/**
+	 * Updates the mode classes and the state of the controls.
+	 * @private
+	 */
+	_updateControls: function() {
+		var self = this,
+			lastIndex = this._items.length - 1;
+
+		this.element
+		.toggleClass( this.widgetBaseClass + '-ineditmode', this.isInEditMode() )
+		.toggleClass( this.widgetBaseClass + '-instaticmode', !this.isInEditMode() );
+
+		$.each( this._items, function( i, valueview ) {
+			var $controls = valueview.element.siblings( '.' + self.widgetBaseClass + '-controls' );
+
+			$controls.children( '.' + self.widgetBaseClass + '-moveup' )
+				.toggleClass( 'ui-state-disabled', i === 0 );
+			$controls.children( '.' + self.widgetBaseClass + '-movedown' )
+				.toggleClass( 'ui-state-disabled', i === lastIndex );
+		} );
+	},
+
+	/**
+	 * @private
+	 *
+	 * @param {jQuery.valueview} valueview
+	 * @return {number}
+	 *
+	 * @throws {Error} if `valueview` is not an item of the list.
+	 */
+	_getIndex: function( valueview ) {
+		var index = $.inArray( valueview, this._items );
+
+		if( index === -1 ) {
+			throw new Error( 'The given valueview is not an item of the list' );
+		}
+
+		return index;
+	}
+} );
+
+}( jQuery, dataValues, util ) );
@@ -42,10 +42,159 @@ return call_user_func( function() {
 			),
 		),
 
+		'jquery.valueview.BatchController' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.BatchController.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.BatchTransport',
+				'jquery.valueview.ValueError',
+				'jquery.valueview.valueview',
+			),
+			'messages' => array(
+				'valueview-batchcontroller-missingresult',
+			),
+		),
+
+		'jquery.valueview.BatchTransport' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.BatchTransport.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+			),
+		),
+
+		'jquery.valueview.DiffStrategy' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.DiffStrategy.js',
+			),
+		),
+
+		'jquery.valueview.diffStrategies' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.diffStrategies.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.DiffStrategy',
+				'util.inherit',
+			),
+		),
+
+		'jquery.valueview.DiffStrategyStore' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.DiffStrategyStore.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.DiffStrategy',
+			),
+		),
+
+		'jquery.valueview.DraftStorage' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.DraftStorage.js',
+			),
+			'dependencies' => array(
+				'util.inherit',
+			),
+		),
+
+		'jquery.valueview.draftStorages' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.draftStorages.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.DraftStorage',
+				'util.inherit',
+			),
+		),
+
 		'jquery.valueview.ExpertStore' => $moduleTemplate + array(
 			'scripts' => array(
 				'jquery.valueview.ExpertStore.js',
 			),
+			'dependencies' => array(
+				'util.inherit',
+			),
+		),
+
+		'jquery.valueview.offlineFormatters' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.offlineFormatters.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.ValueError',
+				'util.inherit',
+				'valueFormatters.formatters',
+				'valueFormatters.ValueFormatter',
+				'valueFormatters.ValueFormatterStore',
+			),
+			'messages' => array(
+				'valueview-offlineformatters-unsupported',
+			),
+		),
+
+		'jquery.valueview.offlineParsers' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.offlineParsers.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.ValueError',
+				'util.inherit',
+				'valueParsers.parsers',
+				'valueParsers.ValueParser',
+				'valueParsers.ValueParserStore',
+			),
+			'messages' => array(
+				'valueview-offlineparsers-malformedtime',
+				'valueview-offlineparsers-malformedtolerance',
+				'valueview-offlineparsers-unsupportedtimeofday',
+				'valueview-offlineparsers-malformedcoordinate',
+				'valueview-offlineparsers-malformedquantity',
+				'valueview-offlineparsers-quantityoutofbounds',
+				'valueview-offlineparsers-missinglanguage',
+			),
+		),
+
+		'jquery.valueview.ResultCache' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ResultCache.js',
+			),
+		),
+
+		'jquery.valueview.ValueError' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ValueError.js',
+			),
+		),
+
+		'jquery.valueview.ValidatedDataValue' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ValidatedDataValue.js',
+			),
+			'dependencies' => array(
+				'dataValues.DataValue',
+			),
+		),
+
+		'jquery.valueview.Validator' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.Validator.js',
+			),
+			'dependencies' => array(
+				'util.inherit',
+			),
+		),
+
+		'jquery.valueview.ValidatorStore' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ValidatorStore.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.Validator',
+			),
 		),
 
 		'jquery.valueview.experts' => $moduleTemplate + array(
@@ -66,13 +215,58 @@ return call_user_func( function() {
 				'dataValues.DataValue',
 				'jquery.ui.widget',
 				'jquery.valueview.ViewState',
+				'jquery.valueview.DiffStrategy',
+				'jquery.valueview.DiffStrategyStore',
+				'jquery.valueview.DraftStorage',
 				'jquery.valueview.ExpertStore',
+				'jquery.valueview.ResultCache',
+				'jquery.valueview.ValidatedDataValue',
+				'jquery.valueview.ValidatorStore',
+				'jquery.valueview.ValueError',
 				'jquery.valueview.experts.EmptyValue',
 				'jquery.valueview.experts.UnsupportedValue',
+				'util.highlightDifferences',
 				'util.Notifier',
 				'valueFormatters.ValueFormatterStore',
 				'valueParsers.ValueParserStore',
 			),
+			'messages' => array(
+				'valueview-diff-component-text',
+				'valueview-diff-component-precision',
+				'valueview-diff-component-calendar',
+				'valueview-diff-component-language',
+				'valueview-diff-component-globe',
+				'valueview-diff-component-unit',
+				'valueview-diff-component-upperbound',
+				'valueview-diff-component-lowerbound',
+				'valueview-draft-notice',
+				'valueview-draft-restore',
+				'valueview-draft-discard',
+				'valueview-expertswitcher-title',
+				'valueview-loadingexpert',
+			),
+		),
+
+		'jquery.valueview.valueviewlist' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.valueviewlist.js',
+			),
+			'styles' => array(
+				'jquery.valueview.valueviewlist.css',
+			),
+			'dependencies' => array(
+				'dataValues.DataValue',
+				'jquery.ui.widget',
+				'jquery.valueview',
+				'util.CombiningMessageProvider',
+				'util.HashMessageProvider',
+			),
+			'messages' => array(
+				'valueview-valueviewlist-add',
+				'valueview-valueviewlist-remove',
+				'valueview-valueviewlist-moveup',
+				'valueview-valueviewlist-movedown',
+			),
 		),
 
 		'jquery.valueview.ViewState' => $moduleTemplate + array(
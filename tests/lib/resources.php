@@ -158,6 +158,15 @@ return call_user_func( function() {
 		),
 
 
+		'util.highlightDifferences.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'util/util.highlightDifferences.tests.js',
+			),
+			'dependencies' => array(
+				'util.highlightDifferences',
+			),
+		),
+
 		'util.highlightSubstring.tests' => $moduleTemplate + array(
 			'scripts' => array(
 				'util/util.highlightSubstring.tests.js',
@@ -167,6 +176,15 @@ return call_user_func( function() {
 			),
 		),
 
+		'util.julianDay.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'util/util.julianDay.tests.js',
+			),
+			'dependencies' => array(
+				'util.julianDay',
+			),
+		),
+
 		'util.HashMessageProvider.tests' => $moduleTemplate + array(
 			'scripts' => array(
 				'util/util.HashMessageProvider.tests.js',
@@ -0,0 +1,47 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( util, QUnit ) {
+	'use strict';
+
+QUnit.module( 'util.highlightDifferences' );
+
+QUnit.test( 'Highlight with default options', function( assert ) {
+	var testCases = [
+		['', '', ''],
+		['abc', 'abc', 'abc'],
+		['abc', '', '<span class="highlight">abc</span>'],
+		['', 'abc', ''],
+		['abcdef', 'abXYef', 'ab<span class="highlight">cd</span>ef'],
+		['abcdef', 'abef', 'ab<span class="highlight">cd</span>ef'],
+		['abef', 'abcdef', 'abef'],
+		['aaa', 'aa', 'aa<span class="highlight">a</span>'],
+		['a<b', 'a>b', 'a<span class="highlight">&lt;</span>b']
+	];
+
+	for( var i = 0; i < testCases.length; i++ ) {
+		var string = testCases[i][0],
+			otherString = testCases[i][1],
+			expected = testCases[i][2];
+
+		assert.equal(
+			util.highlightDifferences( string, otherString ),
+			expected,
+			'Test set #' + i + ': Highlighting differences of "' + string + '" compared to "'
+			+ otherString + '" results in "' + expected + '".'
+		);
+	}
+} );
+
+QUnit.test( 'Highlight with custom wrapper node', function( assert ) {
+	assert.equal(
+		util.highlightDifferences( 'abc', 'aXc', {
+			wrapperNodeName: 'ins',
+			wrapperNodeClass: 'changed'
+		} ),
+		'a<ins class="changed">b</ins>c'
+	);
+} );
+
+}( util, QUnit ) );
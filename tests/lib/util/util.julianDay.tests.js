@@ -0,0 +1,38 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( util, QUnit ) {
+	'use strict';
+
+QUnit.module( 'util.julianDay' );
+
+QUnit.test( 'Julian day numbers of Gregorian and Julian dates', function( assert ) {
+	var testCases = [
+		[ 2000, 1, 1, false, 2451545 ],
+		[ 1582, 10, 15, false, 2299161 ],
+		[ 1582, 10, 4, true, 2299160 ],
+		[ 1999, 12, 19, true, 2451545 ],
+		[ -4712, 1, 1, true, 0 ],
+		[ 0, 3, 1, false, 1721120 ]
+	];
+
+	for( var i = 0; i < testCases.length; i++ ) {
+		var date = testCases[i].slice( 0, 3 ).join( '-' ),
+			julianCalendar = testCases[i][3],
+			expected = testCases[i][4];
+
+		assert.strictEqual(
+			util.julianDay( testCases[i][0], testCases[i][1], testCases[i][2], julianCalendar ),
+			expected,
+			'Julian day number of ' + date + ( julianCalendar ? ' (Julian)' : '' ) + ' is '
+				+ expected + '.'
+		);
+	}
+} );
+
+QUnit.test( 'Defaulting to the Gregorian calendar', function( assert ) {
+	assert.strictEqual( util.julianDay( 2000, 1, 1 ), util.julianDay( 2000, 1, 1, false ) );
+} );
+
+}( util, QUnit ) );
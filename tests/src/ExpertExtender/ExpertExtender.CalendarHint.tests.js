@@ -142,6 +142,132 @@
 		$extender.remove();
 	} );
 
+	QUnit.test( 'rules determine whether the calendarhint is shown', function( assert ) {
+		var timeValue;
+		var calendarHint = new ExpertExtender.CalendarHint(
+			new HashMessageProvider( {
+				'valueview-expertextender-calendarhint-gregorian': 'MSG1'
+			} ),
+			function() {
+				return timeValue;
+			},
+			null,
+			[ { from: 1000, to: 1100, precision: Time.PRECISION.MONTH } ]
+		);
+		var $extender = $( '<div />' ).appendTo( 'body' ) ;
+
+		calendarHint.init( $extender );
+
+		timeValue = new Time( '1901-01-01' );
+		calendarHint.draw();
+
+		assert.assertFalse( $extender.children().is( ':visible' ), 'Year out of range.' );
+
+		timeValue = new Time( {
+			year: 1050,
+			month: 1,
+			calendarname: Time.CALENDAR.GREGORIAN,
+			precision: Time.PRECISION.MONTH
+		} );
+		calendarHint.draw();
+
+		assert.assertTrue( $extender.children().is( ':visible' ), 'Year and precision in range.' );
+
+		timeValue = new Time( {
+			year: 1050,
+			calendarname: Time.CALENDAR.GREGORIAN,
+			precision: Time.PRECISION.YEAR
+		} );
+		calendarHint.draw();
+
+		assert.assertFalse( $extender.children().is( ':visible' ), 'Precision too low.' );
+
+		$extender.remove();
+	} );
+
+	QUnit.test( 'switch years depend on the language', function( assert ) {
+		var language;
+		var calendarHint = new ExpertExtender.CalendarHint(
+			new HashMessageProvider( {
+				'valueview-expertextender-calendarhint-gregorian': 'MSG1'
+			} ),
+			function() {
+				return new Time( '1800-01-01' );
+			},
+			null,
+			[ {
+				from: 1582,
+				to: 1929,
+				precision: Time.PRECISION.DAY,
+				switchYears: { en: 1752, 'de-ch': 1811 }
+			} ],
+			function() {
+				return language;
+			}
+		);
+		var $extender = $( '<div />' ).appendTo( 'body' ) ;
+
+		calendarHint.init( $extender );
+
+		$.each( {
+			en: false,
+			'en-gb': false,
+			'de-ch': true,
+			de: true,
+			ru: true
+		}, function( code, visible ) {
+			language = code;
+			calendarHint.draw();
+
+			assert.strictEqual( $extender.children().is( ':visible' ), visible, code );
+		} );
+
+		$extender.remove();
+	} );
+
+	QUnit.test( 'calendarhint shows the converted date', function( assert ) {
+		var timeValue = new Time( {
+			year: 1582,
+			month: 10,
+			day: 4,
+			calendarname: Time.CALENDAR.JULIAN,
+			precision: Time.PRECISION.DAY
+		} );
+		var calendarHint = new ExpertExtender.CalendarHint(
+			{
+				getMessage: function( key, params ) {
+					var match = /-converted-(\w+)$/.exec( key );
+					return match ? match[1] + ': ' + params[0] : 'MSG';
+				}
+			},
+			function() {
+				return timeValue;
+			},
+			null
+		);
+		var $extender = $( '<div />' ).appendTo( 'body' ) ;
+
+		calendarHint.init( $extender );
+		calendarHint.draw();
+
+		var $converted = $( '.valueview-expertextender-calendarhint-converted', $extender[0] );
+
+		assert.equal( $converted.text(), 'gregorian: 14 October 1582' );
+
+		timeValue = new Time( {
+			year: 1917,
+			month: 11,
+			day: 7,
+			calendarname: Time.CALENDAR.GREGORIAN,
+			precision: Time.PRECISION.DAY
+		} );
+		calendarHint.draw();
+
+		assert.equal( $converted.text(), 'julian: 25 October 1917' );
+
+		$extender.remove();
+	} );
+
 } )(
 	jQuery,
 	jQuery.valueview.ExpertExtender,
@@ -0,0 +1,278 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function(
+	$,
+	ExpertExtender,
+	testExpertExtenderExtension,
+	Time,
+	HashMessageProvider,
+	sinon,
+	QUnit
+) {
+	'use strict';
+
+	/**
+	 * @param {time.Time|null} value
+	 * @param {number|null} precision
+	 * @param {string} calendar
+	 * @param {Function} [onPick]
+	 * @return {jQuery.valueview.ExpertExtender.DatePicker}
+	 */
+	function newDatePicker( value, precision, calendar, onPick ) {
+		return new ExpertExtender.DatePicker(
+			new HashMessageProvider( {
+				'valueview-expertextender-datepicker-mon': 'Mo'
+			} ),
+			function() {
+				return value;
+			},
+			function() {
+				return precision;
+			},
+			function() {
+				return calendar;
+			},
+			onPick || function() {}
+		);
+	}
+
+	/**
+	 * @param {jQuery} $extender
+	 * @return {string[]} The dates of all cells featured by the grid.
+	 */
+	function getDates( $extender ) {
+		return $extender.find( '.valueview-expertextender-datepicker-cell' ).map( function() {
+			return $( this ).data( 'date' );
+		} ).get();
+	}
+
+	/**
+	 * @param {jQuery} $extender
+	 * @return {number} Number of empty cells preceding the first day of the month.
+	 */
+	function getOffset( $extender ) {
+		return $extender.find( 'td' ).index(
+			$extender.find( '.valueview-expertextender-datepicker-cell' ).first().parent()
+		);
+	}
+
+	QUnit.module( 'jquery.valueview.ExpertExtender.DatePicker' );
+
+	testExpertExtenderExtension.all(
+		ExpertExtender.DatePicker,
+		function() {
+			return new ExpertExtender.DatePicker();
+		}
+	);
+
+	QUnit.test( 'Month grid', function( assert ) {
+		var datePicker = newDatePicker(
+				new Time( {
+					year: 2015,
+					month: 4,
+					day: 2,
+					calendarname: Time.CALENDAR.GREGORIAN,
+					precision: Time.PRECISION.DAY
+				} ),
+				null,
+				Time.CALENDAR.GREGORIAN
+			),
+			$extender = $( '<div/>' );
+
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		var dates = getDates( $extender );
+
+		assert.equal( dates.length, 30 );
+		assert.equal( dates[0], '2015-04-01' );
+		assert.equal( getOffset( $extender ), 2, '1 April 2015 is a Wednesday.' );
+		assert.equal(
+			$extender.find( '.valueview-expertextender-datepicker-selected' ).data( 'date' ),
+			'2015-04-02'
+		);
+		assert.equal( $extender.find( 'th' ).first().text(), 'Mo' );
+
+		datePicker.destroy();
+	} );
+
+	QUnit.test( 'Laying out a month according to the calendar model', function( assert ) {
+		var value = new Time( {
+				year: 1582,
+				month: 10,
+				day: 4,
+				calendarname: Time.CALENDAR.JULIAN,
+				precision: Time.PRECISION.DAY
+			} ),
+			$extender = $( '<div/>' ),
+			datePicker = newDatePicker( value, null, Time.CALENDAR.JULIAN );
+
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		assert.equal( getOffset( $extender ), 0, 'Julian 1 October 1582 is a Monday.' );
+
+		datePicker.destroy();
+
+		$extender = $( '<div/>' );
+		datePicker = newDatePicker( value, null, Time.CALENDAR.GREGORIAN );
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		assert.equal( getOffset( $extender ), 4, 'Gregorian 1 October 1582 is a Friday.' );
+
+		datePicker.destroy();
+
+		value = new Time( {
+			year: 1900,
+			month: 2,
+			calendarname: Time.CALENDAR.JULIAN,
+			precision: Time.PRECISION.MONTH
+		} );
+
+		$extender = $( '<div/>' );
+		datePicker = newDatePicker( value, Time.PRECISION.DAY, Time.CALENDAR.JULIAN );
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		assert.equal( getDates( $extender ).length, 29, '1900 is a leap year in Julian calendar.' );
+
+		datePicker.destroy();
+
+		$extender = $( '<div/>' );
+		datePicker = newDatePicker( value, Time.PRECISION.DAY, Time.CALENDAR.GREGORIAN );
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		assert.equal(
+			getDates( $extender ).length,
+			28,
+			'1900 is no leap year in Gregorian calendar.'
+		);
+
+		datePicker.destroy();
+	} );
+
+	QUnit.test( 'Year and decade grids', function( assert ) {
+		var value = new Time( {
+				year: 2015,
+				month: 4,
+				calendarname: Time.CALENDAR.GREGORIAN,
+				precision: Time.PRECISION.MONTH
+			} ),
+			$extender = $( '<div/>' ),
+			datePicker = newDatePicker( value, Time.PRECISION.MONTH, Time.CALENDAR.GREGORIAN ),
+			dates;
+
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		dates = getDates( $extender );
+
+		assert.equal( dates.length, 12 );
+		assert.equal( dates[0], '2015-01' );
+		assert.equal( dates[11], '2015-12' );
+
+		datePicker.destroy();
+
+		$extender = $( '<div/>' );
+		datePicker = newDatePicker( value, Time.PRECISION.YEAR, Time.CALENDAR.GREGORIAN );
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		dates = getDates( $extender );
+
+		assert.equal( dates.length, 10 );
+		assert.equal( dates[0], '2010' );
+		assert.equal( dates[9], '2019' );
+		assert.equal(
+			$extender.find( '.valueview-expertextender-datepicker-selected' ).data( 'date' ),
+			'2015'
+		);
+
+		datePicker.destroy();
+
+		$extender = $( '<div/>' );
+		datePicker = newDatePicker( value, Time.PRECISION.YEAR - 1, Time.CALENDAR.GREGORIAN );
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		assert.equal(
+			getDates( $extender ).length,
+			0,
+			'No grid for precisions lower than a year.'
+		);
+
+		datePicker.destroy();
+	} );
+
+	QUnit.test( 'Turning pages', function( assert ) {
+		var value = new Time( {
+				year: 2015,
+				month: 12,
+				day: 2,
+				calendarname: Time.CALENDAR.GREGORIAN,
+				precision: Time.PRECISION.DAY
+			} ),
+			$extender = $( '<div/>' ),
+			datePicker = newDatePicker( value, null, Time.CALENDAR.GREGORIAN );
+
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		$extender.find( '.valueview-expertextender-datepicker-next' ).click();
+
+		assert.equal( getDates( $extender )[0], '2016-01-01' );
+
+		datePicker.draw();
+
+		assert.equal(
+			getDates( $extender )[0],
+			'2016-01-01',
+			'Keeping the page when redrawing with the same value.'
+		);
+
+		$extender.find( '.valueview-expertextender-datepicker-previous' ).click();
+		$extender.find( '.valueview-expertextender-datepicker-previous' ).click();
+
+		assert.equal( getDates( $extender )[0], '2015-11-01' );
+
+		datePicker.destroy();
+	} );
+
+	QUnit.test( 'Picking a date', function( assert ) {
+		var onPick = sinon.spy(),
+			$extender = $( '<div/>' ),
+			datePicker = newDatePicker(
+				new Time( {
+					year: -44,
+					calendarname: Time.CALENDAR.JULIAN,
+					precision: Time.PRECISION.YEAR
+				} ),
+				Time.PRECISION.MONTH,
+				Time.CALENDAR.JULIAN,
+				onPick
+			);
+
+		datePicker.init( $extender );
+		datePicker.draw();
+
+		$extender.find( '.valueview-expertextender-datepicker-cell' ).eq( 2 ).click();
+
+		sinon.assert.calledOnce( onPick );
+		assert.equal( onPick.firstCall.args[0], '-0044-03' );
+
+		datePicker.destroy();
+	} );
+
+} )(
+	jQuery,
+	jQuery.valueview.ExpertExtender,
+	jQuery.valueview.tests.testExpertExtenderExtension,
+	time.Time,
+	util.HashMessageProvider,
+	sinon,
+	QUnit
+);
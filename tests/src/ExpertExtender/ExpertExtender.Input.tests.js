@@ -0,0 +1,90 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( $, ExpertExtender, testExpertExtenderExtension, sinon, QUnit, CompletenessTest ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.ExpertExtender.Input' );
+
+	if( QUnit.urlParams.completenesstest && CompletenessTest ) {
+		new CompletenessTest( ExpertExtender.Input.prototype, function( cur, tester, path ) {
+			return false;
+		} );
+	}
+
+	testExpertExtenderExtension.all(
+		ExpertExtender.Input,
+		function() {
+			return new ExpertExtender.Input( '', function() {}, function() {} );
+		}
+	);
+
+	QUnit.test( 'reflects upstream value until the user changes the value', function( assert ) {
+		var upstreamValue = '+5',
+			onValueChange = sinon.spy(),
+			$extender = $( '<div />' );
+
+		var input = new ExpertExtender.Input( '', onValueChange, function() {
+			return upstreamValue;
+		} );
+
+		input.init( $extender );
+		input.draw();
+
+		assert.equal( input.$input.val(), '+5' );
+		assert.strictEqual(
+			input.getValue(),
+			null,
+			'Not returning upstream value as value specified by the user.'
+		);
+
+		input.$input.val( '+7' ).trigger( 'eachchange' );
+
+		sinon.assert.calledOnce( onValueChange );
+		assert.equal( input.getValue(), '+7' );
+
+		upstreamValue = '+6';
+		input.draw();
+
+		assert.equal(
+			input.$input.val(),
+			'+7',
+			'Not overwriting value specified by the user.'
+		);
+
+		input.destroy();
+	} );
+
+	QUnit.test( 'setValue()', function( assert ) {
+		var onValueChange = sinon.spy(),
+			$extender = $( '<div />' );
+
+		var input = new ExpertExtender.Input( '', onValueChange, function() {
+			return '+5';
+		} );
+
+		input.init( $extender );
+		input.setValue( '+7' );
+
+		assert.equal( input.$input.val(), '+7' );
+		assert.equal( input.getValue(), '+7', 'Treating value as specified by the user.' );
+		sinon.assert.notCalled( onValueChange );
+
+		input.setValue( null );
+
+		assert.equal( input.$input.val(), '+5', 'Reflecting upstream value again.' );
+		assert.strictEqual( input.getValue(), null );
+
+		input.destroy();
+	} );
+
+} )(
+	jQuery,
+	jQuery.valueview.ExpertExtender,
+	jQuery.valueview.tests.testExpertExtenderExtension,
+	sinon,
+	QUnit,
+	typeof CompletenessTest !== 'undefined' ? CompletenessTest : null
+);
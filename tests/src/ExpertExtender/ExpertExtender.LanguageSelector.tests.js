@@ -98,6 +98,29 @@
 		assert.equal( languageSelector.getValue(), 'en' );
 	} );
 
+	QUnit.test( 'setValue() overrules upstream value', function( assert ) {
+		var languageSelector = new ExpertExtender.LanguageSelector(
+			{
+				getAll: function() { return [ 'en', 'de' ]; },
+				getName: function( code ) { return code; }
+			},
+			messageProvider,
+			function() {
+				return 'en';
+			}
+		);
+		var $extender = $( '<div />' );
+
+		languageSelector.setValue( 'de' );
+		languageSelector.init( $extender );
+
+		if( languageSelector.onInitialShow ) {
+			languageSelector.onInitialShow();
+		}
+
+		assert.equal( languageSelector.getValue(), 'de' );
+	} );
+
 } )(
 	jQuery,
 	jQuery.valueview.ExpertExtender,
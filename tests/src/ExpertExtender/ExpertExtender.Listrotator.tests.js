@@ -44,6 +44,34 @@
 		assert.equal( listrotator.getValue(), 'custom value' );
 	} );
 
+	QUnit.test( 'setValue()', function( assert ) {
+		var onValueChange = sinon.spy(),
+			$extender = $( '<div />' );
+
+		var listrotator = new ExpertExtender.Listrotator(
+			'',
+			[ { value: 'a', label: 'A' }, { value: 'b', label: 'B' } ],
+			onValueChange,
+			function() {
+				return 'a';
+			}
+		);
+
+		listrotator.init( $extender );
+		listrotator.setValue( 'b' );
+
+		assert.equal( listrotator.getValue(), 'b' );
+
+		listrotator.draw();
+
+		assert.equal( listrotator.getValue(), 'b', 'Upstream value does not overrule value.' );
+
+		listrotator.setValue( null );
+
+		assert.strictEqual( listrotator.getValue(), null, 'Activated auto state.' );
+		sinon.assert.notCalled( onValueChange );
+	} );
+
 	QUnit.asyncTest( 'supports switching away from custom values', function( assert ) {
 		var onValueChange = sinon.spy();
 		var upstreamValue = {
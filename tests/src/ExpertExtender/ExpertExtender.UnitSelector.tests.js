@@ -0,0 +1,126 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( $, ExpertExtender, testExpertExtenderExtension, sinon, QUnit, CompletenessTest ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.ExpertExtender.UnitSelector' );
+
+	if( QUnit.urlParams.completenesstest && CompletenessTest ) {
+		new CompletenessTest(
+			ExpertExtender.UnitSelector.prototype,
+			function( cur, tester, path ) {
+				return false;
+			}
+		);
+	}
+
+	var messageProvider = {
+		getMessage: function( key ) {
+			return key;
+		}
+	};
+
+	var unitSource = {
+		getAll: function() {
+			return [ 'http://www.wikidata.org/entity/Q11573' ];
+		},
+		getLabel: function( unit ) {
+			return 'metre';
+		}
+	};
+
+	testExpertExtenderExtension.all(
+		ExpertExtender.UnitSelector,
+		function() {
+			return new ExpertExtender.UnitSelector( null, messageProvider, function() {} );
+		}
+	);
+
+	QUnit.test( 'returns free-form unit without unit source', function( assert ) {
+		var unitSelector = new ExpertExtender.UnitSelector(
+			null,
+			messageProvider,
+			function() {
+				return 'kg';
+			}
+		);
+
+		unitSelector.init( $( '<div />' ) );
+		unitSelector.onInitialShow();
+
+		assert.equal( unitSelector.getValue(), 'kg' );
+
+		unitSelector.$selector.val( '' );
+
+		assert.strictEqual( unitSelector.getValue(), null );
+
+		unitSelector.destroy();
+	} );
+
+	QUnit.test( 'maps labels to unit identifiers', function( assert ) {
+		var unitSelector = new ExpertExtender.UnitSelector(
+			unitSource,
+			messageProvider,
+			function() {
+				return 'http://www.wikidata.org/entity/Q11573';
+			}
+		);
+
+		unitSelector.init( $( '<div />' ) );
+		unitSelector.onInitialShow();
+
+		assert.equal( unitSelector.$selector.val(), 'metre' );
+		assert.equal( unitSelector.getValue(), 'http://www.wikidata.org/entity/Q11573' );
+
+		unitSelector.$selector.val( 'inch' );
+
+		assert.equal( unitSelector.getValue(), 'inch' );
+
+		unitSelector.destroy();
+	} );
+
+	QUnit.test( 'setValue()', function( assert ) {
+		var onValueChange = sinon.spy(),
+			unitSelector = new ExpertExtender.UnitSelector(
+				unitSource,
+				messageProvider,
+				function() {
+					return 'kg';
+				},
+				onValueChange
+			);
+
+		unitSelector.init( $( '<div />' ) );
+		unitSelector.setValue( 'http://www.wikidata.org/entity/Q11573' );
+		unitSelector.onInitialShow();
+
+		assert.equal(
+			unitSelector.$selector.val(),
+			'metre',
+			'Keeping unit set before being shown and displaying its label.'
+		);
+		assert.equal( unitSelector.getValue(), 'http://www.wikidata.org/entity/Q11573' );
+
+		unitSelector.setValue( 'inch' );
+
+		assert.equal( unitSelector.getValue(), 'inch' );
+
+		unitSelector.setValue( null );
+
+		assert.equal( unitSelector.getValue(), 'kg', 'Reflecting upstream value again.' );
+		sinon.assert.notCalled( onValueChange );
+
+		unitSelector.destroy();
+	} );
+
+} )(
+	jQuery,
+	jQuery.valueview.ExpertExtender,
+	jQuery.valueview.tests.testExpertExtenderExtension,
+	sinon,
+	QUnit,
+	typeof CompletenessTest !== 'undefined' ? CompletenessTest : null
+);
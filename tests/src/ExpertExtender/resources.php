@@ -49,6 +49,28 @@ return call_user_func( function() {
 			),
 		),
 
+		'jquery.valueview.ExpertExtender.DatePicker.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'ExpertExtender.DatePicker.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ExpertExtender.DatePicker',
+				'jquery.valueview.test.testExpertExtenderExtension',
+				'util.HashMessageProvider',
+				'time.js'
+			),
+		),
+
+		'jquery.valueview.ExpertExtender.Input.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'ExpertExtender.Input.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ExpertExtender.Input',
+				'jquery.valueview.test.testExpertExtenderExtension'
+			),
+		),
+
 		'jquery.valueview.ExpertExtender.LanguageSelector.tests' => $moduleTemplate + array(
 			'scripts' => array(
 				'ExpertExtender.LanguageSelector.tests.js',
@@ -90,6 +112,17 @@ return call_user_func( function() {
 			),
 		),
 
+		'jquery.valueview.ExpertExtender.UnitSelector.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'ExpertExtender.UnitSelector.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ExpertExtender.UnitSelector',
+				'jquery.valueview.test.testExpertExtenderExtension',
+				'test.sinonjs',
+			),
+		),
+
 		'jquery.valueview.test.testExpertExtenderExtension' => $moduleTemplate + array(
 			'scripts' => array(
 				'testExpertExtenderExtension.js',
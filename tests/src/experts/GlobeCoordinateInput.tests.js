@@ -2,10 +2,11 @@
  * @licence GNU GPL v2+
  * @author H. Snater < mediawiki@snater.com >
  */
-( function( QUnit, valueview ) {
+( function( QUnit, valueview, dv ) {
 	'use strict';
 
-	var testExpert = valueview.tests.testExpert;
+	var testExpert = valueview.tests.testExpert,
+		testExpertConformance = valueview.tests.testExpertConformance;
 
 	QUnit.module( 'jquery.valueview.experts.GlobeCoordinateInput' );
 
@@ -13,4 +14,24 @@
 		expertConstructor: valueview.experts.GlobeCoordinateInput
 	} );
 
-}( QUnit, jQuery.valueview ) );
+	testExpertConformance( {
+		expertConstructor: valueview.experts.GlobeCoordinateInput,
+		dataValueType: dv.GlobeCoordinateValue.TYPE,
+		rawValues: [ '52.5, 13.4', '-33.9, 151.2' ],
+		parse: function( rawValue ) {
+			var coordinates = rawValue.split( ', ' );
+			return dv.newDataValue( dv.GlobeCoordinateValue.TYPE, {
+				latitude: parseFloat( coordinates[0] ),
+				longitude: parseFloat( coordinates[1] ),
+				altitude: null,
+				precision: 0.1,
+				globe: 'http://www.wikidata.org/entity/Q2'
+			} );
+		},
+		format: function( dataValue ) {
+			var json = dataValue.toJSON();
+			return json.latitude + ', ' + json.longitude;
+		}
+	} );
+
+}( QUnit, jQuery.valueview, dataValues ) );
@@ -3,10 +3,11 @@
  * @author Adrian Lang < adrian.lang@wikimedia.de >
  */
 /* jshint nonew: false */
-( function( QUnit, valueview ) {
+( function( QUnit, valueview, dv ) {
 	'use strict';
 
-	var testExpert = valueview.tests.testExpert;
+	var testExpert = valueview.tests.testExpert,
+		testExpertConformance = valueview.tests.testExpertConformance;
 	var expertToTest = valueview.experts.MonolingualText;
 
 	QUnit.module( 'jquery.valueview.experts.MonolingualText' );
@@ -21,4 +22,19 @@
 		expertConstructor: expertToTest
 	} );
 
-}( QUnit, jQuery.valueview ) );
+	testExpertConformance( {
+		expertConstructor: expertToTest,
+		dataValueType: dv.MonolingualTextValue.TYPE,
+		rawValues: [ 'foo', 'foo bar' ],
+		parse: function( rawValue, options ) {
+			return dv.newDataValue( dv.MonolingualTextValue.TYPE, {
+				text: rawValue,
+				language: options.valuelang || 'en'
+			} );
+		},
+		format: function( dataValue ) {
+			return dataValue.toJSON().text;
+		}
+	} );
+
+}( QUnit, jQuery.valueview, dataValues ) );
@@ -0,0 +1,87 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( $, QUnit, valueview, dv ) {
+	'use strict';
+
+	var testExpert = valueview.tests.testExpert,
+		testExpertConformance = valueview.tests.testExpertConformance;
+
+	QUnit.module( 'jquery.valueview.experts.QuantityInput' );
+
+	testExpert( {
+		expertConstructor: valueview.experts.QuantityInput
+	} );
+
+	testExpertConformance( {
+		expertConstructor: valueview.experts.QuantityInput,
+		dataValueType: dv.QuantityValue.TYPE,
+		rawValues: [ '5', '42' ],
+		parse: function( rawValue ) {
+			return dv.newDataValue( dv.QuantityValue.TYPE, {
+				amount: '+' + rawValue,
+				unit: '1',
+				upperBound: '+' + rawValue,
+				lowerBound: '+' + rawValue
+			} );
+		},
+		format: function( dataValue ) {
+			return dataValue.toJSON().amount.replace( /^\+/, '' );
+		}
+	} );
+
+	/**
+	 * @return {jQuery.valueview.experts.QuantityInput}
+	 */
+	function newQuantityInput() {
+		var expert = new valueview.experts.QuantityInput(
+			$( '<div/>' ),
+			new valueview.tests.MockViewState(),
+			null,
+			{ messages: {} }
+		);
+
+		expert.init();
+
+		return expert;
+	}
+
+	QUnit.test( 'Passing unit and bounds as value characteristics', function( assert ) {
+		var expert = newQuantityInput();
+
+		assert.deepEqual( expert.valueCharacteristics(), {}, 'No unit and bounds specified.' );
+
+		expert.unitSelector.$selector.val( 'kg' );
+		expert.upperBoundInput.setValue( '+5' );
+		expert.lowerBoundInput.setValue( '+3' );
+
+		assert.deepEqual( expert.valueCharacteristics(), {
+			unit: 'kg',
+			upperBound: '+5',
+			lowerBound: '+3'
+		} );
+
+		expert.destroy();
+	} );
+
+	QUnit.test( 'restoreRawValue()', function( assert ) {
+		var expert = newQuantityInput(),
+			valueCharacteristics = {
+				unit: 'http://www.wikidata.org/entity/Q11573',
+				upperBound: '+5',
+				lowerBound: '+3'
+			};
+
+		assert.ok( expert.restoreRawValue( '4', valueCharacteristics ) );
+		assert.equal( expert.rawValue(), '4' );
+		assert.deepEqual( expert.valueCharacteristics(), valueCharacteristics );
+
+		expert.restoreRawValue( '4', {} );
+
+		assert.deepEqual( expert.valueCharacteristics(), {}, 'Resetting the controls.' );
+
+		expert.destroy();
+	} );
+
+}( jQuery, QUnit, jQuery.valueview, dataValues ) );
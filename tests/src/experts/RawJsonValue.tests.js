@@ -0,0 +1,102 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( $, QUnit, valueview, dv, Notifier ) {
+	'use strict';
+
+	var RawJsonValue = valueview.experts.RawJsonValue,
+		testExpertConformance = valueview.tests.testExpertConformance;
+
+	/**
+	 * @param {Object} viewState
+	 * @return {jQuery.valueview.experts.RawJsonValue}
+	 */
+	function newExpert( viewState ) {
+		var expert = new RawJsonValue(
+			$( '<div/>' ),
+			new valueview.tests.MockViewState( viewState ),
+			new Notifier(),
+			{ messages: {} }
+		);
+		expert.init();
+		return expert;
+	}
+
+	QUnit.module( 'jquery.valueview.experts.RawJsonValue' );
+
+	testExpertConformance( {
+		expertConstructor: RawJsonValue,
+		dataValueType: dv.StringValue.TYPE,
+		rawValues: [ '"foo"', '"foo bar"' ],
+		parse: function( rawValue ) {
+			return dv.newDataValue( dv.StringValue.TYPE, JSON.parse( rawValue ) );
+		},
+		format: function( dataValue ) {
+			return JSON.stringify( dataValue.toJSON() );
+		}
+	} );
+
+	QUnit.test( 'Displaying the serialization of the value', function( assert ) {
+		var expert = newExpert( { value: new dv.StringValue( 'foo' ) } );
+
+		assert.equal( expert.$input.val(), '"foo"' );
+		assert.ok( expert.rawValue().equals( new dv.StringValue( 'foo' ) ) );
+
+		expert.destroy();
+	} );
+
+	QUnit.test( 'Deserializing the input', function( assert ) {
+		var expert = newExpert( { options: { dataValueType: dv.StringValue.TYPE } } );
+
+		assert.strictEqual( expert.rawValue(), null, 'Returning null for empty input.' );
+
+		expert.$input.val( '"bar"' ).trigger( 'eachchange' );
+
+		assert.ok( expert.rawValue() instanceof dv.StringValue );
+		assert.equal( expert.rawValue().getValue(), 'bar' );
+		assert.equal( expert.$viewPort.find( '.valueview-expert-RawJsonValue-error' ).length, 0 );
+
+		expert.destroy();
+	} );
+
+	QUnit.test( 'Invalid input', function( assert ) {
+		var expert = newExpert( { value: new dv.StringValue( 'foo' ) } ),
+			$viewPort = expert.$viewPort;
+
+		expert.$input.val( '"foo' ).trigger( 'eachchange' );
+
+		assert.strictEqual( expert.rawValue(), null, 'Returning null for invalid JSON.' );
+		assert.equal(
+			$viewPort.find( '.valueview-expert-RawJsonValue-error' ).text(),
+			'The input is not valid JSON.',
+			'Displaying error.'
+		);
+
+		expert.$input.val( '{}' ).trigger( 'eachchange' );
+
+		assert.strictEqual( expert.rawValue(), null, 'Returning null for invalid serialization.' );
+		assert.equal(
+			$viewPort.find( '.valueview-expert-RawJsonValue-error' ).length,
+			1,
+			'Replaced error.'
+		);
+
+		expert.showError( null );
+
+		assert.equal( $viewPort.find( '.valueview-expert-RawJsonValue-error' ).length, 0 );
+
+		expert.destroy();
+	} );
+
+	QUnit.test( 'restoreRawValue()', function( assert ) {
+		var expert = newExpert( { value: new dv.StringValue( 'foo' ) } );
+
+		assert.ok( !expert.restoreRawValue( 'bar', {} ), 'Rejecting plain string.' );
+		assert.ok( expert.restoreRawValue( new dv.StringValue( 'bar' ), {} ) );
+		assert.equal( expert.$input.val(), '"bar"' );
+
+		expert.destroy();
+	} );
+
+}( jQuery, QUnit, jQuery.valueview, dataValues, util.Notifier ) );
@@ -5,7 +5,8 @@
  ( function( QUnit, valueview ) {
 	'use strict';
 
-	var testExpert = valueview.tests.testExpert;
+	var testExpert = valueview.tests.testExpert,
+		testExpertConformance = valueview.tests.testExpertConformance;
 
 	QUnit.module( 'jquery.valueview.experts.StringValue' );
 
@@ -13,4 +14,9 @@
 		expertConstructor: valueview.experts.StringValue
 	} );
 
+	testExpertConformance( {
+		expertConstructor: valueview.experts.StringValue,
+		rawValues: [ 'foo', 'foo bar' ]
+	} );
+
 }( QUnit, jQuery.valueview ) );
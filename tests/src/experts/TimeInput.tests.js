@@ -2,10 +2,11 @@
  * @licence GNU GPL v2+
  * @author Daniel Werner < daniel.werner@wikimedia.de >
  */
-( function( QUnit, valueview ) {
+( function( $, QUnit, valueview, dv, sinon, Time ) {
 	'use strict';
 
-	var testExpert = valueview.tests.testExpert;
+	var testExpert = valueview.tests.testExpert,
+		testExpertConformance = valueview.tests.testExpertConformance;
 
 	QUnit.module( 'jquery.valueview.experts.TimeInput' );
 
@@ -13,4 +14,243 @@
 		expertConstructor: valueview.experts.TimeInput
 	} );
 
-}( QUnit, jQuery.valueview ) );
+	testExpertConformance( {
+		expertConstructor: valueview.experts.TimeInput,
+		dataValueType: dv.TimeValue.TYPE,
+		rawValues: [ '2015', '1999' ],
+		parse: function( rawValue ) {
+			return dv.newDataValue( dv.TimeValue.TYPE, {
+				time: '+' + rawValue + '-00-00T00:00:00Z',
+				timezone: 0,
+				before: 0,
+				after: 0,
+				precision: Time.PRECISION.YEAR,
+				calendarmodel: 'http://www.wikidata.org/entity/Q1985727'
+			} );
+		},
+		format: function( dataValue ) {
+			return String( parseInt( /^[+-]0*(\d+)-/.exec( dataValue.toJSON().time )[1], 10 ) );
+		}
+	} );
+
+	QUnit.test( 'Offering precisions finer than a day', function( assert ) {
+		var expert = new valueview.experts.TimeInput(
+			$( '<div/>' ),
+			new valueview.tests.MockViewState(),
+			null,
+			{ messages: {} }
+		);
+
+		var precisions = $.map( expert.precisionRotator.rotator.options.values, function( value ) {
+			return value.value;
+		} );
+
+		assert.ok( $.inArray( Time.PRECISION.HOUR, precisions ) !== -1 );
+		assert.ok( $.inArray( Time.PRECISION.MINUTE, precisions ) !== -1 );
+		assert.ok( $.inArray( Time.PRECISION.SECOND, precisions ) !== -1 );
+
+		expert.destroy();
+	} );
+
+	QUnit.test( 'Passing the time of day as value characteristics', function( assert ) {
+		var expert = new valueview.experts.TimeInput(
+			$( '<div/>' ),
+			new valueview.tests.MockViewState(),
+			null,
+			{ messages: {} }
+		);
+
+		expert.init();
+
+		assert.ok( expert.restoreRawValue( '2 April 2015', {
+			precision: Time.PRECISION.MINUTE,
+			hour: 9,
+			minute: 5
+		} ) );
+
+		assert.equal( expert.timeOfDayInput.$input.val(), '09:05' );
+		assert.deepEqual( expert.valueCharacteristics(), {
+			precision: Time.PRECISION.MINUTE,
+			hour: 9,
+			minute: 5
+		} );
+
+		expert.timeOfDayInput.setValue( '14:30:15' );
+
+		assert.deepEqual( expert.valueCharacteristics(), {
+			precision: Time.PRECISION.MINUTE,
+			hour: 14,
+			minute: 30,
+			second: 15
+		} );
+
+		expert.timeOfDayInput.setValue( 'noon' );
+
+		assert.deepEqual(
+			expert.valueCharacteristics(),
+			{ precision: Time.PRECISION.MINUTE },
+			'Ignoring unrecognized time of day.'
+		);
+
+		expert.destroy();
+	} );
+
+	QUnit.test( 'Passing timezone and tolerance as value characteristics', function( assert ) {
+		var expert = new valueview.experts.TimeInput(
+			$( '<div/>' ),
+			new valueview.tests.MockViewState(),
+			null,
+			{ messages: {} }
+		);
+
+		expert.init();
+
+		var valueCharacteristics = {
+			precision: Time.PRECISION.YEAR,
+			timezone: 120,
+			before: '1',
+			after: '2'
+		};
+
+		assert.ok( expert.restoreRawValue( '2015', valueCharacteristics ) );
+		assert.deepEqual( expert.valueCharacteristics(), valueCharacteristics );
+
+		expert.restoreRawValue( '2015', {} );
+
+		assert.deepEqual( expert.valueCharacteristics(), {}, 'Resetting the controls.' );
+
+		expert.destroy();
+	} );
+
+	QUnit.test( 'Showing time of day, timezone and tolerance in the preview', function( assert ) {
+		var value = dv.newDataValue( dv.TimeValue.TYPE, {
+				time: '+2015-04-02T14:30:00Z',
+				timezone: 120,
+				before: 1,
+				after: 2,
+				precision: Time.PRECISION.MINUTE,
+				calendarmodel: 'http://www.wikidata.org/entity/Q1985727'
+			} ),
+			expert = new valueview.experts.TimeInput(
+				$( '<div/>' ),
+				new valueview.tests.MockViewState( {
+					value: value,
+					getFormattedValue: '2 April 2015'
+				} ),
+				null,
+				{
+					messages: {},
+					messageProvider: {
+						getMessage: function( key, params ) {
+							return key === 'valueview-expert-timeinput-tolerance'
+								? '(-' + params[0] + '/+' + params[1] + ')'
+								: null;
+						}
+					}
+				}
+			),
+			update = sinon.spy( expert.preview, 'update' );
+
+		expert.preview.draw();
+
+		assert.ok( update.calledWith( '2 April 2015 14:30 UTC+02:00 (-1/+2)' ) );
+
+		expert.destroy();
+	} );
+
+	/**
+	 * @return {jQuery.valueview} `valueview` in edit mode using `TimeInput` as well as the offline
+	 *         parsers and formatters.
+	 */
+	function newValueview() {
+		var expertStore = new valueview.ExpertStore();
+		expertStore.registerDataValueExpert( valueview.experts.TimeInput, dv.TimeValue.TYPE );
+
+		var vvInst = $( '<div/>' ).valueview( {
+			expertStore: expertStore,
+			parserStore: valueview.offlineParsers.newStore(),
+			formatterStore: valueview.offlineFormatters.newStore(),
+			dataValueType: dv.TimeValue.TYPE,
+			language: 'en',
+			parseDelay: 0
+		} ).data( 'valueview' );
+
+		vvInst.startEditing();
+
+		return vvInst;
+	}
+
+	QUnit.test( 'Round trip of a timestamp through jQuery.valueview', function( assert ) {
+		var vvInst = newValueview(),
+			expert = vvInst.expert();
+
+		expert.$input.val( '+2015-04-02T14:30:00Z' );
+		vvInst.viewNotifier().notify( 'change' );
+
+		QUnit.stop();
+
+		vvInst.whenSettled().done( function() {
+			var update = sinon.spy( expert.preview, 'update' );
+
+			assert.equal(
+				vvInst.value().toJSON().time.replace( /^([+-])0*(\d{4,})/, '$1$2' ),
+				'+2015-04-02T14:30:00Z',
+				'Keeping the time of day.'
+			);
+			assert.equal( vvInst.value().getValue().precision(), Time.PRECISION.MINUTE );
+
+			expert.preview.draw();
+
+			assert.ok(
+				update.calledWith( '2 April 2015 14:30' ),
+				'Preview displays the time of day.'
+			);
+
+			vvInst.destroy();
+			QUnit.start();
+		} );
+	} );
+
+	QUnit.test( 'Undoing and redoing a precision change', function( assert ) {
+		var vvInst = newValueview(),
+			expert = vvInst.expert();
+
+		expert.$input.val( '2 April 2015' );
+		expert.precisionRotator.setValue( Time.PRECISION.MONTH );
+		vvInst.viewNotifier().notify( 'change' );
+
+		QUnit.stop();
+
+		vvInst.whenSettled()
+		.then( function() {
+			expert.precisionRotator.setValue( Time.PRECISION.YEAR );
+			vvInst.viewNotifier().notify( 'change' );
+			return vvInst.whenSettled();
+		} )
+		.done( function() {
+			assert.equal( vvInst.value().getValue().precision(), Time.PRECISION.YEAR );
+
+			vvInst.undo();
+
+			assert.equal( vvInst.value().getValue().precision(), Time.PRECISION.MONTH );
+			assert.notStrictEqual( vvInst.expert(), expert, 'Rebuilt expert.' );
+			assert.equal( vvInst.expert().rawValue(), '2 April 2015' );
+			assert.deepEqual(
+				vvInst.expert().valueCharacteristics(),
+				{ precision: Time.PRECISION.MONTH },
+				'Reinstated the precision selected explicitly.'
+			);
+
+			vvInst.redo();
+
+			assert.deepEqual(
+				vvInst.expert().valueCharacteristics(),
+				{ precision: Time.PRECISION.YEAR }
+			);
+
+			vvInst.destroy();
+			QUnit.start();
+		} );
+	} );
+
+}( jQuery, QUnit, jQuery.valueview, dataValues, sinon, time.Time ) );
@@ -23,8 +23,10 @@ return call_user_func( function() {
 				'GlobeCoordinateInput.tests.js',
 			),
 			'dependencies' => array(
+				'dataValues.values',
 				'jquery.valueview.experts.GlobeCoordinateInput',
 				'jquery.valueview.tests.testExpert',
+				'jquery.valueview.tests.testExpertConformance',
 			),
 		),
 
@@ -33,8 +35,36 @@ return call_user_func( function() {
 				'MonolingualText.tests.js',
 			),
 			'dependencies' => array(
+				'dataValues.values',
 				'jquery.valueview.experts.MonolingualText',
 				'jquery.valueview.tests.testExpert',
+				'jquery.valueview.tests.testExpertConformance',
+			),
+		),
+
+		'jquery.valueview.experts.QuantityInput.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'QuantityInput.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.experts.QuantityInput',
+				'jquery.valueview.tests.MockViewState',
+				'jquery.valueview.tests.testExpert',
+				'jquery.valueview.tests.testExpertConformance',
+			),
+		),
+
+		'jquery.valueview.experts.RawJsonValue.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'RawJsonValue.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.experts.RawJsonValue',
+				'jquery.valueview.tests.MockViewState',
+				'jquery.valueview.tests.testExpertConformance',
+				'util.Notifier',
 			),
 		),
 
@@ -45,6 +75,7 @@ return call_user_func( function() {
 			'dependencies' => array(
 				'jquery.valueview.experts.StringValue',
 				'jquery.valueview.tests.testExpert',
+				'jquery.valueview.tests.testExpertConformance',
 			),
 		),
 
@@ -53,8 +84,16 @@ return call_user_func( function() {
 				'TimeInput.tests.js',
 			),
 			'dependencies' => array(
+				'dataValues.values',
 				'jquery.valueview.experts.TimeInput',
+				'jquery.valueview.ExpertStore',
+				'jquery.valueview.offlineFormatters',
+				'jquery.valueview.offlineParsers',
+				'jquery.valueview.tests.MockViewState',
 				'jquery.valueview.tests.testExpert',
+				'jquery.valueview.tests.testExpertConformance',
+				'jquery.valueview.valueview',
+				'test.sinonjs',
 				'time.js',
 			),
 		),
@@ -0,0 +1,210 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( $, vv, dv, vf, vp, util, sinon, QUnit ) {
+	'use strict';
+
+	var MockTransport = util.inherit(
+		'ValueviewTestsMockBatchTransport',
+		vv.BatchTransport,
+		function() {
+			this.batches = [];
+		},
+		{
+			parse: function( requests ) {
+				this.batches.push( requests );
+				return $.Deferred().resolve( $.map( requests, function( request ) {
+					if( request.rawValue === 'lost' ) {
+						return {};
+					}
+					return request.rawValue === 'invalid'
+						? { error: 'ERROR' }
+						: { value: new dv.StringValue( request.rawValue ) };
+				} ) ).promise();
+			},
+			format: function( requests ) {
+				this.batches.push( requests );
+				return $.Deferred().resolve( $.map( requests, function( request ) {
+					return { value: request.dataValue.toJSON() };
+				} ) ).promise();
+			}
+		}
+	);
+
+	/**
+	 * @return {jQuery.valueview.valueview}
+	 */
+	function createValueview() {
+		return $( '<div/>' ).valueview( {
+			expertStore: new vv.ExpertStore(),
+			formatterStore: new vf.ValueFormatterStore( vf.NullFormatter ),
+			parserStore: new vp.ValueParserStore( vp.NullParser ),
+			language: 'en',
+			value: new dv.StringValue( 'a' )
+		} ).data( 'valueview' );
+	}
+
+	QUnit.module( 'jquery.valueview.BatchController' );
+
+	QUnit.test( 'Constructor', function( assert ) {
+		assert.ok(
+			new vv.BatchController() instanceof vv.BatchController,
+			'Instantiated BatchController.'
+		);
+
+		assert.throws(
+			function() {
+				new vv.BatchController( { batchTransport: 'invalid' } );
+			},
+			'Failed trying to instantiate with an invalid transport.'
+		);
+	} );
+
+	QUnit.test( 'add(), remove() & getValueviews()', function( assert ) {
+		var controller = new vv.BatchController(),
+			valueview1 = createValueview(),
+			valueview2 = createValueview();
+
+		assert.throws(
+			function() {
+				controller.add( 'invalid' );
+			},
+			'Failed trying to add an invalid widget.'
+		);
+
+		controller.add( valueview1 );
+		controller.add( valueview2 );
+		controller.add( valueview1 );
+
+		assert.deepEqual( controller.getValueviews(), [ valueview1, valueview2 ] );
+		assert.strictEqual( valueview1.option( 'transport' ), controller );
+
+		controller.remove( valueview1 );
+
+		assert.deepEqual( controller.getValueviews(), [ valueview2 ] );
+		assert.strictEqual( valueview1.option( 'transport' ), null );
+
+		controller.destroy();
+
+		assert.deepEqual( controller.getValueviews(), [] );
+	} );
+
+	QUnit.test( 'startEditing() & stopEditing()', function( assert ) {
+		var controller = new vv.BatchController(),
+			valueview1 = createValueview(),
+			valueview2 = createValueview();
+
+		controller.add( valueview1 );
+		controller.add( valueview2 );
+
+		controller.startEditing();
+
+		assert.ok( valueview1.isInEditMode() && valueview2.isInEditMode() );
+		assert.ok( !controller.isDirty() );
+
+		valueview2.value( new dv.StringValue( 'b' ) );
+
+		assert.ok( controller.isDirty(), 'Dirty after changing the value of a single widget.' );
+
+		controller.cancelEditing();
+
+		assert.ok( !valueview1.isInEditMode() && !valueview2.isInEditMode() );
+		assert.equal( valueview2.value().getValue(), 'a', 'Reinstated initial value.' );
+		assert.ok( !controller.isDirty() );
+
+		controller.destroy();
+	} );
+
+	QUnit.asyncTest( 'Coalescing requests', function( assert ) {
+		var transport = new MockTransport(),
+			onStateChange = sinon.spy(),
+			controller = new vv.BatchController( {
+				batchTransport: transport,
+				onStateChange: onStateChange
+			} ),
+			parser = {},
+			formatter = {},
+			value = new dv.StringValue( 'c' );
+
+		$.when(
+			controller.parse( parser, 'a' ),
+			controller.parse( parser, 'b' ),
+			controller.format( formatter, value, null, 'text/plain' )
+		)
+		.done( function( parsedA, parsedB, formatted ) {
+			assert.equal( transport.batches.length, 2, 'Sent one batch per request type.' );
+			assert.equal( transport.batches[0].length, 2, 'Sent both parse requests at once.' );
+			assert.equal( parsedA.getValue(), 'a' );
+			assert.equal( parsedB.getValue(), 'b' );
+			assert.deepEqual( formatted, [ 'c', value ] );
+		} )
+		.always( function() {
+			assert.ok( !controller.isPending() );
+			assert.ok( onStateChange.firstCall.args[0].pending, 'Reported pending state.' );
+
+			controller.parse( parser, 'invalid' )
+			.fail( function( message ) {
+				assert.equal( message, 'ERROR', 'Rejected failed request.' );
+			} )
+			.always( function() {
+				controller.destroy();
+				QUnit.start();
+			} );
+		} );
+
+		assert.ok( controller.isPending() );
+	} );
+
+	QUnit.asyncTest( 'Rejecting requests without result', function( assert ) {
+		var controller = new vv.BatchController( { batchTransport: new MockTransport() } );
+
+		controller.parse( {}, 'lost' )
+		.fail( function( error ) {
+			assert.ok( error instanceof vv.ValueError, 'Rejected with an error.' );
+			assert.equal( error.getCode(), 'missing-result' );
+		} )
+		.always( function() {
+			controller.destroy();
+			QUnit.start();
+		} );
+	} );
+
+	QUnit.asyncTest( 'Sending batches to an endpoint', function( assert ) {
+		var endpoint = sinon.spy( function( type, requests ) {
+				return $.Deferred().resolve( $.map( requests, function( request ) {
+					return { type: dv.StringValue.TYPE, value: request.rawValue.toUpperCase() };
+				} ) ).promise();
+			} ),
+			controller = new vv.BatchController( {
+				batchTransport: new vv.BatchTransport( endpoint )
+			} ),
+			parser = new vp.NullParser();
+
+		$.when(
+			controller.parse( parser, 'a', dv.StringValue.TYPE, null ),
+			controller.parse( parser, 'b', dv.StringValue.TYPE, null )
+		)
+		.done( function( parsedA, parsedB ) {
+			sinon.assert.calledOnce( endpoint );
+			assert.equal( endpoint.firstCall.args[1][0].dataValueType, dv.StringValue.TYPE );
+			assert.equal( parsedA.getValue(), 'A' );
+			assert.equal( parsedB.getValue(), 'B' );
+		} )
+		.always( function() {
+			controller.destroy();
+			QUnit.start();
+		} );
+	} );
+
+}(
+	jQuery,
+	jQuery.valueview,
+	dataValues,
+	valueFormatters,
+	valueParsers,
+	util,
+	sinon,
+	QUnit
+) );
@@ -0,0 +1,121 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( $, vv, dv, vf, vp, sinon, QUnit ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.BatchTransport' );
+
+	QUnit.test( 'Constructor', function( assert ) {
+		assert.ok( new vv.BatchTransport() instanceof vv.BatchTransport );
+
+		assert.throws(
+			function() {
+				new vv.BatchTransport( 'invalid' );
+			},
+			'Failed trying to instantiate with an invalid endpoint.'
+		);
+	} );
+
+	QUnit.test( 'parse() without endpoint', function( assert ) {
+		var transport = new vv.BatchTransport(),
+			parser = new vp.NullParser(),
+			parse = sinon.spy( parser, 'parse' ),
+			results;
+
+		transport.parse( [
+			{ parser: parser, rawValue: 'a' },
+			{ parser: parser, rawValue: 'b' }
+		] )
+		.done( function( r ) {
+			results = r;
+		} );
+
+		sinon.assert.calledTwice( parse );
+		assert.equal( results.length, 2 );
+	} );
+
+	QUnit.test( 'parse() sending a batch to the endpoint', function( assert ) {
+		var endpoint = sinon.spy( function() {
+				return $.Deferred().resolve( [
+					{ type: dv.StringValue.TYPE, value: 'A' },
+					{ value: null },
+					{ error: 'ERROR' },
+					{}
+				] ).promise();
+			} ),
+			transport = new vv.BatchTransport( endpoint ),
+			parser = new vp.NullParser( { lang: 'en' } ),
+			parse = sinon.spy( parser, 'parse' ),
+			results;
+
+		transport.parse( [
+			{ parser: parser, rawValue: 'a', dataValueType: 'string', dataTypeId: 'isbn' },
+			{ parser: parser, rawValue: '' },
+			{ parser: parser, rawValue: 'invalid' },
+			{ parser: parser, rawValue: 'lost' }
+		] )
+		.done( function( r ) {
+			results = r;
+		} );
+
+		sinon.assert.calledOnce( endpoint );
+		sinon.assert.notCalled( parse );
+		assert.equal( endpoint.firstCall.args[0], 'parse' );
+		assert.deepEqual( endpoint.firstCall.args[1][0], {
+			rawValue: 'a',
+			options: parser.getOptions(),
+			dataValueType: 'string',
+			dataTypeId: 'isbn'
+		} );
+		assert.equal( endpoint.firstCall.args[1].length, 4, 'Sent all requests at once.' );
+
+		assert.ok( results[0].value instanceof dv.StringValue );
+		assert.equal( results[0].value.getValue(), 'A' );
+		assert.deepEqual( results[1], { value: null } );
+		assert.deepEqual( results[2], { error: 'ERROR' } );
+		assert.ok( !results[3].hasOwnProperty( 'value' ), 'Result without value is an error.' );
+	} );
+
+	QUnit.test( 'format() sending a batch to the endpoint', function( assert ) {
+		var endpoint = sinon.spy( function( type, requests ) {
+				return $.Deferred().resolve( $.map( requests, function( request ) {
+					return { value: '<b>' + request.dataValue.value + '</b>' };
+				} ) ).promise();
+			} ),
+			transport = new vv.BatchTransport( endpoint ),
+			formatter = new vf.NullFormatter(),
+			results;
+
+		transport.format( [
+			{
+				formatter: formatter,
+				dataValue: new dv.StringValue( 'a' ),
+				dataTypeId: null,
+				outputType: 'text/html'
+			},
+			{
+				formatter: formatter,
+				dataValue: new dv.StringValue( 'b' ),
+				dataTypeId: 'isbn',
+				outputType: 'text/plain'
+			}
+		] )
+		.done( function( r ) {
+			results = r;
+		} );
+
+		sinon.assert.calledOnce( endpoint );
+		assert.equal( endpoint.firstCall.args[0], 'format' );
+		assert.deepEqual( endpoint.firstCall.args[1][1], {
+			dataValue: { type: dv.StringValue.TYPE, value: 'b' },
+			dataTypeId: 'isbn',
+			outputType: 'text/plain',
+			options: formatter.getOptions()
+		} );
+		assert.deepEqual( results, [ { value: '<b>a</b>' }, { value: '<b>b</b>' } ] );
+	} );
+
+}( jQuery, jQuery.valueview, dataValues, valueFormatters, valueParsers, sinon, QUnit ) );
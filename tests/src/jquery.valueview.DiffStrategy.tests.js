@@ -0,0 +1,65 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( vv, dv, QUnit ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.DiffStrategy' );
+
+	QUnit.test( 'getComponents()', function( assert ) {
+		var strategy = new vv.DiffStrategy();
+
+		assert.deepEqual(
+			strategy.getComponents( new dv.StringValue( 'a' ) ),
+			{ text: '"a"' },
+			'Basic strategy compares the serialization.'
+		);
+	} );
+
+	QUnit.test( 'getDifferences()', function( assert ) {
+		var strategy = new vv.diffStrategies.StringValue();
+
+		assert.deepEqual(
+			strategy.getDifferences( new dv.StringValue( 'a' ), new dv.StringValue( 'a' ) ),
+			{},
+			'No differences between equal values.'
+		);
+
+		assert.deepEqual(
+			strategy.getDifferences( new dv.StringValue( 'a' ), new dv.StringValue( 'b' ) ),
+			{ text: { oldValue: 'a', newValue: 'b' } }
+		);
+
+		assert.deepEqual(
+			strategy.getDifferences( null, new dv.StringValue( 'b' ) ),
+			{ text: { oldValue: '', newValue: 'b' } },
+			'Comparing against no value.'
+		);
+	} );
+
+	QUnit.test( 'getDifferences() comparing multiple components', function( assert ) {
+		var strategy = new vv.diffStrategies.TimeValue(),
+			mockTimeValue = function( precision, calendarmodel ) {
+				return {
+					toJSON: function() {
+						return {
+							time: '+2015-01-01T00:00:00Z',
+							precision: precision,
+							calendarmodel: calendarmodel
+						};
+					}
+				};
+			};
+
+		assert.deepEqual(
+			strategy.getDifferences(
+				mockTimeValue( 11, 'http://www.wikidata.org/entity/Q1985727' ),
+				mockTimeValue( 9, 'http://www.wikidata.org/entity/Q1985727' )
+			),
+			{ precision: { oldValue: '11', newValue: '9' } },
+			'Returning differing components only.'
+		);
+	} );
+
+}( jQuery.valueview, dataValues, QUnit ) );
@@ -0,0 +1,79 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( vv, QUnit ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.DiffStrategyStore' );
+
+	QUnit.test( 'Constructor', function( assert ) {
+		assert.ok(
+			new vv.DiffStrategyStore() instanceof vv.DiffStrategyStore,
+			'Instantiated DiffStrategyStore.'
+		);
+
+		assert.throws(
+			function() {
+				new vv.DiffStrategyStore( 'invalid' );
+			},
+			'Failed trying to instantiate with an invalid default strategy.'
+		);
+	} );
+
+	QUnit.test( 'register*Strategy(): Error handling', function( assert ) {
+		var store = new vv.DiffStrategyStore();
+
+		assert.throws(
+			function() {
+				store.registerDataValueStrategy( 'invalid', 'string' );
+			},
+			'Failed trying to register an invalid strategy.'
+		);
+
+		assert.throws(
+			function() {
+				store.registerDataTypeStrategy( new vv.DiffStrategy() );
+			},
+			'Failed trying to register a strategy without data type id.'
+		);
+
+		store.registerDataValueStrategy( new vv.DiffStrategy(), 'string' );
+
+		assert.throws(
+			function() {
+				store.registerDataValueStrategy( new vv.DiffStrategy(), 'string' );
+			},
+			'Failed trying to register a second strategy for the same data value type.'
+		);
+	} );
+
+	QUnit.test( 'getStrategy()', function( assert ) {
+		var defaultStrategy = new vv.DiffStrategy(),
+			stringStrategy = new vv.diffStrategies.StringValue(),
+			urlStrategy = new vv.DiffStrategy(),
+			store = new vv.DiffStrategyStore( defaultStrategy );
+
+		store.registerDataValueStrategy( stringStrategy, 'string' );
+		store.registerDataTypeStrategy( urlStrategy, 'url' );
+
+		assert.strictEqual( store.getStrategy( 'string' ), stringStrategy );
+		assert.strictEqual(
+			store.getStrategy( 'string', 'url' ),
+			urlStrategy,
+			'Data type strategy takes precedence.'
+		);
+		assert.strictEqual(
+			store.getStrategy( 'string', 'commonsMedia' ),
+			stringStrategy,
+			'Falling back to data value type strategy.'
+		);
+		assert.strictEqual(
+			store.getStrategy( 'time' ),
+			defaultStrategy,
+			'Falling back to default strategy.'
+		);
+	} );
+
+}( jQuery.valueview, QUnit ) );
@@ -4,7 +4,7 @@
  * @author H. Snater < mediawiki@snater.com >
  */
 
-( function( $, dv, QUnit ) {
+( function( $, dv, sinon, QUnit ) {
 	'use strict';
 
 	var vv = $.valueview;
@@ -262,6 +262,549 @@
 		} );
 	}
 
+	QUnit.test( 'registerDataValueExtension()/registerDataTypeExtension(): Error handling',
+		function( assert ) {
+			var expertStore = new vv.ExpertStore();
+
+			assert.throws(
+				function() {
+					expertStore.registerDataValueExtension( 'invalid', StringValue.TYPE );
+				},
+				'Failed trying to register an invalid extension factory.'
+			);
+
+			assert.throws(
+				function() {
+					expertStore.registerDataTypeExtension( function() {} );
+				},
+				'Failed trying to register an extension factory without a data type id.'
+			);
+		}
+	);
+
+	QUnit.test( 'getExpert() with registered extensions', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			MockExpertWithInput = vv.expert( 'mockexpertwithinput', vv.tests.MockExpert, function() {
+				vv.tests.MockExpert.apply( this, arguments );
+				this.$input = $( '<input/>' );
+			}, {} ),
+			dataValueExtensionFactory = sinon.spy( function() {
+				return {};
+			} ),
+			dataTypeExtensionFactory = sinon.spy( function() {
+				return {};
+			} );
+
+		expertStore.registerDataValueExpert( MockExpertWithInput, StringValue.TYPE );
+		expertStore.registerDataValueExtension( dataValueExtensionFactory, StringValue.TYPE );
+		expertStore.registerDataTypeExtension( dataTypeExtensionFactory, stringType.getId() );
+
+		var ExtendedExpert = expertStore.getExpert( StringValue.TYPE );
+
+		assert.ok(
+			ExtendedExpert.prototype instanceof MockExpertWithInput,
+			'Returning constructor inheriting from the registered expert.'
+		);
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE ),
+			ExtendedExpert,
+			'Returning the same constructor on subsequent calls.'
+		);
+
+		var expert = new ExtendedExpert(
+			$( '<div/>' ),
+			new vv.tests.MockViewState(),
+			null,
+			{ messages: {} }
+		);
+
+		sinon.assert.calledOnce( dataValueExtensionFactory );
+		sinon.assert.notCalled( dataTypeExtensionFactory );
+		assert.strictEqual(
+			dataValueExtensionFactory.firstCall.args[0],
+			expert,
+			'Passing the expert to the extension factory.'
+		);
+
+		expert.destroy();
+
+		expert = new ( expertStore.getExpert( StringValue.TYPE, stringType.getId() ) )(
+			$( '<div/>' ),
+			new vv.tests.MockViewState(),
+			null,
+			{ messages: {} }
+		);
+
+		sinon.assert.calledTwice( dataValueExtensionFactory );
+		sinon.assert.calledOnce( dataTypeExtensionFactory );
+
+		expert.destroy();
+
+		assert.strictEqual(
+			expertStore.getExpert( UnknownValue.TYPE ),
+			null,
+			'Still returning null if no expert is registered.'
+		);
+	} );
+
+	QUnit.test( 'getExpert() with extensions for an expert featuring an extender', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			extension = {
+				init: sinon.spy(),
+				destroy: sinon.spy()
+			};
+
+		expertStore.registerDataValueExpert( vv.experts.TimeInput, dv.TimeValue.TYPE );
+		expertStore.registerDataValueExtension( function() {
+			return extension;
+		}, dv.TimeValue.TYPE );
+
+		var expert = new ( expertStore.getExpert( dv.TimeValue.TYPE ) )(
+			$( '<div/>' ),
+			new vv.tests.MockViewState(),
+			null,
+			{ messages: {} }
+		);
+
+		expert.init();
+		expert.$input.data( 'inputextender' ).showExtension();
+
+		var $extension = expert.$input.data( 'inputextender' ).extension();
+
+		assert.equal(
+			$extension.find( '.valueview-expert-timeinput-precision' ).length,
+			1,
+			'Initialized the expert\'s own extensions.'
+		);
+		sinon.assert.calledOnce( extension.init );
+		assert.strictEqual(
+			extension.init.firstCall.args[0][0],
+			$extension[0],
+			'Initialized the registered extension within the expert\'s extender.'
+		);
+
+		expert.destroy();
+
+		sinon.assert.calledOnce( extension.destroy );
+	} );
+
+	QUnit.test( 'Registering alternative experts: Error handling', function( assert ) {
+		var expertStore = new vv.ExpertStore();
+
+		expertStore.registerDataValueExpert( MockExpertForStringValue, StringValue.TYPE, {
+			id: 'plain'
+		} );
+
+		assert.throws(
+			function() {
+				expertStore.registerDataValueExpert(
+					MockExpertForStringDataType,
+					StringValue.TYPE,
+					{ id: 'plain' }
+				);
+			},
+			'Failed trying to register an expert with an id registered already.'
+		);
+
+		assert.throws(
+			function() {
+				expertStore.registerDataTypeExpert(
+					MockExpertForStringDataType,
+					stringType.getId(),
+					{ id: 'other', priority: 'high' }
+				);
+			},
+			'Failed trying to register an expert with an invalid priority.'
+		);
+
+		expertStore.registerDataValueExpert( MockExpertForStringDataType, StringValue.TYPE );
+
+		assert.strictEqual(
+			expertStore.getExperts( StringValue.TYPE ).length,
+			2,
+			'Registered an expert without id in addition to an expert with id.'
+		);
+	} );
+
+	QUnit.test( 'getExperts()/getExpert() with alternative experts', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			MockExpertAlternative = newMockExpertConstructor( 'Alternative' );
+
+		expertStore.registerDataValueExpert( MockExpertForStringValue, StringValue.TYPE );
+		expertStore.registerDataValueExpert( MockExpertAlternative, StringValue.TYPE, {
+			id: 'alternative',
+			label: 'Alternative',
+			priority: -1
+		} );
+		expertStore.registerDataTypeExpert( MockExpertForStringDataType, stringType.getId() );
+
+		var experts = expertStore.getExperts( StringValue.TYPE );
+
+		assert.deepEqual(
+			$.map( experts, function( expert ) {
+				return [[expert.id, expert.label, expert.priority]];
+			} ),
+			[['default', null, 0], ['alternative', 'Alternative', -1]],
+			'Returning experts ordered by priority.'
+		);
+
+		assert.strictEqual(
+			experts[0].Expert,
+			MockExpertForStringValue,
+			'Returning the registered expert constructor.'
+		);
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE ),
+			MockExpertForStringValue,
+			'getExpert() returns the expert with the highest priority.'
+		);
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, null, 'alternative' ),
+			MockExpertAlternative,
+			'getExpert() returns the expert with the specified id.'
+		);
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, null, 'unknown' ),
+			MockExpertForStringValue,
+			'getExpert() falls back to the expert with the highest priority on an unknown id.'
+		);
+
+		assert.deepEqual(
+			$.map( expertStore.getExperts( StringValue.TYPE, stringType.getId() ), function( expert ) {
+				return expert.Expert;
+			} ),
+			[MockExpertForStringDataType, MockExpertAlternative],
+			'Data type expert overrides the data value expert with the same id.'
+		);
+
+		expertStore.registerDataValueExpert( MockExpertForUnsupportedValue, StringValue.TYPE, {
+			id: 'preferred',
+			priority: 1
+		} );
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, stringType.getId() ),
+			MockExpertForUnsupportedValue,
+			'Expert with a higher priority takes precedence over the data type expert.'
+		);
+	} );
+
+	QUnit.test( 'getExperts() with default expert', function( assert ) {
+		var expertStore = new vv.ExpertStore( MockExpertForUnsupportedValue );
+
+		assert.deepEqual(
+			$.map( expertStore.getExperts( UnknownValue.TYPE ), function( expert ) {
+				return [[expert.id, expert.Expert]];
+			} ),
+			[['default', MockExpertForUnsupportedValue]],
+			'Returning the default expert if no expert is registered.'
+		);
+
+		assert.deepEqual(
+			new vv.ExpertStore().getExperts( UnknownValue.TYPE ),
+			[],
+			'Returning an empty list if no default expert is set.'
+		);
+	} );
+
+	QUnit.test( 'registerMatchingExpert(): Error handling', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			matcher = function() {
+				return true;
+			};
+
+		assert.throws(
+			function() {
+				expertStore.registerMatchingExpert( MockExpertForStringValue, 'invalid', {
+					id: 'matching'
+				} );
+			},
+			'Failed trying to register an expert with an invalid matcher.'
+		);
+
+		assert.throws(
+			function() {
+				expertStore.registerMatchingExpert( MockExpertForStringValue, matcher );
+			},
+			'Failed trying to register an expert without an id.'
+		);
+
+		expertStore.registerMatchingExpert( MockExpertForStringValue, matcher, { id: 'matching' } );
+
+		assert.throws(
+			function() {
+				expertStore.registerMatchingExpert( MockExpertForStringDataType, matcher, {
+					id: 'matching'
+				} );
+			},
+			'Failed trying to register a matching expert with an id registered already.'
+		);
+	} );
+
+	QUnit.test( 'getExpert() with matching experts', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			MockExpertForUrls = newMockExpertConstructor( 'ForUrls' ),
+			matcher = sinon.spy( function( purpose ) {
+				return purpose.value !== null && /^https?:/.test( purpose.value.getValue() );
+			} ),
+			url = new StringValue( 'http://example.com' ),
+			options = { language: 'en' };
+
+		expertStore.registerDataValueExpert( MockExpertForStringValue, StringValue.TYPE );
+		expertStore.registerDataTypeExpert( MockExpertForStringDataType, stringType.getId() );
+		expertStore.registerMatchingExpert( MockExpertForUrls, matcher, { id: 'url' } );
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, stringType.getId(), null, {
+				value: url,
+				options: options
+			} ),
+			MockExpertForUrls,
+			'Matching expert precedes data type expert with the same priority.'
+		);
+
+		assert.deepEqual(
+			matcher.lastCall.args[0],
+			{
+				dataValueType: StringValue.TYPE,
+				dataTypeId: stringType.getId(),
+				value: url,
+				options: options
+			},
+			'Passed purpose to matcher.'
+		);
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, stringType.getId(), null, {
+				value: new StringValue( 'foo' )
+			} ),
+			MockExpertForStringDataType,
+			'Ignoring expert whose matcher does not match.'
+		);
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, stringType.getId() ),
+			MockExpertForStringDataType,
+			'Ignoring matching expert when no context is given.'
+		);
+
+		expertStore.registerDataTypeExpert( MockExpertForUnsupportedValue, stringType.getId(), {
+			id: 'preferred',
+			priority: 1
+		} );
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, stringType.getId(), null, { value: url } ),
+			MockExpertForUnsupportedValue,
+			'Expert with a higher priority precedes the matching expert.'
+		);
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, stringType.getId(), 'url', { value: url } ),
+			MockExpertForUrls,
+			'Returning matching expert requested by its id.'
+		);
+	} );
+
+	QUnit.test( 'selectExpert()', function( assert ) {
+		var expertStore = new vv.ExpertStore();
+
+		assert.strictEqual( expertStore.selectExpert( StringValue.TYPE ), null );
+
+		expertStore.registerDataValueExpert( MockExpertForStringValue, StringValue.TYPE );
+		expertStore.registerDataValueExpert( MockExpertForStringDataType, StringValue.TYPE, {
+			id: 'alternative',
+			priority: -1
+		} );
+
+		var selection = expertStore.selectExpert( StringValue.TYPE );
+
+		assert.equal( selection.id, 'default' );
+		assert.strictEqual( selection.Expert, MockExpertForStringValue );
+		assert.equal(
+			selection.reason,
+			'Expert "default" registered for data value type "string" has the highest priority '
+				+ '(0) of 2 available expert(s)'
+		);
+
+		assert.equal(
+			expertStore.selectExpert( StringValue.TYPE, null, 'alternative' ).reason,
+			'Expert "alternative" registered for data value type "string" has been requested by '
+				+ 'its id'
+		);
+	} );
+
+	QUnit.test( 'Lazily registered experts', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			deferred = $.Deferred(),
+			loader = sinon.spy( function() {
+				return deferred.promise();
+			} );
+
+		assert.throws(
+			function() {
+				expertStore.registerLazyDataValueExpert( 'invalid', StringValue.TYPE );
+			},
+			'Failed trying to register an invalid loader.'
+		);
+
+		expertStore.registerLazyDataValueExpert( loader, StringValue.TYPE );
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE ),
+			null,
+			'getExpert() returns null as long as the expert has not been loaded.'
+		);
+		assert.strictEqual( expertStore.getExperts( StringValue.TYPE )[0].Expert, null );
+		sinon.assert.notCalled( loader );
+
+		var onLoaded = sinon.spy();
+
+		expertStore.loadExpert( StringValue.TYPE ).done( onLoaded );
+		expertStore.loadExpert( StringValue.TYPE ).done( onLoaded );
+
+		sinon.assert.calledOnce( loader );
+		sinon.assert.notCalled( onLoaded );
+
+		deferred.resolve( MockExpertForStringValue );
+
+		sinon.assert.calledTwice( onLoaded );
+		sinon.assert.alwaysCalledWith( onLoaded, MockExpertForStringValue );
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE ),
+			MockExpertForStringValue,
+			'getExpert() returns the expert after it has been loaded.'
+		);
+
+		expertStore.loadExpert( StringValue.TYPE );
+		sinon.assert.calledOnce( loader );
+	} );
+
+	QUnit.test( 'Failing to load lazily registered experts', function( assert ) {
+		var expertStore = new vv.ExpertStore( MockExpertForUnsupportedValue ),
+			loader = sinon.spy( function() {
+				return $.Deferred().reject( 'error' ).promise();
+			} ),
+			onFail = sinon.spy();
+
+		expertStore.registerLazyDataTypeExpert( loader, stringType.getId() );
+		expertStore.registerLazyDataValueExpert( function() {
+			return $.Deferred().resolve( 'invalid' ).promise();
+		}, StringValue.TYPE );
+
+		expertStore.loadExpert( StringValue.TYPE, stringType.getId() ).fail( onFail );
+		expertStore.loadExpert( StringValue.TYPE, stringType.getId() ).fail( onFail );
+
+		sinon.assert.calledTwice( onFail );
+		sinon.assert.calledTwice( loader );
+
+		expertStore.loadExpert( StringValue.TYPE ).fail( onFail );
+
+		sinon.assert.calledThrice( onFail );
+
+		assert.strictEqual(
+			expertStore.getDefaultExpert( StringValue.TYPE ),
+			MockExpertForUnsupportedValue
+		);
+	} );
+
+	QUnit.test( 'registerDataTypeParent(): Error handling', function( assert ) {
+		var expertStore = new vv.ExpertStore();
+
+		assert.throws(
+			function() {
+				expertStore.registerDataTypeParent( 'external-id' );
+			},
+			'Failed trying to register a parent without specifying the parent data type id.'
+		);
+
+		expertStore.registerDataTypeParent( 'external-id', 'string' );
+
+		assert.throws(
+			function() {
+				expertStore.registerDataTypeParent( 'external-id', 'url' );
+			},
+			'Failed trying to register a second parent for a data type.'
+		);
+
+		assert.throws(
+			function() {
+				expertStore.registerDataTypeParent( 'string', 'external-id' );
+			},
+			'Failed trying to register a circular chain of data types.'
+		);
+
+		assert.throws(
+			function() {
+				expertStore.registerDataTypeParent( 'url', 'url' );
+			},
+			'Failed trying to register a data type as its own parent.'
+		);
+	} );
+
+	QUnit.test( 'getDataTypeChain()', function( assert ) {
+		var expertStore = new vv.ExpertStore();
+
+		expertStore.registerDataTypeParent( 'external-id', 'string' );
+		expertStore.registerDataTypeParent( 'isbn', 'external-id' );
+
+		assert.deepEqual( expertStore.getDataTypeChain( 'isbn' ), [ 'isbn', 'external-id', 'string' ] );
+		assert.deepEqual( expertStore.getDataTypeChain( 'string' ), [ 'string' ] );
+		assert.deepEqual(
+			expertStore.getDataTypeChain( undefined ),
+			[],
+			'Returning an empty chain when no data type id is specified.'
+		);
+	} );
+
+	QUnit.test( 'Walking the chain of data types', function( assert ) {
+		var expertStore = new vv.ExpertStore( MockExpertForUnsupportedValue ),
+			MockExpertForIsbn = newMockExpertConstructor( 'ForIsbn' ),
+			parentExtension = sinon.spy(),
+			childExtension = sinon.spy();
+
+		expertStore.registerDataTypeParent( 'external-id', stringType.getId() );
+		expertStore.registerDataTypeParent( 'isbn', 'external-id' );
+		expertStore.registerDataTypeExpert( MockExpertForStringDataType, stringType.getId() );
+		expertStore.registerDataValueExpert( MockExpertForStringValue, StringValue.TYPE );
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, 'external-id' ),
+			MockExpertForStringDataType,
+			'Using the expert registered for the parent data type.'
+		);
+		assert.strictEqual(
+			expertStore.getExpert( null, 'isbn' ),
+			MockExpertForStringDataType,
+			'Choosing the expert for an ancestor without knowing the data value type.'
+		);
+
+		expertStore.registerDataTypeExpert( MockExpertForIsbn, 'isbn' );
+
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, 'isbn' ),
+			MockExpertForIsbn,
+			'Expert registered for the data type itself overrules the one of the ancestor.'
+		);
+		assert.strictEqual(
+			expertStore.getExpert( StringValue.TYPE, 'external-id' ),
+			MockExpertForStringDataType
+		);
+
+		expertStore.registerDataTypeExtension( parentExtension, stringType.getId() );
+		expertStore.registerDataTypeExtension( childExtension, 'isbn' );
+
+		assert.deepEqual(
+			expertStore.getExtensions( StringValue.TYPE, 'isbn' ),
+			[ parentExtension, childExtension ],
+			'Extensions of ancestors are applied before the ones of the data type.'
+		);
+	} );
+
 	QUnit
 	.cases( expertStoreRegistrationTestCases )
 		.test(
@@ -271,4 +814,4 @@
 			}
 		);
 
-}( jQuery, dataValues, QUnit ) );
+}( jQuery, dataValues, sinon, QUnit ) );
@@ -0,0 +1,92 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( vv, QUnit ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.ResultCache' );
+
+	QUnit.test( 'Constructor', function( assert ) {
+		assert.ok(
+			new vv.ResultCache() instanceof vv.ResultCache,
+			'Instantiated ResultCache.'
+		);
+
+		assert.throws(
+			function() {
+				new vv.ResultCache( 0 );
+			},
+			'Failed trying to instantiate with an invalid maximum size.'
+		);
+	} );
+
+	QUnit.test( 'get() & set()', function( assert ) {
+		var cache = new vv.ResultCache();
+
+		assert.strictEqual( cache.get( 'parse', 'a' ), undefined, 'Returning undefined on miss.' );
+
+		cache.set( 'parse', 'a', 'parsed a' );
+		cache.set( 'format', 'a', 'formatted a' );
+		cache.set( 'parse', 'b', null );
+
+		assert.equal( cache.get( 'parse', 'a' ), 'parsed a' );
+		assert.equal( cache.get( 'format', 'a' ), 'formatted a', 'Namespaces are separated.' );
+		assert.strictEqual( cache.get( 'parse', 'b' ), null, 'Caching null.' );
+
+		assert.throws(
+			function() {
+				cache.set( 'parse', 'c', undefined );
+			},
+			'Failed trying to cache undefined.'
+		);
+	} );
+
+	QUnit.test( 'Dropping least recently used results', function( assert ) {
+		var cache = new vv.ResultCache( 2 );
+
+		cache.set( 'parse', 'a', 1 );
+		cache.set( 'parse', 'b', 2 );
+		cache.get( 'parse', 'a' );
+		cache.set( 'parse', 'c', 3 );
+
+		assert.strictEqual( cache.get( 'parse', 'b' ), undefined, 'Dropped least recently used.' );
+		assert.equal( cache.get( 'parse', 'a' ), 1 );
+		assert.equal( cache.get( 'parse', 'c' ), 3 );
+		assert.equal( cache.getStatistics().size, 2 );
+	} );
+
+	QUnit.test( 'invalidate()', function( assert ) {
+		var cache = new vv.ResultCache();
+
+		cache.set( 'parse', 'a', 1 );
+		cache.set( 'format', 'a', 2 );
+
+		cache.invalidate( 'parse' );
+
+		assert.strictEqual( cache.get( 'parse', 'a' ), undefined );
+		assert.equal( cache.get( 'format', 'a' ), 2, 'Keeping results of other namespaces.' );
+
+		cache.invalidate();
+
+		assert.strictEqual( cache.get( 'format', 'a' ), undefined );
+		assert.equal( cache.getStatistics().size, 0 );
+	} );
+
+	QUnit.test( 'getStatistics() & resetStatistics()', function( assert ) {
+		var cache = new vv.ResultCache();
+
+		cache.set( 'parse', 'a', 1 );
+		cache.get( 'parse', 'a' );
+		cache.get( 'parse', 'a' );
+		cache.get( 'parse', 'b' );
+
+		assert.deepEqual( cache.getStatistics(), { hits: 2, misses: 1, size: 1 } );
+
+		cache.resetStatistics();
+
+		assert.deepEqual( cache.getStatistics(), { hits: 0, misses: 0, size: 1 } );
+	} );
+
+}( jQuery.valueview, QUnit ) );
@@ -0,0 +1,37 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( vv, dv, QUnit ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.ValidatedDataValue' );
+
+	QUnit.test( 'Constructor', function( assert ) {
+		assert.throws(
+			function() {
+				return new vv.ValidatedDataValue( 'string', 'string' );
+			},
+			'Throwing error when not providing a DataValue.'
+		);
+
+		var dataValue = new dv.StringValue( 'foo' ),
+			validatedValue = new vv.ValidatedDataValue( dataValue, 'string' );
+
+		assert.strictEqual( validatedValue.getDataValue(), dataValue );
+		assert.equal( validatedValue.getDataTypeId(), 'string' );
+	} );
+
+	QUnit.test( 'isValid() & getErrors()', function( assert ) {
+		var dataValue = new dv.StringValue( 'foo' ),
+			valid = new vv.ValidatedDataValue( dataValue, 'string', [] ),
+			invalid = new vv.ValidatedDataValue( dataValue, 'string', [ 'error' ] );
+
+		assert.ok( valid.isValid() );
+		assert.deepEqual( valid.getErrors(), [] );
+
+		assert.ok( !invalid.isValid() );
+		assert.deepEqual( invalid.getErrors(), [ 'error' ] );
+	} );
+
+}( jQuery.valueview, dataValues, QUnit ) );
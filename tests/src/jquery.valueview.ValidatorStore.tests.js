@@ -0,0 +1,76 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( $, vv, util, QUnit ) {
+	'use strict';
+
+	var MockValidator = util.inherit( 'ValueviewTestsMockValidator', vv.Validator, {
+		validate: function() {
+			return $.Deferred().resolve( [] ).promise();
+		}
+	} );
+
+	QUnit.module( 'jquery.valueview.ValidatorStore' );
+
+	QUnit.test( 'Constructor', function( assert ) {
+		var validatorStore = new vv.ValidatorStore();
+
+		assert.ok(
+			validatorStore instanceof vv.ValidatorStore,
+			'Instantiated ValidatorStore.'
+		);
+	} );
+
+	QUnit.test( 'registerDataTypeValidator(): Error handling', function( assert ) {
+		var validatorStore = new vv.ValidatorStore();
+
+		assert.throws(
+			function() {
+				validatorStore.registerDataTypeValidator( 'invalid', 'string' );
+			},
+			'Failed trying to register an invalid validator.'
+		);
+
+		assert.throws(
+			function() {
+				validatorStore.registerDataTypeValidator( new MockValidator() );
+			},
+			'Failed trying to register a validator without data type id.'
+		);
+	} );
+
+	QUnit.test( 'registerDataTypeValidator() & getValidators()', function( assert ) {
+		var validatorStore = new vv.ValidatorStore(),
+			validator1 = new MockValidator(),
+			validator2 = new MockValidator();
+
+		assert.deepEqual(
+			validatorStore.getValidators( 'string' ),
+			[],
+			'Returning empty array when no validator is registered.'
+		);
+
+		validatorStore.registerDataTypeValidator( validator1, 'string' );
+		validatorStore.registerDataTypeValidator( validator2, 'string' );
+
+		var validators = validatorStore.getValidators( 'string' );
+
+		assert.equal( validators.length, 2, 'Returning all validators registered for data type.' );
+		assert.strictEqual( validators[0], validator1 );
+		assert.strictEqual( validators[1], validator2 );
+
+		assert.deepEqual(
+			validatorStore.getValidators( 'url' ),
+			[],
+			'Not returning validators registered for another data type.'
+		);
+
+		assert.deepEqual(
+			validatorStore.getValidators( null ),
+			[],
+			'Returning empty array when no data type id is specified.'
+		);
+	} );
+
+}( jQuery, jQuery.valueview, util, QUnit ) );
@@ -0,0 +1,74 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( vv, util, QUnit ) {
+	'use strict';
+
+	QUnit.module( 'jquery.valueview.ValueError' );
+
+	QUnit.test( 'Constructor', function( assert ) {
+		var error = new vv.ValueError( 'malformed-value' );
+
+		assert.ok( error instanceof vv.ValueError, 'Instantiated ValueError.' );
+		assert.equal( error.getCode(), 'malformed-value' );
+		assert.strictEqual( error.getMessageKey(), null );
+		assert.deepEqual( error.getParams(), [] );
+		assert.strictEqual( error.getSpan(), null );
+
+		assert.throws(
+			function() {
+				new vv.ValueError();
+			},
+			'Failed trying to instantiate without an error code.'
+		);
+
+		assert.throws(
+			function() {
+				new vv.ValueError( 'malformed-value', null, [], { start: 3, end: 1 } );
+			},
+			'Failed trying to instantiate with an invalid span.'
+		);
+	} );
+
+	QUnit.test( 'Getters', function( assert ) {
+		var error = new vv.ValueError(
+			'malformed-value',
+			'valueview-error-malformed',
+			[ 'abc' ],
+			{ start: 1, end: 2 }
+		);
+
+		assert.equal( error.getMessageKey(), 'valueview-error-malformed' );
+		assert.deepEqual( error.getParams(), [ 'abc' ] );
+		assert.deepEqual( error.getSpan(), { start: 1, end: 2 } );
+	} );
+
+	QUnit.test( 'getHtml()', function( assert ) {
+		var messageProvider = new util.HashMessageProvider( {
+				'valueview-error-malformed': 'Malformed <value>'
+			} ),
+			error = new vv.ValueError( 'malformed-value', 'valueview-error-malformed' );
+
+		assert.equal( error.getHtml( messageProvider ), 'Malformed &lt;value&gt;' );
+		assert.equal(
+			error.getHtml(),
+			'valueview-error-malformed',
+			'Falling back to message key without message provider.'
+		);
+		assert.equal(
+			new vv.ValueError( 'malformed-value' ).getHtml( messageProvider ),
+			'malformed-value',
+			'Falling back to error code.'
+		);
+	} );
+
+	QUnit.test( 'newFromHtml()', function( assert ) {
+		var error = vv.ValueError.newFromHtml( '<b>Error</b>', 'parse-error' );
+
+		assert.equal( error.getCode(), 'parse-error' );
+		assert.equal( error.getHtml(), '<b>Error</b>' );
+	} );
+
+}( jQuery.valueview, util, QUnit ) );
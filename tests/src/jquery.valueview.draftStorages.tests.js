@@ -0,0 +1,104 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+/* jshint nonew: false */
+( function( $, vv, QUnit ) {
+	'use strict';
+
+	/**
+	 * Minimal implementation of the Web Storage interface.
+	 *
+	 * @return {Object}
+	 */
+	function newStorage() {
+		var items = {};
+		return {
+			getItem: function( key ) {
+				return items.hasOwnProperty( key ) ? items[key] : null;
+			},
+			setItem: function( key, value ) {
+				items[key] = String( value );
+			},
+			removeItem: function( key ) {
+				delete items[key];
+			}
+		};
+	}
+
+	var draft = {
+		rawValue: 'raw value',
+		valueCharacteristics: { precision: 9 },
+		dataTypeId: null,
+		dataValueType: 'string'
+	};
+
+	/**
+	 * @param {jQuery.valueview.DraftStorage} draftStorage
+	 * @param {QUnit.assert} assert
+	 */
+	function testDraftStorage( draftStorage, assert ) {
+		assert.ok( draftStorage instanceof vv.DraftStorage );
+
+		assert.strictEqual( draftStorage.get( 'id' ), null, 'Returning null if no draft is stored.' );
+
+		draftStorage.set( 'id', draft );
+
+		assert.deepEqual( draftStorage.get( 'id' ), draft, 'Retrieved stored draft.' );
+		assert.strictEqual( draftStorage.get( 'other id' ), null );
+
+		draftStorage.remove( 'id' );
+
+		assert.strictEqual( draftStorage.get( 'id' ), null, 'Removed draft.' );
+	}
+
+	QUnit.module( 'jquery.valueview.draftStorages' );
+
+	QUnit.test( 'WebStorage', function( assert ) {
+		var storage = newStorage();
+
+		testDraftStorage( new vv.draftStorages.WebStorage( storage ), assert );
+
+		new vv.draftStorages.WebStorage( storage, 'prefix-' ).set( 'id', draft );
+
+		assert.ok( storage.getItem( 'prefix-id' ) !== null, 'Storing drafts with prefix.' );
+
+		assert.throws(
+			function() {
+				new vv.draftStorages.WebStorage();
+			},
+			'Failed trying to instantiate without a storage.'
+		);
+	} );
+
+	QUnit.test( 'WebStorage suppressing storage errors', function( assert ) {
+		var draftStorage = new vv.draftStorages.WebStorage( {
+			getItem: function() {
+				return '{invalid';
+			},
+			setItem: function() {
+				throw new Error( 'Quota exceeded' );
+			},
+			removeItem: function() {
+				throw new Error( 'Storage disabled' );
+			}
+		} );
+
+		draftStorage.set( 'id', draft );
+		draftStorage.remove( 'id' );
+
+		assert.strictEqual( draftStorage.get( 'id' ), null, 'Ignoring invalid JSON.' );
+	} );
+
+	QUnit.test( 'Memory', function( assert ) {
+		var draftStorage = new vv.draftStorages.Memory();
+
+		testDraftStorage( draftStorage, assert );
+
+		draftStorage.set( 'id', draft );
+		draftStorage.get( 'id' ).valueCharacteristics.precision = 0;
+
+		assert.deepEqual( draftStorage.get( 'id' ), draft, 'Returning copies of drafts.' );
+	} );
+
+}( jQuery, jQuery.valueview, QUnit ) );
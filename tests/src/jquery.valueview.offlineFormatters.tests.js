@@ -0,0 +1,174 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( vv, dv, vf, QUnit ) {
+	'use strict';
+
+	var formatters = vv.offlineFormatters;
+
+	/**
+	 * @param {Function} Formatter
+	 * @param {string} dataValueType
+	 * @param {*} json Serialization of the data value to format.
+	 * @param {string} [outputType]
+	 * @return {Object} Object featuring the `formatted` value or the `error`.
+	 */
+	function format( Formatter, dataValueType, json, outputType ) {
+		var result = {};
+
+		new Formatter().format( dv.newDataValue( dataValueType, json ), null, outputType )
+			.done( function( formatted ) {
+				result.formatted = formatted;
+			} )
+			.fail( function( error ) {
+				result.error = error;
+			} );
+
+		return result;
+	}
+
+	/**
+	 * @param {string} time
+	 * @param {number} precision
+	 * @param {string} [calendarModel]
+	 * @return {Object}
+	 */
+	function timeJson( time, precision, calendarModel ) {
+		return {
+			time: time,
+			timezone: 0,
+			before: 0,
+			after: 0,
+			precision: precision,
+			calendarmodel: calendarModel || 'http://www.wikidata.org/entity/Q1985727'
+		};
+	}
+
+	QUnit.module( 'jquery.valueview.offlineFormatters' );
+
+	QUnit.test( 'newStore()', function( assert ) {
+		var store = formatters.newStore();
+
+		assert.ok( store instanceof vf.ValueFormatterStore );
+		assert.strictEqual( store.getFormatter( dv.StringValue.TYPE ), formatters.StringFormatter );
+		assert.strictEqual( store.getFormatter( dv.TimeValue.TYPE ), formatters.TimeFormatter );
+		assert.strictEqual(
+			store.getFormatter( dv.GlobeCoordinateValue.TYPE ),
+			formatters.GlobeCoordinateFormatter
+		);
+		assert.strictEqual(
+			store.getFormatter( dv.QuantityValue.TYPE ),
+			formatters.QuantityFormatter
+		);
+		assert.strictEqual(
+			store.getFormatter( dv.MonolingualTextValue.TYPE ),
+			formatters.MonolingualTextFormatter
+		);
+	} );
+
+	QUnit.test( 'StringFormatter & MonolingualTextFormatter', function( assert ) {
+		var json = { text: '<b>', language: 'de' };
+
+		assert.equal(
+			format( formatters.StringFormatter, dv.StringValue.TYPE, '<b>' ).formatted,
+			'<b>'
+		);
+		assert.equal(
+			format( formatters.StringFormatter, dv.StringValue.TYPE, '<b>', 'text/html' ).formatted,
+			'&lt;b&gt;',
+			'Escaping HTML output.'
+		);
+		assert.equal(
+			format( formatters.MonolingualTextFormatter, dv.MonolingualTextValue.TYPE, json )
+				.formatted,
+			'<b>'
+		);
+		assert.equal(
+			format(
+				formatters.MonolingualTextFormatter,
+				dv.MonolingualTextValue.TYPE,
+				json,
+				'text/html'
+			).formatted,
+			'<span lang="de">&lt;b&gt;</span>',
+			'Tagging HTML output with the language.'
+		);
+	} );
+
+	QUnit
+	.cases( [
+		{ json: timeJson( '+2015-04-02T14:30:15Z', 14 ), expected: '2 April 2015 14:30:15' },
+		{ json: timeJson( '+2015-04-02T14:30:15Z', 13 ), expected: '2 April 2015 14:30' },
+		{ json: timeJson( '+2015-04-02T14:30:00Z', 11 ), expected: '2 April 2015' },
+		{ json: timeJson( '+2015-04-02T00:00:00Z', 11 ), expected: '2 April 2015' },
+		{ json: timeJson( '+00000002015-04-02T00:00:00Z', 10 ), expected: 'April 2015' },
+		{ json: timeJson( '+2015-04-02T00:00:00Z', 9 ), expected: '2015' },
+		{ json: timeJson( '+2015-00-00T00:00:00Z', 8 ), expected: '2010s' },
+		{ json: timeJson( '+2015-00-00T00:00:00Z', 7 ), expected: '21st century' },
+		{ json: timeJson( '+1912-00-00T00:00:00Z', 7 ), expected: '20th century' },
+		{ json: timeJson( '+1999-00-00T00:00:00Z', 6 ), expected: '2nd millennium' },
+		{ json: timeJson( '-0044-03-15T00:00:00Z', 11 ), expected: '15 March 44 BCE' },
+		{
+			json: timeJson(
+				'+1582-10-04T00:00:00Z',
+				11,
+				'http://www.wikidata.org/entity/Q1985786'
+			),
+			expected: '4 October 1582 (Julian)'
+		}
+	] )
+	.test( 'TimeFormatter', function( params, assert ) {
+		assert.equal(
+			format( formatters.TimeFormatter, dv.TimeValue.TYPE, params.json ).formatted,
+			params.expected
+		);
+	} );
+
+	QUnit
+	.cases( [
+		{ json: [ 52.52, 13.41, 0.01 ], expected: '52.52°N, 13.41°E' },
+		{ json: [ -33.9, -18.4, 0.1 ], expected: '33.9°S, 18.4°W' },
+		{ json: [ 52.5, 13.4, 1 ], expected: '53°N, 13°E' },
+		{ json: [ 52 + 31 / 60, 13.4, 1 / 60 ], expected: '52°31\'N, 13°24\'E' },
+		{ json: [ 52.52, 13.41, 1 / 3600 ], expected: '52°31\'12"N, 13°24\'36"E' }
+	] )
+	.test( 'GlobeCoordinateFormatter', function( params, assert ) {
+		var json = {
+			latitude: params.json[0],
+			longitude: params.json[1],
+			altitude: null,
+			precision: params.json[2],
+			globe: 'http://www.wikidata.org/entity/Q2'
+		};
+
+		assert.equal(
+			format( formatters.GlobeCoordinateFormatter, dv.GlobeCoordinateValue.TYPE, json )
+				.formatted,
+			params.expected
+		);
+	} );
+
+	QUnit
+	.cases( [
+		{ json: [ '+1234.5', '+1234.5', '+1234.5', '1' ], expected: '1234.5' },
+		{ json: [ '-3', '-3', '-3', '1' ], expected: '-3' },
+		{ json: [ '+5', '+5.5', '+4.5', '1' ], expected: '5±0.5' },
+		{ json: [ '+5', '+7', '+4', '1' ], expected: '5 [4..7]' },
+		{ json: [ '+5', '+5', '+5', 'm' ], expected: '5 m' }
+	] )
+	.test( 'QuantityFormatter', function( params, assert ) {
+		var json = {
+			amount: params.json[0],
+			upperBound: params.json[1],
+			lowerBound: params.json[2],
+			unit: params.json[3]
+		};
+
+		assert.equal(
+			format( formatters.QuantityFormatter, dv.QuantityValue.TYPE, json ).formatted,
+			params.expected
+		);
+	} );
+
+}( jQuery.valueview, dataValues, valueFormatters, QUnit ) );
@@ -0,0 +1,251 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( $, vv, dv, vp, QUnit ) {
+	'use strict';
+
+	var parsers = vv.offlineParsers,
+		GREGORIAN = 'http://www.wikidata.org/entity/Q1985727',
+		JULIAN = 'http://www.wikidata.org/entity/Q1985786';
+
+	/**
+	 * @param {string} time
+	 * @param {number} precision
+	 * @param {string} [calendarModel]
+	 * @return {Object}
+	 */
+	function timeJson( time, precision, calendarModel ) {
+		return {
+			time: time,
+			precision: precision,
+			calendarmodel: calendarModel || GREGORIAN
+		};
+	}
+
+	/**
+	 * @param {Function} Parser
+	 * @param {string|null} rawValue
+	 * @param {Object} [options]
+	 * @return {Object} Object featuring the parsed `value` or the `error`.
+	 */
+	function parse( Parser, rawValue, options ) {
+		var result = {};
+
+		new Parser( options ).parse( rawValue )
+			.done( function( value ) {
+				result.value = value;
+			} )
+			.fail( function( error ) {
+				result.error = error;
+			} );
+
+		return result;
+	}
+
+	QUnit.module( 'jquery.valueview.offlineParsers' );
+
+	QUnit.test( 'newStore()', function( assert ) {
+		var store = parsers.newStore();
+
+		assert.ok( store instanceof vp.ValueParserStore );
+		assert.strictEqual( store.getParser( dv.StringValue.TYPE ), parsers.StringParser );
+		assert.strictEqual( store.getParser( dv.TimeValue.TYPE ), parsers.TimeParser );
+		assert.strictEqual(
+			store.getParser( dv.GlobeCoordinateValue.TYPE ),
+			parsers.GlobeCoordinateParser
+		);
+		assert.strictEqual( store.getParser( dv.QuantityValue.TYPE ), parsers.QuantityParser );
+		assert.strictEqual(
+			store.getParser( dv.MonolingualTextValue.TYPE ),
+			parsers.MonolingualTextParser
+		);
+	} );
+
+	QUnit.test( 'Parsing empty input', function( assert ) {
+		$.each( [ null, '', '  ' ], function( i, rawValue ) {
+			assert.strictEqual( parse( parsers.TimeParser, rawValue ).value, null );
+		} );
+	} );
+
+	QUnit.test( 'StringParser & MonolingualTextParser', function( assert ) {
+		assert.deepEqual( parse( parsers.StringParser, ' text ' ).value.toJSON(), 'text' );
+
+		assert.deepEqual(
+			parse( parsers.MonolingualTextParser, 'text', { valuelang: 'de' } ).value.toJSON(),
+			{ text: 'text', language: 'de' }
+		);
+		assert.equal(
+			parse( parsers.MonolingualTextParser, 'text' ).error.getCode(),
+			'missing-language'
+		);
+	} );
+
+	QUnit
+	.cases( [
+		{ raw: '2015', expected: timeJson( '+2015-00-00T00:00:00Z', 9 ) },
+		{ raw: '2015-04-02', expected: timeJson( '+2015-04-02T00:00:00Z', 11 ) },
+		{ raw: '+2015-04-00T00:00:00Z', expected: timeJson( '+2015-04-00T00:00:00Z', 10 ) },
+		{ raw: '2 April 2015', expected: timeJson( '+2015-04-02T00:00:00Z', 11 ) },
+		{ raw: 'April 2, 2015', expected: timeJson( '+2015-04-02T00:00:00Z', 11 ) },
+		{ raw: 'Apr 2015', expected: timeJson( '+2015-04-00T00:00:00Z', 10 ) },
+		{ raw: '2.4.2015', expected: timeJson( '+2015-04-02T00:00:00Z', 11 ) },
+		{ raw: '44 BC', expected: timeJson( '-0044-00-00T00:00:00Z', 9 ) },
+		{
+			raw: '1582',
+			options: { precision: 7, calendar: JULIAN },
+			expected: timeJson( '+1582-00-00T00:00:00Z', 7, JULIAN )
+		},
+		{ raw: '+2015-04-02T14:30:00Z', expected: timeJson( '+2015-04-02T14:30:00Z', 13 ) },
+		{
+			raw: '2 April 2015',
+			options: { hour: 9 },
+			expected: timeJson( '+2015-04-02T09:00:00Z', 12 )
+		},
+		{
+			raw: '2 April 2015',
+			options: { hour: 14, minute: 30, second: 15 },
+			expected: timeJson( '+2015-04-02T14:30:15Z', 14 )
+		},
+		{ raw: '31 February 2015', expected: null },
+		{ raw: '2015-13', expected: null },
+		{ raw: 'yesterday', expected: null },
+		{ raw: '2 April 2015', options: { hour: 24 }, expected: null },
+		{ raw: 'April 2015', options: { hour: 9 }, expected: null }
+	] )
+	.test( 'TimeParser', function( params, assert ) {
+		var result = parse( parsers.TimeParser, params.raw, params.options );
+
+		if( params.expected ) {
+			var json = result.value.toJSON();
+			assert.deepEqual(
+				{
+					// The number of digits years are padded to depends on the TimeValue
+					// implementation:
+					time: json.time.replace( /^([+-])0*(\d{4,})/, '$1$2' ),
+					precision: json.precision,
+					calendarmodel: json.calendarmodel
+				},
+				params.expected
+			);
+		} else {
+			assert.ok( result.error instanceof vv.ValueError );
+			assert.equal( result.error.getCode(), 'malformed-value' );
+		}
+	} );
+
+	QUnit.test( 'TimeParser: timezone and tolerance', function( assert ) {
+		var json = parse( parsers.TimeParser, '2 April 2015', {
+			timezone: -330,
+			before: '1',
+			after: 2
+		} ).value.toJSON();
+
+		assert.strictEqual( json.timezone, -330 );
+		assert.strictEqual( json.before, 1 );
+		assert.strictEqual( json.after, 2 );
+
+		json = parse( parsers.TimeParser, '2 April 2015' ).value.toJSON();
+
+		assert.strictEqual( json.timezone, 0, 'Defaulting to UTC.' );
+		assert.strictEqual( json.before, 0, 'Defaulting to no tolerance.' );
+		assert.strictEqual( json.after, 0 );
+
+		$.each( [ { before: '-1' }, { after: 'two' }, { after: '1.5' } ], function( i, options ) {
+			assert.equal(
+				parse( parsers.TimeParser, '2 April 2015', options ).error.getCode(),
+				'malformed-value',
+				'Rejecting malformed tolerance ' + JSON.stringify( options ) + '.'
+			);
+		} );
+	} );
+
+	QUnit.test( 'TimeParser: time model lacking the time of day', function( assert ) {
+		var newDataValue = dv.newDataValue;
+
+		// Simulate a `TimeValue` implementation resetting the time of day to midnight:
+		dv.newDataValue = function( type, json ) {
+			return newDataValue( type, $.extend( {}, json, {
+				time: json.time.replace( /T.*$/, 'T00:00:00Z' )
+			} ) );
+		};
+
+		try {
+			var result = parse( parsers.TimeParser, '2 April 2015', { hour: 14, minute: 30 } );
+
+			assert.ok( result.error instanceof vv.ValueError );
+			assert.equal( result.error.getCode(), 'unsupported-value' );
+			assert.equal(
+				result.error.getMessageKey(),
+				'valueview-offlineparsers-unsupportedtimeofday',
+				'Rejecting the time of day instead of dropping it.'
+			);
+
+			assert.ok(
+				parse( parsers.TimeParser, '2 April 2015', { hour: 0 } ).value,
+				'Accepting midnight.'
+			);
+			assert.ok( parse( parsers.TimeParser, '2 April 2015' ).value );
+		} finally {
+			dv.newDataValue = newDataValue;
+		}
+	} );
+
+	QUnit
+	.cases( [
+		{ raw: '52.52, 13.41', expected: [ 52.52, 13.41, 0.01 ] },
+		{ raw: '52.52°N 13.41°W', expected: [ 52.52, -13.41, 0.01 ] },
+		{ raw: 'S 33.9 E 18.4', expected: [ -33.9, 18.4, 0.1 ] },
+		{ raw: '52°31\'N, 13°24\'E', expected: [ 52 + 31 / 60, 13.4, 1 / 60 ] },
+		{ raw: '52°31′12″N 13°24′36″E', expected: [ 52.52, 13.41, 1 / 3600 ] },
+		{ raw: '52.5 13.4', options: { precision: 1 }, expected: [ 52.5, 13.4, 1 ] },
+		{ raw: '95, 10', expected: null },
+		{ raw: '52N, 13N', expected: null },
+		{ raw: '52°61\'N, 13°E', expected: null }
+	] )
+	.test( 'GlobeCoordinateParser', function( params, assert ) {
+		var result = parse( parsers.GlobeCoordinateParser, params.raw, params.options );
+
+		if( !params.expected ) {
+			assert.equal( result.error.getCode(), 'malformed-value' );
+			return;
+		}
+
+		var json = result.value.toJSON();
+		assert.ok( Math.abs( json.latitude - params.expected[0] ) < 1e-9, 'Latitude.' );
+		assert.ok( Math.abs( json.longitude - params.expected[1] ) < 1e-9, 'Longitude.' );
+		assert.ok( Math.abs( json.precision - params.expected[2] ) < 1e-12, 'Precision.' );
+	} );
+
+	QUnit
+	.cases( [
+		{ raw: '1,234.5', expected: [ '+1234.5', '+1234.5', '+1234.5', '1' ] },
+		{ raw: '-3', expected: [ '-3', '-3', '-3', '1' ] },
+		{ raw: '5±0.5', expected: [ '+5', '+5.5', '+4.5', '1' ] },
+		{ raw: '5 +- 1', expected: [ '+5', '+6', '+4', '1' ] },
+		{
+			raw: '5',
+			options: { upperBound: '7', lowerBound: '4', unit: 'm' },
+			expected: [ '+5', '+7', '+4', 'm' ]
+		},
+		{ raw: '5', options: { upperBound: '3' }, expected: 'out-of-bounds' },
+		{ raw: 'five', expected: 'malformed-value' },
+		{ raw: '5±', expected: 'malformed-value' }
+	] )
+	.test( 'QuantityParser', function( params, assert ) {
+		var result = parse( parsers.QuantityParser, params.raw, params.options );
+
+		if( typeof params.expected === 'string' ) {
+			assert.equal( result.error.getCode(), params.expected );
+			return;
+		}
+
+		assert.deepEqual( result.value.toJSON(), {
+			amount: params.expected[0],
+			unit: params.expected[3],
+			upperBound: params.expected[1],
+			lowerBound: params.expected[2]
+		} );
+	} );
+
+}( jQuery, jQuery.valueview, dataValues, valueParsers, QUnit ) );
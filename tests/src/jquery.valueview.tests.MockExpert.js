@@ -39,6 +39,14 @@ jQuery.valueview.tests = jQuery.valueview.tests || {};
 			return this._value;
 		},
 
+		/**
+		 * @see jQuery.valueview.Expert.restoreRawValue
+		 */
+		restoreRawValue: function( rawValue ) {
+			this._value = rawValue;
+			return true;
+		},
+
 		/**
 		 * @see jQuery.valueview.Expert.draw
 		 */
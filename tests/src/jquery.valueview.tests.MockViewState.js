@@ -15,7 +15,7 @@ jQuery.valueview.tests.MockViewState = ( function( $, ViewState, util ) {
 	 * @since 0.1
 	 *
 	 * @param {Object} [definition={}] A plain object with the fields "isInEditMode", "isDisabled",
-	 *        "value" and "options". This will just keep a reference to the object, so changing the
+	 *        "isPending", "value" and "options". This will just keep a reference to the object, so changing the
 	 *        object from the outside will also update the ViewState's functions return values.
 	 *
 	 * @throws {Error} if definition is not a plain object.
@@ -40,6 +40,20 @@ jQuery.valueview.tests.MockViewState = ( function( $, ViewState, util ) {
 			return !!this._view.isDisabled;
 		},
 
+		/**
+		 * @see jQuery.valueview.ViewState.isPending
+		 */
+		isPending: function() {
+			return !!this._view.isPending;
+		},
+
+		/**
+		 * @see jQuery.valueview.ViewState.whenSettled
+		 */
+		whenSettled: function() {
+			return $.Deferred().resolve().promise();
+		},
+
 		/**
 		 * @see jQuery.valueview.ViewState.value
 		 */
@@ -36,6 +36,7 @@
 			constructorArg: undefined,
 			isInEditMode: false,
 			isDisabled: false,
+			isPending: false,
 			value: undefined,
 			optionFoo: undefined,
 			optionBar: undefined
@@ -44,6 +45,7 @@
 			constructorArg: {},
 			isInEditMode: false,
 			isDisabled: false,
+			isPending: false,
 			value: undefined,
 			optionFoo: undefined,
 			optionBar: undefined
@@ -52,6 +54,7 @@
 			constructorArg: {
 				isInEditMode: true,
 				isDisabled: false,
+				isPending: true,
 				value: 'foo',
 				options: {
 					foo: true,
@@ -60,6 +63,7 @@
 			},
 			isInEditMode: true,
 			isDisabled: false,
+			isPending: true,
 			value: 'foo',
 			optionFoo: true,
 			optionBar: '42'
@@ -74,6 +78,7 @@
 			},
 			isInEditMode: true,
 			isDisabled: true,
+			isPending: false,
 			value: undefined,
 			optionFoo: true,
 			optionBar: undefined
@@ -94,6 +99,7 @@
 		} )
 		.test( 'isInEditMode', buildMemberTestFn( 'isInEditMode' ) )
 		.test( 'isDisabled', buildMemberTestFn( 'isDisabled' ) )
+		.test( 'isPending', buildMemberTestFn( 'isPending' ) )
 		.test( 'value', buildMemberTestFn( 'value' ) )
 		.test( 'option', function( params, assert ) {
 			var viewState = new MockViewState( params.constructorArg );
@@ -0,0 +1,447 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+jQuery.valueview.tests = jQuery.valueview.tests || {};
+
+jQuery.valueview.tests.testExpertConformance = ( function( $, vv, dv, vp, vf, util, QUnit ) {
+	'use strict';
+
+	/**
+	 * Runs an `Expert` inside an actual `jQuery.valueview` instance that uses mock parser and
+	 * formatter stores and checks whether the `Expert` conforms to what the `valueview` expects:
+	 * - typing (simulated by triggering `eachchange` on the `Expert`'s input) results in the
+	 *   parsed value,
+	 * - `rawValue()` round-trips values formatted by the formatter and raw values restored by
+	 *   `restoreRawValue()`,
+	 * - `valueCharacteristics()` returns a consistent, serializable plain object,
+	 * - the `Expert` respects the disabled state,
+	 * - `destroy()` empties the view port and removes the nodes and event listeners the `Expert`
+	 *   added to the document.
+	 *
+	 *     @example
+	 *     QUnit.module( 'myExpert' );
+	 *     jQuery.valueview.tests.testExpertConformance( {
+	 *         expertConstructor: MyExpert,
+	 *         dataValueType: 'string',
+	 *         rawValues: [ 'foo', 'bar baz' ]
+	 *     } );
+	 *
+	 * @class jQuery.valueview.tests.testExpertConformance
+	 * @since 0.15.0
+	 *
+	 * @param {Object} definition
+	 * @param {Function} definition.expertConstructor The `jQuery.valueview.Expert` to test.
+	 * @param {string} [definition.dataValueType='string'] Type of the values the `Expert` is
+	 *        registered for.
+	 * @param {string[]} [definition.rawValues=['raw value']] Non-empty raw values to type. Each
+	 *        raw value needs to match the text the `format` function returns for the value
+	 *        resulting from parsing the raw value. `Expert`s whose `rawValue()` returns a
+	 *        `dataValues.DataValue` (e.g. by deserializing the input) are expected to return the
+	 *        value the `parse` function returns for the typed text.
+	 * @param {Function} [definition.parse] Turns a raw value into a `dataValues.DataValue`.
+	 *        Receives the raw value and the parser options. Defaults to creating a value of the
+	 *        `dataValueType` from the raw value.
+	 * @param {Function} [definition.format] Turns a `dataValues.DataValue` into the text
+	 *        displayed in the `Expert`'s input. Defaults to the value's serialization.
+	 * @param {Function} [definition.type] Simulates typing a raw value into the `Expert`.
+	 *        Receives the `Expert` and the raw value. Defaults to setting the value of the
+	 *        `Expert`'s `$input` and triggering `eachchange` on it.
+	 *
+	 * @throws {Error} if `expertConstructor` is not a `jQuery.valueview.Expert` constructor.
+	 */
+	function testExpertConformance( definition ) {
+		definition = $.extend( {
+			dataValueType: 'string',
+			rawValues: [ 'raw value' ],
+			parse: function( rawValue ) {
+				return dv.newDataValue( definition.dataValueType, rawValue );
+			},
+			format: function( dataValue ) {
+				return String( dataValue.toJSON() );
+			},
+			type: function( expert, rawValue ) {
+				expert.$input.val( rawValue ).trigger( 'eachchange' );
+			}
+		}, definition );
+
+		var Expert = definition.expertConstructor;
+
+		if( !$.isFunction( Expert ) || !( Expert.prototype instanceof vv.Expert ) ) {
+			throw new Error( 'The "expertConstructor" needs to be a jQuery.valueview.Expert' );
+		}
+
+		/**
+		 * Creates a `valueview` featuring the `Expert` and starts edit mode.
+		 *
+		 * @param {dataValues.DataValue|null} value
+		 * @return {jQuery.valueview}
+		 */
+		function newValueview( value ) {
+			var expertStore = new vv.ExpertStore();
+			expertStore.registerDataValueExpert( Expert, definition.dataValueType );
+
+			var valueview = $( '<div/>' )
+				.appendTo( 'body' )
+				.valueview( {
+					expertStore: expertStore,
+					parserStore: testExpertConformance.newMockParserStore( definition.parse ),
+					formatterStore: testExpertConformance.newMockFormatterStore( definition.format ),
+					language: 'en',
+					dataValueType: definition.dataValueType,
+					parseDelay: 0,
+					value: value
+				} )
+				.data( 'valueview' );
+
+			valueview.startEditing();
+
+			return valueview;
+		}
+
+		/**
+		 * @param {jQuery.valueview} valueview
+		 */
+		function destroyValueview( valueview ) {
+			var $element = valueview.element;
+			valueview.destroy();
+			$element.remove();
+		}
+
+		/**
+		 * Runs an asynchronous test on a `valueview` featuring the `Expert`, destroying the
+		 * `valueview` afterwards.
+		 *
+		 * @param {string} name
+		 * @param {dataValues.DataValue|null} value
+		 * @param {Function} testFn Receives the `valueview` and the assertion object. Returns a
+		 *        promise resolved when the test has finished.
+		 */
+		function valueviewTest( name, value, testFn ) {
+			QUnit.test( 'Conformance: ' + name, function( assert ) {
+				var valueview = newValueview( value );
+
+				QUnit.stop();
+
+				valueview.whenSettled()
+				.then( function() {
+					return testFn( valueview, assert );
+				} )
+				.fail( function() {
+					assert.ok( false, 'Test has been aborted.' );
+				} )
+				.always( function() {
+					destroyValueview( valueview );
+					QUnit.start();
+				} );
+			} );
+		}
+
+		/**
+		 * @param {QUnit.assert} assert
+		 * @param {dataValues.DataValue|null} actual
+		 * @param {dataValues.DataValue|null} expected
+		 * @param {string} message
+		 */
+		function assertEqualValues( assert, actual, expected, message ) {
+			assert.ok(
+				actual === expected || !!actual && !!expected && actual.equals( expected ),
+				message
+			);
+		}
+
+		/**
+		 * @param {QUnit.assert} assert
+		 * @param {*} actual Raw value returned by the `Expert`.
+		 * @param {string} rawValue Raw value as typed.
+		 * @param {string} message
+		 */
+		function assertRawValue( assert, actual, rawValue, message ) {
+			if( actual instanceof dv.DataValue ) {
+				assertEqualValues( assert, actual, definition.parse( rawValue, {} ), message );
+			} else {
+				assert.strictEqual( actual, rawValue, message );
+			}
+		}
+
+		QUnit.test( 'Conformance: Drawing in a valueview', function( assert ) {
+			var valueview = newValueview( null ),
+				expert = valueview.expert();
+
+			assert.ok( expert instanceof Expert, 'valueview uses the expert in edit mode.' );
+			assert.ok(
+				expert.$viewPort.children().length > 0,
+				'Expert has drawn into its view port.'
+			);
+			assert.ok( expert.viewState().isInEditMode(), 'Expert is informed about edit mode.' );
+
+			destroyValueview( valueview );
+		} );
+
+		$.each( definition.rawValues, function( i, rawValue ) {
+			var expectedValue = definition.parse( rawValue, {} );
+
+			valueviewTest( 'Typing "' + rawValue + '"', null, function( valueview, assert ) {
+				var expert = valueview.expert(),
+					changes = 0;
+
+				valueview.element.on( 'valueviewchange', function() {
+					changes++;
+				} );
+
+				definition.type( expert, rawValue );
+
+				assert.strictEqual( changes, 1, 'valueview has been notified about the change.' );
+
+				// `DataValue`s returned as raw values are adopted without parsing:
+				if( !( expert.rawValue() instanceof dv.DataValue ) ) {
+					assert.ok( valueview.isPending(), 'valueview is parsing the typed value.' );
+				}
+
+				return valueview.whenSettled().done( function() {
+					assertRawValue(
+						assert,
+						expert.rawValue(),
+						rawValue,
+						'rawValue() returns the typed value.'
+					);
+					assertEqualValues(
+						assert,
+						valueview.value(),
+						expectedValue,
+						'valueview holds the value parsed from the typed value.'
+					);
+				} );
+			} );
+
+			valueviewTest(
+				'Round-tripping "' + rawValue + '"',
+				expectedValue,
+				function( valueview, assert ) {
+					var expert = valueview.expert(),
+						valueCharacteristics = expert.valueCharacteristics();
+
+					assertRawValue(
+						assert,
+						expert.rawValue(),
+						rawValue,
+						'rawValue() returns the formatted initial value.'
+					);
+
+					if( expert.restoreRawValue( expert.rawValue(), valueCharacteristics ) ) {
+						assertRawValue(
+							assert,
+							expert.rawValue(),
+							rawValue,
+							'rawValue() returns the raw value restored by restoreRawValue().'
+						);
+						assert.deepEqual(
+							expert.valueCharacteristics(),
+							valueCharacteristics,
+							'Restoring the raw value keeps the value characteristics.'
+						);
+					}
+
+					return valueview.whenSettled().done( function() {
+						assertEqualValues(
+							assert,
+							valueview.value(),
+							expectedValue,
+							'Value is kept.'
+						);
+					} );
+				}
+			);
+		} );
+
+		valueviewTest( 'valueCharacteristics()', null, function( valueview, assert ) {
+			var expert = valueview.expert(),
+				valueCharacteristics = expert.valueCharacteristics();
+
+			assert.ok(
+				$.isPlainObject( Expert.prototype.valueCharacteristics() ),
+				'Static invocation returns a plain object.'
+			);
+			assert.ok(
+				$.isPlainObject( valueCharacteristics ),
+				'Invocation on an instance returns a plain object.'
+			);
+			assert.deepEqual(
+				JSON.parse( JSON.stringify( valueCharacteristics ) ),
+				valueCharacteristics,
+				'Value characteristics are serializable.'
+			);
+			assert.deepEqual(
+				expert.valueCharacteristics(),
+				valueCharacteristics,
+				'Value characteristics do not change without interaction.'
+			);
+			assert.deepEqual(
+				valueview.valueCharacteristics(),
+				valueCharacteristics,
+				'valueview forwards the value characteristics.'
+			);
+
+			definition.type( expert, definition.rawValues[0] );
+
+			return valueview.whenSettled().done( function() {
+				assert.deepEqual(
+					expert.valueCharacteristics(),
+					valueCharacteristics,
+					'Typing does not change the value characteristics.'
+				);
+			} );
+		} );
+
+		valueviewTest( 'Disabled state', null, function( valueview, assert ) {
+			var expert = valueview.expert(),
+				$viewPort = expert.$viewPort;
+
+			valueview.disable();
+
+			assert.ok( expert.viewState().isDisabled(), 'Expert is informed about the state.' );
+			assert.strictEqual(
+				$viewPort.find( ':input' ).filter( ':enabled' ).length,
+				0,
+				'Input elements are disabled.'
+			);
+
+			valueview.enable();
+
+			assert.ok( !expert.viewState().isDisabled(), 'Expert is informed about the state.' );
+			assert.ok(
+				$viewPort.find( ':input' ).filter( ':enabled' ).length > 0
+					|| $viewPort.find( ':input' ).length === 0,
+				'Input elements are enabled again.'
+			);
+		} );
+
+		QUnit.test( 'Conformance: destroy()', function( assert ) {
+			// Shared resources lazily set up by libraries (e.g. `jQuery.inputautoexpand`) are not
+			// supposed to be torn down per instance, so set them up before taking the baseline:
+			destroyValueview( newValueview( null ) );
+
+			var $body = $( 'body' ),
+				bodyChildren = $body.children().length,
+				documentListeners = countListeners( document ),
+				windowListeners = countListeners( window ),
+				bodyListeners = countListeners( document.body );
+
+			var valueview = newValueview( null ),
+				expert = valueview.expert(),
+				$viewPort = expert.$viewPort,
+				$nodes = $viewPort.find( '*' ).add( $viewPort );
+
+			valueview.stopEditing();
+
+			assert.strictEqual( valueview.expert(), null, 'valueview dropped the expert.' );
+			assert.ok(
+				$viewPort.children().length === 0 && $viewPort.text() === '',
+				'View port is empty.'
+			);
+			assert.strictEqual(
+				countListeners( $viewPort.get( 0 ) ),
+				0,
+				'Listeners have been removed from the view port.'
+			);
+
+			$nodes.each( function() {
+				if( countListeners( this ) ) {
+					assert.ok(
+						false,
+						'Listeners have been left on a node of type "' + this.nodeName + '".'
+					);
+				}
+			} );
+
+			expert.destroy();
+			assert.ok( true, 'Calling destroy() again does not throw an error.' );
+
+			destroyValueview( valueview );
+
+			assert.strictEqual(
+				$body.children().length,
+				bodyChildren,
+				'Nodes added to the document have been removed.'
+			);
+			assert.strictEqual(
+				countListeners( document ),
+				documentListeners,
+				'Listeners on the document have been removed.'
+			);
+			assert.strictEqual(
+				countListeners( window ),
+				windowListeners,
+				'Listeners on the window have been removed.'
+			);
+			assert.strictEqual(
+				countListeners( document.body ),
+				bodyListeners,
+				'Listeners on the body have been removed.'
+			);
+		} );
+	}
+
+	/**
+	 * Returns a parser store featuring a mock parser that parses values of any type synchronously.
+	 * @static
+	 *
+	 * @param {Function} parse Receives the raw value and the parser options and returns the
+	 *        `dataValues.DataValue` to resolve with.
+	 * @return {valueParsers.ValueParserStore}
+	 */
+	testExpertConformance.newMockParserStore = function( parse ) {
+		var MockParser = util.inherit( 'ValueviewMockParser', vp.ValueParser, {
+			parse: function( rawValue ) {
+				return $.Deferred()
+					.resolve( rawValue === '' ? null : parse( rawValue, this.getOptions() ) )
+					.promise();
+			}
+		} );
+
+		return new vp.ValueParserStore( MockParser );
+	};
+
+	/**
+	 * Returns a formatter store featuring a mock formatter that formats values of any type
+	 * synchronously.
+	 * @static
+	 *
+	 * @param {Function} format Receives the `dataValues.DataValue` and returns the text to
+	 *        resolve with.
+	 * @return {valueFormatters.ValueFormatterStore}
+	 */
+	testExpertConformance.newMockFormatterStore = function( format ) {
+		var MockFormatter = util.inherit( 'ValueviewMockFormatter', vf.ValueFormatter, {
+			format: function( dataValue, dataTypeId, outputType ) {
+				var text = format( dataValue );
+				return $.Deferred().resolve(
+					outputType === 'text/html' ? $( '<div/>' ).text( text ).html() : text,
+					dataValue
+				).promise();
+			}
+		} );
+
+		return new vf.ValueFormatterStore( MockFormatter );
+	};
+
+	/**
+	 * @ignore
+	 *
+	 * @param {HTMLElement|Document|Window} element
+	 * @return {number} Number of listeners bound to the element via jQuery.
+	 */
+	function countListeners( element ) {
+		var events = $._data( element, 'events' ),
+			count = 0;
+
+		$.each( events || {}, function( type, handlers ) {
+			count += handlers.length;
+		} );
+
+		return count;
+	}
+
+	return testExpertConformance;
+
+}( jQuery, jQuery.valueview, dataValues, valueParsers, valueFormatters, util, QUnit ) );
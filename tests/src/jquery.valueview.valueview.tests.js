@@ -3,13 +3,26 @@
  * @author Adrian Lang < adrian.lang@wikimedia.de >
  */
 /* jshint nonew: false */
-( function( $, vv, dv, vf, vp, sinon, QUnit, CompletenessTest ) {
+( function( $, vv, dv, vf, vp, util, sinon, QUnit, CompletenessTest ) {
 	'use strict';
 
 	var $vvElem;
 	var vvInst;
 	var stringValue = new dv.StringValue( 'STRING VALUE' );
 
+	var MockValidator = util.inherit(
+		'ValueviewTestsMockValidator',
+		vv.Validator,
+		function( errors ) {
+			this._errors = errors;
+		},
+		{
+			validate: function() {
+				return $.Deferred().resolve( this._errors ).promise();
+			}
+		}
+	);
+
 	QUnit.module( 'jquery.valueview.valueview' );
 
 	if( QUnit.urlParams.completenesstest && CompletenessTest ) {
@@ -188,6 +201,871 @@
 		} );
 	} );
 
+	QUnit.test( 'value() triggers validation', function( assert ) {
+		var validatorStore = new vv.ValidatorStore(),
+			onAfterValidate = sinon.spy();
+
+		validatorStore.registerDataTypeValidator( new MockValidator( [ 'ERROR' ] ), 'string' );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				dataTypeId: 'string',
+				validatorStore: validatorStore
+			} )
+		} );
+
+		$vvElem.on( 'valueviewaftervalidate', onAfterValidate );
+
+		vvInst.value( stringValue );
+
+		assert.equal( vvInst.value(), stringValue, 'Invalid value has been set nevertheless.' );
+		assert.ok( !vvInst.validatedValue().isValid() );
+		assert.deepEqual( vvInst.validatedValue().getErrors(), [ 'ERROR' ] );
+		sinon.assert.calledOnce( onAfterValidate );
+		assert.strictEqual( onAfterValidate.firstCall.args[1], vvInst.validatedValue() );
+	} );
+
+	QUnit.test( 'validatedValue() without validator store', function( assert ) {
+		var onAfterValidate = sinon.spy();
+
+		initVv();
+
+		assert.strictEqual( vvInst.validatedValue(), null, 'Empty view has no validated value.' );
+
+		$vvElem.on( 'valueviewaftervalidate', onAfterValidate );
+		vvInst.value( stringValue );
+
+		assert.ok( vvInst.validatedValue().isValid(), 'Reporting unvalidated value as valid.' );
+		assert.strictEqual( vvInst.validatedValue().getDataValue(), stringValue );
+		sinon.assert.calledOnce( onAfterValidate );
+		assert.ok( onAfterValidate.firstCall.args[1].isValid() );
+	} );
+
+	QUnit.test( 'Setting the value option', function( assert ) {
+		initVv();
+
+		vvInst.option( 'value', stringValue );
+
+		assert.strictEqual( vvInst.value(), stringValue, 'Set value.' );
+		assert.strictEqual( vvInst.validatedValue().getDataValue(), stringValue, 'Validated value.' );
+
+		assert.throws( function() {
+			vvInst.option( 'value', 'no data value' );
+		}, 'Throwing error when setting an invalid value.' );
+
+		assert.strictEqual( vvInst.value(), stringValue, 'Kept value.' );
+		assert.strictEqual( vvInst.option( 'value' ), stringValue, 'Kept option.' );
+	} );
+
+	QUnit.test( 'Changing the data type after initialization', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			formatterStore = new vf.ValueFormatterStore( vf.NullFormatter ),
+			validatorStore = new vv.ValidatorStore(),
+			UrlExpert = vv.expert( 'urlmockexpert', vv.tests.MockExpert, {} ),
+			UrlFormatter = util.inherit( vf.ValueFormatter, {
+				format: function( dataValue ) {
+					return $.Deferred().resolve( 'URL', dataValue ).promise();
+				}
+			} );
+
+		expertStore.registerDataTypeExpert( vv.tests.MockExpert, 'string' );
+		expertStore.registerDataTypeExpert( UrlExpert, 'url' );
+		formatterStore.registerDataTypeFormatter( UrlFormatter, 'url' );
+		validatorStore.registerDataTypeValidator( new MockValidator( [ 'ERROR' ] ), 'url' );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				formatterStore: formatterStore,
+				validatorStore: validatorStore,
+				dataTypeId: 'string',
+				value: stringValue
+			} )
+		} );
+
+		vvInst.startEditing();
+
+		assert.ok( !( vvInst.expert() instanceof UrlExpert ) );
+		assert.ok( vvInst.validatedValue().isValid() );
+
+		vvInst.option( 'dataTypeId', 'url' );
+
+		assert.ok( vvInst.isInEditMode(), 'Kept edit mode.' );
+		assert.ok( vvInst.expert() instanceof UrlExpert, 'Swapped expert.' );
+		assert.strictEqual( vvInst.value(), stringValue, 'Kept value.' );
+		assert.equal( vvInst.getFormattedValue(), 'URL', 'Re-formatted value.' );
+		assert.deepEqual(
+			vvInst.validatedValue().getErrors(),
+			[ 'ERROR' ],
+			'Re-validated value.'
+		);
+
+		vvInst.stopEditing();
+		vvInst.option( 'dataTypeId', 'string' );
+
+		assert.ok( !vvInst.isInEditMode() );
+		assert.notEqual( vvInst.getFormattedValue(), 'URL', 'Re-formatted static value.' );
+		assert.ok( vvInst.validatedValue().isValid() );
+	} );
+
+	QUnit.test( 'Sharing a result cache', function( assert ) {
+		var resultCache = new vv.ResultCache(),
+			vvArgs = $.extend( {}, initVv.defaultOpts.vvArgs, {
+				resultCache: resultCache,
+				value: stringValue
+			} );
+
+		initVv( { vvArgs: vvArgs } );
+
+		assert.equal( resultCache.getStatistics().hits, 0 );
+		assert.ok( resultCache.getStatistics().size > 0, 'Cached formatted value.' );
+
+		initVv( { vvArgs: vvArgs } );
+
+		assert.ok(
+			resultCache.getStatistics().hits > 0,
+			'Second valueview retrieved formatted value from cache.'
+		);
+
+		resultCache.invalidate();
+	} );
+
+	/**
+	 * Starts edit mode with an expert whose raw value may be set directly and returns a function
+	 * emulating user input.
+	 *
+	 * @param {Function} [Expert=jQuery.valueview.tests.MockExpert]
+	 * @return {Function}
+	 */
+	function initVvWithHistory( Expert ) {
+		var expertStore = new vv.ExpertStore();
+		expertStore.registerDataValueExpert( Expert || vv.tests.MockExpert, dv.StringValue.TYPE );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				value: stringValue
+			} )
+		} );
+		vvInst.startEditing();
+
+		return function( string ) {
+			vvInst.expert()._value = new dv.StringValue( string );
+			vvInst.viewNotifier().notify( 'change' );
+		};
+	}
+
+	QUnit.test( 'undo() and redo()', function( assert ) {
+		var input = initVvWithHistory();
+
+		assert.ok( !vvInst.canUndo(), 'Nothing to undo after starting edit mode.' );
+		assert.ok( !vvInst.canRedo(), 'Nothing to redo after starting edit mode.' );
+
+		input( 'a' );
+		input( 'ab' );
+
+		assert.ok( vvInst.canUndo() );
+		assert.equal( vvInst.value().getValue(), 'ab' );
+
+		vvInst.undo();
+		assert.equal( vvInst.value().getValue(), 'a' );
+		assert.ok( vvInst.canRedo() );
+
+		vvInst.undo();
+		assert.equal( vvInst.value().getValue(), stringValue.getValue() );
+		assert.ok( !vvInst.canUndo(), 'Reached initial value.' );
+
+		vvInst.redo();
+		assert.equal( vvInst.value().getValue(), 'a' );
+
+		input( 'ac' );
+		assert.ok( !vvInst.canRedo(), 'Recording a value drops undone values.' );
+
+		vvInst.undo();
+		assert.equal( vvInst.value().getValue(), 'a' );
+	} );
+
+	QUnit.test( 'History is reset when leaving edit mode', function( assert ) {
+		var input = initVvWithHistory();
+
+		input( 'a' );
+		vvInst.stopEditing();
+
+		assert.ok( !vvInst.canUndo() );
+
+		vvInst.startEditing();
+
+		assert.ok( !vvInst.canUndo() );
+		assert.ok( !vvInst.canRedo() );
+	} );
+
+	QUnit.test( 'historychange event', function( assert ) {
+		var input = initVvWithHistory(),
+			onHistoryChange = sinon.spy();
+
+		$vvElem.on( 'valueviewhistorychange', onHistoryChange );
+
+		input( 'a' );
+		assert.ok( onHistoryChange.calledOnce );
+		assert.deepEqual( onHistoryChange.lastCall.args.slice( 1 ), [ true, false ] );
+
+		vvInst.undo();
+		assert.deepEqual( onHistoryChange.lastCall.args.slice( 1 ), [ false, true ] );
+	} );
+
+	QUnit.test( 'undo() and redo() reinstate value characteristics', function( assert ) {
+		var PrecisionExpert = vv.expert( 'MockPrecision', vv.tests.MockExpert, {
+			precision: null,
+
+			valueCharacteristics: function() {
+				return this.precision === null ? {} : { precision: this.precision };
+			},
+
+			restoreRawValue: function( rawValue, valueCharacteristics ) {
+				this.precision = valueCharacteristics.precision === undefined
+					? null
+					: valueCharacteristics.precision;
+				return vv.tests.MockExpert.prototype.restoreRawValue.call(
+					this,
+					rawValue,
+					valueCharacteristics
+				);
+			}
+		} );
+
+		var input = initVvWithHistory( PrecisionExpert );
+
+		vvInst.expert().precision = 1;
+		input( 'a' );
+		vvInst.expert().precision = 2;
+		input( 'a' );
+
+		assert.ok( vvInst.canUndo(), 'Recorded changing the precision only.' );
+
+		vvInst.undo();
+
+		assert.equal( vvInst.expert().rawValue().getValue(), 'a' );
+		assert.deepEqual(
+			vvInst.valueCharacteristics(),
+			{ precision: 1 },
+			'Reinstated value characteristics of the rebuilt expert.'
+		);
+
+		vvInst.redo();
+
+		assert.deepEqual( vvInst.valueCharacteristics(), { precision: 2 } );
+
+		vvInst.undo();
+		vvInst.undo();
+
+		assert.deepEqual(
+			vvInst.valueCharacteristics(),
+			{},
+			'Initial entry leaves the expert reflecting the value.'
+		);
+	} );
+
+	QUnit.test( 'Diff mode', function( assert ) {
+		var diffStrategyStore = new vv.DiffStrategyStore();
+		diffStrategyStore.registerDataValueStrategy(
+			new vv.diffStrategies.StringValue(),
+			dv.StringValue.TYPE
+		);
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				value: stringValue,
+				diffValue: new dv.StringValue( 'STRING VALUE CHANGED' ),
+				diffStrategyStore: diffStrategyStore
+			} )
+		} );
+
+		assert.ok( vvInst.isInDiffMode() );
+		assert.equal( $vvElem.find( '.valueview-diff-sidebyside' ).length, 1 );
+		assert.equal(
+			$vvElem.find( '.valueview-diff-components dd del .highlight' ).text(),
+			' CHANGED',
+			'Highlighted differing part of the compared value.'
+		);
+		assert.equal(
+			$vvElem.find( '.valueview-diff-components dt' ).text(),
+			'Value',
+			'Labelled component using the default message.'
+		);
+
+		vvInst.startEditing();
+
+		assert.ok( !vvInst.isInEditMode(), 'Unable to start edit mode while in diff mode.' );
+
+		vvInst.option( 'diffLayout', 'inline' );
+
+		assert.equal( $vvElem.find( '.valueview-diff-inline' ).length, 1 );
+
+		vvInst.option( 'diffValue', null );
+
+		assert.ok( !vvInst.isInDiffMode() );
+		assert.equal( $vvElem.find( '.valueview-diff' ).length, 0 );
+	} );
+
+	QUnit.test( 'Keys are not handled by default', function( assert ) {
+		initVv( { withExpert: true } );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 27 } ) );
+
+		assert.ok( vvInst.isInEditMode() );
+	} );
+
+	QUnit.test( 'Handling Escape key', function( assert ) {
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, { handleKeys: true } )
+		} );
+
+		vvInst.startEditing();
+		vvInst.value( stringValue );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 27 } ) );
+
+		assert.ok( !vvInst.isInEditMode() );
+		assert.ok( vvInst.isEmpty(), 'Reinstated initial value.' );
+	} );
+
+	QUnit.test( 'Handling Enter key', function( assert ) {
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, { handleKeys: true } )
+		} );
+
+		vvInst.startEditing();
+		vvInst.value( stringValue );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 13, shiftKey: true } ) );
+
+		assert.ok( vvInst.isInEditMode(), 'Ignoring key with unmapped modifier.' );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 13 } ) );
+
+		assert.ok( !vvInst.isInEditMode() );
+		assert.equal( vvInst.value(), stringValue, 'Adopted value.' );
+	} );
+
+	QUnit.test( 'Custom key map', function( assert ) {
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				handleKeys: true,
+				keyMap: {
+					stopEditing: [ { keyCode: 13, ctrlKey: true } ]
+				}
+			} )
+		} );
+
+		vvInst.startEditing();
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 27 } ) );
+
+		assert.ok( vvInst.isInEditMode(), 'Escape is not bound by the custom key map.' );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 13 } ) );
+
+		assert.ok( vvInst.isInEditMode() );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 13, ctrlKey: true } ) );
+
+		assert.ok( !vvInst.isInEditMode() );
+	} );
+
+	QUnit.test( 'Escape key drops pending parse request', function( assert ) {
+		var onAfterParse = sinon.spy();
+
+		initVvWithHistory();
+
+		vvInst.option( 'handleKeys', true );
+		vvInst.option( 'parseDelay', 0 );
+		$vvElem.on( 'valueviewafterparse', onAfterParse );
+		vvInst.expert()._value = 'raw value';
+		vvInst.viewNotifier().notify( 'change' );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 27 } ) );
+
+		assert.ok( !vvInst.isInEditMode() );
+		assert.ok( !vvInst.isPending() );
+
+		QUnit.stop();
+
+		setTimeout( function() {
+			sinon.assert.notCalled( onAfterParse );
+			QUnit.start();
+		}, 10 );
+	} );
+
+	QUnit.test( 'Enter key stops edit mode after parsing', function( assert ) {
+		initVvWithHistory();
+
+		vvInst.option( 'handleKeys', true );
+		vvInst.option( 'parseDelay', 0 );
+		vvInst.expert()._value = 'raw value';
+		vvInst.viewNotifier().notify( 'change' );
+
+		$vvElem.trigger( $.Event( 'keydown', { keyCode: 13 } ) );
+
+		assert.ok( vvInst.isInEditMode(), 'Waiting for pending parse request.' );
+
+		QUnit.stop();
+
+		$vvElem.one( 'valueviewafterstopediting', function() {
+			assert.ok( !vvInst.isInEditMode() );
+			QUnit.start();
+		} );
+	} );
+
+	QUnit.test( 'isPending(), whenSettled() & pendingchange event', function( assert ) {
+		var onPendingChange = sinon.spy();
+
+		initVvWithHistory();
+
+		assert.ok( !vvInst.isPending() );
+		assert.equal( vvInst.whenSettled().state(), 'resolved', 'Settled when not pending.' );
+
+		$vvElem.on( 'valueviewpendingchange', onPendingChange );
+		vvInst.option( 'parseDelay', 0 );
+		vvInst.expert()._value = 'raw value';
+		vvInst.viewNotifier().notify( 'change' );
+
+		assert.ok( vvInst.isPending(), 'Pending while parsing.' );
+		assert.ok( $vvElem.hasClass( 'valueview-pending' ) );
+		assert.ok( onPendingChange.calledWith( sinon.match.any, true ) );
+		assert.ok( vvInst.viewState().isPending(), 'ViewState reflects pending state.' );
+
+		QUnit.stop();
+
+		vvInst.whenSettled().done( function() {
+			assert.ok( !vvInst.isPending() );
+			assert.ok( !$vvElem.hasClass( 'valueview-pending' ) );
+			assert.ok( onPendingChange.lastCall.calledWith( sinon.match.any, false ) );
+			assert.ok(
+				vvInst.value() !== stringValue,
+				'Adopted parsed value before settling.'
+			);
+			QUnit.start();
+		} );
+	} );
+
+	QUnit.test( 'Settling after parsing to null', function( assert ) {
+		var NullResultParser = util.inherit( vp.ValueParser, {
+				parse: function() {
+					return $.Deferred().resolve( null ).promise();
+				}
+			} ),
+			onPendingChange = sinon.spy();
+
+		initVvWithHistory();
+
+		vvInst.option( 'parserStore', new vp.ValueParserStore( NullResultParser ) );
+		vvInst.option( 'parseDelay', 0 );
+		vvInst.option( 'resultCache', new vv.ResultCache() );
+		$vvElem.on( 'valueviewpendingchange', onPendingChange );
+
+		vvInst.expert()._value = 'x';
+		vvInst.viewNotifier().notify( 'change' );
+
+		assert.ok( vvInst.isPending(), 'Pending while parsing.' );
+
+		QUnit.stop();
+
+		vvInst.whenSettled().done( function() {
+			assert.strictEqual( vvInst.value(), null );
+			assert.ok( !vvInst.isPending() );
+			assert.ok( !$vvElem.hasClass( 'valueview-pending' ) );
+			assert.ok( onPendingChange.lastCall.calledWith( sinon.match.any, false ) );
+
+			vvInst.expert()._value = 'a';
+			vvInst.viewNotifier().notify( 'change' );
+
+			assert.ok( vvInst.isPending() );
+
+			// Returning to the previous input takes the result from the cache:
+			vvInst.expert()._value = 'x';
+			vvInst.viewNotifier().notify( 'change' );
+
+			assert.ok( !vvInst.isPending(), 'Not pending after taking null from the cache.' );
+			assert.equal( vvInst.whenSettled().state(), 'resolved' );
+			QUnit.start();
+		} );
+	} );
+
+	QUnit.test( 'Rendering parse errors', function( assert ) {
+		var FailingParser = util.inherit( vp.ValueParser, {
+			parse: function() {
+				return $.Deferred().reject(
+					new vv.ValueError( 'malformed-value', null, [], { start: 0, end: 3 } )
+				).promise();
+			}
+		} );
+
+		initVvWithHistory();
+
+		vvInst.option( 'parserStore', new vp.ValueParserStore( FailingParser ) );
+		vvInst.option( 'parseDelay', 0 );
+
+		var showError = sinon.spy( vvInst.expert(), 'showError' );
+
+		vvInst.expert()._value = 'raw value';
+		vvInst.viewNotifier().notify( 'change' );
+
+		QUnit.stop();
+
+		$vvElem.one( 'valueviewafterparse', function( event, error ) {
+			assert.ok( error instanceof vv.ValueError, 'Passing ValueError to afterparse event.' );
+			assert.equal( error.getCode(), 'malformed-value' );
+			assert.deepEqual( error.getSpan(), { start: 0, end: 3 } );
+
+			vvInst.whenSettled().always( function() {
+				assert.ok(
+					showError.calledWith( sinon.match.instanceOf( vv.ValueError ) ),
+					'Passed error to the expert.'
+				);
+				QUnit.start();
+			} );
+		} );
+	} );
+
+	QUnit.test( 'Resolving parsers and formatters along the chain of data types', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			parserStore = new vp.ValueParserStore( vp.NullParser ),
+			formatterStore = new vf.ValueFormatterStore( vf.NullFormatter ),
+			StringParser = util.inherit( vp.ValueParser, {} ),
+			ExternalIdParser = util.inherit( vp.ValueParser, {} ),
+			StringFormatter = util.inherit( vf.ValueFormatter, {} );
+
+		expertStore.registerDataTypeParent( 'external-id', 'string' );
+		expertStore.registerDataTypeParent( 'isbn', 'external-id' );
+		parserStore.registerDataTypeParser( StringParser, 'string' );
+		parserStore.registerDataTypeParser( ExternalIdParser, 'external-id' );
+		formatterStore.registerDataTypeFormatter( StringFormatter, 'string' );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				parserStore: parserStore,
+				formatterStore: formatterStore,
+				dataValueType: dv.StringValue.TYPE,
+				dataTypeId: 'isbn'
+			} )
+		} );
+
+		assert.ok(
+			vvInst._instantiateParser() instanceof ExternalIdParser,
+			'Using the parser registered for the nearest ancestor.'
+		);
+		assert.ok(
+			vvInst._instantiateFormatter() instanceof StringFormatter,
+			'Using the formatter registered for a more distant ancestor.'
+		);
+
+		vvInst.option( 'dataTypeId', 'unrelated' );
+
+		assert.ok(
+			vvInst._instantiateParser() instanceof vp.NullParser,
+			'Falling back to the default parser for data types without ancestors.'
+		);
+	} );
+
+	/**
+	 * @param {jQuery.valueview.DraftStorage} draftStorage
+	 */
+	function initVvWithDrafts( draftStorage ) {
+		var expertStore = new vv.ExpertStore();
+		expertStore.registerDataValueExpert( vv.tests.MockExpert, dv.StringValue.TYPE );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				value: stringValue,
+				draftStorage: draftStorage,
+				draftId: 'id'
+			} )
+		} );
+	}
+
+	QUnit.test( 'Saving and removing drafts', function( assert ) {
+		var draftStorage = new vv.draftStorages.Memory();
+
+		initVvWithDrafts( draftStorage );
+		vvInst.startEditing();
+
+		vvInst.expert()._value = 'draft';
+		vvInst.viewNotifier().notify( 'change' );
+
+		assert.deepEqual(
+			draftStorage.get( 'id' ),
+			{
+				rawValue: 'draft',
+				valueCharacteristics: {},
+				dataTypeId: null,
+				dataValueType: dv.StringValue.TYPE
+			},
+			'Saved draft on change.'
+		);
+
+		vvInst.stopEditing( true );
+
+		assert.strictEqual( draftStorage.get( 'id' ), null, 'Removed draft when stopping edit mode.' );
+	} );
+
+	QUnit.test( 'Offering and restoring drafts', function( assert ) {
+		var draftStorage = new vv.draftStorages.Memory(),
+			onDraftAvailable = sinon.spy();
+
+		draftStorage.set( 'id', {
+			rawValue: 'draft',
+			valueCharacteristics: {},
+			dataTypeId: null,
+			dataValueType: dv.StringValue.TYPE
+		} );
+
+		initVvWithDrafts( draftStorage );
+		$vvElem.on( 'valueviewdraftavailable', onDraftAvailable );
+		vvInst.startEditing();
+
+		assert.ok( onDraftAvailable.calledOnce, 'Triggered draftavailable event.' );
+		assert.equal( $vvElem.find( '.valueview-draftnotice' ).length, 1, 'Displaying notice.' );
+
+		$vvElem.find( '.valueview-draftrestore' ).trigger( 'click' );
+
+		assert.equal( vvInst.expert().rawValue(), 'draft', 'Restored raw value.' );
+		assert.equal( $vvElem.find( '.valueview-draftnotice' ).length, 0, 'Removed notice.' );
+		assert.ok( draftStorage.get( 'id' ), 'Keeping draft while editing.' );
+	} );
+
+	QUnit.test( 'Ignoring drafts of other data value types', function( assert ) {
+		var draftStorage = new vv.draftStorages.Memory(),
+			onDraftAvailable = sinon.spy();
+
+		draftStorage.set( 'id', {
+			rawValue: 'draft',
+			valueCharacteristics: {},
+			dataTypeId: null,
+			dataValueType: 'other'
+		} );
+
+		initVvWithDrafts( draftStorage );
+		$vvElem.on( 'valueviewdraftavailable', onDraftAvailable );
+		vvInst.startEditing();
+
+		assert.ok( onDraftAvailable.notCalled );
+		assert.strictEqual( vvInst.getDraft(), null );
+		assert.ok( !vvInst.restoreDraft() );
+	} );
+
+	QUnit.test( 'Preventing draft notice', function( assert ) {
+		var draftStorage = new vv.draftStorages.Memory();
+
+		draftStorage.set( 'id', {
+			rawValue: 'draft',
+			valueCharacteristics: {},
+			dataTypeId: null,
+			dataValueType: dv.StringValue.TYPE
+		} );
+
+		initVvWithDrafts( draftStorage );
+		$vvElem.on( 'valueviewdraftavailable', function( event ) {
+			event.preventDefault();
+		} );
+		vvInst.startEditing();
+
+		assert.equal( $vvElem.find( '.valueview-draftnotice' ).length, 0 );
+
+		vvInst.discardDraft();
+
+		assert.strictEqual( draftStorage.get( 'id' ), null, 'Discarded draft.' );
+	} );
+
+	QUnit.test( 'Switching experts', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			AlternativeExpert = vv.expert( 'alternativemockexpert', vv.tests.MockExpert, {} ),
+			onExpertChange = sinon.spy();
+
+		expertStore.registerDataValueExpert( vv.tests.MockExpert, dv.StringValue.TYPE );
+		expertStore.registerDataValueExpert( AlternativeExpert, dv.StringValue.TYPE, {
+			id: 'alternative',
+			label: 'Alternative',
+			priority: -1
+		} );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				value: stringValue
+			} )
+		} );
+		$vvElem.on( 'valueviewexpertchange', onExpertChange );
+
+		assert.equal(
+			$vvElem.find( '.valueview-expertswitcher' ).length,
+			0,
+			'No switcher in static mode.'
+		);
+
+		vvInst.startEditing();
+
+		var $switcher = $vvElem.find( '.valueview-expertswitcher' );
+
+		assert.equal( $switcher.length, 1, 'Displaying switcher in edit mode.' );
+		assert.deepEqual(
+			$switcher.find( 'option' ).map( function() {
+				return $( this ).text();
+			} ).get(),
+			['default', 'Alternative'],
+			'Offering available experts.'
+		);
+		assert.ok( !( vvInst.expert() instanceof AlternativeExpert ) );
+
+		$switcher.val( 'alternative' ).trigger( 'change' );
+
+		assert.equal( vvInst.option( 'expertId' ), 'alternative', 'Updated expertId option.' );
+		assert.ok( vvInst.expert() instanceof AlternativeExpert, 'Switched expert.' );
+		assert.strictEqual( vvInst.value(), stringValue, 'Kept value.' );
+		assert.equal( vvInst.valueCharacteristics().expertId, 'alternative' );
+		assert.ok( onExpertChange.calledWith( sinon.match.any, 'alternative' ) );
+
+		vvInst.stopEditing();
+
+		assert.equal(
+			$vvElem.find( '.valueview-expertswitcher' ).length,
+			0,
+			'Removed switcher when stopping edit mode.'
+		);
+	} );
+
+	QUnit.test( 'Switching the language', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			parsedLanguages = [],
+			formattedLanguages = [],
+			onLanguageChange = sinon.spy(),
+			LanguageParser = util.inherit( vp.ValueParser, {
+				parse: function( rawValue ) {
+					parsedLanguages.push( this.getOptions().lang );
+					return $.Deferred().resolve( new dv.StringValue( rawValue ) ).promise();
+				}
+			} ),
+			LanguageFormatter = util.inherit( vf.ValueFormatter, {
+				format: function( dataValue ) {
+					var lang = this.getOptions().lang;
+					formattedLanguages.push( lang );
+					return $.Deferred().resolve( lang + ':' + dataValue.toJSON(), dataValue ).promise();
+				}
+			} );
+
+		expertStore.registerDataValueExpert( vv.tests.MockExpert, dv.StringValue.TYPE );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				parserStore: new vp.ValueParserStore( LanguageParser ),
+				formatterStore: new vf.ValueFormatterStore( LanguageFormatter ),
+				value: stringValue
+			} )
+		} );
+		$vvElem.on( 'valueviewlanguagechange', onLanguageChange );
+
+		vvInst.option( 'language', 'de' );
+
+		assert.ok( onLanguageChange.calledWith( sinon.match.any, 'de' ), 'Triggered event.' );
+		assert.equal( vvInst.getFormattedValue(), 'de:STRING VALUE', 'Re-formatted value.' );
+		assert.equal( $vvElem.html(), 'de:STRING VALUE', 'Redrew static value.' );
+
+		vvInst.startEditing();
+		vvInst.option( 'parseDelay', 0 );
+
+		var expert = vvInst.expert();
+
+		vvInst.option( 'language', 'fr' );
+
+		assert.ok( vvInst.expert() !== expert, 'Rebuilt expert.' );
+		assert.strictEqual( vvInst.value(), stringValue, 'Kept value.' );
+
+		vvInst.expert()._value = 'raw value';
+		vvInst.viewNotifier().notify( 'change' );
+		assert.ok( vvInst.isPending() );
+
+		vvInst.option( 'language', 'es' );
+
+		assert.equal( vvInst.expert().rawValue(), 'raw value', 'Restored pending raw input.' );
+
+		QUnit.stop();
+
+		vvInst.whenSettled().done( function() {
+			assert.deepEqual( parsedLanguages, ['es'], 'Parsed pending input in new language.' );
+			assert.equal( vvInst.value().toJSON(), 'raw value' );
+			assert.equal( formattedLanguages[formattedLanguages.length - 1], 'es' );
+			QUnit.start();
+		} );
+	} );
+
+	QUnit.test( 'Loading lazily registered experts', function( assert ) {
+		var expertStore = new vv.ExpertStore(),
+			deferred = $.Deferred(),
+			loader = sinon.spy( function() {
+				return deferred.promise();
+			} ),
+			onAfterStartEditing = sinon.spy();
+
+		expertStore.registerLazyDataValueExpert( loader, dv.StringValue.TYPE );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				value: stringValue
+			} )
+		} );
+		$vvElem.on( 'valueviewafterstartediting', onAfterStartEditing );
+
+		sinon.assert.notCalled( loader );
+
+		vvInst.startEditing();
+
+		sinon.assert.calledOnce( loader );
+		assert.ok( $vvElem.hasClass( 'valueview-loadingexpert' ), 'Displaying loading state.' );
+		assert.strictEqual( vvInst.expert(), null );
+		sinon.assert.notCalled( onAfterStartEditing );
+
+		deferred.resolve( vv.tests.MockExpert );
+
+		assert.ok( !$vvElem.hasClass( 'valueview-loadingexpert' ), 'Removed loading state.' );
+		assert.ok( vvInst.expert() instanceof vv.tests.MockExpert, 'Created expert.' );
+		sinon.assert.calledOnce( onAfterStartEditing );
+	} );
+
+	QUnit.test( 'Falling back to default expert when loading fails', function( assert ) {
+		var expertStore = new vv.ExpertStore( vv.tests.MockExpert );
+
+		expertStore.registerLazyDataValueExpert( function() {
+			return $.Deferred().reject().promise();
+		}, dv.StringValue.TYPE );
+
+		initVv( {
+			vvArgs: $.extend( {}, initVv.defaultOpts.vvArgs, {
+				expertStore: expertStore,
+				value: stringValue
+			} )
+		} );
+		vvInst.startEditing();
+
+		assert.ok( vvInst.expert() instanceof vv.tests.MockExpert );
+		assert.ok( !$vvElem.hasClass( 'valueview-loadingexpert' ) );
+	} );
+
+	QUnit.test( 'beforestopediting event', function( assert ) {
+		initVv( { withExpert: true } );
+
+		$vvElem.on( 'valueviewbeforestopediting', function( event, dropValue ) {
+			assert.strictEqual( dropValue, false );
+			event.preventDefault();
+		} );
+
+		vvInst.stopEditing();
+
+		assert.ok( vvInst.isInEditMode(), 'Prevented stopping edit mode.' );
+	} );
+
 	QUnit.test( 'disable', function( assert ) {
 		initVv();
 
@@ -212,6 +1090,7 @@
 	dataValues,
 	valueFormatters,
 	valueParsers,
+	util,
 	sinon,
 	QUnit,
 	typeof CompletenessTest !== 'undefined' ? CompletenessTest : null
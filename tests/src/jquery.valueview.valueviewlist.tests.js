@@ -0,0 +1,186 @@
+/**
+ * @licence GNU GPL v2+
+ * @author agent < agent@local >
+ */
+( function( $, vv, dv, vf, vp, sinon, QUnit ) {
+	'use strict';
+
+	var a = new dv.StringValue( 'a' ),
+		b = new dv.StringValue( 'b' ),
+		c = new dv.StringValue( 'c' );
+
+	/**
+	 * @param {Object} [options]
+	 * @return {jQuery.valueview.valueviewlist}
+	 */
+	function newValueviewlist( options ) {
+		var expertStore = new vv.ExpertStore();
+		expertStore.registerDataValueExpert( vv.tests.MockExpert, dv.StringValue.TYPE );
+
+		return $( '<div/>' ).valueviewlist( $.extend( {
+			valueviewOptions: {
+				expertStore: expertStore,
+				formatterStore: new vf.ValueFormatterStore( vf.NullFormatter ),
+				parserStore: new vp.ValueParserStore( vp.NullParser ),
+				language: 'en',
+				dataValueType: dv.StringValue.TYPE
+			}
+		}, options ) ).data( 'valueviewlist' );
+	}
+
+	QUnit.module( 'jquery.valueview.valueviewlist' );
+
+	QUnit.test( 'Create & destroy', function( assert ) {
+		var valueviewlist = newValueviewlist( { values: [a, b] } );
+
+		assert.ok( valueviewlist instanceof vv.valueviewlist, 'Instantiated widget.' );
+		assert.equal( valueviewlist.items().length, 2, 'Created an item per value.' );
+		assert.ok( valueviewlist.items()[0] instanceof vv, 'Items are valueview instances.' );
+
+		valueviewlist.destroy();
+
+		assert.ok( !valueviewlist.element.hasClass( 'valueview-valueviewlist' ) );
+
+		assert.throws(
+			function() {
+				$( '<div/>' ).valueviewlist();
+			},
+			'Throwing error when not specifying valueviewOptions.'
+		);
+	} );
+
+	QUnit.test( 'values()', function( assert ) {
+		var valueviewlist = newValueviewlist( { values: [a, b] } );
+
+		assert.deepEqual( valueviewlist.values(), [a, b] );
+
+		valueviewlist.values( [c] );
+
+		assert.deepEqual( valueviewlist.values(), [c], 'Replaced values.' );
+		assert.equal( valueviewlist.items().length, 1 );
+
+		valueviewlist.addItem();
+
+		assert.deepEqual( valueviewlist.values(), [c], 'Omitting empty item.' );
+
+		assert.throws(
+			function() {
+				valueviewlist.values( ['c'] );
+			},
+			'Throwing error when trying to set a value not being a DataValue.'
+		);
+	} );
+
+	QUnit.test( 'addItem(), removeItem() & moveItem()', function( assert ) {
+		var valueviewlist = newValueviewlist( { values: [a, b] } ),
+			onChange = sinon.spy();
+
+		valueviewlist.element.on( 'valueviewlistchange', onChange );
+
+		var valueview = valueviewlist.addItem( c );
+
+		assert.deepEqual( valueviewlist.values(), [a, b, c], 'Added item.' );
+		assert.equal( onChange.callCount, 1, 'Triggered change event.' );
+
+		valueviewlist.moveItem( valueview, 0 );
+
+		assert.deepEqual( valueviewlist.values(), [c, a, b], 'Moved item.' );
+		assert.strictEqual(
+			valueviewlist.element.find( '.valueview-valueviewlist-item' ).first()
+				.children( '.valueview-valueviewlist-value' ).data( 'valueview' ),
+			valueview,
+			'Moved item node.'
+		);
+		assert.equal( onChange.callCount, 2 );
+
+		assert.throws(
+			function() {
+				valueviewlist.moveItem( valueview, 3 );
+			},
+			'Throwing error when trying to move an item out of bounds.'
+		);
+
+		valueviewlist.removeItem( valueviewlist.items()[1] );
+
+		assert.deepEqual( valueviewlist.values(), [c, b], 'Removed item.' );
+		assert.equal( onChange.callCount, 3 );
+
+		assert.throws(
+			function() {
+				valueviewlist.removeItem( {} );
+			},
+			'Throwing error when trying to remove an object not being an item.'
+		);
+	} );
+
+	QUnit.test( 'Controls', function( assert ) {
+		var valueviewlist = newValueviewlist( { values: [a, b] } ),
+			$items;
+
+		valueviewlist.startEditing();
+
+		$items = valueviewlist.element.find( '.valueview-valueviewlist-item' );
+
+		assert.ok(
+			$items.first().find( '.valueview-valueviewlist-moveup' ).hasClass( 'ui-state-disabled' ),
+			'Disabled moving first item up.'
+		);
+		assert.ok(
+			$items.last().find( '.valueview-valueviewlist-movedown' ).hasClass( 'ui-state-disabled' ),
+			'Disabled moving last item down.'
+		);
+
+		$items.last().find( '.valueview-valueviewlist-moveup' ).trigger( 'click' );
+
+		assert.deepEqual( valueviewlist.values(), [b, a], 'Moved item up.' );
+
+		valueviewlist.element.find( '.valueview-valueviewlist-remove' ).first().trigger( 'click' );
+
+		assert.deepEqual( valueviewlist.values(), [a], 'Removed item.' );
+
+		valueviewlist.element.children( '.valueview-valueviewlist-add' ).trigger( 'click' );
+
+		assert.equal( valueviewlist.items().length, 2, 'Added item.' );
+		assert.ok( valueviewlist.items()[1].isInEditMode(), 'Put new item in edit mode.' );
+	} );
+
+	QUnit.test( 'startEditing(), stopEditing() & cancelEditing()', function( assert ) {
+		var valueviewlist = newValueviewlist( { values: [a, b] } );
+
+		valueviewlist.startEditing();
+
+		assert.ok( valueviewlist.isInEditMode() );
+		assert.ok( valueviewlist.element.hasClass( 'valueview-valueviewlist-ineditmode' ) );
+		assert.ok( valueviewlist.items()[0].isInEditMode(), 'Put items in edit mode.' );
+
+		valueviewlist.addItem();
+		valueviewlist.removeItem( valueviewlist.items()[0] );
+		valueviewlist.stopEditing();
+
+		assert.ok( !valueviewlist.isInEditMode() );
+		assert.ok( !valueviewlist.items()[0].isInEditMode(), 'Stopped edit mode on items.' );
+		assert.equal( valueviewlist.items().length, 1, 'Removed empty item.' );
+		assert.deepEqual( valueviewlist.values(), [b] );
+
+		valueviewlist.startEditing();
+		valueviewlist.addItem( c );
+		valueviewlist.cancelEditing();
+
+		assert.deepEqual( valueviewlist.values(), [b], 'Reinstated values from before edit mode.' );
+	} );
+
+	QUnit.test( 'Aggregated change event', function( assert ) {
+		var valueviewlist = newValueviewlist( { values: [a] } ),
+			onChange = sinon.spy();
+
+		valueviewlist.startEditing();
+		valueviewlist.element.on( 'valueviewlistchange', onChange );
+
+		var valueview = valueviewlist.items()[0];
+		valueview.expert()._value = 'x';
+		valueview.viewNotifier().notify( 'change' );
+
+		assert.ok( onChange.calledOnce, 'Triggered change event when an item\'s value changes.' );
+	} );
+
+}( jQuery, jQuery.valueview, dataValues, valueFormatters, valueParsers, sinon, QUnit ) );
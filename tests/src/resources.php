@@ -24,20 +24,168 @@ return call_user_func( function() {
 			),
 			'dependencies' => array(
 				'dataValues.values',
+				'jquery.valueview.ExpertExtender',
 				'jquery.valueview.ExpertStore',
+				'jquery.valueview.experts.TimeInput',
 				'jquery.valueview.tests.MockExpert',
+				'jquery.valueview.tests.MockViewState',
+				'qunit.parameterize',
+				'test.sinonjs',
+			),
+		),
+
+		'jquery.valueview.BatchController.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.BatchController.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.BatchController',
+				'jquery.valueview.BatchTransport',
+				'jquery.valueview.ValueError',
+				'test.sinonjs',
+				'util.inherit',
+				'valueFormatters.formatters',
+				'valueFormatters.ValueFormatterStore',
+				'valueParsers.parsers',
+				'valueParsers.ValueParserStore',
+			),
+		),
+
+		'jquery.valueview.BatchTransport.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.BatchTransport.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.BatchTransport',
+				'test.sinonjs',
+				'valueFormatters.formatters',
+				'valueParsers.parsers',
+			),
+		),
+
+		'jquery.valueview.DiffStrategy.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.DiffStrategy.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.DiffStrategy',
+				'jquery.valueview.diffStrategies',
+			),
+		),
+
+		'jquery.valueview.DiffStrategyStore.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.DiffStrategyStore.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.DiffStrategy',
+				'jquery.valueview.diffStrategies',
+				'jquery.valueview.DiffStrategyStore',
+			),
+		),
+
+		'jquery.valueview.draftStorages.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.draftStorages.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.draftStorages',
+			),
+		),
+
+		'jquery.valueview.offlineFormatters.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.offlineFormatters.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.offlineFormatters',
+				'qunit.parameterize',
+			),
+		),
+
+		'jquery.valueview.offlineParsers.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.offlineParsers.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.offlineParsers',
 				'qunit.parameterize',
 			),
 		),
 
+		'jquery.valueview.ResultCache.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ResultCache.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ResultCache',
+			),
+		),
+
+		'jquery.valueview.ValueError.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ValueError.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ValueError',
+				'util.HashMessageProvider',
+			),
+		),
+
+		'jquery.valueview.ValidatedDataValue.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ValidatedDataValue.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.ValidatedDataValue',
+			),
+		),
+
+		'jquery.valueview.ValidatorStore.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.ValidatorStore.tests.js',
+			),
+			'dependencies' => array(
+				'jquery.valueview.ValidatorStore',
+				'util.inherit',
+			),
+		),
+
 		'jquery.valueview.valueview.tests' => $moduleTemplate + array(
 			'scripts' => array(
 				'jquery.valueview.valueview.tests.js',
 			),
 			'dependencies' => array(
 				'dataValues.values',
+				'jquery.valueview.diffStrategies',
+				'jquery.valueview.DiffStrategyStore',
+				'jquery.valueview.draftStorages',
+				'jquery.valueview.tests.MockExpert',
 				'jquery.valueview.valueview',
 				'test.sinonjs',
+				'util.inherit',
+				'valueFormatters.formatters',
+				'valueFormatters.ValueFormatterStore',
+				'valueParsers.parsers',
+				'valueParsers.ValueParserStore'
+			),
+		),
+
+		'jquery.valueview.valueviewlist.tests' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.valueviewlist.tests.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview.tests.MockExpert',
+				'jquery.valueview.valueviewlist',
+				'test.sinonjs',
 				'valueFormatters.formatters',
 				'valueFormatters.ValueFormatterStore',
 				'valueParsers.parsers',
@@ -86,6 +234,22 @@ return call_user_func( function() {
 			),
 		),
 
+		'jquery.valueview.tests.testExpertConformance' => $moduleTemplate + array(
+			'scripts' => array(
+				'jquery.valueview.tests.testExpertConformance.js',
+			),
+			'dependencies' => array(
+				'dataValues.values',
+				'jquery.valueview',
+				'jquery.valueview.ExpertStore',
+				'util.inherit',
+				'valueFormatters.ValueFormatter',
+				'valueFormatters.ValueFormatterStore',
+				'valueParsers.ValueParser',
+				'valueParsers.ValueParserStore',
+			),
+		),
+
 	);
 
 	return array_merge(